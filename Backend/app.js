@@ -1,4 +1,5 @@
 // app.js - Express application configuration
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -11,7 +12,7 @@ const logger = require('./utils/logger');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
-const rateLimiter = require('./middleware/rateLimiter');
+const { generalLimiter } = require('./middleware/rateLimiter');
 
 // Import routes
 const routes = require('./routes');
@@ -65,10 +66,10 @@ app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 // Static files
 app.use('/uploads', express.static('uploads'));
-app.use(express.static('public'));
+app.use(express.static(path.join(__dirname, '..', 'public'))); // the frontend lives next to Backend/
 
 // Rate limiting for API routes
-app.use('/api/', rateLimiter);
+app.use('/api/', generalLimiter);
 
 // API routes
 app.use('/api', routes);
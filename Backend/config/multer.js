@@ -2,11 +2,12 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const { RECORDINGS_DIR } = require('./storage');
 const logger = require('../utils/logger');
 
-// Ensure upload directories exist
+// Ensure upload directories exist (and the recordings store kept outside them)
 const ensureUploadDirs = () => {
-  const dirs = ['uploads', 'uploads/documents', 'uploads/images', 'uploads/videos', 'uploads/temp'];
+  const dirs = ['uploads', 'uploads/documents', 'uploads/images', 'uploads/videos', 'uploads/temp', RECORDINGS_DIR];
   
   dirs.forEach(dir => {
     if (!fs.existsSync(dir)) {
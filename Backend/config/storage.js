@@ -0,0 +1,8 @@
+// config/storage.js - Where files are kept on disk besides the uploads tree
+// uploads/ is served statically under /uploads; recordings are kept outside it so the only way
+// to one is the access-checked playback route.
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR || 'storage/recordings';
+
+module.exports = {
+  RECORDINGS_DIR
+};
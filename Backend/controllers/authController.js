@@ -1,16 +1,16 @@
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { User, College } = require('../models');
+const { JWT_SECRET } = require('../config/jwt');
 const logger = require('../utils/logger');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'fallback-secret';
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
 const JWT_REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
 const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS) || 12;
 
 const generateAccessToken = (user) => {
   return jwt.sign(
-    { userId: user._id, role: user.role, email: user.email },
+    { userId: user._id, role: user.role, email: user.email, type: 'access' },
     JWT_SECRET,
     { expiresIn: JWT_EXPIRES_IN }
   );
@@ -1,23 +1,79 @@
 const { ChatMessage } = require('../models');
+const moderationService = require('../services/moderationService');
+const chatService = require('../services/chatService');
+const breakoutService = require('../services/breakoutService');
 const logger = require('../utils/logger');
 
+// Comma-separated ?type= filter to a list of message types
+const parseTypes = (type) => (type ? type.split(',').map(t => t.trim()).filter(Boolean) : null);
+
+// History cursors are "<timestamp>_<messageId>": messages can share a timestamp, so the id breaks ties.
+// A bare timestamp (older clients) still pages by time alone.
+const formatCursor = (message) => `${message.timestamp.toISOString()}_${message._id}`;
+
+const parseCursor = (cursor) => {
+  const [timestamp, id] = cursor.split('_');
+  return { timestamp: new Date(timestamp), id: id || null };
+};
+
+// Moderation errors carry a statusCode and details such as retryAfterSeconds (slow mode) or until (mute/ban)
+const sendModerationError = (res, error) => res.status(error.statusCode).json({ error: error.message, ...error.details });
+
 // Send a new chat message
 exports.sendMessage = async (req, res, next) => {
   try {
-    const { sessionId, message, type = 'text', isPrivate = false, targetUser } = req.body;
+    const { sessionId, message, type = 'text', isPrivate = false, targetUser, replyTo, breakoutRoom } = req.body;
+
+    // Mutes, bans, slow mode and the college word filter
+    const { text, filtered, session } = await moderationService.prepareOutgoingMessage({
+      sessionId,
+      userId: req.user.userId,
+      role: req.user.role,
+      text: message.trim(),
+    });
+
+    if (isPrivate) {
+      chatService.assertCanMessagePrivately(session, req.user.userId, req.user.role, targetUser);
+    }
+
+    // Breakout chat stays within its room
+    const room = breakoutRoom && !isPrivate
+      ? breakoutService.assertCanChatInRoom(session, breakoutRoom, req.user.userId, req.user.role)
+      : null;
+
+    // Replies must point at a live message in the same session (and breakout room)
+    let parent = null;
+    if (replyTo) {
+      const scope = room ? { breakoutRoom: room._id } : {};
+      parent = await ChatMessage.findOne({ _id: replyTo, session: sessionId, ...scope, isDeleted: false });
+
+      if (!parent) {
+        return res.status(404).json({ error: 'Message not found', message: 'The message you replied to does not exist in this session' });
+      }
+    }
 
     const chatMessage = new ChatMessage({
       session: sessionId,
       sender: req.user.userId,
-      message: message.trim(),
+      message: text,
       type,
       isPrivate,
       targetUser: isPrivate ? targetUser : null,
+      breakoutRoom: room ? room._id : null,
+      replyTo: parent ? parent._id : undefined,
       status: 'sent',
     });
 
     await chatMessage.save();
 
+    if (room && req.user.role === 'student') {
+      await breakoutService.recordMessage(session, room._id, req.user.userId);
+    }
+
+    if (parent) {
+      await ChatMessage.updateOne({ _id: parent._id }, { $push: { replies: chatMessage._id } });
+    }
+
     await chatMessage.populate('sender', 'name role');
     if (isPrivate && targetUser) {
       await chatMessage.populate('targetUser', 'name');
@@ -29,11 +85,12 @@ exports.sendMessage = async (req, res, next) => {
       sender: req.user.userId,
     });
 
-    // Emit chat message to session room through socket.io
-    req.app.get('io')?.to(`session-${sessionId}`).emit('chat_message', chatMessage);
+    // Emit to the session room, or only to sender and target for private messages
+    chatService.emitToAudience(req.app.get('io'), chatMessage, 'chat_message', chatMessage);
 
-    res.status(201).json({ message: 'Message sent successfully', chatMessage });
+    res.status(201).json({ message: 'Message sent successfully', chatMessage, filtered });
   } catch (error) {
+    if (error.statusCode) return sendModerationError(res, error);
     logger.error('Send message error:', error);
     next(error);
   }
@@ -54,8 +111,16 @@ exports.editMessage = async (req, res, next) => {
       return res.status(403).json({ error: 'Access denied', message: 'You can only edit your own messages' });
     }
 
+    // Mutes, bans and the college word filter apply to edits too
+    const { text, filtered } = await moderationService.prepareMessageEdit({
+      sessionId: chatMessage.session,
+      userId: req.user.userId,
+      role: req.user.role,
+      text: newMessage.trim(),
+    });
+
     chatMessage.originalMessage = chatMessage.message;
-    chatMessage.message = newMessage.trim();
+    chatMessage.message = text;
     chatMessage.isEdited = true;
     chatMessage.editedAt = new Date();
 
@@ -63,10 +128,11 @@ exports.editMessage = async (req, res, next) => {
 
     logger.info('Chat message edited', { messageId, editedBy: req.user.userId });
 
-    req.app.get('io')?.to(`session-${chatMessage.session}`).emit('chat_message_edited', chatMessage);
+    chatService.emitToAudience(req.app.get('io'), chatMessage, 'chat_message_edited', chatMessage);
 
-    res.json({ message: 'Message edited successfully', chatMessage });
+    res.json({ message: 'Message edited successfully', chatMessage, filtered });
   } catch (error) {
+    if (error.statusCode) return sendModerationError(res, error);
     logger.error('Edit message error:', error);
     next(error);
   }
@@ -95,7 +161,7 @@ exports.deleteMessage = async (req, res, next) => {
 
     logger.info('Chat message deleted', { messageId, deletedBy: req.user.userId });
 
-    req.app.get('io')?.to(`session-${chatMessage.session}`).emit('chat_message_deleted', { messageId });
+    chatService.emitToAudience(req.app.get('io'), chatMessage, 'chat_message_deleted', { messageId });
 
     res.json({ message: 'Message deleted successfully' });
   } catch (error) {
@@ -110,7 +176,7 @@ exports.addReaction = async (req, res, next) => {
     const { messageId } = req.params;
     const { emoji } = req.body;
 
-    const chatMessage = await ChatMessage.findById(messageId);
+    const chatMessage = await chatService.findVisibleMessage(messageId, req.user.userId, req.user.role);
     if (!chatMessage) {
       return res.status(404).json({ error: 'Message not found' });
     }
@@ -119,7 +185,7 @@ exports.addReaction = async (req, res, next) => {
 
     logger.info('Reaction added to message', { messageId, emoji, userId: req.user.userId });
 
-    req.app.get('io')?.to(`session-${chatMessage.session}`).emit('chat_reaction_added', { messageId, emoji, userId: req.user.userId });
+    chatService.emitToAudience(req.app.get('io'), chatMessage, 'chat_reaction_added', { messageId, emoji, userId: req.user.userId });
 
     res.json({ message: 'Reaction added successfully' });
   } catch (error) {
@@ -134,7 +200,7 @@ exports.removeReaction = async (req, res, next) => {
     const { messageId } = req.params;
     const { emoji } = req.body;
 
-    const chatMessage = await ChatMessage.findById(messageId);
+    const chatMessage = await chatService.findVisibleMessage(messageId, req.user.userId, req.user.role);
     if (!chatMessage) {
       return res.status(404).json({ error: 'Message not found' });
     }
@@ -143,7 +209,7 @@ exports.removeReaction = async (req, res, next) => {
 
     logger.info('Reaction removed from message', { messageId, emoji, userId: req.user.userId });
 
-    req.app.get('io')?.to(`session-${chatMessage.session}`).emit('chat_reaction_removed', { messageId, emoji, userId: req.user.userId });
+    chatService.emitToAudience(req.app.get('io'), chatMessage, 'chat_reaction_removed', { messageId, emoji, userId: req.user.userId });
 
     res.json({ message: 'Reaction removed successfully' });
   } catch (error) {
@@ -152,27 +218,254 @@ exports.removeReaction = async (req, res, next) => {
   }
 };
 
-// Get chat history for a session
+// Get chat history for a session, newest first; pass nextCursor as ?before= for older pages
 exports.getSessionHistory = async (req, res, next) => {
   try {
     const { sessionId } = req.params;
-    const { limit = 50, before } = req.query;
+    const { before, sender, type, breakoutRoom } = req.query;
+    const limit = parseInt(req.query.limit) || 50;
 
-    const query = { session: sessionId, isDeleted: false };
-    if (before) {
-      query.timestamp = { $lt: new Date(before) };
+    // ?breakoutRoom= reads a breakout room's chat instead of the main one
+    if (breakoutRoom) {
+      breakoutService.assertCanReadRoom(req.session, breakoutRoom, req.user.userId, req.user.role);
     }
 
-    const messages = await ChatMessage.find(query)
+    // One extra message tells us whether an older page exists
+    const messages = await ChatMessage.getSessionHistory(sessionId, limit + 1, before ? parseCursor(before) : null, {
+      viewer: req.user.userId,
+      sender,
+      types: parseTypes(type),
+      breakoutRoom,
+    });
+
+    const hasMore = messages.length > limit;
+    const page = hasMore ? messages.slice(0, limit) : messages;
+
+    res.json({
+      messages: page,
+      hasMore,
+      nextCursor: hasMore ? formatCursor(page[page.length - 1]) : null,
+    });
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    logger.error('Get chat history error:', error);
+    next(error);
+  }
+};
+
+// Full-text search over a session's messages, best matches first
+exports.searchMessages = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const { q, sender, type, breakoutRoom, page = 1, limit = 20 } = req.query;
+
+    // ?breakoutRoom= searches a breakout room's chat instead of the main one
+    if (breakoutRoom) {
+      breakoutService.assertCanReadRoom(req.session, breakoutRoom, req.user.userId, req.user.role);
+    }
+
+    const query = {
+      session: sessionId,
+      breakoutRoom: breakoutRoom || null,
+      isDeleted: false,
+      $text: { $search: q },
+      ...ChatMessage.visibilityFilter(req.user.userId),
+    };
+    if (sender) query.sender = sender;
+    const types = parseTypes(type);
+    if (types) query.type = { $in: types };
+
+    const [messages, total] = await Promise.all([
+      ChatMessage.find(query, { score: { $meta: 'textScore' } })
+        .populate('sender', 'name role')
+        .populate('targetUser', 'name')
+        .sort({ score: { $meta: 'textScore' }, timestamp: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit)),
+      ChatMessage.countDocuments(query),
+    ]);
+
+    res.json({
+      messages,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalResults: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1,
+      },
+    });
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    logger.error('Search chat messages error:', error);
+    next(error);
+  }
+};
+
+// Get a message with its replies, oldest reply first (?breakoutRoom= for a thread in a breakout room)
+exports.getThread = async (req, res, next) => {
+  try {
+    const { sessionId, messageId } = req.params;
+    const { breakoutRoom } = req.query;
+    const visibility = ChatMessage.visibilityFilter(req.user.userId);
+
+    if (breakoutRoom) {
+      breakoutService.assertCanReadRoom(req.session, breakoutRoom, req.user.userId, req.user.role);
+    }
+
+    const chatMessage = await ChatMessage.findOne({
+      _id: messageId,
+      session: sessionId,
+      breakoutRoom: breakoutRoom || null,
+      isDeleted: false,
+      ...visibility,
+    })
+      .populate('sender', 'name role')
+      .populate('targetUser', 'name');
+    if (!chatMessage) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const replies = await ChatMessage.find({ replyTo: chatMessage._id, isDeleted: false, ...visibility })
       .populate('sender', 'name role')
       .populate('targetUser', 'name')
-      .populate('replyTo', 'message sender')
-      .sort({ timestamp: -1 })
-      .limit(parseInt(limit));
+      .sort({ timestamp: 1 });
+
+    res.json({ chatMessage, replies });
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    logger.error('Get chat thread error:', error);
+
+    next(error);
+  }
+};
+
+// Flag a message for moderator review
+exports.flagMessage = async (req, res, next) => {
+  try {
+    const { sessionId, messageId } = req.params;
+
+    const chatMessage = await moderationService.flagMessage({
+      io: req.app.get('io'),
+      sessionId,
+      messageId,
+      userId: req.user.userId,
+      role: req.user.role,
+      reason: req.body.reason,
+    });
+
+    res.json({ message: 'Message flagged for review', flagCount: chatMessage.flaggedBy.length });
+  } catch (error) {
+    if (error.statusCode) return sendModerationError(res, error);
+    logger.error('Flag message error:', error);
+    next(error);
+  }
+};
+
+// Flagged messages awaiting review (Faculty/Admin)
+exports.getFlagQueue = async (req, res, next) => {
+  try {
+    const messages = await moderationService.getFlagQueue(req.params.sessionId);
 
     res.json({ messages });
   } catch (error) {
-    logger.error('Get chat history error:', error);
+    logger.error('Get flag queue error:', error);
+    next(error);
+  }
+};
+
+// Keep or remove a flagged message (Faculty/Admin)
+exports.reviewFlag = async (req, res, next) => {
+  try {
+    const chatMessage = await moderationService.reviewFlag({
+      io: req.app.get('io'),
+      session: req.session,
+      messageId: req.params.messageId,
+      moderatorId: req.user.userId,
+      action: req.body.action,
+      reason: req.body.reason,
+    });
+
+    res.json({ message: req.body.action === 'remove' ? 'Message removed' : 'Flag dismissed', messageId: chatMessage._id });
+  } catch (error) {
+    if (error.statusCode) return sendModerationError(res, error);
+    logger.error('Review flag error:', error);
+    next(error);
+  }
+};
+
+// Mute or ban a student for a set time (Faculty/Admin)
+exports.restrictUser = async (req, res, next) => {
+  try {
+    const { userId, type, durationMinutes, reason } = req.body;
+
+    const restriction = await moderationService.restrictUser({
+      io: req.app.get('io'),
+      session: req.session,
+      userId,
+      type,
+      durationMinutes: parseInt(durationMinutes),
+      reason,
+      moderatorId: req.user.userId,
+    });
+
+    res.status(201).json({ message: `User ${type === 'ban' ? 'banned' : 'muted'}`, restriction });
+  } catch (error) {
+    if (error.statusCode) return sendModerationError(res, error);
+    logger.error('Restrict user error:', error);
+    next(error);
+  }
+};
+
+// Lift a mute or ban early (Faculty/Admin)
+exports.liftRestriction = async (req, res, next) => {
+  try {
+    const type = req.query.type || 'mute';
+
+    await moderationService.liftRestriction({
+      io: req.app.get('io'),
+      session: req.session,
+      userId: req.params.userId,
+      type,
+      moderatorId: req.user.userId,
+    });
+
+    res.json({ message: `User ${type === 'ban' ? 'unbanned' : 'unmuted'}` });
+  } catch (error) {
+    if (error.statusCode) return sendModerationError(res, error);
+    logger.error('Lift restriction error:', error);
+    next(error);
+  }
+};
+
+// Turn slow mode on or off (Faculty/Admin)
+exports.setSlowMode = async (req, res, next) => {
+  try {
+    const seconds = parseInt(req.body.seconds);
+
+    await moderationService.setSlowMode({
+      io: req.app.get('io'),
+      session: req.session,
+      seconds,
+      moderatorId: req.user.userId,
+    });
+
+    res.json({ message: seconds > 0 ? 'Slow mode enabled' : 'Slow mode disabled', seconds });
+  } catch (error) {
+    logger.error('Set slow mode error:', error);
+    next(error);
+  }
+};
+
+// Moderation audit trail for a session (Faculty/Admin)
+exports.getModerationLog = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const entries = await moderationService.getModerationLog(req.params.sessionId, { page, limit });
+
+    res.json({ entries });
+  } catch (error) {
+    logger.error('Get moderation log error:', error);
     next(error);
   }
 };
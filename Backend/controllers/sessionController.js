@@ -123,7 +123,7 @@ exports.createSession = async (req, res, next) => {
       settings: {
         allowLateJoin: settings.allowLateJoin !== false,
         lateJoinCutoffMinutes: settings.lateJoinCutoffMinutes || 15,
-        requireLocationVerification: settings.requireLocationVerification !== false,
+        requireLocationVerification: settings.requireLocationVerification || false,
         enableChat: settings.enableChat !== false,
         enablePolls: settings.enablePolls !== false,
         enableScreenShare: settings.enableScreenShare !== false,
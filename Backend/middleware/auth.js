@@ -1,9 +1,7 @@
-const jwt = require('jsonwebtoken');
 const { User } = require('../models');
+const tokenService = require('../services/tokenService');
 const logger = require('../utils/logger');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'fallback-secret';
-
 // Middleware to authenticate JWT token
 const authenticateToken = async (req, res, next) => {
   try {
@@ -14,7 +12,12 @@ const authenticateToken = async (req, res, next) => {
       return res.status(401).json({ error: 'Access denied. No token provided.' });
     }
 
-    const decoded = jwt.verify(token, JWT_SECRET);
+    const decoded = tokenService.verifyAccessToken(token);
+
+    // Tokens from a logged-out or compromised login are rejected before their expiry
+    if (await tokenService.isFamilyRevoked(decoded.fid)) {
+      return res.status(401).json({ error: 'Session has been revoked. Please login again.' });
+    }
 
     const user = await User.findById(decoded.userId).select('-password');
 
@@ -28,6 +31,7 @@ const authenticateToken = async (req, res, next) => {
       email: user.email,
       name: user.name,
       college: user.college,
+      tokenFamily: decoded.fid,
     };
 
     next();
@@ -38,6 +42,9 @@ const authenticateToken = async (req, res, next) => {
     if (error.name === 'JsonWebTokenError') {
       return res.status(403).json({ error: 'Invalid token.' });
     }
+    if (error.statusCode === 401) {
+      return res.status(401).json({ error: error.message });
+    }
     logger.error('Auth middleware error:', error);
     res.status(500).json({ error: 'Internal server error.' });
   }
@@ -134,7 +141,9 @@ const optionalAuth = async (req, res, next) => {
     const token = authHeader.split(' ')[1];
     if (!token) return next();
 
-    const decoded = jwt.verify(token, JWT_SECRET);
+    const decoded = tokenService.verifyAccessToken(token);
+    if (await tokenService.isFamilyRevoked(decoded.fid)) return next();
+
     const user = await User.findById(decoded.userId).select('-password');
 
     if (user && user.isActive) {
@@ -1,6 +1,12 @@
 const logger = require('../utils/logger');
 
 function errorHandler(err, req, res, next) {
+  // Errors raised on purpose carry a client status; their message and any details go to
+  // the client as they are
+  if (err.statusCode && err.statusCode < 500) {
+    return res.status(err.statusCode).json({ error: err.message, ...err.details });
+  }
+
   // Log the error including stack trace
   logger.error('Unhandled error:', {
     message: err.message,
@@ -77,7 +77,13 @@ const validationRules = {
   // Session creation validations
   sessionCreate: [
     body('title').trim().isLength({ min: 3, max: 200 }).withMessage('Title must be between 3 and 200 characters'),
-    body('subject').trim().isLength({ min: 2, max: 100 }).withMessage('Subject must be between 2 and 100 characters'),
+    body('sectionId').optional().isMongoId().withMessage('Invalid section ID'),
+    // Sessions under a section default to the course title
+    body('subject')
+      .if((value, { req }) => !req.body.sectionId || value !== undefined)
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Subject must be between 2 and 100 characters'),
     body('scheduledStartTime')
       .isISO8601()
       .toDate()
@@ -100,7 +106,16 @@ const validationRules = {
         return true;
       }),
     body('duration').optional().isInt({ min: 5, max: 480 }).withMessage('Duration must be between 5 and 480 minutes'),
+    body('classroom').optional().trim().isLength({ max: 100 }).withMessage('Classroom cannot exceed 100 characters'),
     body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
+    body('recurringPattern.type')
+      .if(body('isRecurring').equals('true'))
+      .isIn(['daily', 'weekly', 'monthly'])
+      .withMessage('Recurring pattern type must be daily, weekly, or monthly'),
+    body('recurringPattern.interval').optional().isInt({ min: 1, max: 52 }).withMessage('Recurring interval must be between 1 and 52'),
+    body('recurringPattern.daysOfWeek').optional().isArray({ max: 7 }).withMessage('daysOfWeek must be an array of weekdays'),
+    body('recurringPattern.daysOfWeek.*').optional().isInt({ min: 0, max: 6 }).withMessage('Weekdays must be between 0 (Sunday) and 6'),
+    body('recurringPattern.endDate').optional().isISO8601().toDate().withMessage('Please provide a valid recurrence end date'),
   ],
 
   // Poll creation validations
@@ -125,9 +140,161 @@ const validationRules = {
     body('expiresIn').optional().isInt({ min: 1, max: 1440 }).withMessage('Expiry time must be between 1 and 1440 minutes'),
   ],
 
+  // Quiz creation: questions carry their answer key
+  quizCreate: [
+    body('sessionId').isMongoId().withMessage('Invalid session ID'),
+    body('title').trim().isLength({ min: 1, max: 200 }).withMessage('Title must be between 1 and 200 characters'),
+    body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
+    body('timeLimit').isInt({ min: 10, max: 10800 }).withMessage('Time limit must be between 10 seconds and 3 hours'),
+    body('showAnswersAfterClose').optional().isBoolean().withMessage('showAnswersAfterClose must be a boolean'),
+    body('questions').isArray({ min: 1, max: 100 }).withMessage('A quiz needs between 1 and 100 questions'),
+    body('questions.*.question').trim().isLength({ min: 1, max: 500 }).withMessage('Question must be between 1 and 500 characters'),
+    body('questions.*.type')
+      .isIn(['single_choice', 'multiple_choice', 'yes_no', 'text_response'])
+      .withMessage('Quiz questions must be single_choice, multiple_choice, yes_no or text_response'),
+    body('questions.*.points').optional().isFloat({ min: 0, max: 100 }).withMessage('Question points must be between 0 and 100'),
+    body('questions.*.options')
+      .custom((options, { path, req }) => {
+        const index = parseInt(path.match(/\d+/)[0], 10);
+        if (req.body.questions[index].type === 'text_response') return true;
+        if (!Array.isArray(options) || options.length < 2 || options.length > 10) {
+          throw new Error(`Question ${index + 1} must have between 2 and 10 options`);
+        }
+        options.forEach((option, i) => {
+          if (!option || typeof option.text !== 'string' || option.text.trim().length === 0)
+            throw new Error(`Question ${index + 1} option ${i + 1} cannot be empty`);
+          if (option.text.length > 200) throw new Error(`Question ${index + 1} option ${i + 1} cannot exceed 200 characters`);
+          if (option.points != null && (typeof option.points !== 'number' || Math.abs(option.points) > 100))
+            throw new Error(`Question ${index + 1} option ${i + 1} points must be a number between -100 and 100`);
+        });
+        return true;
+      }),
+  ],
+
+  quizGrade: [
+    body('points').isFloat({ min: 0 }).withMessage('Points must be zero or more'),
+    body('feedback').optional().trim().isLength({ max: 1000 }).withMessage('Feedback cannot exceed 1000 characters'),
+  ],
+
+  // Courses, sections and rosters
+  courseCreate: [
+    body('code').trim().isLength({ min: 2, max: 20 }).withMessage('Course code must be between 2 and 20 characters'),
+    body('title').trim().isLength({ min: 3, max: 200 }).withMessage('Title must be between 3 and 200 characters'),
+    body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
+    body('department').optional().trim().isLength({ max: 100 }).withMessage('Department cannot exceed 100 characters'),
+    body('credits').optional().isFloat({ min: 0, max: 40 }).withMessage('Credits must be between 0 and 40'),
+  ],
+
+  courseUpdate: [
+    body('title').optional().trim().isLength({ min: 3, max: 200 }).withMessage('Title must be between 3 and 200 characters'),
+    body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
+    body('department').optional().trim().isLength({ max: 100 }).withMessage('Department cannot exceed 100 characters'),
+    body('credits').optional().isFloat({ min: 0, max: 40 }).withMessage('Credits must be between 0 and 40'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  ],
+
+  sectionCreate: [
+    body('name').trim().isLength({ min: 1, max: 50 }).withMessage('Section name must be between 1 and 50 characters'),
+    body('semester').optional().isInt({ min: 1, max: 12 }).withMessage('Semester must be between 1 and 12'),
+    body('primaryInstructorId').optional().isMongoId().withMessage('Invalid instructor ID'),
+    body('coInstructorIds').optional().isArray({ max: 10 }).withMessage('A section can have at most 10 co-instructors'),
+    body('coInstructorIds.*').isMongoId().withMessage('Invalid instructor ID'),
+    body('academicYear.start').optional().isISO8601().toDate().withMessage('Academic year start must be a valid date'),
+    body('academicYear.end').optional().isISO8601().toDate().withMessage('Academic year end must be a valid date'),
+  ],
+
+  sectionInstructor: [
+    body('userId').isMongoId().withMessage('Invalid instructor ID'),
+  ],
+
+  sectionStudents: [
+    body('studentIds').isArray({ min: 1, max: 500 }).withMessage('Provide between 1 and 500 student IDs'),
+    body('studentIds.*').isMongoId().withMessage('Invalid student ID'),
+  ],
+
+  // Poll template library
+  room: [
+    body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Room name must be between 1 and 100 characters'),
+    body('building').optional().trim().isLength({ max: 100 }).withMessage('Building cannot exceed 100 characters'),
+    body('capacity').optional().isInt({ min: 1, max: 2000 }).withMessage('Capacity must be between 1 and 2000'),
+    body('features').optional().isArray({ max: 20 }).withMessage('At most 20 features'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  ],
+
+  timetable: [
+    body('name').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Timetable name must be between 1 and 200 characters'),
+    body('term.start').optional().isISO8601().toDate().withMessage('Term start must be a valid date'),
+    body('term.end').optional().isISO8601().toDate().withMessage('Term end must be a valid date'),
+    body('periods').optional().isArray({ max: 20 }).withMessage('A timetable can have at most 20 periods'),
+    body('periods.*.name').trim().isLength({ min: 1, max: 50 }).withMessage('Period name must be between 1 and 50 characters'),
+    body('periods.*.start').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Period times must be HH:mm'),
+    body('periods.*.end').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Period times must be HH:mm'),
+  ],
+
+  timetableSlot: [
+    body('dayOfWeek').isInt({ min: 0, max: 6 }).toInt().withMessage('dayOfWeek must be between 0 and 6'),
+    body('period').trim().notEmpty().withMessage('Period is required'),
+    body('sectionId').isMongoId().withMessage('Invalid section ID'),
+    body('facultyId').isMongoId().withMessage('Invalid faculty ID'),
+    body('room').optional().trim().isLength({ max: 100 }).withMessage('Room name cannot exceed 100 characters'),
+    body('title').optional().trim().isLength({ max: 200 }).withMessage('Title cannot exceed 200 characters'),
+  ],
+
+  scheduleCheck: [
+    query('start').isISO8601().toDate().withMessage('Start must be a valid date'),
+    query('end').isISO8601().toDate().withMessage('End must be a valid date'),
+    query('facultyId').optional().isMongoId().withMessage('Invalid faculty ID'),
+    query('sectionId').optional().isMongoId().withMessage('Invalid section ID'),
+    query('minCapacity').optional().isInt({ min: 1 }).toInt().withMessage('minCapacity must be a positive integer'),
+  ],
+
+  calendarImport: [
+    body('ics').isString().isLength({ min: 1, max: 2 * 1024 * 1024 }).withMessage('ics must be the calendar file contents (up to 2 MB)'),
+    body('facultyId').optional().isMongoId().withMessage('Invalid faculty ID'),
+    body('subject').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Subject must be between 1 and 100 characters'),
+    body('sectionId').optional().isMongoId().withMessage('Invalid section ID'),
+  ],
+
+  pollTemplate: [
+    body('question').optional().trim().isLength({ min: 5, max: 500 }).withMessage('Question must be between 5 and 500 characters'),
+    body('type')
+      .optional()
+      .isIn(['multiple_choice', 'single_choice', 'text_response', 'rating', 'yes_no'])
+      .withMessage('Invalid poll type'),
+    body('options')
+      .optional()
+      .isArray({ max: 10 })
+      .withMessage('Poll cannot have more than 10 options')
+      .custom((options) => {
+        options.forEach((option, index) => {
+          if (!option || typeof option !== 'string' || option.trim().length === 0)
+            throw new Error(`Option ${index + 1} cannot be empty`);
+          if (option.length > 200) throw new Error(`Option ${index + 1} cannot exceed 200 characters`);
+        });
+        return true;
+      }),
+    body('visibility').optional().isIn(['private', 'college']).withMessage('Visibility must be private or college'),
+    body('isAnonymous').optional().isBoolean().withMessage('isAnonymous must be a boolean'),
+    body('subject').optional().trim().isLength({ max: 100 }).withMessage('Subject cannot exceed 100 characters'),
+    body('tags').optional().isArray({ max: 20 }).withMessage('A template can have at most 20 tags'),
+    body('tags.*').isString().trim().isLength({ min: 1, max: 50 }).withMessage('Tags must be between 1 and 50 characters'),
+  ],
+
+  pollExport: [
+    query('format').optional().isIn(['csv', 'json']).withMessage('Format must be csv or json'),
+  ],
+
+  pollTemplateLaunch: [
+    body('sessionId').isMongoId().withMessage('Invalid session ID'),
+    body('expiresIn').optional().isInt({ min: 1, max: 1440 }).withMessage('Expiry time must be between 1 and 1440 minutes'),
+  ],
+
   // Poll voting validations
   pollVote: [
-    body('optionIndex').isInt({ min: 0 }).withMessage('Invalid option index'),
+    body('optionIndex').optional().isInt({ min: 0 }).withMessage('Invalid option index'),
+    body('optionIndexes').optional().isArray({ min: 1, max: 10 }).withMessage('optionIndexes must list between 1 and 10 options'),
+    body('optionIndexes.*').isInt({ min: 0 }).withMessage('Invalid option index'),
+    body('textResponse').optional().isString().isLength({ max: 1000 }).withMessage('Response cannot exceed 1000 characters'),
     body('responseTime').optional().isInt({ min: 0 }).withMessage('Response time must be a positive number'),
   ],
 
@@ -138,6 +305,69 @@ const validationRules = {
     body('type').optional().isIn(['text', 'image', 'file']).withMessage('Invalid message type'),
     body('isPrivate').optional().isBoolean().withMessage('isPrivate must be a boolean'),
     body('targetUser').optional().isMongoId().withMessage('Invalid target user ID'),
+    body('replyTo').optional().isMongoId().withMessage('Invalid reply message ID'),
+    body('breakoutRoom').optional().isMongoId().withMessage('Invalid breakout room ID'),
+  ],
+
+  chatEdit: [
+    body('newMessage').trim().isLength({ min: 1, max: 2000 }).withMessage('Message must be between 1 and 2000 characters'),
+  ],
+
+  chatReaction: [
+    body('emoji').trim().isLength({ min: 1, max: 16 }).withMessage('Emoji is required'),
+  ],
+
+  // Chat moderation validations
+  chatFlag: [
+    body('reason').optional().trim().isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters'),
+  ],
+
+  chatReview: [
+    body('action').isIn(['dismiss', 'remove']).withMessage('Action must be dismiss or remove'),
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  ],
+
+  chatRestriction: [
+    body('userId').isMongoId().withMessage('Invalid user ID'),
+    body('type').isIn(['mute', 'ban']).withMessage('Type must be mute or ban'),
+    body('durationMinutes').isInt({ min: 1, max: 10080 }).withMessage('Duration must be between 1 minute and 7 days'),
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  ],
+
+  chatRestrictionType: [
+    query('type').optional().isIn(['mute', 'ban']).withMessage('Type must be mute or ban'),
+  ],
+
+  chatSlowMode: [
+    body('seconds').isInt({ min: 0, max: 3600 }).withMessage('Slow mode must be between 0 and 3600 seconds'),
+  ],
+
+  // Chat history filters; `before` is the nextCursor of the previous page
+  chatHistory: [
+    query('before')
+      .optional()
+      .custom((value) => {
+        const [timestamp, id, ...rest] = String(value).split('_');
+        if (isNaN(Date.parse(timestamp)) || (id !== undefined && !/^[0-9a-f]{24}$/i.test(id)) || rest.length) {
+          throw new Error('before must be a cursor from nextCursor or a valid date');
+        }
+        return true;
+      }),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('sender').optional().isMongoId().withMessage('Invalid sender ID'),
+    query('type').optional().isString().withMessage('Type must be a comma-separated list'),
+    query('breakoutRoom').optional().isMongoId().withMessage('Invalid breakout room ID'),
+  ],
+
+  chatSearch: [
+    query('q').trim().isLength({ min: 2, max: 100 }).withMessage('Search text must be between 2 and 100 characters'),
+    query('sender').optional().isMongoId().withMessage('Invalid sender ID'),
+    query('type').optional().isString().withMessage('Type must be a comma-separated list'),
+    query('breakoutRoom').optional().isMongoId().withMessage('Invalid breakout room ID'),
+  ],
+
+  chatThread: [
+    query('breakoutRoom').optional().isMongoId().withMessage('Invalid breakout room ID'),
   ],
 
   // Location update validations
@@ -149,11 +379,166 @@ const validationRules = {
     body('accuracy').optional().isFloat({ min: 0 }).withMessage('Accuracy must be a positive number'),
   ],
 
+  // MFA validations
+  mfaCode: [
+    body('code').trim().isLength({ min: 6, max: 20 }).withMessage('Verification code is required'),
+  ],
+
+  mfaVerify: [
+    body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+    body('code').trim().isLength({ min: 6, max: 20 }).withMessage('Verification code is required'),
+  ],
+
+  // Check-in code validations
+  checkIn: [
+    body('sessionId').isMongoId().withMessage('Invalid session ID'),
+    body('code').trim().isLength({ min: 1, max: 64 }).withMessage('Check-in code is required'),
+  ],
+
+  // Geofence validations (circle: center + radiusMeters, polygon: 3+ points)
+  geofence: [
+    body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Geofence name must be between 1 and 100 characters'),
+    body('type').isIn(['circle', 'polygon']).withMessage('Geofence type must be circle or polygon'),
+    body('center.latitude')
+      .if(body('type').equals('circle'))
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Center latitude must be between -90 and 90'),
+    body('center.longitude')
+      .if(body('type').equals('circle'))
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Center longitude must be between -180 and 180'),
+    body('radiusMeters')
+      .if(body('type').equals('circle'))
+      .isFloat({ min: 1, max: 50000 })
+      .withMessage('Radius must be between 1 and 50000 meters'),
+    body('polygon')
+      .if(body('type').equals('polygon'))
+      .isArray({ min: 3, max: 200 })
+      .withMessage('Polygon must have between 3 and 200 points'),
+    body('polygon.*.latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Polygon latitude must be between -90 and 90'),
+    body('polygon.*.longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Polygon longitude must be between -180 and 180'),
+    body('classroom').optional().trim().isLength({ max: 100 }).withMessage('Classroom cannot exceed 100 characters'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  ],
+
+  // College settings an admin may change through PATCH /api/colleges/settings
+  collegeSettings: [
+    body('requireLocationVerification').optional().isBoolean().withMessage('requireLocationVerification must be a boolean'),
+    body('maxLocationAccuracyMeters').optional().isFloat({ min: 1, max: 10000 }).withMessage('Accuracy threshold must be between 1 and 10000 meters'),
+    body('mfaRequiredRoles').optional().isArray({ max: 3 }).withMessage('mfaRequiredRoles must be an array of roles'),
+    body('mfaRequiredRoles.*').isIn(['admin', 'faculty', 'student']).withMessage('MFA roles must be admin, faculty, or student'),
+    body('requireEmailVerification').optional().isBoolean().withMessage('requireEmailVerification must be a boolean'),
+    body('chatFilter').optional().isObject({ strict: true }).withMessage('chatFilter must be an object'),
+    body('chatFilter.enabled').optional().isBoolean().withMessage('chatFilter.enabled must be a boolean'),
+    body('chatFilter.mode').optional().isIn(['mask', 'block']).withMessage('chatFilter.mode must be mask or block'),
+    body('chatFilter.useDefaultList').optional().isBoolean().withMessage('chatFilter.useDefaultList must be a boolean'),
+    body('chatFilter.words').optional().isArray({ max: 500 }).withMessage('chatFilter.words must be an array of at most 500 entries'),
+    body('chatFilter.words.*').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Filtered words must be between 1 and 100 characters'),
+    body('academicYear').optional().isObject({ strict: true }).withMessage('academicYear must be an object with start and end dates'),
+    body('academicYear.start').optional().isISO8601().withMessage('Please provide a valid academic year start date'),
+    body('academicYear.end')
+      .optional()
+      .isISO8601()
+      .withMessage('Please provide a valid academic year end date')
+      .custom((end, { req }) => !req.body.academicYear.start || new Date(end) > new Date(req.body.academicYear.start))
+      .withMessage('Academic year must end after it starts'),
+    body('maxStudentsPerSession').optional().isInt({ min: 1, max: 1000 }).withMessage('Max students per session must be between 1 and 1000'),
+  ],
+
+  // Notification validations (no ids means every notification of the user)
+  notificationIds: [
+    body('ids').optional().isArray({ max: 500 }).withMessage('ids must be an array of at most 500 notification IDs'),
+    body('ids.*').isMongoId().withMessage('Invalid notification ID'),
+  ],
+
+  notificationQuery: [
+    query('type').optional().isString().withMessage('Type must be a comma-separated list'),
+    query('unreadOnly').optional().isBoolean().withMessage('unreadOnly must be a boolean'),
+    query('archived').optional().isBoolean().withMessage('archived must be a boolean'),
+  ],
+
+  notificationPreferences: [
+    body('preferences').isObject().withMessage('Preferences must be an object keyed by notification type'),
+    body('preferences.*').isObject({ strict: true }).withMessage('Each notification type takes an object of channels'),
+    body('preferences.*.*')
+      .custom(value => value === null || typeof value === 'boolean')
+      .withMessage('Channel preferences must be true, false or null'),
+  ],
+
+  // Session Q&A
+  question: [
+    body('text').trim().isLength({ min: 1, max: 1000 }).withMessage('Question must be 1-1000 characters'),
+  ],
+
+  questionAnswer: [
+    body('text').optional().trim().isLength({ max: 2000 }).withMessage('Answer cannot exceed 2000 characters'),
+  ],
+
+  questionQuery: [
+    query('status').optional().isIn(['open', 'answered', 'dismissed']).withMessage('Status must be open, answered or dismissed'),
+    query('sort').optional().isIn(['top', 'recent']).withMessage('Sort must be top or recent'),
+  ],
+
+  whiteboardReplay: [
+    query('after').optional().isInt({ min: 0 }).withMessage('after must be a sequence number'),
+    query('page').optional().isMongoId().withMessage('Invalid page ID'),
+    query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('Limit must be between 1 and 1000'),
+  ],
+
+  whiteboardExport: [
+    query('format').isIn(['svg', 'pdf']).withMessage('Format must be svg or pdf'),
+    query('page').optional().isMongoId().withMessage('Invalid page ID'),
+  ],
+
+  // Session recording
+  recordingStart: [
+    body('mimeType').isIn(['video/webm', 'video/mp4', 'audio/webm', 'audio/mp4', 'audio/mpeg']).withMessage('Unsupported recording format'),
+  ],
+
+  recordingChunk: [
+    param('index').isInt({ min: 0 }).withMessage('Chunk index must be a non-negative integer'),
+  ],
+
+  recordingStop: [
+    body('totalChunks').optional().isInt({ min: 1 }).withMessage('totalChunks must be a positive integer'),
+  ],
+
   // URL parameter validations
   mongoId: [param('id').isMongoId().withMessage('Invalid ID format')],
   sessionId: [param('sessionId').isMongoId().withMessage('Invalid session ID format')],
   userId: [param('userId').isMongoId().withMessage('Invalid user ID format')],
   pollId: [param('pollId').isMongoId().withMessage('Invalid poll ID format')],
+  messageId: [param('messageId').isMongoId().withMessage('Invalid message ID format')],
+  questionId: [param('questionId').isMongoId().withMessage('Invalid question ID format')],
+  quizId: [param('quizId').isMongoId().withMessage('Invalid quiz ID format')],
+  templateId: [param('templateId').isMongoId().withMessage('Invalid template ID format')],
+  courseId: [param('courseId').isMongoId().withMessage('Invalid course ID format')],
+  sectionId: [param('sectionId').isMongoId().withMessage('Invalid section ID format')],
+  roomId: [param('roomId').isMongoId().withMessage('Invalid room ID format')],
+  timetableId: [param('timetableId').isMongoId().withMessage('Invalid timetable ID format')],
+  slotId: [param('slotId').isMongoId().withMessage('Invalid slot ID format')],
+  geofenceId: [param('geofenceId').isMongoId().withMessage('Invalid geofence ID format')],
+
+  // Recurring series edit/cancel scope
+  seriesScope: [
+    query('scope')
+      .optional()
+      .isIn(['this', 'following', 'series'])
+      .withMessage('Scope must be this, following, or series'),
+  ],
+
+  // A new recurring pattern on a session edit
+  recurringPatternUpdate: [
+    body('recurringPattern').optional().isObject().withMessage('Recurring pattern must be an object'),
+    body('recurringPattern.type')
+      .if(body('recurringPattern').exists())
+      .isIn(['daily', 'weekly', 'monthly'])
+      .withMessage('Recurring pattern type must be daily, weekly, or monthly'),
+    body('recurringPattern.interval').optional().isInt({ min: 1, max: 52 }).withMessage('Recurring interval must be between 1 and 52'),
+    body('recurringPattern.daysOfWeek').optional().isArray({ max: 7 }).withMessage('daysOfWeek must be an array of weekdays'),
+    body('recurringPattern.daysOfWeek.*').optional().isInt({ min: 0, max: 6 }).withMessage('Weekdays must be between 0 (Sunday) and 6'),
+    body('recurringPattern.endDate').optional().isISO8601().toDate().withMessage('Please provide a valid recurrence end date'),
+  ],
 
   // Query validations
   pagination: [
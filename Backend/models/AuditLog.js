@@ -0,0 +1,57 @@
+// models/AuditLog.js - Record of moderation and administrative actions
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  college: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'College'
+  },
+
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClassSession'
+  },
+
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Actor is required']
+  },
+
+  // e.g. chat.mute, chat.ban, chat.unmute, chat.message_removed, chat.slow_mode
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true
+  },
+
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  targetMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChatMessage'
+  },
+
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+
+}, {
+  timestamps: true
+});
+
+// Indexes
+auditLogSchema.index({ session: 1, createdAt: -1 });
+auditLogSchema.index({ college: 1, action: 1, createdAt: -1 });
+auditLogSchema.index({ targetUser: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -34,6 +34,28 @@ const classSessionSchema = new mongoose.Schema({
     required: [true, 'College is required']
   },
   
+  // Section the session belongs to; its roster is copied in and kept in sync
+  section: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Section',
+    default: null
+  },
+  
+  // Set on sessions generated from a timetable slot
+  timetable: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Timetable',
+    default: null
+  },
+  timetableSlot: mongoose.Schema.Types.ObjectId,
+  
+  // Room the session is held in; matched against classroom geofences
+  classroom: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Classroom cannot exceed 100 characters']
+  },
+  
   // Scheduling
   scheduledStartTime: {
     type: Date,
@@ -88,6 +110,20 @@ const classSessionSchema = new mongoose.Schema({
     endDate: Date
   },
   
+  // Series membership for materialized occurrences (the first session of a series is its own seriesId)
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClassSession',
+    default: null
+  },
+  
+  occurrenceDate: Date, // start time originally generated for this occurrence
+  
+  isSeriesException: {
+    type: Boolean,
+    default: false // true once an occurrence is edited or cancelled on its own
+  },
+  
   // Students in session
   students: [{
     student: {
@@ -99,6 +135,10 @@ const classSessionSchema = new mongoose.Schema({
       type: Date,
       default: Date.now
     },
+    capacityOverride: {
+      type: Boolean,
+      default: false // enrolled past capacity by faculty; also exempt from the join-time limit
+    },
     joinedAt: Date,
     leftAt: Date,
     isPresent: {
@@ -114,7 +154,54 @@ const classSessionSchema = new mongoose.Schema({
     }
   }],
   
+  // Students waiting for a seat, first in line first; promoted automatically as seats free up
+  waitlist: [{
+    _id: false,
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
+  // Breakout rooms; closed rooms are kept so members can still read their chat
+  breakoutRooms: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [50, 'Breakout room name cannot exceed 50 characters']
+    },
+    members: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    assignment: {
+      type: String,
+      enum: ['random', 'manual', 'section'],
+      required: true
+    },
+    openedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    openedAt: {
+      type: Date,
+      default: Date.now
+    },
+    endsAt: Date, // members are recalled automatically at this time; unset means faculty recall them
+    closedAt: {
+      type: Date,
+      default: null
+    }
+  }],
+  
   // Session settings
+
   settings: {
     allowLateJoin: {
       type: Boolean,
@@ -126,7 +213,7 @@ const classSessionSchema = new mongoose.Schema({
     },
     requireLocationVerification: {
       type: Boolean,
-      default: true
+      default: false
     },
     enableChat: {
       type: Boolean,
@@ -140,6 +227,11 @@ const classSessionSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    enableWhiteboard: {
+      type: Boolean,
+      default: true
+    },
+
     enableRecording: {
       type: Boolean,
       default: false
@@ -148,12 +240,71 @@ const classSessionSchema = new mongoose.Schema({
       type: Number,
       default: null // null means no auto-end
     },
+    autoStart: {
+      type: Boolean,
+      default: false // start automatically at scheduledStartTime
+    },
+    reminderLeadMinutes: {
+      type: [Number],
+      default: undefined // unset means the server default lead times
+    },
     maxConcurrentStudents: {
       type: Number,
       default: 100
+    },
+    chatSlowModeSeconds: {
+      type: Number,
+      default: 0, // minimum gap between a student's chat messages; 0 disables slow mode
+      min: [0, 'Slow mode cannot be negative'],
+      max: [3600, 'Slow mode cannot exceed one hour']
+    },
+    studentPrivateMessages: {
+      type: String,
+      enum: ['instructor_only', 'everyone', 'disabled'],
+      default: 'instructor_only' // who students may message privately in this session
     }
   },
   
+  // Raise-hand queue, oldest first
+  raisedHands: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    raisedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
+  // Active chat mutes and bans; expired entries are ignored
+  chatRestrictions: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    type: {
+      type: String,
+      enum: ['mute', 'ban'], // mute: cannot send messages; ban: cannot join the session either
+      required: true
+    },
+    until: {
+      type: Date,
+      required: true
+    },
+    reason: String,
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
   // Recording details
   recording: {
     isRecording: {
@@ -170,7 +321,19 @@ const classSessionSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
-    thumbnailUrl: String
+    thumbnailUrl: String,
+    status: {
+      type: String,
+      enum: ['recording', 'processing', 'ready', 'failed']
+    },
+    mimeType: String,
+    totalChunks: Number, // reported when recording stops; processing waits for all of them
+    startedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    processedAt: Date,
+    processingError: String
   },
   
   // Session materials and resources
@@ -224,9 +387,14 @@ const classSessionSchema = new mongoose.Schema({
 // Indexes for performance
 classSessionSchema.index({ faculty: 1, scheduledStartTime: -1 });
 classSessionSchema.index({ college: 1, status: 1 });
+classSessionSchema.index({ section: 1, status: 1 });
+classSessionSchema.index({ classroom: 1, scheduledStartTime: 1 });
+classSessionSchema.index({ timetable: 1, timetableSlot: 1, scheduledStartTime: 1 });
 classSessionSchema.index({ status: 1, isActive: 1 });
 classSessionSchema.index({ scheduledStartTime: 1, scheduledEndTime: 1 });
 classSessionSchema.index({ 'students.student': 1 });
+classSessionSchema.index({ 'waitlist.student': 1 });
+classSessionSchema.index({ seriesId: 1, occurrenceDate: 1 });
 
 // Virtual for session duration in real-time
 classSessionSchema.virtual('actualDuration').get(function() {
@@ -0,0 +1,62 @@
+// models/Course.js - Course offered by a college; taught through one or more sections
+const mongoose = require('mongoose');
+
+const courseSchema = new mongoose.Schema({
+  college: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'College',
+    required: [true, 'College is required']
+  },
+
+  code: {
+    type: String,
+    required: [true, 'Course code is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [20, 'Course code cannot exceed 20 characters']
+  },
+
+  title: {
+    type: String,
+    required: [true, 'Course title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+
+  description: {
+    type: String,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+
+  department: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Department cannot exceed 100 characters']
+  },
+
+  credits: {
+    type: Number,
+    min: [0, 'Credits cannot be negative'],
+    max: [40, 'Credits cannot exceed 40']
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  }
+
+}, {
+  timestamps: true
+});
+
+// Indexes
+courseSchema.index({ college: 1, code: 1 }, { unique: true });
+courseSchema.index({ college: 1, department: 1, isActive: 1 });
+
+module.exports = mongoose.model('Course', courseSchema);
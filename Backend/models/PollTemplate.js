@@ -0,0 +1,90 @@
+// models/PollTemplate.js - Reusable poll questions kept in a faculty or college library
+const mongoose = require('mongoose');
+
+const pollTemplateSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required']
+  },
+
+  college: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'College',
+    required: [true, 'College is required']
+  },
+
+  // 'private' templates are only in the owner's library; 'college' ones are shared with the college
+  visibility: {
+    type: String,
+    enum: ['private', 'college'],
+    default: 'private'
+  },
+
+  question: {
+    type: String,
+    required: [true, 'Poll question is required'],
+    trim: true,
+    maxlength: [500, 'Question cannot exceed 500 characters']
+  },
+
+  type: {
+    type: String,
+    enum: ['multiple_choice', 'single_choice', 'text_response', 'rating', 'yes_no'],
+    default: 'single_choice'
+  },
+
+  options: [{
+    type: String,
+    trim: true,
+    maxlength: [200, 'Option cannot exceed 200 characters']
+  }],
+
+  // Same shape as Poll settings; copied onto each launched poll
+  settings: {
+    allowMultipleAnswers: { type: Boolean, default: false },
+    showResults: {
+      type: String,
+      enum: ['never', 'after_vote', 'after_close', 'real_time'],
+      default: 'after_vote'
+    },
+    allowChangeVote: { type: Boolean, default: false },
+    randomizeOptions: { type: Boolean, default: false },
+    timeLimit: Number, // in seconds
+    maxResponses: Number
+  },
+
+  isAnonymous: {
+    type: Boolean,
+    default: false
+  },
+
+  subject: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Subject cannot exceed 100 characters']
+  },
+
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Tag cannot exceed 50 characters']
+  }],
+
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: Date
+
+}, {
+  timestamps: true
+});
+
+// Indexes
+pollTemplateSchema.index({ owner: 1, updatedAt: -1 });
+pollTemplateSchema.index({ college: 1, visibility: 1, updatedAt: -1 });
+pollTemplateSchema.index({ question: 'text', tags: 'text' });
+
+module.exports = mongoose.model('PollTemplate', pollTemplateSchema);
@@ -0,0 +1,71 @@
+// models/Question.js - Session Q&A questions
+const mongoose = require('mongoose');
+
+const questionSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClassSession',
+    required: [true, 'Session reference is required']
+  },
+
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Author is required']
+  },
+
+  text: {
+    type: String,
+    required: [true, 'Question text is required'],
+    trim: true,
+    maxlength: [1000, 'Question cannot exceed 1000 characters']
+  },
+
+  status: {
+    type: String,
+    enum: ['open', 'answered', 'dismissed'],
+    default: 'open'
+  },
+
+  // Upvotes (one per user; the author cannot upvote their own question)
+  upvotes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  upvoteCount: {
+    type: Number,
+    default: 0
+  },
+
+  answer: {
+    text: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Answer cannot exceed 2000 characters']
+    },
+    answeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    answeredAt: Date
+  },
+
+  // Shown on the shared screen; at most one question per session at a time
+  isPromoted: {
+    type: Boolean,
+    default: false
+  },
+  promotedAt: Date
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+questionSchema.index({ session: 1, status: 1, upvoteCount: -1, createdAt: 1 });
+questionSchema.index({ session: 1, isPromoted: 1 });
+questionSchema.index({ author: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Question', questionSchema);
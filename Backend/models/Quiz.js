@@ -0,0 +1,73 @@
+// models/Quiz.js - Graded quiz made of poll questions
+const mongoose = require('mongoose');
+
+const quizSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClassSession',
+    required: [true, 'Session reference is required']
+  },
+
+  title: {
+    type: String,
+    required: [true, 'Quiz title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+
+  // Questions are polls with an answer key, in the order they are shown
+  questions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Poll'
+  }],
+
+  // Answer window in seconds, counted from when the quiz starts
+  timeLimit: {
+    type: Number,
+    required: [true, 'Time limit is required'],
+    min: [10, 'Time limit must be at least 10 seconds'],
+    max: [3 * 60 * 60, 'Time limit cannot exceed 3 hours']
+  },
+
+  status: {
+    type: String,
+    enum: ['draft', 'live', 'closed'],
+    default: 'draft'
+  },
+
+  // Let students see the answer key and their per-question scores once the quiz closes
+  showAnswersAfterClose: {
+    type: Boolean,
+    default: true
+  },
+
+  totalPoints: {
+    type: Number,
+    default: 0
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  },
+
+  startedAt: Date,
+  endsAt: Date,
+  closedAt: Date
+
+}, {
+  timestamps: true
+});
+
+// Indexes
+quizSchema.index({ session: 1, createdAt: -1 });
+quizSchema.index({ status: 1, endsAt: 1 });
+
+module.exports = mongoose.model('Quiz', quizSchema);
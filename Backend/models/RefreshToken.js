@@ -0,0 +1,64 @@
+// models/RefreshToken.js - Persisted refresh tokens grouped into rotation families
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+
+  // All tokens descended from one login share a family; access tokens carry it as `fid`
+  family: {
+    type: String,
+    required: [true, 'Token family is required']
+  },
+
+  // SHA-256 of the token; the token itself is never stored
+  tokenHash: {
+    type: String,
+    required: true
+  },
+
+  // The token this one was rotated from
+  parentToken: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken'
+  },
+
+  // Set when the token is exchanged on /refresh; presenting it again is reuse
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken',
+    default: null
+  },
+  usedAt: Date,
+
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'reuse_detected', 'password_reset', 'admin']
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  createdByIp: String,
+  userAgent: String
+
+}, {
+  timestamps: true
+});
+
+// Indexes
+refreshTokenSchema.index({ tokenHash: 1 }, { unique: true });
+refreshTokenSchema.index({ family: 1, revokedAt: 1 });
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,49 @@
+// models/Room.js - Bookable college rooms; a session's `classroom` holds the room name
+const mongoose = require('mongoose');
+
+const roomSchema = new mongoose.Schema({
+  college: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'College',
+    required: [true, 'College is required']
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Room name is required'],
+    trim: true,
+    maxlength: [100, 'Room name cannot exceed 100 characters']
+  },
+
+  building: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Building cannot exceed 100 characters']
+  },
+
+  capacity: {
+    type: Number,
+    min: [1, 'Capacity must be at least 1'],
+    max: [2000, 'Capacity cannot exceed 2000']
+  },
+
+  features: [{
+    type: String,
+    trim: true,
+    lowercase: true // e.g. projector, lab, smart-board
+  }],
+
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+
+}, {
+  timestamps: true
+});
+
+// Indexes
+roomSchema.index({ college: 1, name: 1 }, { unique: true });
+roomSchema.index({ college: 1, isActive: 1, capacity: 1 });
+
+module.exports = mongoose.model('Room', roomSchema);
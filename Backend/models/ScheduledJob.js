@@ -0,0 +1,64 @@
+// models/ScheduledJob.js - Persisted background jobs for the in-process scheduler
+const mongoose = require('mongoose');
+
+const scheduledJobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Job name is required'],
+    trim: true
+  },
+
+  runAt: {
+    type: Date,
+    required: [true, 'Run time is required']
+  },
+
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Deduplicates jobs that represent the same action (e.g. one reminder per session and lead time)
+  uniqueKey: String,
+
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+
+  // Claim/lock information so clustered instances never run the same job twice
+  lockedBy: String,
+  lockedUntil: Date,
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+
+  // Parts already done by an earlier attempt (e.g. reminder recipients), skipped when the job is retried
+  completedSteps: {
+    type: [String],
+    default: []
+  },
+
+  lastError: String,
+  completedAt: Date
+
+}, {
+  timestamps: true
+});
+
+// Indexes
+scheduledJobSchema.index({ status: 1, runAt: 1 });
+scheduledJobSchema.index({ status: 1, lockedUntil: 1 });
+scheduledJobSchema.index({ uniqueKey: 1 }, { unique: true, sparse: true });
+scheduledJobSchema.index({ name: 1, 'payload.sessionId': 1 });
+scheduledJobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ScheduledJob', scheduledJobSchema);
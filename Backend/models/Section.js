@@ -0,0 +1,108 @@
+// models/Section.js - A course section for one academic year: instructors and student roster
+const mongoose = require('mongoose');
+
+const sectionSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+
+  college: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'College',
+    required: [true, 'College is required']
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Section name is required'],
+    trim: true,
+    maxlength: [50, 'Section name cannot exceed 50 characters']
+  },
+
+  // Copied from College.settings.academicYear when the section is created
+  academicYear: {
+    label: { type: String, required: [true, 'Academic year is required'] }, // e.g. "2026-27"
+    start: Date,
+    end: Date
+  },
+
+  semester: {
+    type: Number,
+    min: [1, 'Semester must be at least 1'],
+    max: [12, 'Semester cannot exceed 12']
+  },
+
+  // One primary instructor plus any co-instructors; all of them can run sessions for the section
+  instructors: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['primary', 'co'],
+      default: 'co'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Roster; dropped students stay listed so past attendance still makes sense
+  students: [{
+    _id: false,
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['active', 'dropped'],
+      default: 'active'
+    },
+    enrolledAt: {
+      type: Date,
+      default: Date.now
+    },
+    droppedAt: Date
+  }],
+
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+sectionSchema.index({ course: 1, 'academicYear.label': 1, name: 1 }, { unique: true });
+sectionSchema.index({ college: 1, 'academicYear.label': 1 });
+sectionSchema.index({ 'instructors.user': 1 });
+sectionSchema.index({ 'students.student': 1, 'students.status': 1 });
+
+// Virtual for active roster size
+sectionSchema.virtual('enrolledCount').get(function() {
+  if (!this.students) return undefined; // roster not selected
+  return this.students.filter(s => s.status === 'active').length;
+});
+
+// Ids of the students currently on the roster
+sectionSchema.methods.activeStudentIds = function() {
+  return this.students.filter(s => s.status === 'active').map(s => s.student);
+};
+
+sectionSchema.methods.isInstructor = function(userId) {
+  return this.instructors.some(i => i.user.toString() === userId.toString());
+};
+
+module.exports = mongoose.model('Section', sectionSchema);
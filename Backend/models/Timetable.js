@@ -0,0 +1,109 @@
+// models/Timetable.js - Weekly timetable for a term: bell periods and section slots
+const mongoose = require('mongoose');
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const timetableSchema = new mongoose.Schema({
+  college: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'College',
+    required: [true, 'College is required']
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Timetable name is required'],
+    trim: true,
+    maxlength: [200, 'Name cannot exceed 200 characters']
+  },
+
+  // Dates are calendar days in the college time zone
+  term: {
+    start: { type: Date, required: [true, 'Term start is required'] },
+    end: { type: Date, required: [true, 'Term end is required'] }
+  },
+
+  // Bell schedule; times are HH:mm wall-clock in the college time zone
+  periods: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [50, 'Period name cannot exceed 50 characters']
+    },
+    start: {
+      type: String,
+      required: true,
+      match: [TIME_OF_DAY, 'Period times must be HH:mm']
+    },
+    end: {
+      type: String,
+      required: true,
+      match: [TIME_OF_DAY, 'Period times must be HH:mm']
+    }
+  }],
+
+  // One weekly class: a section taught by a faculty member in a room during a period
+  slots: [{
+    dayOfWeek: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 6 // Sunday = 0
+    },
+    period: {
+      type: String,
+      required: true
+    },
+    section: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Section',
+      required: true
+    },
+    faculty: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    room: {
+      type: String,
+      trim: true
+    },
+    title: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Title cannot exceed 200 characters']
+    }
+  }],
+
+  status: {
+    type: String,
+    enum: ['draft', 'published'],
+    default: 'draft'
+  },
+
+  generatedAt: Date,
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  }
+
+}, {
+  timestamps: true
+});
+
+timetableSchema.path('term.end').validate(function(end) {
+  return !this.term.start || end >= this.term.start;
+}, 'Term end must be on or after its start');
+
+timetableSchema.path('periods').validate(function(periods) {
+  const names = new Set(periods.map(p => p.name));
+  return names.size === periods.length && periods.every(p => p.start < p.end);
+}, 'Period names must be unique and each period must end after it starts');
+
+// Indexes
+timetableSchema.index({ college: 1, 'term.start': -1 });
+
+module.exports = mongoose.model('Timetable', timetableSchema);
@@ -67,7 +67,18 @@ const userSchema = new mongoose.Schema({
     notifications: { type: Boolean, default: true },
     emailUpdates: { type: Boolean, default: true },
     theme: { type: String, enum: ['light', 'dark'], default: 'light' },
-    language: { type: String, default: 'en' }
+    language: { type: String, default: 'en' },
+    // Per notification type channel overrides, e.g. { poll_created: { email: true, push: false } }
+    notificationPreferences: {
+      type: Map,
+      of: new mongoose.Schema({
+        inApp: Boolean,
+        email: Boolean,
+        sms: Boolean,
+        push: Boolean
+      }, { _id: false }),
+      default: {}
+    }
   },
   
   // Faculty specific fields
@@ -96,10 +107,29 @@ const userSchema = new mongoose.Schema({
   },
   
   // Security fields
-  passwordResetToken: String,
+  passwordResetToken: String, // SHA-256 of the emailed token
   passwordResetExpires: Date,
-  emailVerificationToken: String,
+  emailVerificationToken: String, // SHA-256 of the emailed token
+  emailVerificationExpires: Date,
   emailVerified: { type: Boolean, default: false },
+  calendarFeedToken: { type: String, select: false }, // SHA-256 of the token in the user's calendar feed URL
+  
+  // Multi-factor authentication (TOTP secrets are encrypted at rest)
+  mfa: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false }, // awaiting confirmation during enrollment
+    backupCodes: {
+      type: [{
+        _id: false,
+        codeHash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    lastUsedStep: { type: Number, select: false }, // rejects reuse of the same TOTP code
+    enabledAt: Date
+  },
   
   // Tracking
   loginAttempts: { type: Number, default: 0 },
@@ -112,6 +142,13 @@ const userSchema = new mongoose.Schema({
       delete ret.password;
       delete ret.passwordResetToken;
       delete ret.emailVerificationToken;
+      delete ret.calendarFeedToken;
+      if (ret.mfa) {
+        delete ret.mfa.secret;
+        delete ret.mfa.pendingSecret;
+        delete ret.mfa.backupCodes;
+        delete ret.mfa.lastUsedStep;
+      }
       return ret;
     }
   }
@@ -122,6 +159,7 @@ userSchema.index({ email: 1 });
 userSchema.index({ college: 1, role: 1 });
 userSchema.index({ role: 1, isActive: 1 });
 userSchema.index({ studentId: 1 }, { sparse: true });
+userSchema.index({ calendarFeedToken: 1 }, { sparse: true });
 
 // Virtual for account lock status
 userSchema.virtual('isLocked').get(function() {
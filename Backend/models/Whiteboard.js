@@ -0,0 +1,110 @@
+// models/Whiteboard.js - A session's whiteboard pages and the ordered operations drawn on them
+const mongoose = require('mongoose');
+
+const whiteboardSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClassSession',
+    required: [true, 'Session reference is required']
+  },
+
+  // Logical canvas size; operation coordinates are in these units
+  width: {
+    type: Number,
+    default: 1600
+  },
+  height: {
+    type: Number,
+    default: 900
+  },
+
+  pages: [{
+    title: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Page title cannot exceed 100 characters']
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Page the faculty is presenting; late joiners open on it
+  currentPage: mongoose.Schema.Types.ObjectId,
+
+  // Last server sequence number handed out; operations replay in this order
+  sequence: {
+    type: Number,
+    default: 0
+  },
+
+  studentsCanDraw: {
+    type: Boolean,
+    default: false
+  },
+
+  exportedAt: Date
+
+}, {
+  timestamps: true
+});
+
+whiteboardSchema.index({ session: 1 }, { unique: true });
+
+const whiteboardOperationSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClassSession',
+    required: true
+  },
+
+  page: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+
+  seq: {
+    type: Number,
+    required: true
+  },
+
+  type: {
+    type: String,
+    enum: ['stroke', 'shape', 'text', 'erase'],
+    required: true
+  },
+
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Sender's id for the operation, echoed back so clients can match their optimistic drawing
+  clientId: {
+    type: String,
+    maxlength: 64
+  },
+
+  // Shape of the operation per type; see whiteboardService.normalizeOperation
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+whiteboardOperationSchema.index({ session: 1, seq: 1 }, { unique: true });
+whiteboardOperationSchema.index({ session: 1, page: 1, seq: 1 });
+
+const Whiteboard = mongoose.model('Whiteboard', whiteboardSchema);
+const WhiteboardOperation = mongoose.model('WhiteboardOperation', whiteboardOperationSchema);
+
+module.exports = { Whiteboard, WhiteboardOperation };
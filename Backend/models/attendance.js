@@ -59,6 +59,21 @@ const attendanceSchema = new mongoose.Schema({
     default: false
   },
   
+  // In-person check-in with the faculty's rotating code
+  checkIn: {
+    method: {
+      type: String,
+      enum: ['code']
+    },
+    checkedInAt: Date,
+    lastWindow: Number, // time window of the last accepted code, used to reject replays
+    ipAddress: String,
+    rejectedAttempts: {
+      type: Number,
+      default: 0
+    }
+  },
+  
   // Behavior monitoring
   activityMonitoring: {
     tabSwitches: { type: Number, default: 0 },
@@ -76,12 +91,34 @@ const attendanceSchema = new mongoose.Schema({
     messagesCount: { type: Number, default: 0 },
     pollsParticipated: { type: Number, default: 0 },
     questionsAsked: { type: Number, default: 0 },
+    questionsAnswered: { type: Number, default: 0 }, // asked questions the faculty answered
+    breakoutsJoined: { type: Number, default: 0 },
+    breakoutMessages: { type: Number, default: 0 },
     reactionsGiven: { type: Number, default: 0 },
     averageResponseTime: { type: Number, default: 0 }, // in seconds
     attentionScore: { type: Number, default: 0, min: 0, max: 100 },
     participationScore: { type: Number, default: 0, min: 0, max: 100 }
   },
   
+  // Breakout rooms the student was placed in and their activity there
+  breakouts: [{
+    _id: false,
+    room: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    name: String,
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    },
+    leftAt: {
+      type: Date,
+      default: null
+    },
+    messagesCount: { type: Number, default: 0 }
+  }],
+  
   // Activity alerts and violations
   alerts: [{
     type: {
@@ -96,7 +133,8 @@ const attendanceSchema = new mongoose.Schema({
         'recording_attempt',
         'suspicious_activity',
         'network_disconnect',
-        'unauthorized_device'
+        'unauthorized_device',
+        'low_location_accuracy'
       ],
       required: true
     },
@@ -271,8 +309,8 @@ attendanceSchema.pre('save', function(next) {
   next();
 });
 
-// Instance method to add alert
-attendanceSchema.methods.addAlert = function(type, details, severity = 'medium', additionalData = null) {
+// Instance method to record an alert without saving
+attendanceSchema.methods.pushAlert = function(type, details, severity = 'medium', additionalData = null) {
   this.alerts.push({
     type,
     details,
@@ -294,12 +332,24 @@ attendanceSchema.methods.addAlert = function(type, details, severity = 'medium',
   }
   
   this.lastActivity = new Date();
+  return this;
+};
+
+// Instance method to add alert
+attendanceSchema.methods.addAlert = function(type, details, severity = 'medium', additionalData = null) {
+  this.pushAlert(type, details, severity, additionalData);
   return this.save();
 };
 
 // Instance method to update location
-attendanceSchema.methods.updateLocation = function(latitude, longitude, address, accuracy = null) {
-  const previousLocation = this.location;
+// verification is the geofence result from geofenceService; without it the fix is trusted as before
+attendanceSchema.methods.updateLocation = function(latitude, longitude, address, accuracy = null, verification = null) {
+  const previousLocation = {
+    latitude: this.location.latitude,
+    longitude: this.location.longitude,
+    address: this.location.address,
+    timestamp: this.location.timestamp
+  };
   
   this.location = {
     latitude,
@@ -307,9 +357,31 @@ attendanceSchema.methods.updateLocation = function(latitude, longitude, address,
     address,
     accuracy,
     timestamp: new Date(),
-    isVerified: true
+    isVerified: verification ? verification.verified : true
   };
   
+  if (verification && verification.status === 'outside') {
+    this.pushAlert(
+      'location_change',
+      `Location is ${verification.distanceOutsideMeters} m outside ${verification.fence.name}`,
+      verification.distanceOutsideMeters > 1000 ? 'high' : 'medium',
+      {
+        latitude,
+        longitude,
+        accuracy,
+        fence: verification.fence,
+        distanceOutsideMeters: verification.distanceOutsideMeters
+      }
+    );
+  } else if (verification && verification.status === 'low_accuracy') {
+    this.pushAlert(
+      'low_location_accuracy',
+      `Location accuracy ${accuracy === null ? 'not reported' : `of ${accuracy} m`} is too coarse to verify`,
+      'low',
+      { latitude, longitude, accuracy, maxAccuracyMeters: verification.maxAccuracyMeters }
+    );
+  }
+  
   // Check for significant location change
   if (previousLocation.latitude && previousLocation.longitude) {
     const distance = this.calculateDistance(
@@ -321,7 +393,7 @@ attendanceSchema.methods.updateLocation = function(latitude, longitude, address,
     
     // Alert if moved more than 100 meters
     if (distance > 0.1) {
-      this.addAlert(
+      this.pushAlert(
         'location_change',
         `Location changed by ${distance.toFixed(2)} km`,
         distance > 1 ? 'high' : 'medium',
@@ -357,20 +429,28 @@ attendanceSchema.methods.updateEngagement = function(type, value = 1) {
     case 'question':
       this.engagement.questionsAsked += value;
       break;
+    case 'question_answered':
+      this.engagement.questionsAnswered += value;
+      break;
     case 'reaction':
       this.engagement.reactionsGiven += value;
       break;
+    case 'breakout_message':
+      this.engagement.breakoutMessages += value;
+      break;
   }
   
   // Recalculate participation score
   const baseScore = 50;
   const messageScore = Math.min(this.engagement.messagesCount * 2, 20);
   const pollScore = Math.min(this.engagement.pollsParticipated * 5, 15);
-  const questionScore = Math.min(this.engagement.questionsAsked * 3, 10);
+  // Only questions the faculty took up count, so spamming the queue earns nothing
+  const questionScore = Math.min(this.engagement.questionsAnswered * 3, 10);
   const reactionScore = Math.min(this.engagement.reactionsGiven * 1, 5);
+  const breakoutScore = Math.min(this.engagement.breakoutMessages * 2, 10);
   
   this.engagement.participationScore = Math.min(100, 
-    baseScore + messageScore + pollScore + questionScore + reactionScore
+    baseScore + messageScore + pollScore + questionScore + reactionScore + breakoutScore
   );
   
   this.lastActivity = new Date();
@@ -67,7 +67,7 @@ const collegeSchema = new mongoose.Schema({
     },
     requireLocationVerification: {
       type: Boolean,
-      default: true
+      default: false // opt in once campus geofences are set up
     },
     maxStudentsPerSession: {
       type: Number,
@@ -87,12 +87,83 @@ const collegeSchema = new mongoose.Schema({
       type: String,
       default: 'Asia/Kolkata'
     },
+    requireEmailVerification: {
+      type: Boolean,
+      default: false // block login until the user's email is verified
+    },
+    mfaRequiredRoles: {
+      type: [{
+        type: String,
+        enum: ['admin', 'faculty', 'student']
+      }],
+      default: [] // roles that must use MFA to sign in
+    },
+    maxLocationAccuracyMeters: {
+      type: Number,
+      default: 150, // coarser fixes cannot be verified against a geofence
+      min: [1, 'Accuracy threshold must be at least 1 meter']
+    },
+    chatFilter: {
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+      mode: {
+        type: String,
+        enum: ['mask', 'block'],
+        default: 'mask' // mask replaces matched words with asterisks; block rejects the message
+      },
+      useDefaultList: {
+        type: Boolean,
+        default: true
+      },
+      words: {
+        type: [String],
+        default: [] // extra words or phrases to filter
+      }
+    },
     academicYear: {
       start: Date,
       end: Date
     }
   },
   
+  // Campus boundaries used to verify student locations
+  geofences: [{
+    name: {
+      type: String,
+      required: [true, 'Geofence name is required'],
+      trim: true,
+      maxlength: [100, 'Geofence name cannot exceed 100 characters']
+    },
+    type: {
+      type: String,
+      enum: ['circle', 'polygon'],
+      required: true
+    },
+    center: {
+      latitude: { type: Number, min: -90, max: 90 },
+      longitude: { type: Number, min: -180, max: 180 }
+    },
+    radiusMeters: {
+      type: Number,
+      min: [1, 'Radius must be at least 1 meter']
+    },
+    polygon: [{
+      _id: false,
+      latitude: { type: Number, min: -90, max: 90, required: true },
+      longitude: { type: Number, min: -180, max: 180, required: true }
+    }],
+    classroom: {
+      type: String,
+      trim: true // empty means the fence applies campus-wide
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  }],
+  
   // Subscription and limits
   subscription: {
     plan: {
@@ -152,6 +223,16 @@ const collegeSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Each geofence needs the fields for its shape
+collegeSchema.path('geofences').validate(function(fences) {
+  return fences.every(fence => {
+    if (fence.type === 'circle') {
+      return fence.center && fence.center.latitude != null && fence.center.longitude != null && fence.radiusMeters > 0;
+    }
+    return fence.polygon && fence.polygon.length >= 3;
+  });
+}, 'Circle geofences need a center and radius; polygon geofences need at least 3 points');
+
 // Indexes for performance
 collegeSchema.index({ 'contact.email': 1 });
 collegeSchema.index({ admin: 1 });
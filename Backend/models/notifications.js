@@ -19,6 +19,7 @@ const notificationSchema = new mongoose.Schema({
       'session_start',
       'session_end', 
       'session_reminder',
+      'waitlist_promoted',
       'poll_created',
       'poll_closed',
       'message_received',
@@ -88,26 +89,43 @@ const notificationSchema = new mongoose.Schema({
   deliveryStatus: {
     inApp: {
       delivered: { type: Boolean, default: false },
-      deliveredAt: Date
+      deliveredAt: Date,
+      lastError: String
     },
     email: {
       delivered: { type: Boolean, default: false },
       deliveredAt: Date,
       opened: { type: Boolean, default: false },
-      openedAt: Date
+      openedAt: Date,
+      lastError: String
     },
     sms: {
       delivered: { type: Boolean, default: false },
-      deliveredAt: Date
+      deliveredAt: Date,
+      lastError: String
     },
     push: {
       delivered: { type: Boolean, default: false },
       deliveredAt: Date,
       clicked: { type: Boolean, default: false },
-      clickedAt: Date
+      clickedAt: Date,
+      lastError: String
     }
   },
   
+  // Dispatcher state (see services/notificationDispatcher.js)
+  dispatch: {
+    state: {
+      type: String,
+      enum: ['pending', 'processing', 'sent', 'failed'],
+      default: 'pending'
+    },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: Date,
+    lockedUntil: Date,
+    lastError: String
+  },
+  
   // Priority and scheduling
   priority: {
     type: String,
@@ -138,3 +156,95 @@ const notificationSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
+notificationSchema.index({ type: 1, createdAt: -1 });
+notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+notificationSchema.index({ scheduledFor: 1 });
+notificationSchema.index({ 'dispatch.state': 1, 'dispatch.nextAttemptAt': 1 });
+notificationSchema.index({ recipient: 1, groupKey: 1, 'dispatch.state': 1 });
+
+// Virtual for delivery status summary
+notificationSchema.virtual('isDelivered').get(function() {
+  return this.deliveryStatus.inApp.delivered || 
+         this.deliveryStatus.email.delivered || 
+         this.deliveryStatus.sms.delivered || 
+         this.deliveryStatus.push.delivered;
+});
+
+// Instance method to mark as read
+notificationSchema.methods.markAsRead = function() {
+  this.isRead = true;
+  this.readAt = new Date();
+  return this.save();
+};
+
+// Instance method to mark as delivered
+notificationSchema.methods.markAsDelivered = function(channel) {
+  if (this.deliveryStatus[channel]) {
+    this.deliveryStatus[channel].delivered = true;
+    this.deliveryStatus[channel].deliveredAt = new Date();
+  }
+  return this.save();
+};
+
+// Static method to create notification
+notificationSchema.statics.createNotification = function(data) {
+  const notification = new this(data);
+  
+  // Set scheduled time if not provided
+  if (!notification.scheduledFor) {
+    notification.scheduledFor = new Date();
+  }
+  
+  // Set expiry if not provided
+  if (!notification.expiresAt) {
+    const expiry = new Date();
+    expiry.setDate(expiry.getDate() + 30); // 30 days default
+    notification.expiresAt = expiry;
+  }
+  
+  return notification.save();
+};
+
+// Static method to get user notifications
+notificationSchema.statics.getUserNotifications = function(userId, options = {}) {
+  const {
+    limit = 50,
+    skip = 0,
+    unreadOnly = false,
+    types = null
+  } = options;
+  
+  const query = { recipient: userId };
+  
+  if (unreadOnly) {
+    query.isRead = false;
+  }
+  
+  if (types && types.length > 0) {
+    query.type = { $in: types };
+  }
+  
+  return this.find(query)
+    .populate('sender', 'name role')
+    .populate('data.sessionId', 'title subject')
+    .populate('data.userId', 'name')
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .skip(skip);
+};
+
+// Static method for the unread badge: unread until read, dismissed or archived
+notificationSchema.statics.getUnreadCount = function(userId) {
+  return this.countDocuments({
+    recipient: userId,
+    isRead: false,
+    isDismissed: { $ne: true },
+    isArchived: { $ne: true }
+  });
+};
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
@@ -28,12 +28,23 @@ const pollSchema = new mongoose.Schema({
       trim: true,
       maxlength: [200, 'Option text cannot exceed 200 characters']
     },
+    // Quiz answer key: points are awarded for choosing the option (negative for penalised wrong answers)
+    isCorrect: {
+      type: Boolean,
+      default: false
+    },
+    points: {
+      type: Number,
+      default: 0
+    },
     votes: {
       type: Number,
       default: 0,
       min: 0
     },
+    // No _id: an ObjectId embeds its creation time, which would date anonymous votes
     voters: [{
+      _id: false,
       user: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
@@ -46,8 +57,9 @@ const pollSchema = new mongoose.Schema({
     }]
   }],
   
-  // Text responses for open-ended polls
+  // Text responses for open-ended polls (no _id, as for voters)
   textResponses: [{
+    _id: false,
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
@@ -59,9 +71,40 @@ const pollSchema = new mongoose.Schema({
     submittedAt: {
       type: Date,
       default: Date.now
+    },
+    // Manual grade for quiz questions
+    grade: {
+      points: Number,
+      feedback: {
+        type: String,
+        maxlength: [1000, 'Feedback cannot exceed 1000 characters']
+      },
+      gradedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      gradedAt: Date
     }
   }],
   
+  // Set when the poll is a question of a quiz
+  quiz: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz'
+  },
+  
+  // Template the poll was launched from, for comparing runs across sessions
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PollTemplate'
+  },
+  
+  // Points a manually graded (text_response) quiz question is worth
+  points: {
+    type: Number,
+    min: 0
+  },
+  
   // Poll configuration
   settings: {
     allowMultipleAnswers: {
@@ -99,6 +142,10 @@ const pollSchema = new mongoose.Schema({
     default: false
   },
   
+  // Anonymous polls store no user ids on votes or responses; this keyed-hash set
+  // only tells whether someone already answered, and never leaves the server
+  anonymousVoters: [String],
+  
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -119,17 +166,26 @@ const pollSchema = new mongoose.Schema({
   
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
-  toObject: { virtuals: true }
+  toJSON: { virtuals: true, transform: hideAnonymousVoters },
+  toObject: { virtuals: true, transform: hideAnonymousVoters }
 });
 
+function hideAnonymousVoters(doc, ret) {
+  delete ret.anonymousVoters;
+  return ret;
+}
+
 // Indexes
 pollSchema.index({ session: 1, createdAt: -1 });
 pollSchema.index({ isActive: 1, expiresAt: 1 });
 pollSchema.index({ createdBy: 1, createdAt: -1 });
+pollSchema.index({ quiz: 1 });
+pollSchema.index({ template: 1, createdAt: 1 });
 
 // Virtual for total participants
 pollSchema.virtual('totalParticipants').get(function() {
+  if (this.isAnonymous) return (this.anonymousVoters || []).length;
+
   const voters = new Set();
   this.options.forEach(option => {
     option.voters.forEach(voter => voters.add(voter.user.toString()));
@@ -269,6 +325,12 @@ const chatMessageSchema = new mongoose.Schema({
     ref: 'User'
   }, // for private messages
   
+  // Breakout room the message was sent in; null for the main session chat
+  breakoutRoom: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  
   // Message status
   status: {
     type: String,
@@ -358,7 +420,9 @@ const chatMessageSchema = new mongoose.Schema({
 chatMessageSchema.index({ session: 1, timestamp: -1 });
 chatMessageSchema.index({ sender: 1, timestamp: -1 });
 chatMessageSchema.index({ session: 1, isDeleted: 1, timestamp: -1 });
+chatMessageSchema.index({ session: 1, breakoutRoom: 1, timestamp: -1 });
 chatMessageSchema.index({ replyTo: 1 });
+chatMessageSchema.index({ message: 'text' });
 
 // Virtual for reaction summary
 chatMessageSchema.virtual('reactionSummary').get(function() {
@@ -422,22 +486,54 @@ chatMessageSchema.methods.editMessage = function(newMessage) {
   return this.save();
 };
 
-// Static method to get session chat history
-chatMessageSchema.statics.getSessionHistory = function(sessionId, limit = 50, before = null) {
+// Static method for the query clause hiding other users' private messages
+chatMessageSchema.statics.visibilityFilter = function(userId) {
+  return {
+    $or: [
+      { isPrivate: false },
+      { sender: userId },
+      { targetUser: userId }
+    ]
+  };
+};
+
+// Static method to get session chat history (newest first, after the `before` cursor: { timestamp, id })
+chatMessageSchema.statics.getSessionHistory = function(sessionId, limit = 50, before = null, filters = {}) {
   const query = { session: sessionId, isDeleted: false };
   
+  // Messages sharing the cursor's timestamp are paged by _id, so none are skipped or repeated
   if (before) {
-    query.timestamp = { $lt: before };
+    const olderThan = [{ timestamp: { $lt: before.timestamp } }];
+    if (before.id) {
+      olderThan.push({ timestamp: before.timestamp, _id: { $lt: before.id } });
+    }
+    query.$and = [{ $or: olderThan }];
+  }
+  
+  // Breakout chats are kept apart from the main session chat
+  query.breakoutRoom = filters.breakoutRoom || null;
+  
+  if (filters.viewer) {
+    Object.assign(query, this.visibilityFilter(filters.viewer));
+  }
+  
+  if (filters.sender) {
+    query.sender = filters.sender;
+  }
+  
+  if (filters.types && filters.types.length > 0) {
+    query.type = { $in: filters.types };
   }
   
   return this.find(query)
     .populate('sender', 'name role')
     .populate('targetUser', 'name')
     .populate('replyTo', 'message sender')
-    .sort({ timestamp: -1 })
+    .sort({ timestamp: -1, _id: -1 })
     .limit(limit);
 };
 
-const ChatMessage = mongoose.model('ChatMessage', chatMessageSchema);
+const ChatMessage
+ = mongoose.model('ChatMessage', chatMessageSchema);
 
 module.exports = { Poll, ChatMessage };
\ No newline at end of file
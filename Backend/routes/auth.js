@@ -2,12 +2,79 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const { body } = require('express-validator');
 const { User, College } = require('../models');
+const { authenticateToken } = require('../middleware/auth');
 const { validationRules, handleValidationErrors } = require('../middleware/validation');
 const { authLimiter, strictLimiter } = require('../middleware/rateLimiter');
+const tokenService = require('../services/tokenService');
+const mfaService = require('../services/mfaService');
+const authService = require('../services/authService');
 const logger = require('../utils/logger');
 
+// Finish a login once every required factor has been checked: issue tokens and return the user
+const completeLogin = async (req, res, user, extra = {}) => {
+  // Reset login attempts only once every factor has passed
+  if (user.loginAttempts > 0) {
+    await user.updateOne({
+      $unset: { loginAttempts: 1, lockUntil: 1 }
+    });
+  }
+
+  user.lastLogin = new Date();
+  await user.save();
+
+  const { access: accessToken, refresh: refreshToken } = await tokenService.issueTokens(user, {
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  logger.info('User logged in successfully', {
+    userId: user._id,
+    email: user.email,
+    role: user.role,
+    mfa: user.mfa.enabled
+  });
+
+  res.json({
+    message: 'Login successful',
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      college: user.college,
+      settings: user.settings,
+      lastLogin: user.lastLogin,
+      mfaEnabled: user.mfa.enabled
+    },
+    tokens: {
+      access: accessToken,
+      refresh: refreshToken
+    },
+    ...extra
+  });
+};
+
+// Accepts either an MFA challenge token from /login (enforced enrollment) or a normal access token
+const authenticateMfaUser = (req, res, next) => {
+  if (!req.body.challengeToken) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const decoded = mfaService.verifyChallengeToken(req.body.challengeToken);
+    req.user = { userId: decoded.userId };
+    req.mfaChallenge = true;
+    next();
+  } catch {
+    res.status(401).json({
+      error: 'Invalid challenge token',
+      message: 'Please login again'
+    });
+  }
+};
+
 // Register new user
 router.post('/register', 
   authLimiter,
@@ -66,18 +133,20 @@ router.post('/register',
         await college.save();
       }
 
-      // Generate tokens
-      const accessToken = jwt.sign(
-        { userId: user._id, role: user.role, email: user.email },
-        process.env.JWT_SECRET || 'fallback-secret',
-        { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-      );
+      // Generate tokens (starts a new refresh-token family for this login)
+      const { access: accessToken, refresh: refreshToken } = await tokenService.issueTokens(user, {
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
 
-      const refreshToken = jwt.sign(
-        { userId: user._id, type: 'refresh' },
-        process.env.JWT_SECRET || 'fallback-secret',
-        { expiresIn: '7d' }
-      );
+      // Send the verification link; registration still succeeds if mail delivery fails
+      let emailVerificationSent = true;
+      try {
+        await authService.sendVerificationEmail(user);
+      } catch (error) {
+        emailVerificationSent = false;
+        logger.error('Verification email failed', { userId: user._id, error: error.message });
+      }
 
       // Log successful registration
       logger.info('User registered successfully', {
@@ -97,8 +166,10 @@ router.post('/register',
           college: college ? {
             id: college._id,
             name: college.name
-          } : null
+          } : null,
+          emailVerified: user.emailVerified
         },
+        emailVerificationSent,
         tokens: {
           access: accessToken,
           refresh: refreshToken
@@ -166,53 +237,31 @@ router.post('/login',
         });
       }
 
-      // Reset login attempts on successful login
-      if (user.loginAttempts > 0) {
-        await user.updateOne({
-          $unset: { loginAttempts: 1, lockUntil: 1 }
+      // Colleges can require a verified email before anyone signs in
+      if (!user.emailVerified && user.college && user.college.settings && user.college.settings.requireEmailVerification) {
+        return res.status(403).json({
+          error: 'Email not verified',
+          message: 'Please verify your email address before logging in',
+          emailVerificationRequired: true
         });
       }
 
-      // Update last login
-      user.lastLogin = new Date();
-      await user.save();
+      // Second step: enrolled users, and roles the college enforces MFA for, get a challenge instead of tokens
+      if (user.mfa.enabled || await mfaService.isMfaRequired(user)) {
+        logger.info('Password accepted, MFA challenge issued', {
+          userId: user._id,
+          enrollmentRequired: !user.mfa.enabled
+        });
 
-      // Generate tokens
-      const accessToken = jwt.sign(
-        { userId: user._id, role: user.role, email: user.email },
-        process.env.JWT_SECRET || 'fallback-secret',
-        { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-      );
-
-      const refreshToken = jwt.sign(
-        { userId: user._id, type: 'refresh' },
-        process.env.JWT_SECRET || 'fallback-secret',
-        { expiresIn: '7d' }
-      );
-
-      // Log successful login
-      logger.info('User logged in successfully', {
-        userId: user._id,
-        email: user.email,
-        role: user.role
-      });
+        return res.json({
+          message: user.mfa.enabled ? 'MFA code required' : 'MFA enrollment required',
+          mfaRequired: true,
+          enrollmentRequired: !user.mfa.enabled,
+          challengeToken: mfaService.createChallengeToken(user)
+        });
+      }
 
-      res.json({
-        message: 'Login successful',
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          college: user.college,
-          settings: user.settings,
-          lastLogin: user.lastLogin
-        },
-        tokens: {
-          access: accessToken,
-          refresh: refreshToken
-        }
-      });
+      await completeLogin(req, res, user);
 
     } catch (error) {
       logger.error('Login error:', error);
@@ -221,51 +270,180 @@ router.post('/login',
   }
 );
 
-// Refresh token
-router.post('/refresh',
-  strictLimiter,
+// Complete a login with a TOTP or backup code
+router.post('/mfa/verify',
+  authLimiter,
+  validationRules.mfaVerify,
+  handleValidationErrors,
   async (req, res, next) => {
     try {
-      const { refreshToken } = req.body;
+      const { challengeToken, code } = req.body;
 
-      if (!refreshToken) {
+      let decoded;
+      try {
+        decoded = mfaService.verifyChallengeToken(challengeToken);
+      } catch {
         return res.status(401).json({
-          error: 'Refresh token required',
-          message: 'Please provide a valid refresh token'
+          error: 'Invalid challenge token',
+          message: 'Please login again'
         });
       }
 
-      // Verify refresh token
-      const decoded = jwt.verify(refreshToken, process.env.JWT_SECRET || 'fallback-secret');
+      const user = await User.findOne({ _id: decoded.userId, isActive: true })
+        .populate('college', 'name settings');
 
-      if (decoded.type !== 'refresh') {
+      if (!user) {
         return res.status(401).json({
-          error: 'Invalid token type',
-          message: 'Token is not a refresh token'
+          error: 'Invalid user',
+          message: 'User not found or inactive'
+        });
+      }
+
+      if (user.isLocked) {
+        return res.status(423).json({
+          error: 'Account locked',
+          message: 'Account is temporarily locked due to multiple failed login attempts'
         });
       }
 
-      // Find user
-      const user = await User.findById(decoded.userId).select('-password');
+      const method = await mfaService.verifyCode(user._id, code);
+
+      if (!method) {
+        // Wrong codes count towards the same lockout as wrong passwords
+        await user.incLoginAttempts();
 
-      if (!user || !user.isActive) {
+        logger.warn('Failed MFA attempt', { userId: user._id });
         return res.status(401).json({
-          error: 'Invalid user',
-          message: 'User not found or inactive'
+          error: 'Invalid code',
+          message: 'The verification code is incorrect'
+        });
+      }
+
+      await completeLogin(req, res, user, { mfaMethod: method });
+
+    } catch (error) {
+      logger.error('MFA verification error:', error);
+      next(error);
+    }
+  }
+);
+
+// Start MFA enrollment (access token, or the challenge token when the college enforces MFA)
+router.post('/mfa/setup',
+  authLimiter,
+  authenticateMfaUser,
+  async (req, res, next) => {
+    try {
+      const { secret, otpauthUrl } = await mfaService.startEnrollment(req.user.userId);
+
+      res.json({
+        message: 'Scan the code with your authenticator app, then confirm with a code',
+        secret,
+        otpauthUrl
+      });
+
+    } catch (error) {
+      logger.error('MFA setup error:', error);
+      next(error);
+    }
+  }
+);
+
+// Confirm MFA enrollment; with a challenge token this also completes the login
+router.post('/mfa/confirm',
+  authLimiter,
+  authenticateMfaUser,
+  validationRules.mfaCode,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { backupCodes } = await mfaService.confirmEnrollment(req.user.userId, req.body.code);
+
+      if (req.mfaChallenge) {
+        const user = await User.findById(req.user.userId).populate('college', 'name settings');
+        return completeLogin(req, res, user, { backupCodes });
+      }
+
+      res.json({
+        message: 'MFA enabled successfully',
+        backupCodes
+      });
+
+    } catch (error) {
+      logger.error('MFA confirm error:', error);
+      next(error);
+    }
+  }
+);
+
+// Replace backup codes
+router.post('/mfa/backup-codes',
+  strictLimiter,
+  authenticateToken,
+  validationRules.mfaCode,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { backupCodes } = await mfaService.regenerateBackupCodes(req.user.userId, req.body.code);
+
+      res.json({
+        message: 'Backup codes regenerated',
+        backupCodes
+      });
+
+    } catch (error) {
+      logger.error('MFA backup code error:', error);
+      next(error);
+    }
+  }
+);
+
+// Disable MFA
+router.post('/mfa/disable',
+  strictLimiter,
+  authenticateToken,
+  validationRules.mfaCode,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      await mfaService.disableMfa(req.user.userId, req.body.code);
+
+      res.json({
+        message: 'MFA disabled successfully'
+      });
+
+    } catch (error) {
+      logger.error('MFA disable error:', error);
+      next(error);
+    }
+  }
+);
+
+// Refresh token (rotates the refresh token; reusing an old one revokes the whole login)
+router.post('/refresh',
+  strictLimiter,
+  async (req, res, next) => {
+    try {
+      const { refreshToken } = req.body;
+
+      if (!refreshToken) {
+        return res.status(401).json({
+          error: 'Refresh token required',
+          message: 'Please provide a valid refresh token'
         });
       }
 
-      // Generate new access token
-      const newAccessToken = jwt.sign(
-        { userId: user._id, role: user.role, email: user.email },
-        process.env.JWT_SECRET || 'fallback-secret',
-        { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-      );
+      const tokens = await tokenService.rotateRefreshToken(refreshToken, {
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent'),
+        io: req.app.get('io')
+      });
 
       res.json({
         message: 'Token refreshed successfully',
         tokens: {
-          access: newAccessToken
+          access: tokens.access,
+          refresh: tokens.refresh
         }
       });
 
@@ -277,26 +455,114 @@ router.post('/refresh',
         });
       }
 
+      if (error.name === 'JsonWebTokenError' || error.statusCode === 401) {
+        return res.status(401).json({
+          error: 'Invalid refresh token',
+          message: error.statusCode ? error.message : 'Please login again'
+        });
+      }
+
       logger.error('Token refresh error:', error);
       next(error);
     }
   }
 );
 
-// Logout (invalidate token - in a real app you'd use a token blacklist)
-router.post('/logout', async (req, res) => {
-  // In a production app, you would:
-  // 1. Add the token to a blacklist stored in Redis
-  // 2. Or use shorter-lived tokens with a refresh token rotation strategy
-  
-  logger.info('User logged out', {
-    timestamp: new Date().toISOString()
-  });
+// Logout: revokes the current login, or every login of the user with allDevices
+router.post('/logout',
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      const { allDevices = false } = req.body;
+      const { userId, tokenFamily } = req.user;
 
-  res.json({
-    message: 'Logout successful'
-  });
-});
+      const io = req.app.get('io');
+      let revoked = 0;
+
+      if (allDevices) {
+        revoked = await tokenService.revokeAllForUser(userId, 'logout_all', { io });
+      } else if (tokenFamily) {
+        revoked = await tokenService.revokeFamily(tokenFamily, 'logout', { io, userId });
+      }
+
+      logger.info('User logged out', {
+        userId,
+        allDevices: !!allDevices,
+        revokedTokens: revoked
+      });
+
+      res.json({
+        message: 'Logout successful'
+      });
+
+    } catch (error) {
+      logger.error('Logout error:', error);
+      next(error);
+    }
+  }
+);
+
+// Verify email address from the emailed link
+router.get('/verify-email/:token',
+  strictLimiter,
+  async (req, res, next) => {
+    try {
+      const user = await authService.verifyEmailToken(req.params.token);
+
+      if (!user) {
+        return res.status(400).json({
+          error: 'Invalid or expired link',
+          message: 'Please request a new verification email'
+        });
+      }
+
+      res.json({
+        message: 'Email verified successfully'
+      });
+
+    } catch (error) {
+      logger.error('Email verification error:', error);
+      next(error);
+    }
+  }
+);
+
+// Resend the verification email
+router.post('/resend-verification',
+  strictLimiter,
+  [
+    validationRules.userLogin[0] // Just email validation
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { email } = req.body;
+
+      // Always return success to prevent email enumeration
+      const successMessage = 'If the account exists and is not yet verified, a new verification email has been sent';
+
+      const user = await User.findOne({
+        email: email.toLowerCase(),
+        isActive: true
+      });
+
+      // A failed delivery gets the same answer, so the response never reveals whether the account exists
+      if (user && !user.emailVerified) {
+        try {
+          await authService.sendVerificationEmail(user);
+        } catch (error) {
+          logger.error('Verification email failed', { userId: user._id, error: error.message });
+        }
+      }
+
+      res.json({ message: successMessage });
+
+    } catch (error) {
+      logger.error('Resend verification error:', error);
+      next(error);
+    }
+  }
+);
 
 // Forgot password
 router.post('/forgot-password',
@@ -322,20 +588,12 @@ router.post('/forgot-password',
         return res.json({ message: successMessage });
       }
 
-      // Generate reset token
-      const resetToken = jwt.sign(
-        { userId: user._id, type: 'password_reset' },
-        process.env.JWT_SECRET || 'fallback-secret',
-        { expiresIn: '1h' }
-      );
-
-      // In a real app, you would send an email here
-      // For demo purposes, we'll just log it
-      logger.info('Password reset token generated', {
-        userId: user._id,
-        email: user.email,
-        resetToken: resetToken // Don't log this in production!
-      });
+      // Store a hashed single-use token and email the reset link; a failed delivery gets the same answer
+      try {
+        await authService.sendPasswordResetEmail(user);
+      } catch (error) {
+        logger.error('Password reset email failed', { userId: user._id, error: error.message });
+      }
 
       res.json({ message: successMessage });
 
@@ -358,23 +616,13 @@ router.post('/reset-password',
     try {
       const { resetToken, password } = req.body;
 
-      // Verify reset token
-      const decoded = jwt.verify(resetToken, process.env.JWT_SECRET || 'fallback-secret');
-
-      if (decoded.type !== 'password_reset') {
-        return res.status(401).json({
-          error: 'Invalid token type',
-          message: 'Token is not a password reset token'
-        });
-      }
+      // Tokens are single-use and expire after an hour
+      const user = await authService.findUserByResetToken(resetToken);
 
-      // Find user
-      const user = await User.findById(decoded.userId);
-
-      if (!user || !user.isActive) {
-        return res.status(401).json({
-          error: 'Invalid user',
-          message: 'User not found or inactive'
+      if (!user) {
+        return res.status(400).json({
+          error: 'Invalid or expired reset token',
+          message: 'Please request a new password reset'
         });
       }
 
@@ -382,10 +630,15 @@ router.post('/reset-password',
       const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
       const hashedPassword = await bcrypt.hash(password, saltRounds);
 
-      // Update password
+      // Update password and consume the token
       user.password = hashedPassword;
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
       await user.save();
 
+      // Existing logins may belong to whoever knew the old password
+      await tokenService.revokeAllForUser(user._id, 'password_reset', { io: req.app.get('io') });
+
       logger.info('Password reset successfully', {
         userId: user._id,
         email: user.email
@@ -397,13 +650,6 @@ router.post('/reset-password',
       });
 
     } catch (error) {
-      if (error.name === 'TokenExpiredError') {
-        return res.status(401).json({
-          error: 'Reset token expired',
-          message: 'Please request a new password reset'
-        });
-      }
-
       logger.error('Password reset error:', error);
       next(error);
     }
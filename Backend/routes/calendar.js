@@ -0,0 +1,107 @@
+// routes/calendar.js - iCalendar session feeds and .ics timetable import
+const express = require('express');
+const router = express.Router();
+const { User } = require('../models');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { validationRules, handleValidationErrors } = require('../middleware/validation');
+const { apiLimiter } = require('../middleware/rateLimiter');
+const calendarService = require('../services/calendarService');
+
+// Calendar feed of the token owner's sessions; calendar apps cannot send headers, so the token is the credential
+router.get('/feed/:token.ics',
+  apiLimiter,
+  async (req, res, next) => {
+    try {
+      const user = await calendarService.findUserByFeedToken(req.params.token);
+      if (!user) {
+        return res.status(404).json({
+          error: 'Calendar feed not found'
+        });
+      }
+
+      const ics = await calendarService.buildFeed(user);
+
+      res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+      res.setHeader('Content-Disposition', 'inline; filename="shikshalok.ics"');
+      res.send(ics);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Whether the current user has a feed URL
+router.get('/feed',
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      res.json({ active: await calendarService.hasFeedToken(req.user.userId) });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Create the current user's feed URL; an existing URL stops working
+router.post('/feed',
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      const token = await calendarService.issueFeedToken(req.user.userId);
+      const url = `${req.protocol}://${req.get('host')}${req.baseUrl}/feed/${token}.ics`;
+
+      res.status(201).json({
+        message: 'Calendar feed created. Keep this URL private; anyone with it can see your schedule.',
+        url,
+        webcalUrl: url.replace(/^https?:/, 'webcal:')
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Revoke the current user's feed URL
+router.delete('/feed',
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      await calendarService.revokeFeedToken(req.user.userId);
+      res.json({ message: 'Calendar feed revoked' });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Bulk-create sessions from an .ics timetable (Admin only)
+router.post('/import',
+  authenticateToken,
+  requireRole(['admin']),
+  validationRules.calendarImport,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { ics, facultyId, subject, sectionId } = req.body;
+      const admin = await User.findById(req.user.userId);
+
+      const { created, skipped, failed } = await calendarService.importCalendar(ics, { facultyId, subject, sectionId }, admin);
+
+      res.status(created.length > 0 ? 201 : 200).json({
+        message: `${created.length} sessions imported`,
+        created,
+        skipped,
+        failed
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
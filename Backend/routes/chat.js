@@ -0,0 +1,158 @@
+// routes/chat.js - Session chat routes
+const express = require('express');
+const router = express.Router();
+const chatController = require('../controllers/chatController');
+const { authenticateToken, requireRole, requireSessionAccess } = require('../middleware/auth');
+const { validationRules, handleValidationErrors } = require('../middleware/validation');
+const { chatLimiter } = require('../middleware/rateLimiter');
+
+// Session chat history (cursor-based; filter by ?sender= and ?type=)
+router.get('/sessions/:sessionId/messages',
+  authenticateToken,
+  validationRules.sessionId,
+  validationRules.chatHistory,
+  handleValidationErrors,
+  requireSessionAccess,
+  chatController.getSessionHistory
+);
+
+// Full-text search within a session
+router.get('/sessions/:sessionId/messages/search',
+  authenticateToken,
+  validationRules.sessionId,
+  validationRules.chatSearch,
+  validationRules.pagination,
+  handleValidationErrors,
+  requireSessionAccess,
+  chatController.searchMessages
+);
+
+// A message and its replies
+router.get('/sessions/:sessionId/messages/:messageId/thread',
+  authenticateToken,
+  validationRules.sessionId,
+  validationRules.messageId,
+  validationRules.chatThread,
+  handleValidationErrors,
+  requireSessionAccess,
+  chatController.getThread
+);
+
+// Send a message (set replyTo to answer in a thread)
+router.post('/messages',
+  authenticateToken,
+  chatLimiter,
+  validationRules.chatMessage,
+  handleValidationErrors,
+  requireSessionAccess,
+  chatController.sendMessage
+);
+
+// Edit own message
+router.put('/messages/:messageId',
+  authenticateToken,
+  validationRules.messageId,
+  validationRules.chatEdit,
+  handleValidationErrors,
+  chatController.editMessage
+);
+
+// Delete own message
+router.delete('/messages/:messageId',
+  authenticateToken,
+  validationRules.messageId,
+  handleValidationErrors,
+  chatController.deleteMessage
+);
+
+// Reactions
+router.post('/messages/:messageId/reactions',
+  authenticateToken,
+  validationRules.messageId,
+  validationRules.chatReaction,
+  handleValidationErrors,
+  chatController.addReaction
+);
+
+router.delete('/messages/:messageId/reactions',
+  authenticateToken,
+  validationRules.messageId,
+  validationRules.chatReaction,
+  handleValidationErrors,
+  chatController.removeReaction
+);
+
+// Flag a message for moderator review
+router.post('/sessions/:sessionId/messages/:messageId/flag',
+  authenticateToken,
+  validationRules.sessionId,
+  validationRules.messageId,
+  validationRules.chatFlag,
+  handleValidationErrors,
+  requireSessionAccess,
+  chatController.flagMessage
+);
+
+// Moderation (Faculty/Admin only)
+router.get('/sessions/:sessionId/moderation/flags',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  validationRules.sessionId,
+  handleValidationErrors,
+  requireSessionAccess,
+  chatController.getFlagQueue
+);
+
+router.post('/sessions/:sessionId/moderation/flags/:messageId',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  validationRules.sessionId,
+  validationRules.messageId,
+  validationRules.chatReview,
+  handleValidationErrors,
+  requireSessionAccess,
+  chatController.reviewFlag
+);
+
+router.post('/sessions/:sessionId/moderation/restrictions',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  validationRules.sessionId,
+  validationRules.chatRestriction,
+  handleValidationErrors,
+  requireSessionAccess,
+  chatController.restrictUser
+);
+
+router.delete('/sessions/:sessionId/moderation/restrictions/:userId',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  validationRules.sessionId,
+  validationRules.userId,
+  validationRules.chatRestrictionType,
+  handleValidationErrors,
+  requireSessionAccess,
+  chatController.liftRestriction
+);
+
+router.put('/sessions/:sessionId/moderation/slow-mode',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  validationRules.sessionId,
+  validationRules.chatSlowMode,
+  handleValidationErrors,
+  requireSessionAccess,
+  chatController.setSlowMode
+);
+
+router.get('/sessions/:sessionId/moderation/log',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  validationRules.sessionId,
+  validationRules.pagination,
+  handleValidationErrors,
+  requireSessionAccess,
+  chatController.getModerationLog
+);
+
+module.exports = router;
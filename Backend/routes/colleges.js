@@ -0,0 +1,224 @@
+// routes/colleges.js - College settings and campus geofence routes
+const express = require('express');
+const router = express.Router();
+const { College } = require('../models');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { validationRules, handleValidationErrors } = require('../middleware/validation');
+const enrollmentService = require('../services/enrollmentService');
+const logger = require('../utils/logger');
+
+// Settings an admin may change through PATCH /settings
+const EDITABLE_SETTINGS = ['requireLocationVerification', 'maxLocationAccuracyMeters', 'mfaRequiredRoles', 'requireEmailVerification', 'chatFilter', 'academicYear', 'maxStudentsPerSession'];
+
+// Build a geofence document from the request body, keeping only the fields of its shape
+const toGeofence = (body) => {
+  const fence = {
+    name: body.name.trim(),
+    type: body.type,
+    classroom: body.classroom ? body.classroom.trim() : undefined,
+    isActive: body.isActive !== false
+  };
+
+  if (body.type === 'circle') {
+    fence.center = {
+      latitude: parseFloat(body.center.latitude),
+      longitude: parseFloat(body.center.longitude)
+    };
+    fence.radiusMeters = parseFloat(body.radiusMeters);
+  } else {
+    fence.polygon = body.polygon.map(point => ({
+      latitude: parseFloat(point.latitude),
+      longitude: parseFloat(point.longitude)
+    }));
+  }
+
+  return fence;
+};
+
+// Update college settings (Admin only)
+router.patch('/settings',
+  authenticateToken,
+  requireRole(['admin']),
+  validationRules.collegeSettings,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const college = await College.findById(req.user.college);
+      if (!college) {
+        return res.status(404).json({
+          error: 'College not found'
+        });
+      }
+
+      const updatedFields = EDITABLE_SETTINGS.filter(field => req.body[field] !== undefined);
+      updatedFields.forEach(field => {
+        college.settings[field] = req.body[field];
+      });
+
+      await college.save();
+
+      // A higher per-session limit frees seats for waitlisted students
+      const promotedFromWaitlists = updatedFields.includes('maxStudentsPerSession')
+        ? await enrollmentService.promoteWaitlists({ college: college._id })
+        : 0;
+
+      logger.info('College settings updated', {
+        collegeId: college._id,
+        adminId: req.user.userId,
+        updatedFields,
+        promotedFromWaitlists
+      });
+
+      res.json({
+        message: 'Settings updated successfully',
+        settings: college.settings
+      });
+
+    } catch (error) {
+      logger.error('College settings update error:', error);
+      next(error);
+    }
+  }
+);
+
+// List campus geofences (Faculty/Admin only)
+router.get('/geofences',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  async (req, res, next) => {
+    try {
+      const college = await College.findById(req.user.college).select('geofences settings.maxLocationAccuracyMeters');
+      if (!college) {
+        return res.status(404).json({
+          error: 'College not found'
+        });
+      }
+
+      res.json({
+        geofences: college.geofences,
+        maxLocationAccuracyMeters: college.settings.maxLocationAccuracyMeters
+      });
+
+    } catch (error) {
+      logger.error('Get geofences error:', error);
+      next(error);
+    }
+  }
+);
+
+// Add a geofence (Admin only)
+router.post('/geofences',
+  authenticateToken,
+  requireRole(['admin']),
+  validationRules.geofence,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const college = await College.findById(req.user.college);
+      if (!college) {
+        return res.status(404).json({
+          error: 'College not found'
+        });
+      }
+
+      college.geofences.push(toGeofence(req.body));
+      await college.save();
+
+      const geofence = college.geofences[college.geofences.length - 1];
+
+      logger.info('Geofence created', {
+        collegeId: college._id,
+        geofenceId: geofence._id,
+        type: geofence.type,
+        adminId: req.user.userId
+      });
+
+      res.status(201).json({
+        message: 'Geofence created successfully',
+        geofence
+      });
+
+    } catch (error) {
+      logger.error('Geofence creation error:', error);
+      next(error);
+    }
+  }
+);
+
+// Replace a geofence (Admin only)
+router.put('/geofences/:geofenceId',
+  authenticateToken,
+  requireRole(['admin']),
+  validationRules.geofenceId,
+  validationRules.geofence,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const college = await College.findById(req.user.college);
+      const geofence = college && college.geofences.id(req.params.geofenceId);
+
+      if (!geofence) {
+        return res.status(404).json({
+          error: 'Geofence not found'
+        });
+      }
+
+      geofence.set({ center: undefined, radiusMeters: undefined, polygon: [], ...toGeofence(req.body) });
+      await college.save();
+
+      logger.info('Geofence updated', {
+        collegeId: college._id,
+        geofenceId: geofence._id,
+        adminId: req.user.userId
+      });
+
+      res.json({
+        message: 'Geofence updated successfully',
+        geofence
+      });
+
+    } catch (error) {
+      logger.error('Geofence update error:', error);
+      next(error);
+    }
+  }
+);
+
+// Remove a geofence (Admin only)
+router.delete('/geofences/:geofenceId',
+  authenticateToken,
+  requireRole(['admin']),
+  validationRules.geofenceId,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const college = await College.findById(req.user.college);
+      const geofence = college && college.geofences.id(req.params.geofenceId);
+
+      if (!geofence) {
+        return res.status(404).json({
+          error: 'Geofence not found'
+        });
+      }
+
+      geofence.deleteOne();
+      await college.save();
+
+      logger.info('Geofence deleted', {
+        collegeId: college._id,
+        geofenceId: req.params.geofenceId,
+        adminId: req.user.userId
+      });
+
+      res.json({
+        message: 'Geofence deleted successfully'
+      });
+
+    } catch (error) {
+      logger.error('Geofence deletion error:', error);
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,305 @@
+// routes/courses.js - Courses, sections, rosters and co-instructors
+const express = require('express');
+const router = express.Router();
+const { Course, Section, ClassSession } = require('../models');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { validationRules, handleValidationErrors } = require('../middleware/validation');
+const courseService = require('../services/courseService');
+const logger = require('../utils/logger');
+
+// Sections the current user teaches or is enrolled in (?academicYear=2026-27)
+router.get('/sections/mine',
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      const sections = await courseService.listMySections(req.user, { academicYear: req.query.academicYear });
+      res.json({ sections });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Section details with roster (instructors/admin)
+router.get('/sections/:sectionId',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  validationRules.sectionId,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const section = await courseService.getSectionForStaff(req.params.sectionId, req.user);
+      await section.populate('instructors.user', 'name email');
+      await section.populate('students.student', 'name email studentId enrollmentYear');
+
+      res.json({ section });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Sessions of a section
+router.get('/sections/:sectionId/sessions',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  validationRules.sectionId,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const section = await courseService.getSectionForStaff(req.params.sectionId, req.user);
+      const sessions = await ClassSession.find({ section: section._id })
+        .select('title subject faculty scheduledStartTime scheduledEndTime status classroom')
+        .populate('faculty', 'name')
+        .sort({ scheduledStartTime: 1 });
+
+      res.json({ sessions });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Add students to a section; they are also enrolled in its sessions that have not ended
+router.post('/sections/:sectionId/students',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  validationRules.sectionId,
+  validationRules.sectionStudents,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const section = await courseService.getSectionForStaff(req.params.sectionId, req.user);
+      const { added, alreadyEnrolled } = await courseService.addStudents(section, req.body.studentIds);
+
+      logger.info('Students enrolled in section', {
+        sectionId: section._id,
+        enrolledBy: req.user.userId,
+        studentsEnrolled: added.length
+      });
+
+      res.json({
+        message: `${added.length} students enrolled successfully`,
+        enrolledCount: added.length,
+        alreadyEnrolled: alreadyEnrolled.length,
+        totalEnrolled: section.enrolledCount
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Drop a student from a section
+router.delete('/sections/:sectionId/students/:userId',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  validationRules.sectionId,
+  validationRules.userId,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const section = await courseService.getSectionForStaff(req.params.sectionId, req.user);
+      await courseService.dropStudent(section, req.params.userId);
+
+      res.json({
+        message: 'Student dropped from section',
+        totalEnrolled: section.enrolledCount
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Add a co-instructor (primary instructor or admin)
+router.post('/sections/:sectionId/instructors',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  validationRules.sectionId,
+  validationRules.sectionInstructor,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const section = await courseService.getSectionForStaff(req.params.sectionId, req.user, { primaryOnly: true });
+      await courseService.addInstructor(section, req.body.userId);
+
+      logger.info('Co-instructor added', { sectionId: section._id, instructorId: req.body.userId, addedBy: req.user.userId });
+
+      res.json({
+        message: 'Co-instructor added successfully',
+        instructors: section.instructors
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Remove a co-instructor (primary instructor or admin)
+router.delete('/sections/:sectionId/instructors/:userId',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  validationRules.sectionId,
+  validationRules.userId,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const section = await courseService.getSectionForStaff(req.params.sectionId, req.user, { primaryOnly: true });
+      await courseService.removeInstructor(section, req.params.userId);
+
+      logger.info('Co-instructor removed', { sectionId: section._id, instructorId: req.params.userId, removedBy: req.user.userId });
+
+      res.json({
+        message: 'Co-instructor removed successfully',
+        instructors: section.instructors
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Courses of the user's college
+router.get('/',
+  authenticateToken,
+  validationRules.pagination,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { department, search, page = 1, limit = 20 } = req.query;
+
+      const query = { college: req.user.college, isActive: true };
+      if (department) query.department = department;
+      if (search) {
+        query.$or = [
+          { code: { $regex: search, $options: 'i' } },
+          { title: { $regex: search, $options: 'i' } }
+        ];
+      }
+
+      const courses = await Course.find(query)
+        .sort({ code: 1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+      const total = await Course.countDocuments(query);
+
+      res.json({
+        courses,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalCourses: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Create a course (Admin only)
+router.post('/',
+  authenticateToken,
+  requireRole(['admin']),
+  validationRules.courseCreate,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const course = await courseService.createCourse(req.body, req.user);
+
+      res.status(201).json({
+        message: 'Course created successfully',
+        course
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Update a course (Admin only)
+router.put('/:courseId',
+  authenticateToken,
+  requireRole(['admin']),
+  validationRules.courseId,
+  validationRules.courseUpdate,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const course = await courseService.getCourse(req.params.courseId, req.user);
+      await courseService.updateCourse(course, req.body);
+
+      res.json({
+        message: 'Course updated successfully',
+        course
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Sections of a course (?academicYear=2026-27)
+router.get('/:courseId/sections',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  validationRules.courseId,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const course = await courseService.getCourse(req.params.courseId, req.user);
+
+      const query = { course: course._id };
+      if (req.query.academicYear) query['academicYear.label'] = req.query.academicYear;
+
+      const sections = await Section.find(query)
+        .select('-students')
+        .populate('instructors.user', 'name email')
+        .sort({ 'academicYear.start': -1, name: 1 });
+
+      res.json({ course, sections });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Open a section for the current academic year (Admin only)
+router.post('/:courseId/sections',
+  authenticateToken,
+  requireRole(['admin']),
+  validationRules.courseId,
+  validationRules.sectionCreate,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const course = await courseService.getCourse(req.params.courseId, req.user);
+      const section = await courseService.createSection(course, req.body, req.user);
+
+      res.status(201).json({
+        message: 'Section created successfully',
+        section
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -5,12 +5,20 @@ const router = express.Router();
 // Import route modules
 const authRoutes = require('./auth');
 const userRoutes = require('./users');
-const sessionRoutes = require('./sessions');
+const sessionRoutes = require('./session');
 const monitoringRoutes = require('./monitoring');
 const pollRoutes = require('./polls');
 const chatRoutes = require('./chat');
-const analyticsRoutes = require('./analytics');
-const uploadRoutes = require('./upload');
+const collegeRoutes = require('./colleges');
+const notificationRoutes = require('./notifications');
+const qaRoutes = require('./qa');
+const quizRoutes = require('./quizzes');
+const pollTemplateRoutes = require('./pollTemplates');
+const courseRoutes = require('./courses');
+const timetableRoutes = require('./timetables');
+const calendarRoutes = require('./calendar');
+const whiteboardRoutes = require('./whiteboards');
+const recordingRoutes = require('./recordings');
 
 // Mount routes with their base paths
 router.use('/auth', authRoutes);
@@ -19,8 +27,16 @@ router.use('/sessions', sessionRoutes);
 router.use('/monitoring', monitoringRoutes);
 router.use('/polls', pollRoutes);
 router.use('/chat', chatRoutes);
-router.use('/analytics', analyticsRoutes);
-router.use('/upload', uploadRoutes);
+router.use('/colleges', collegeRoutes);
+router.use('/notifications', notificationRoutes);
+router.use('/qa', qaRoutes);
+router.use('/quizzes', quizRoutes);
+router.use('/poll-templates', pollTemplateRoutes);
+router.use('/courses', courseRoutes);
+router.use('/timetables', timetableRoutes);
+router.use('/calendar', calendarRoutes);
+router.use('/whiteboards', whiteboardRoutes);
+router.use('/recordings', recordingRoutes);
 
 // API information endpoint
 router.get('/', (req, res) => {
@@ -34,8 +50,16 @@ router.get('/', (req, res) => {
       monitoring: '/api/monitoring',
       polls: '/api/polls',
       chat: '/api/chat',
-      analytics: '/api/analytics',
-      upload: '/api/upload'
+      colleges: '/api/colleges',
+      notifications: '/api/notifications',
+      qa: '/api/qa',
+      quizzes: '/api/quizzes',
+      pollTemplates: '/api/poll-templates',
+      courses: '/api/courses',
+      timetables: '/api/timetables',
+      calendar: '/api/calendar',
+      whiteboards: '/api/whiteboards',
+      recordings: '/api/recordings'
     },
     documentation: '/api/docs'
   });
@@ -6,6 +6,8 @@ const { ClassSession, Attendance, User } = require('../models');
 const { authenticateToken, requireRole, requireSessionAccess } = require('../middleware/auth');
 const { validationRules, handleValidationErrors } = require('../middleware/validation');
 const { apiLimiter } = require('../middleware/rateLimiter');
+const geofenceService = require('../services/geofenceService');
+const checkinService = require('../services/checkinService');
 const logger = require('../utils/logger');
 
 // Get students monitoring data for a session (Faculty/Admin only)
@@ -315,6 +317,13 @@ router.post('/location',
     try {
       const { sessionId, latitude, longitude, address, accuracy } = req.body;
 
+      const session = await ClassSession.findById(sessionId);
+      if (!session) {
+        return res.status(404).json({
+          error: 'Session not found'
+        });
+      }
+
       // Find or create attendance record
       let attendance = await Attendance.findOne({
         student: req.user.userId,
@@ -323,13 +332,6 @@ router.post('/location',
 
       if (!attendance) {
         // Verify student is enrolled in session
-        const session = await ClassSession.findById(sessionId);
-        if (!session) {
-          return res.status(404).json({
-            error: 'Session not found'
-          });
-        }
-
         const isEnrolled = session.students.some(
           s => s.student.equals(req.user.userId)
         );
@@ -348,19 +350,34 @@ router.post('/location',
         });
       }
 
-      // Update location
-      await attendance.updateLocation(latitude, longitude, address, accuracy);
+      // Verify against the college geofences and update location
+      const verification = await geofenceService.verifyAttendanceLocation(attendance, session, {
+        latitude,
+        longitude,
+        address,
+        accuracy: accuracy !== undefined ? Number(accuracy) : null
+      });
 
       logger.info('Student location updated', {
         studentId: req.user.userId,
         sessionId,
-        location: { latitude, longitude, address }
+        location: { latitude, longitude, address },
+        verification: verification.status
       });
 
+      if (verification.required && !verification.verified) {
+        req.app.get('io')?.to(`session-${sessionId}`).emit('location_verification_failed', {
+          studentId: req.user.userId,
+          studentName: req.user.userData?.name,
+          verification
+        });
+      }
+
       res.json({
         message: 'Location updated successfully',
         isPresent: attendance.isPresent,
-        location: attendance.location
+        location: attendance.location,
+        verification
       });
 
     } catch (error) {
@@ -370,6 +387,76 @@ router.post('/location',
   }
 );
 
+// Check in to a session with the code displayed by the faculty (Student only)
+router.post('/checkin',
+  authenticateToken,
+  requireRole(['student']),
+  validationRules.checkIn,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { sessionId, code } = req.body;
+
+      const session = await ClassSession.findById(sessionId);
+      if (!session) {
+        return res.status(404).json({
+          error: 'Session not found'
+        });
+      }
+
+      const isEnrolled = session.students.some(
+        s => s.student.equals(req.user.userId)
+      );
+
+      if (!isEnrolled) {
+        return res.status(403).json({
+          error: 'Not enrolled in this session'
+        });
+      }
+
+      if (session.status !== 'live') {
+        return res.status(400).json({
+          error: 'Session is not live'
+        });
+      }
+
+      const result = await checkinService.checkInWithCode(session, req.user.userId, code, {
+        ipAddress: req.ip
+      });
+
+      if (!result.accepted) {
+        return res.status(400).json({
+          error: 'Check-in rejected',
+          message: result.reason === 'expired'
+            ? 'This code has expired. Scan the current code.'
+            : result.reason === 'replayed'
+              ? 'This code has already been used.'
+              : 'Invalid check-in code',
+          reason: result.reason
+        });
+      }
+
+      // Only the faculty needs to see who checked in
+      req.app.get('io')?.to(`user-${session.faculty}`).emit('student_checked_in', {
+        sessionId,
+        studentId: req.user.userId,
+        studentName: req.user.name,
+        checkedInAt: result.attendance.checkIn.checkedInAt
+      });
+
+      res.json({
+        message: 'Checked in successfully',
+        isPresent: result.attendance.isPresent,
+        checkedInAt: result.attendance.checkIn.checkedInAt
+      });
+
+    } catch (error) {
+      logger.error('Check-in error:', error);
+      next(error);
+    }
+  }
+);
+
 // Report student activity (Student only)
 router.post('/activity',
   authenticateToken,
@@ -0,0 +1,243 @@
+// routes/notifications.js - Notification inbox and delivery preference routes
+const express = require('express');
+const router = express.Router();
+const { Notification } = require('../models');
+const { authenticateToken } = require('../middleware/auth');
+const { validationRules, handleValidationErrors } = require('../middleware/validation');
+const notificationService = require('../services/notificationService');
+const logger = require('../utils/logger');
+
+// Every bulk change alters the badge, so push the new count to the user's open sockets
+const refreshBadge = (req) => notificationService.emitUnreadCount(req.app.get('io'), req.user.userId);
+
+// Reject bulk deletes/dismissals that name no notifications
+const requireIds = (req, res, next) => {
+  if (!Array.isArray(req.body.ids) || req.body.ids.length === 0) {
+    return res.status(400).json({
+      error: 'No notifications selected',
+      message: 'Provide the ids of the notifications to change'
+    });
+  }
+  next();
+};
+
+// List notifications with the unread count
+router.get('/',
+  authenticateToken,
+  validationRules.pagination,
+  validationRules.notificationQuery,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { page = 1, limit = 20, sort, type, unreadOnly, archived } = req.query;
+
+      const result = await notificationService.listNotifications(req.user.userId, {
+        page,
+        limit,
+        sort,
+        types: type ? type.split(',').map(t => t.trim()) : null,
+        unreadOnly: unreadOnly === 'true',
+        archived: archived === 'true'
+      });
+
+      res.json(result);
+
+    } catch (error) {
+      logger.error('Get notifications error:', error);
+      next(error);
+    }
+  }
+);
+
+// Unread badge count
+router.get('/unread-count',
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      const unreadCount = await Notification.getUnreadCount(req.user.userId);
+
+      res.json({ unreadCount });
+
+    } catch (error) {
+      logger.error('Get unread count error:', error);
+      next(error);
+    }
+  }
+);
+
+// Get channel preferences by notification type
+router.get('/preferences',
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      const preferences = await notificationService.getPreferences(req.user.userId);
+
+      res.json(preferences);
+
+    } catch (error) {
+      logger.error('Get notification preferences error:', error);
+      next(error);
+    }
+  }
+);
+
+// Update channel preferences, e.g. { preferences: { poll_created: { email: true, push: false } } }
+router.put('/preferences',
+  authenticateToken,
+  validationRules.notificationPreferences,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const preferences = await notificationService.updatePreferences(req.user.userId, req.body.preferences);
+
+      res.json({
+        message: 'Notification preferences updated',
+        ...preferences
+      });
+
+    } catch (error) {
+      logger.error('Update notification preferences error:', error);
+      next(error);
+    }
+  }
+);
+
+// Mark notifications as read (all of them when no ids are given)
+router.patch('/read',
+  authenticateToken,
+  validationRules.notificationIds,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const updated = await notificationService.markManyAsRead(req.user.userId, req.body.ids);
+      await refreshBadge(req);
+
+      res.json({
+        message: 'Notifications marked as read',
+        updated
+      });
+
+    } catch (error) {
+      logger.error('Mark notifications read error:', error);
+      next(error);
+    }
+  }
+);
+
+// Archive notifications (all of them when no ids are given)
+router.patch('/archive',
+  authenticateToken,
+  validationRules.notificationIds,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const updated = await notificationService.archiveNotifications(req.user.userId, req.body.ids);
+      await refreshBadge(req);
+
+      res.json({
+        message: 'Notifications archived',
+        updated
+      });
+
+    } catch (error) {
+      logger.error('Archive notifications error:', error);
+      next(error);
+    }
+  }
+);
+
+// Dismiss notifications
+router.patch('/dismiss',
+  authenticateToken,
+  validationRules.notificationIds,
+  handleValidationErrors,
+  requireIds,
+  async (req, res, next) => {
+    try {
+      const updated = await notificationService.dismissNotifications(req.user.userId, req.body.ids);
+      await refreshBadge(req);
+
+      res.json({
+        message: 'Notifications dismissed',
+        updated
+      });
+
+    } catch (error) {
+      logger.error('Dismiss notifications error:', error);
+      next(error);
+    }
+  }
+);
+
+// Mark a single notification as read
+router.patch('/:id/read',
+  authenticateToken,
+  validationRules.mongoId,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const updated = await notificationService.markManyAsRead(req.user.userId, [req.params.id]);
+      await refreshBadge(req);
+
+      res.json({
+        message: 'Notification marked as read',
+        updated
+      });
+
+    } catch (error) {
+      logger.error('Mark notification read error:', error);
+      next(error);
+    }
+  }
+);
+
+// Delete notifications
+router.delete('/',
+  authenticateToken,
+  validationRules.notificationIds,
+  handleValidationErrors,
+  requireIds,
+  async (req, res, next) => {
+    try {
+      const deleted = await notificationService.deleteNotifications(req.user.userId, req.body.ids);
+      await refreshBadge(req);
+
+      res.json({
+        message: 'Notifications deleted',
+        deleted
+      });
+
+    } catch (error) {
+      logger.error('Delete notifications error:', error);
+      next(error);
+    }
+  }
+);
+
+// Delete a single notification
+router.delete('/:id',
+  authenticateToken,
+  validationRules.mongoId,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const deleted = await notificationService.deleteNotifications(req.user.userId, [req.params.id]);
+      if (deleted === 0) {
+        return res.status(404).json({
+          error: 'Notification not found'
+        });
+      }
+      await refreshBadge(req);
+
+      res.json({
+        message: 'Notification deleted'
+      });
+
+    } catch (error) {
+      logger.error('Delete notification error:', error);
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,210 @@
+// routes/pollTemplates.js - Poll template library and cross-session poll analytics
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { validationRules, handleValidationErrors } = require('../middleware/validation');
+const { pollLimiter } = require('../middleware/rateLimiter');
+const pollTemplateService = require('../services/pollTemplateService');
+const logger = require('../utils/logger');
+
+// Templates in the user's library (?scope=mine|college, ?search, ?subject)
+router.get('/',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  validationRules.pagination,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { scope, search, subject, page = 1, limit = 20 } = req.query;
+      const { templates, total } = await pollTemplateService.listTemplates(req.user, { scope, search, subject, page, limit });
+
+      res.json({
+        templates,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalTemplates: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Create a template
+router.post('/',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  validationRules.pollTemplate,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const template = await pollTemplateService.createTemplate(req.body, req.user);
+
+      logger.info('Poll template created', { templateId: template._id, owner: req.user.userId });
+
+      res.status(201).json({
+        message: 'Template created successfully',
+        template
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Save an existing poll as a template
+router.post('/from-poll/:pollId',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  validationRules.pollId,
+  validationRules.pollTemplate,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { visibility, subject, tags } = req.body;
+      const template = await pollTemplateService.createTemplateFromPoll(req.params.pollId, req.user, { visibility, subject, tags });
+
+      logger.info('Poll saved as template', { pollId: req.params.pollId, templateId: template._id, owner: req.user.userId });
+
+      res.status(201).json({
+        message: 'Poll saved as template',
+        template
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Get a template
+router.get('/:templateId',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  validationRules.templateId,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const template = await pollTemplateService.getTemplate(req.params.templateId, req.user);
+      res.json({ template });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Update a template; polls already launched from it keep their own copy
+router.put('/:templateId',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  validationRules.templateId,
+  validationRules.pollTemplate,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const template = await pollTemplateService.getTemplate(req.params.templateId, req.user, { edit: true });
+      await pollTemplateService.updateTemplate(template, req.body);
+
+      res.json({
+        message: 'Template updated successfully',
+        template
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Delete a template
+router.delete('/:templateId',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  validationRules.templateId,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const template = await pollTemplateService.getTemplate(req.params.templateId, req.user, { edit: true });
+      await template.deleteOne();
+
+      logger.info('Poll template deleted', { templateId: template._id, deletedBy: req.user.userId });
+
+      res.json({ message: 'Template deleted successfully' });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Launch a template as a poll in a live session
+router.post('/:templateId/launch',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  pollLimiter,
+  validationRules.templateId,
+  validationRules.pollTemplateLaunch,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const template = await pollTemplateService.getTemplate(req.params.templateId, req.user);
+      const poll = await pollTemplateService.launchTemplate(template, req.body, req.user, { io: req.app.get('io') });
+
+      res.status(201).json({
+        message: 'Poll launched from template',
+        poll: {
+          id: poll._id,
+          template: template._id,
+          question: poll.question,
+          type: poll.type,
+          options: poll.options.map((opt, index) => ({ index, text: opt.text, votes: 0 })),
+          settings: poll.settings,
+          isActive: poll.isActive,
+          expiresAt: poll.expiresAt,
+          createdAt: poll.createdAt
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Compare a template's results across sessions and batches (?startDate, ?endDate, ?format=csv)
+router.get('/:templateId/analytics',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  validationRules.templateId,
+  validationRules.dateRange,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const template = await pollTemplateService.getTemplate(req.params.templateId, req.user);
+      const comparison = await pollTemplateService.compareTemplate(template, req.user, {
+        from: req.query.startDate,
+        to: req.query.endDate
+      });
+
+      if (req.query.format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="poll-template-${template._id}-analytics.csv"`);
+        return res.send(pollTemplateService.comparisonToCsv(comparison));
+      }
+
+      res.json(comparison);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
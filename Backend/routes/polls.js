@@ -1,30 +1,52 @@
 // routes/polls.js - Poll management routes
 const express = require('express');
 const router = express.Router();
-const { Poll, ClassSession, Attendance } = require('../models');
+const { Poll, ClassSession } = require('../models');
 const { authenticateToken, requireRole, requireSessionAccess } = require('../middleware/auth');
 const { validationRules, handleValidationErrors } = require('../middleware/validation');
 const { pollLimiter, apiLimiter } = require('../middleware/rateLimiter');
+const quizService = require('../services/quizService');
+const pollService = require('../services/pollService');
 const logger = require('../utils/logger');
 
-// Get polls for a session
+// Get polls for a session (?format=csv|json exports results for staff)
 router.get('/session/:sessionId',
   authenticateToken,
   requireSessionAccess,
   validationRules.sessionId,
+  validationRules.pollExport,
   handleValidationErrors,
   async (req, res, next) => {
     try {
       const { sessionId } = req.params;
-      const { active, page = 1, limit = 10 } = req.query;
+      const { active, format, page = 1, limit = 10 } = req.query;
 
-      const query = { session: sessionId };
+      // Quiz questions are listed with their quiz under /api/quizzes
+      const query = { session: sessionId, quiz: null };
       
       // Filter by active status if specified
       if (active !== undefined) {
         query.isActive = active === 'true';
       }
 
+      // Results export: every matching poll, with per-option counts and response times
+      if (format) {
+        if (req.user.role === 'student') {
+          return res.status(403).json({ error: 'Only faculty and admins can export poll results' });
+        }
+
+        const results = pollService.exportResults(await Poll.find(query).sort({ createdAt: 1 }));
+
+        if (format === 'csv') {
+          res.setHeader('Content-Type', 'text/csv');
+          res.setHeader('Content-Disposition', `attachment; filename="session-${sessionId}-polls.csv"`);
+          return res.send(pollService.exportResultsToCsv(results));
+        }
+
+        res.setHeader('Content-Disposition', `attachment; filename="session-${sessionId}-polls.json"`);
+        return res.json({ sessionId, exportedAt: new Date(), polls: results });
+      }
+
       const polls = await Poll.find(query)
         .populate('createdBy', 'name role')
         .sort({ createdAt: -1 })
@@ -35,31 +57,29 @@ router.get('/session/:sessionId',
       const transformedPolls = polls.map(poll => {
         const pollObj = poll.toObject();
         
-        // Students shouldn't see voter details unless poll allows it
+        // Students get their own option order, and counts only when showResults allows
         if (req.user.role === 'student') {
-          pollObj.options = poll.options.map(option => ({
-            text: option.text,
-            votes: option.votes,
-            hasVoted: option.voters.some(voter => voter.user.equals(req.user.userId))
-          }));
-          
-          // Remove text responses from other students if anonymous
-          if (poll.isAnonymous) {
-            pollObj.textResponses = poll.textResponses.filter(
-              response => response.user.equals(req.user.userId)
-            );
+          pollObj.options = pollService.optionsFor(poll, req.user);
+          if (!pollService.canSeeResults(poll, req.user)) {
+            delete pollObj.results;
           }
+          
+          // Remove text responses from other students if anonymous or results are hidden
+          pollObj.textResponses = pollService.textResponsesFor(poll, req.user);
         } else {
-          // Faculty and admin can see all details
-          pollObj.options = poll.options.map(option => ({
-            text: option.text,
-            votes: option.votes,
-            voters: option.voters.map(voter => ({
-              user: voter.user,
-              votedAt: voter.votedAt,
-              responseTime: voter.responseTime
-            }))
-          }));
+          // Faculty and admin can see all details, except who answered an anonymous poll
+          pollObj.options = poll.options.map((option, index) => {
+            const optionData = { index, text: option.text, votes: option.votes };
+            if (!poll.isAnonymous) {
+              optionData.voters = option.voters.map(voter => ({
+                user: voter.user,
+                votedAt: voter.votedAt,
+                responseTime: voter.responseTime
+              }));
+            }
+            return optionData;
+          });
+          pollObj.textResponses = pollService.textResponsesFor(poll, req.user);
         }
 
         return pollObj;
@@ -128,46 +148,14 @@ router.post('/',
         });
       }
 
-      if (type === 'yes_no' && options.length === 0) {
-        // Auto-generate yes/no options
-        options.push('Yes', 'No');
-      }
-
-      // Create poll
-      const pollData = {
-        session: sessionId,
-        question: question.trim(),
+      const poll = await pollService.launchPoll(session, {
+        question,
         type,
-        options: options.map(optionText => ({
-          text: optionText.trim(),
-          votes: 0,
-          voters: []
-        })),
-        settings: {
-          allowMultipleAnswers: settings.allowMultipleAnswers || false,
-          showResults: settings.showResults || 'after_vote',
-          allowChangeVote: settings.allowChangeVote || false,
-          requireLogin: settings.requireLogin !== false,
-          randomizeOptions: settings.randomizeOptions || false,
-          timeLimit: settings.timeLimit,
-          maxResponses: settings.maxResponses
-        },
-        isActive: true,
-        isAnonymous,
-        createdBy: req.user.userId,
-        expiresAt: expiresIn ? new Date(Date.now() + expiresIn * 60000) : null
-      };
-
-      const poll = new Poll(pollData);
-      await poll.save();
-
-      // Populate created poll
-      await poll.populate('createdBy', 'name role');
-
-      // Update session analytics
-      await ClassSession.findByIdAndUpdate(sessionId, {
-        $inc: { 'analytics.totalPolls': 1 }
-      });
+        options,
+        expiresIn,
+        settings,
+        isAnonymous
+      }, { userId: req.user.userId, io: req.app.get('io') });
 
       logger.info('Poll created', {
         pollId: poll._id,
@@ -177,30 +165,16 @@ router.post('/',
         type: poll.type
       });
 
-      // Emit poll to all session participants via Socket.io
-      req.app.get('io')?.to(`session-${sessionId}`).emit('new_poll', {
-        poll: {
-          id: poll._id,
-          question: poll.question,
-          type: poll.type,
-          options: poll.options.map(opt => ({ text: opt.text, votes: 0 })),
-          settings: poll.settings,
-          isAnonymous: poll.isAnonymous,
-          createdBy: poll.createdBy,
-          createdAt: poll.createdAt,
-          expiresAt: poll.expiresAt
-        }
-      });
-
       res.status(201).json({
         message: 'Poll created successfully',
         poll: {
           id: poll._id,
           question: poll.question,
           type: poll.type,
-          options: poll.options.map(opt => ({ text: opt.text, votes: 0 })),
+          options: poll.options.map((opt, index) => ({ index, text: opt.text, votes: 0 })),
           settings: poll.settings,
           isActive: poll.isActive,
+          expiresAt: poll.expiresAt,
           createdAt: poll.createdAt
         }
       });
@@ -220,9 +194,9 @@ router.post('/:pollId/vote',
   async (req, res, next) => {
     try {
       const { pollId } = req.params;
-      const { optionIndex, responseTime, textResponse } = req.body;
+      const { optionIndex, optionIndexes, responseTime, textResponse } = req.body;
 
-      const poll = await Poll.findById(pollId).populate('session', 'students');
+      let poll = await Poll.findById(pollId).populate('session', 'students faculty');
       
       if (!poll) {
         return res.status(404).json({
@@ -230,19 +204,6 @@ router.post('/:pollId/vote',
         });
       }
 
-      if (!poll.isActive) {
-        return res.status(400).json({
-          error: 'Poll is not active'
-        });
-      }
-
-      // Check if poll has expired
-      if (poll.expiresAt && new Date() > poll.expiresAt) {
-        return res.status(400).json({
-          error: 'Poll has expired'
-        });
-      }
-
       // Verify user is enrolled in the session
       const session = poll.session;
       const isEnrolled = session.students.some(
@@ -256,113 +217,34 @@ router.post('/:pollId/vote',
         });
       }
 
-      // Handle text response polls
-      if (poll.type === 'text_response') {
-        if (!textResponse || textResponse.trim().length === 0) {
-          return res.status(400).json({
-            error: 'Text response required'
-          });
-        }
-
-        // Check if user already responded
-        const existingResponse = poll.textResponses.find(
-          response => response.user.equals(req.user.userId)
-        );
-
-        if (existingResponse && !poll.settings.allowChangeVote) {
-          return res.status(400).json({
-            error: 'You have already responded to this poll'
-          });
-        }
-
-        if (existingResponse && poll.settings.allowChangeVote) {
-          existingResponse.response = textResponse.trim();
-          existingResponse.submittedAt = new Date();
-        } else {
-          poll.textResponses.push({
-            user: req.user.userId,
-            response: textResponse.trim(),
-            submittedAt: new Date()
-          });
-        }
-
-        await poll.save();
-
-      } else {
-        // Handle choice-based polls
-        if (optionIndex === undefined || optionIndex < 0 || optionIndex >= poll.options.length) {
-          return res.status(400).json({
-            error: 'Invalid option index'
-          });
-        }
-
-        // Check if user already voted
-        const hasVoted = poll.options.some(option =>
-          option.voters.some(voter => voter.user.equals(req.user.userId))
-        );
-
-        if (hasVoted && !poll.settings.allowChangeVote) {
-          return res.status(400).json({
-            error: 'You have already voted on this poll'
-          });
-        }
-
-        // Remove previous vote if changing vote
-        if (hasVoted && poll.settings.allowChangeVote) {
-          poll.options.forEach(option => {
-            option.voters = option.voters.filter(
-              voter => !voter.user.equals(req.user.userId)
-            );
-            option.votes = option.voters.length;
-          });
-        }
-
-        // Add new vote
-        poll.options[optionIndex].voters.push({
-          user: req.user.userId,
-          votedAt: new Date(),
-          responseTime: responseTime || null
-        });
-        poll.options[optionIndex].votes = poll.options[optionIndex].voters.length;
+      try {
+        // Quiz questions only take answers while the quiz's time window is open
+        await quizService.assertCanAnswer(poll);
 
-        await poll.save();
+        // Validates the vote against allowChangeVote, allowMultipleAnswers and maxResponses, then saves it
+        poll = await pollService.submitVote(poll, req.user.userId, { optionIndex, optionIndexes, textResponse, responseTime });
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        return res.status(error.statusCode).json({ error: error.message });
       }
 
-      // Update student engagement
-      const attendance = await Attendance.findOne({
-        student: req.user.userId,
-        session: poll.session._id
-      });
-
-      if (attendance) {
-        await attendance.updateEngagement('poll', 1);
-      }
+      // Update student engagement (anonymous polls credit their voters when they close)
+      await pollService.recordEngagement(poll, req.user.userId);
 
       logger.info('Poll vote recorded', {
         pollId,
-        userId: req.user.userId,
+        userId: poll.isAnonymous ? undefined : req.user.userId,
         optionIndex,
+        optionIndexes,
         hasTextResponse: !!textResponse
       });
 
-      // Emit updated poll results to session participants
-      const updatedPollResults = {
-        pollId: poll._id,
-        options: poll.options.map(opt => ({
-          text: opt.text,
-          votes: opt.votes
-        })),
-        totalVotes: poll.options.reduce((sum, opt) => sum + opt.votes, 0),
-        totalTextResponses: poll.textResponses.length
-      };
-
-      req.app.get('io')?.to(`session-${poll.session._id}`).emit('poll_updated', updatedPollResults);
+      // Counts go only to viewers showResults allows; reaching maxResponses closes the poll
+      await pollService.afterVote(req.app.get('io'), poll, req.user.userId, session.faculty);
 
       res.json({
         message: 'Vote recorded successfully',
-        pollResults: poll.settings.showResults === 'after_vote' || 
-                    poll.settings.showResults === 'real_time' ? 
-                    updatedPollResults : null
+        pollResults: pollService.canSeeResults(poll, req.user) ? pollService.resultsSummary(poll, req.user) : null
       });
 
     } catch (error) {
@@ -419,21 +301,21 @@ router.get('/:pollId',
       };
 
       // Show results based on settings and user role
-      const canSeeResults = req.user.role !== 'student' ||
-                           poll.settings.showResults === 'real_time' ||
-                           (poll.settings.showResults === 'after_vote' && poll.options.some(opt => 
-                             opt.voters.some(voter => voter.user.equals(req.user.userId)))) ||
-                           (poll.settings.showResults === 'after_close' && !poll.isActive);
-
-      if (canSeeResults) {
-        pollResponse.options = poll.options.map(option => {
+      const canSeeResults = pollService.canSeeResults(poll, req.user);
+
+      if (req.user.role === 'student') {
+        // Own option order; counts only when showResults allows
+        pollResponse.options = pollService.optionsFor(poll, req.user);
+      } else {
+        pollResponse.options = poll.options.map((option, index) => {
           const optionData = {
+            index,
             text: option.text,
             votes: option.votes
           };
 
           // Only show voter details to faculty/admin
-          if (req.user.role !== 'student' && !poll.isAnonymous) {
+          if (!poll.isAnonymous) {
             optionData.voters = option.voters.map(voter => ({
               user: voter.user,
               votedAt: voter.votedAt,
@@ -443,23 +325,22 @@ router.get('/:pollId',
 
           return optionData;
         });
+      }
 
-        // Handle text responses
-        if (poll.type === 'text_response') {
-          if (req.user.role === 'student') {
-            // Students can only see their own responses if anonymous
-            pollResponse.textResponses = poll.isAnonymous ?
-              poll.textResponses.filter(response => response.user.equals(req.user.userId)) :
-              poll.textResponses;
-          } else {
-            pollResponse.textResponses = poll.textResponses;
-          }
+      // Handle text responses
+      if (poll.type === 'text_response') {
+        // Students see others' responses only when results are visible and the poll is not anonymous
+        pollResponse.textResponses = pollService.textResponsesFor(poll, req.user);
+
+        // Word cloud, duplicate clusters and sentiment, wherever results are visible
+        // (cluster texts only for viewers who may read the responses)
+        if (canSeeResults) {
+          pollResponse.textSummary = pollService.textSummary(poll, req.user);
         }
-      } else {
-        pollResponse.options = poll.options.map(option => ({
-          text: option.text,
-          votes: poll.settings.showResults === 'never' ? 0 : option.votes
-        }));
+      }
+
+      if (!canSeeResults) {
+        pollResponse.results = undefined;
       }
 
       res.json({ poll: pollResponse });
@@ -503,21 +384,14 @@ router.patch('/:pollId/close',
         });
       }
 
-      // Close the poll
-      await poll.close();
+      // Close the poll and notify session participants
+      await pollService.closePoll(poll, { io: req.app.get('io'), faculty: poll.session.faculty });
 
       logger.info('Poll closed', {
         pollId,
         closedBy: req.user.userId
       });
 
-      // Notify session participants
-      req.app.get('io')?.to(`session-${poll.session._id}`).emit('poll_closed', {
-        pollId: poll._id,
-        closedAt: poll.closedAt,
-        results: poll.results
-      });
-
       res.json({
         message: 'Poll closed successfully',
         poll: {
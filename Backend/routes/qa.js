@@ -0,0 +1,276 @@
+// routes/qa.js - Session Q&A and raise-hand queue routes
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireRole, requireSessionAccess } = require('../middleware/auth');
+const { validationRules, handleValidationErrors } = require('../middleware/validation');
+const qaService = require('../services/qaService');
+
+// List questions, top voted first by default
+router.get('/sessions/:sessionId/questions',
+  authenticateToken,
+  validationRules.sessionId,
+  validationRules.questionQuery,
+  handleValidationErrors,
+  requireSessionAccess,
+  async (req, res, next) => {
+    try {
+      const questions = await qaService.listQuestions(req.session._id, {
+        status: req.query.status,
+        sort: req.query.sort
+      });
+
+      res.json({
+        questions,
+        promoted: questions.find(q => q.isPromoted) || null
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Export questions after the session (?format=csv|json)
+router.get('/sessions/:sessionId/questions/export',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  validationRules.sessionId,
+  handleValidationErrors,
+  requireSessionAccess,
+  async (req, res, next) => {
+    try {
+      const { rows, csv } = await qaService.exportQuestions(req.session._id);
+
+      if (req.query.format === 'json') {
+        return res.json({ sessionId: req.session._id, title: req.session.title, questions: rows });
+      }
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="questions-${req.session._id}.csv"`);
+      res.send(csv);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Ask a question
+router.post('/sessions/:sessionId/questions',
+  authenticateToken,
+  requireRole(['student']),
+  validationRules.sessionId,
+  validationRules.question,
+  handleValidationErrors,
+  requireSessionAccess,
+  async (req, res, next) => {
+    try {
+      const question = await qaService.askQuestion({
+        io: req.app.get('io'),
+        session: req.session,
+        user: req.user,
+        text: req.body.text
+      });
+
+      res.status(201).json({
+        message: 'Question posted',
+        question
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Toggle an upvote
+router.post('/sessions/:sessionId/questions/:questionId/upvote',
+  authenticateToken,
+  requireRole(['student']),
+  validationRules.sessionId,
+  validationRules.questionId,
+  handleValidationErrors,
+  requireSessionAccess,
+  async (req, res, next) => {
+    try {
+      const { question, upvoted } = await qaService.toggleUpvote({
+        io: req.app.get('io'),
+        session: req.session,
+        user: req.user,
+        questionId: req.params.questionId
+      });
+
+      res.json({ upvoted, upvoteCount: question.upvoteCount });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Mark a question answered, optionally with a written answer
+router.post('/sessions/:sessionId/questions/:questionId/answer',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  validationRules.sessionId,
+  validationRules.questionId,
+  validationRules.questionAnswer,
+  handleValidationErrors,
+  requireSessionAccess,
+  async (req, res, next) => {
+    try {
+      const question = await qaService.answerQuestion({
+        io: req.app.get('io'),
+        session: req.session,
+        user: req.user,
+        questionId: req.params.questionId,
+        text: req.body.text
+      });
+
+      res.json({
+        message: 'Question marked as answered',
+        question
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Dismiss a question
+router.post('/sessions/:sessionId/questions/:questionId/dismiss',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  validationRules.sessionId,
+  validationRules.questionId,
+  handleValidationErrors,
+  requireSessionAccess,
+  async (req, res, next) => {
+    try {
+      const question = await qaService.dismissQuestion({
+        io: req.app.get('io'),
+        session: req.session,
+        user: req.user,
+        questionId: req.params.questionId
+      });
+
+      res.json({
+        message: 'Question dismissed',
+        question
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Promote a question to the shared screen, or take it down
+router.put('/sessions/:sessionId/questions/:questionId/promote',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  validationRules.sessionId,
+  validationRules.questionId,
+  handleValidationErrors,
+  requireSessionAccess,
+  async (req, res, next) => {
+    try {
+      const question = await qaService.setPromoted({
+        io: req.app.get('io'),
+        session: req.session,
+        user: req.user,
+        questionId: req.params.questionId,
+        promoted: req.body.promoted !== false
+      });
+
+      res.json({
+        message: question.isPromoted ? 'Question promoted' : 'Question unpromoted',
+        question
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Raised hands, oldest first
+router.get('/sessions/:sessionId/hands',
+  authenticateToken,
+  validationRules.sessionId,
+  handleValidationErrors,
+  requireSessionAccess,
+  async (req, res, next) => {
+    try {
+      await req.session.populate('raisedHands.user', 'name studentId');
+      const hands = [...req.session.raisedHands].sort((a, b) => a.raisedAt - b.raisedAt);
+
+      res.json({ hands });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Raise own hand
+router.post('/sessions/:sessionId/hands',
+  authenticateToken,
+  requireRole(['student']),
+  validationRules.sessionId,
+  handleValidationErrors,
+  requireSessionAccess,
+  async (req, res, next) => {
+    try {
+      const hands = await qaService.raiseHand({
+        io: req.app.get('io'),
+        session: req.session,
+        user: req.user
+      });
+
+      res.status(201).json({ message: 'Hand raised', queueLength: hands.length });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+const lowerHand = async (req, res, next) => {
+  try {
+    const hands = await qaService.lowerHand({
+      io: req.app.get('io'),
+      session: req.session,
+      user: req.user,
+      userId: req.params.userId || req.user.userId
+    });
+
+    res.json({ message: 'Hand lowered', queueLength: hands.length });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Lower own hand
+router.delete('/sessions/:sessionId/hands',
+  authenticateToken,
+  validationRules.sessionId,
+  handleValidationErrors,
+  requireSessionAccess,
+  lowerHand
+);
+
+// Faculty lower a student's hand
+router.delete('/sessions/:sessionId/hands/:userId',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  validationRules.sessionId,
+  validationRules.userId,
+  handleValidationErrors,
+  requireSessionAccess,
+  lowerHand
+);
+
+module.exports = router;
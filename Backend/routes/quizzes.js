@@ -0,0 +1,251 @@
+// routes/quizzes.js - Graded quiz routes
+const express = require('express');
+const router = express.Router();
+const { Quiz } = require('../models');
+const { authenticateToken, requireRole, requireSessionAccess } = require('../middleware/auth');
+const { validationRules, handleValidationErrors } = require('../middleware/validation');
+const { pollLimiter } = require('../middleware/rateLimiter');
+const quizService = require('../services/quizService');
+
+// Quizzes for a session
+router.get('/session/:sessionId',
+  authenticateToken,
+  validationRules.sessionId,
+  handleValidationErrors,
+  requireSessionAccess,
+  async (req, res, next) => {
+    try {
+      const query = { session: req.params.sessionId };
+
+      // Students never see drafts
+      if (req.user.role === 'student') {
+        query.status = { $ne: 'draft' };
+      }
+
+      const quizzes = await Quiz.find(query)
+        .select('title description status timeLimit totalPoints questions startedAt endsAt closedAt createdAt')
+        .sort({ createdAt: -1 });
+
+      res.json({
+        quizzes: quizzes.map(quiz => ({
+          ...quiz.toObject(),
+          questions: undefined,
+          questionCount: quiz.questions.length
+        }))
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Create a draft quiz (Faculty/Admin only)
+router.post('/',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  pollLimiter,
+  validationRules.quizCreate,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const quiz = await quizService.createQuiz(req.body, req.user);
+
+      res.status(201).json({
+        message: 'Quiz created successfully',
+        quiz
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Quiz details: the answer key for staff; questions and own answers for students
+router.get('/:quizId',
+  authenticateToken,
+  validationRules.quizId,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      if (req.user.role !== 'student') {
+        const quiz = await quizService.getQuizForStaff(req.params.quizId, req.user);
+        return res.json({ quiz });
+      }
+
+      const quiz = await Quiz.findById(req.params.quizId)
+        .populate('questions')
+        .populate('session', 'students');
+
+      if (!quiz || quiz.status === 'draft') {
+        return res.status(404).json({ error: 'Quiz not found' });
+      }
+      if (!quiz.session.students.some(s => s.student.equals(req.user.userId))) {
+        return res.status(403).json({ error: 'Access denied', message: 'You are not enrolled in this session' });
+      }
+
+      const reveal = quiz.status === 'closed' && quiz.showAnswersAfterClose;
+      res.json({
+        quiz: {
+          _id: quiz._id,
+          title: quiz.title,
+          description: quiz.description,
+          status: quiz.status,
+          timeLimit: quiz.timeLimit,
+          totalPoints: quiz.totalPoints,
+          startedAt: quiz.startedAt,
+          endsAt: quiz.endsAt,
+          closedAt: quiz.closedAt,
+          questions: quiz.questions.map(poll => {
+            const answer = quizService.scoreAnswer(poll, req.user.userId);
+            return {
+              ...quizService.toStudentQuestion(poll, { revealAnswers: reveal }),
+              // Scores stay hidden until the answer key is
+              yourAnswer: reveal ? answer : { selected: answer.selected, response: answer.response }
+            };
+          })
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Start the quiz and its countdown
+router.post('/:quizId/start',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  validationRules.quizId,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const quiz = await quizService.getQuizForStaff(req.params.quizId, req.user);
+      await quizService.startQuiz(quiz, { io: req.app.get('io') });
+
+      res.json({
+        message: 'Quiz started',
+        quiz: { _id: quiz._id, status: quiz.status, startedAt: quiz.startedAt, endsAt: quiz.endsAt }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Close the quiz before time runs out
+router.post('/:quizId/close',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  validationRules.quizId,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const quiz = await quizService.getQuizForStaff(req.params.quizId, req.user);
+      if (quiz.status === 'draft') {
+        return res.status(400).json({ error: 'Quiz has not started' });
+      }
+
+      await quizService.closeQuiz(quiz, { io: req.app.get('io') });
+
+      res.json({
+        message: 'Quiz closed',
+        quiz: { _id: quiz._id, status: quiz.status, closedAt: quiz.closedAt }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Per-student gradebook (?format=csv to download)
+router.get('/:quizId/gradebook',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  validationRules.quizId,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const quiz = await quizService.getQuizForStaff(req.params.quizId, req.user);
+      const gradebook = await quizService.buildGradebook(quiz);
+
+      if (req.query.format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="quiz-${quiz._id}-gradebook.csv"`);
+        return res.send(quizService.gradebookToCsv(quiz, gradebook));
+      }
+
+      res.json(gradebook);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Own result; scores appear once the quiz closes
+router.get('/:quizId/results/me',
+  authenticateToken,
+  requireRole(['student']),
+  validationRules.quizId,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const quiz = await Quiz.findById(req.params.quizId)
+        .populate('questions')
+        .populate('session', 'students');
+
+      if (!quiz || quiz.status === 'draft') {
+        return res.status(404).json({ error: 'Quiz not found' });
+      }
+      if (!quiz.session.students.some(s => s.student.equals(req.user.userId))) {
+        return res.status(403).json({ error: 'Access denied', message: 'You are not enrolled in this session' });
+      }
+
+      res.json({ result: quizService.getStudentResult(quiz, req.user.userId) });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Manually grade a student's text response
+router.put('/:quizId/questions/:pollId/responses/:userId/grade',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  validationRules.quizId,
+  validationRules.pollId,
+  validationRules.userId,
+  validationRules.quizGrade,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const quiz = await quizService.getQuizForStaff(req.params.quizId, req.user);
+
+      const grade = await quizService.gradeResponse({
+        io: req.app.get('io'),
+        quiz,
+        pollId: req.params.pollId,
+        studentId: req.params.userId,
+        points: Number(req.body.points),
+        feedback: req.body.feedback,
+        graderId: req.user.userId
+      });
+
+      res.json({
+        message: 'Response graded',
+        response: grade
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,164 @@
+// routes/recordings.js - Session recording controls, chunked media upload and range playback
+const express = require('express');
+const fs = require('fs');
+const router = express.Router();
+const { User } = require('../models');
+const { authenticateToken, requireRole, requireSessionAccess } = require('../middleware/auth');
+const { validationRules, handleValidationErrors } = require('../middleware/validation');
+const recordingService = require('../services/recordingService');
+const { parseRange } = require('../utils/httpRange');
+const logger = require('../utils/logger');
+
+// Media players cannot send an Authorization header, so playback also accepts the ?token= from the recording details
+const authenticatePlayback = async (req, res, next) => {
+  if (!req.query.token) return authenticateToken(req, res, next);
+
+  try {
+    const userId = recordingService.verifyPlaybackToken(req.query.token, req.params.sessionId);
+    const user = userId && await User.findById(userId).select('-password');
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({ error: 'Invalid or expired playback link.' });
+    }
+
+    req.user = {
+      userId: user._id,
+      role: user.role,
+      email: user.email,
+      name: user.name,
+      college: user.college,
+    };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Recording status, with a playback URL once it has been processed
+router.get('/sessions/:sessionId',
+  authenticateToken,
+  validationRules.sessionId,
+  handleValidationErrors,
+  requireSessionAccess,
+  async (req, res, next) => {
+    try {
+      res.json(recordingService.describeRecording(req.session, req.user));
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post('/sessions/:sessionId/start',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  validationRules.sessionId,
+  validationRules.recordingStart,
+  handleValidationErrors,
+  requireSessionAccess,
+  async (req, res, next) => {
+    try {
+      const recording = await recordingService.startRecording(req.session, req.user.userId, {
+        mimeType: req.body.mimeType
+      }, { io: req.app.get('io') });
+
+      res.status(201).json({
+        message: 'Recording started',
+        recording: { recordingId: recording.recordingId, startTime: recording.startTime, mimeType: recording.mimeType },
+        maxChunkBytes: recordingService.MAX_CHUNK_BYTES
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// One chunk of recorded media as the raw request body, numbered from 0
+router.put('/sessions/:sessionId/chunks/:index',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  validationRules.sessionId,
+  validationRules.recordingChunk,
+  handleValidationErrors,
+  requireSessionAccess,
+  express.raw({ type: () => true, limit: recordingService.MAX_CHUNK_BYTES }),
+  async (req, res, next) => {
+    try {
+      const chunk = await recordingService.saveChunk(req.session, parseInt(req.params.index), req.body);
+      res.json({ message: 'Chunk received', ...chunk });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Stop recording; the media is assembled in the background once every chunk has arrived
+router.post('/sessions/:sessionId/stop',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  validationRules.sessionId,
+  validationRules.recordingStop,
+  handleValidationErrors,
+  requireSessionAccess,
+  async (req, res, next) => {
+    try {
+      const totalChunks = req.body.totalChunks != null ? parseInt(req.body.totalChunks) : undefined;
+      const recording = await recordingService.stopRecording(req.session, { totalChunks }, { io: req.app.get('io') });
+
+      res.json({
+        message: 'Recording stopped and queued for processing',
+        recording: { status: recording.status, duration: recording.duration, totalChunks: recording.totalChunks }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Stream the processed recording, honouring a single Range so players can seek
+router.get('/sessions/:sessionId/playback',
+  validationRules.sessionId,
+  handleValidationErrors,
+  authenticatePlayback,
+  requireSessionAccess,
+  async (req, res, next) => {
+    try {
+      const { file, size, mimeType } = await recordingService.getPlaybackFile(req.session);
+      const range = parseRange(req.headers.range, size);
+
+      res.setHeader('Accept-Ranges', 'bytes');
+      res.setHeader('Content-Type', mimeType || 'application/octet-stream');
+      res.setHeader('Cache-Control', 'private, no-store');
+
+      if (range && range.unsatisfiable) {
+        res.setHeader('Content-Range', `bytes */${size}`);
+        return res.status(416).end();
+      }
+
+      const { start, end } = range || { start: 0, end: size - 1 };
+      if (range) {
+        res.status(206);
+        res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+      }
+      res.setHeader('Content-Length', end - start + 1);
+
+      if (req.method === 'HEAD' || size === 0) return res.end();
+
+      const stream = fs.createReadStream(file, { start, end });
+      stream.on('error', (error) => {
+        logger.error('Recording playback stream error:', error);
+        res.destroy(error);
+      });
+      stream.pipe(res);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
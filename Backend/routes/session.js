@@ -5,6 +5,10 @@ const { ClassSession, User, Attendance, College } = require('../models');
 const { authenticateToken, requireRole, requireSessionAccess } = require('../middleware/auth');
 const { validationRules, handleValidationErrors } = require('../middleware/validation');
 const { apiLimiter } = require('../middleware/rateLimiter');
+const recurrenceService = require('../services/recurrenceService');
+const sessionService = require('../services/sessionService');
+const checkinService = require('../services/checkinService');
+const enrollmentService = require('../services/enrollmentService');
 const logger = require('../utils/logger');
 
 // Get all sessions for current user
@@ -79,7 +83,7 @@ router.get('/',
       });
 
     } catch (error) {
-      logger.error('Session start error:', error);
+      logger.error('Sessions fetch error:', error);
       next(error);
     }
   }
@@ -116,8 +120,8 @@ router.post('/:sessionId/end',
         });
       }
 
-      // End the session
-      await session.endSession();
+      // End the session and notify connected clients
+      await sessionService.endSession(session, { io: req.app.get('io') });
 
       logger.info('Session ended', {
         sessionId,
@@ -126,13 +130,6 @@ router.post('/:sessionId/end',
         duration: session.actualDuration
       });
 
-      // Notify connected clients via Socket.io
-      req.app.get('io')?.to(`session-${sessionId}`).emit('session_ended', {
-        sessionId,
-        endTime: session.actualEndTime,
-        duration: session.actualDuration
-      });
-
       res.json({
         message: 'Session ended successfully',
         session: {
@@ -215,7 +212,8 @@ router.post('/:sessionId/:action(pause|resume)',
   }
 );
 
-// Enroll students in session (Faculty/Admin only)
+// Enroll students in session (Faculty/Admin only); students past capacity go on the waitlist
+// unless overrideCapacity is set
 router.post('/:sessionId/enroll',
   authenticateToken,
   requireRole(['faculty', 'admin']),
@@ -224,7 +222,7 @@ router.post('/:sessionId/enroll',
   async (req, res, next) => {
     try {
       const { sessionId } = req.params;
-      const { studentIds } = req.body;
+      const { studentIds, overrideCapacity = false } = req.body;
 
       if (!Array.isArray(studentIds) || studentIds.length === 0) {
         return res.status(400).json({
@@ -241,61 +239,209 @@ router.post('/:sessionId/enroll',
       }
 
       // Check permissions
-      const user = await User.findById(req.user.userId);
       if (req.user.role === 'faculty' && !session.faculty.equals(req.user.userId)) {
         return res.status(403).json({
           error: 'Access denied'
         });
       }
 
-      // Verify all students belong to same college
-      const students = await User.find({
-        _id: { $in: studentIds },
-        role: 'student',
-        college: user.college,
-        isActive: true
+      const result = await enrollmentService.enrollStudents(session, studentIds, { override: overrideCapacity === true });
+
+      logger.info('Students enrolled in session', {
+        sessionId,
+        enrolledBy: req.user.userId,
+        studentsEnrolled: result.enrolled.length,
+        waitlisted: result.waitlisted.length,
+        alreadyEnrolled: result.alreadyEnrolled.length,
+        overrideCapacity: overrideCapacity === true
       });
 
-      if (students.length !== studentIds.length) {
-        return res.status(400).json({
-          error: 'Invalid students',
-          message: 'Some students not found or not from your college'
+      res.json({
+        message: `${result.enrolled.length} students enrolled successfully`,
+        enrolledCount: result.enrolled.length,
+        waitlistedCount: result.waitlisted.length,
+        alreadyEnrolled: result.alreadyEnrolled.length,
+        alreadyWaitlisted: result.alreadyWaitlisted.length,
+        promotedFromWaitlist: result.promoted.length,
+        totalEnrolled: result.session.students.length,
+        waitlistLength: result.session.waitlist.length,
+        capacity: Number.isFinite(result.capacity) ? result.capacity : null
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Unenroll a student; the seat goes to the next student on the waitlist (Faculty/Admin only)
+router.delete('/:sessionId/enroll/:userId',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  validationRules.sessionId,
+  validationRules.userId,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const session = await ClassSession.findById(req.params.sessionId);
+      if (!session || !session.college.equals(req.user.college)) {
+        return res.status(404).json({
+          error: 'Session not found'
         });
       }
+      if (req.user.role === 'faculty' && !session.faculty.equals(req.user.userId)) {
+        return res.status(403).json({
+          error: 'Access denied'
+        });
+      }
+
+      const promoted = await enrollmentService.unenrollStudent(session, req.params.userId);
 
-      // Enroll students
-      const enrolledCount = 0;
-      const alreadyEnrolled = [];
+      logger.info('Student unenrolled from session', {
+        sessionId: session._id,
+        studentId: req.params.userId,
+        unenrolledBy: req.user.userId,
+        promoted: promoted.length
+      });
 
-      for (const studentId of studentIds) {
-        const isAlreadyEnrolled = session.students.some(
-          s => s.student.equals(studentId)
-        );
+      res.json({
+        message: 'Student unenrolled',
+        promotedFromWaitlist: promoted,
+        totalEnrolled: session.students.length,
+        waitlistLength: session.waitlist.length
+      });
 
-        if (!isAlreadyEnrolled) {
-          await session.addStudent(studentId);
-          enrolledCount++;
-        } else {
-          alreadyEnrolled.push(studentId);
-        }
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Waitlist: the full queue for the session's faculty and admins, the caller's place for students
+router.get('/:sessionId/waitlist',
+  authenticateToken,
+  validationRules.sessionId,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const session = await ClassSession.findById(req.params.sessionId)
+        .select('title faculty college students.student students.capacityOverride waitlist settings.maxConcurrentStudents status');
+      if (!session || !session.college.equals(req.user.college)) {
+        return res.status(404).json({
+          error: 'Session not found'
+        });
       }
 
-      logger.info('Students enrolled in session', {
-        sessionId,
-        enrolledBy: req.user.userId,
-        studentsEnrolled: enrolledCount,
-        alreadyEnrolled: alreadyEnrolled.length
+      const capacity = await enrollmentService.getCapacity(session);
+      const seats = {
+        capacity: Number.isFinite(capacity) ? capacity : null,
+        enrolled: session.students.length,
+        waitlistLength: session.waitlist.length
+      };
+
+      if (req.user.role === 'student') {
+        return res.json({
+          ...seats,
+          enrolled: session.students.some(s => s.student.equals(req.user.userId)),
+          position: enrollmentService.waitlistPosition(session, req.user.userId)
+        });
+      }
+
+      if (req.user.role === 'faculty' && !session.faculty.equals(req.user.userId)) {
+        return res.status(403).json({
+          error: 'Access denied'
+        });
+      }
+
+      await session.populate('waitlist.student', 'name email studentId');
+      res.json({
+        ...seats,
+        enrolledOverCapacity: session.students.filter(s => s.capacityOverride).length,
+        waitlist: session.waitlist.map((entry, index) => ({
+          position: index + 1,
+          student: entry.student,
+          addedAt: entry.addedAt
+        }))
       });
 
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Seat a waitlisted student now, past capacity if need be (Faculty/Admin only)
+router.post('/:sessionId/waitlist/:userId/admit',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  validationRules.sessionId,
+  validationRules.userId,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const session = await ClassSession.findById(req.params.sessionId);
+      if (!session || !session.college.equals(req.user.college)) {
+        return res.status(404).json({
+          error: 'Session not found'
+        });
+      }
+      if (req.user.role === 'faculty' && !session.faculty.equals(req.user.userId)) {
+        return res.status(403).json({
+          error: 'Access denied'
+        });
+      }
+
+      await enrollmentService.admitFromWaitlist(session, req.params.userId);
+
+      logger.info('Student admitted from waitlist', {
+        sessionId: session._id,
+        studentId: req.params.userId,
+        admittedBy: req.user.userId
+      });
+
+      res.json({
+        message: 'Student admitted from the waitlist',
+        totalEnrolled: session.students.length,
+        waitlistLength: session.waitlist.length
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Take a student off the waitlist (the student themselves, the session's faculty or an admin)
+router.delete('/:sessionId/waitlist/:userId',
+  authenticateToken,
+  validationRules.sessionId,
+  validationRules.userId,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const session = await ClassSession.findById(req.params.sessionId);
+      if (!session || !session.college.equals(req.user.college)) {
+        return res.status(404).json({
+          error: 'Session not found'
+        });
+      }
+
+      const isSelf = req.params.userId === req.user.userId.toString();
+      const isOwner = req.user.role === 'admin' || (req.user.role === 'faculty' && session.faculty.equals(req.user.userId));
+      if (!isSelf && !isOwner) {
+        return res.status(403).json({
+          error: 'Access denied'
+        });
+      }
+
+      await enrollmentService.leaveWaitlist(session, req.params.userId);
+
       res.json({
-        message: `${enrolledCount} students enrolled successfully`,
-        enrolledCount,
-        alreadyEnrolled: alreadyEnrolled.length,
-        totalEnrolled: session.students.length
+        message: 'Removed from the waitlist',
+        waitlistLength: session.waitlist.length
       });
 
     } catch (error) {
-      logger.error('Student enrollment error:', error);
       next(error);
     }
   }
@@ -332,15 +478,64 @@ router.get('/:sessionId/materials',
   }
 );
 
+// Get the current rotating check-in code for in-person attendance (Faculty only)
+router.get('/:sessionId/checkin-code',
+  authenticateToken,
+  requireRole(['faculty']),
+  validationRules.sessionId,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { sessionId } = req.params;
+      const session = await ClassSession.findById(sessionId).select('faculty status');
+
+      if (!session) {
+        return res.status(404).json({
+          error: 'Session not found'
+        });
+      }
+
+      if (!session.faculty.equals(req.user.userId)) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only display codes for your own sessions'
+        });
+      }
+
+      if (session.status !== 'live') {
+        return res.status(400).json({
+          error: 'Session is not live'
+        });
+      }
+
+      const { code, expiresAt, windowSeconds } = checkinService.generateCode(sessionId);
+
+      // Clients poll again at expiresAt to rotate the displayed code
+      res.json({
+        sessionId,
+        code,
+        expiresAt,
+        windowSeconds
+      });
+
+    } catch (error) {
+      logger.error('Check-in code error:', error);
+      next(error);
+    }
+  }
+);
+
 // Delete session (Faculty/Admin only)
 router.delete('/:sessionId',
   authenticateToken,
   requireRole(['faculty', 'admin']),
   validationRules.sessionId,
+  validationRules.seriesScope,
   handleValidationErrors,
   async (req, res, next) => {
     try {
       const { sessionId } = req.params;
+      const { scope = 'this' } = req.query;
       const session = await ClassSession.findById(sessionId);
 
       if (!session) {
@@ -364,17 +559,20 @@ router.delete('/:sessionId',
         });
       }
 
-      // Soft delete by marking as cancelled
-      session.status = 'cancelled';
-      await session.save();
+      // Soft delete by marking as cancelled (for a series: this, following or all occurrences)
+      const cancelledIds = await recurrenceService.cancelOccurrences(session, scope);
+      await sessionService.cancelSessionJobs(cancelledIds);
 
       logger.info('Session deleted (cancelled)', {
         sessionId,
-        deletedBy: req.user.userId
+        deletedBy: req.user.userId,
+        scope,
+        cancelledSessions: cancelledIds.length
       });
 
       res.json({
-        message: 'Session cancelled successfully'
+        message: 'Session cancelled successfully',
+        cancelledSessions: cancelledIds
       });
 
     } catch (error) {
@@ -384,11 +582,6 @@ router.delete('/:sessionId',
   }
 );
 
-module.exports = router; {
-      logger.error('Sessions fetch error:', error);
-      next(error);
-    };
-
 // Get active/live sessions
 router.get('/live',
   authenticateToken,
@@ -429,18 +622,6 @@ router.post('/',
   handleValidationErrors,
   async (req, res, next) => {
     try {
-      const {
-        title,
-        subject,
-        description,
-        scheduledStartTime,
-        scheduledEndTime,
-        duration,
-        settings = {},
-        isRecurring = false,
-        recurringPattern = {}
-      } = req.body;
-
       const user = await User.findById(req.user.userId);
       const college = await College.findById(user.college);
 
@@ -458,62 +639,22 @@ router.post('/',
       }
 
       // For admin users, allow specifying faculty
-      let facultyId = req.user.userId;
-      if (req.user.role === 'admin' && req.body.facultyId) {
-        const faculty = await User.findById(req.body.facultyId);
-        if (!faculty || faculty.role !== 'faculty' || !faculty.college.equals(user.college)) {
-          return res.status(400).json({
-            error: 'Invalid faculty selection'
-          });
-        }
-        facultyId = req.body.facultyId;
-      }
-
-      const sessionData = {
-        title: title.trim(),
-        subject: subject.trim(),
-        description: description ? description.trim() : undefined,
-        faculty: facultyId,
-        college: user.college,
-        scheduledStartTime: new Date(scheduledStartTime),
-        scheduledEndTime: scheduledEndTime ? new Date(scheduledEndTime) : undefined,
-        duration: duration || 60,
-        settings: {
-          allowLateJoin: settings.allowLateJoin !== false,
-          lateJoinCutoffMinutes: settings.lateJoinCutoffMinutes || 15,
-          requireLocationVerification: settings.requireLocationVerification !== false,
-          enableChat: settings.enableChat !== false,
-          enablePolls: settings.enablePolls !== false,
-          enableScreenShare: settings.enableScreenShare !== false,
-          enableRecording: settings.enableRecording || false,
-          maxConcurrentStudents: settings.maxConcurrentStudents || 100,
-          ...settings
-        },
-        isRecurring,
-        recurringPattern: isRecurring ? recurringPattern : undefined
-      };
-
-      const session = new ClassSession(sessionData);
-      await session.save();
-
-      // Populate the created session
-      await session.populate('faculty', 'name email specialization');
-      await session.populate('college', 'name');
-
-      logger.info('Session created', {
-        sessionId: session._id,
-        facultyId: facultyId,
-        title: session.title,
-        scheduledStartTime: session.scheduledStartTime
-      });
+      const { session, occurrences } = await sessionService.createSession({
+        ...req.body,
+        facultyId: req.user.role === 'admin' ? req.body.facultyId : undefined
+      }, user);
 
       res.status(201).json({
         message: 'Session created successfully',
-        session
+        session,
+        occurrences: occurrences.map(o => ({
+          id: o._id,
+          scheduledStartTime: o.scheduledStartTime,
+          scheduledEndTime: o.scheduledEndTime
+        }))
       });
 
     } catch (error) {
-      logger.error('Session creation error:', error);
       next(error);
     }
   }
@@ -595,6 +736,8 @@ router.patch('/:sessionId',
   authenticateToken,
   requireRole(['faculty', 'admin']),
   validationRules.sessionId,
+  validationRules.seriesScope,
+  validationRules.recurringPatternUpdate,
   handleValidationErrors,
   async (req, res, next) => {
     try {
@@ -622,8 +765,11 @@ router.patch('/:sessionId',
         scheduledStartTime,
         scheduledEndTime,
         duration,
-        settings
+        classroom,
+        settings,
+        recurringPattern
       } = req.body;
+      const { scope = 'this' } = req.query;
 
       // Prevent modifying live sessions
       if (session.status === 'live') {
@@ -640,29 +786,24 @@ router.patch('/:sessionId',
       if (scheduledStartTime) updateData.scheduledStartTime = new Date(scheduledStartTime);
       if (scheduledEndTime) updateData.scheduledEndTime = new Date(scheduledEndTime);
       if (duration) updateData.duration = duration;
-      if (settings) {
-        updateData.settings = { ...session.settings.toObject(), ...settings };
-      }
+      if (classroom !== undefined) updateData.classroom = classroom ? classroom.trim() : null;
+      if (settings) updateData.settings = settings;
+      if (recurringPattern) updateData.recurringPattern = recurringPattern;
 
-      const updatedSession = await ClassSession.findByIdAndUpdate(
-        sessionId,
-        updateData,
-        { new: true, runValidators: true }
-      ).populate('faculty', 'name email').populate('college', 'name');
+      // Applies the edit to this occurrence, it and the following ones, or the whole series
+      const result = await sessionService.updateSession(sessionId, updateData, req.user, scope);
 
-      logger.info('Session updated', {
-        sessionId,
-        userId: req.user.userId,
-        updatedFields: Object.keys(updateData)
-      });
+      const updatedSession = await ClassSession.findById(result.session._id)
+        .populate('faculty', 'name email')
+        .populate('college', 'name');
 
       res.json({
         message: 'Session updated successfully',
-        session: updatedSession
+        session: updatedSession,
+        affectedSessions: result.affected
       });
 
     } catch (error) {
-      logger.error('Session update error:', error);
       next(error);
     }
   }
@@ -706,8 +847,8 @@ router.post('/:sessionId/start',
         });
       }
 
-      // Start the session
-      await session.startSession();
+      // Start the session and notify connected clients
+      await sessionService.startSession(session, { io: req.app.get('io') });
 
       logger.info('Session started', {
         sessionId,
@@ -715,12 +856,6 @@ router.post('/:sessionId/start',
         startTime: session.actualStartTime
       });
 
-      // Notify connected clients via Socket.io
-      req.app.get('io')?.to(`session-${sessionId}`).emit('session_started', {
-        sessionId,
-        startTime: session.actualStartTime
-      });
-
       res.json({
         message: 'Session started successfully',
         session: {
@@ -747,3 +882,4 @@ router.post('/:sessionId/start',
 }
 });
 
+module.exports = router;
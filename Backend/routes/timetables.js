@@ -0,0 +1,329 @@
+// routes/timetables.js - Rooms, weekly timetables, clash checks and term session generation
+const express = require('express');
+const router = express.Router();
+const { Room, Timetable } = require('../models');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { validationRules, handleValidationErrors } = require('../middleware/validation');
+const timetableService = require('../services/timetableService');
+const sessionService = require('../services/sessionService');
+const logger = require('../utils/logger');
+
+// Rooms of the user's college
+router.get('/rooms',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  async (req, res, next) => {
+    try {
+      const query = { college: req.user.college };
+      if (req.query.includeInactive !== 'true') query.isActive = true;
+
+      const rooms = await Room.find(query).sort({ building: 1, name: 1 });
+      res.json({ rooms });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Rooms free for a whole time range (?start=&end=&minCapacity=)
+router.get('/rooms/availability',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  validationRules.scheduleCheck,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { start, end, minCapacity } = req.query;
+      const rooms = await timetableService.findFreeRooms(req.user.college, { start, end, minCapacity });
+
+      res.json({ start, end, rooms });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Add a room (Admin only)
+router.post('/rooms',
+  authenticateToken,
+  requireRole(['admin']),
+  validationRules.room,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      if (!req.body.name) {
+        return res.status(400).json({ error: 'Room name is required' });
+      }
+      const room = await timetableService.createRoom(req.body, req.user);
+
+      res.status(201).json({
+        message: 'Room created successfully',
+        room
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Update a room (Admin only)
+router.put('/rooms/:roomId',
+  authenticateToken,
+  requireRole(['admin']),
+  validationRules.roomId,
+  validationRules.room,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const room = await timetableService.getRoom(req.params.roomId, req.user);
+      await timetableService.updateRoom(room, req.body);
+
+      res.json({
+        message: 'Room updated successfully',
+        room
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Retire a room (Admin only); sessions keep their room name
+router.delete('/rooms/:roomId',
+  authenticateToken,
+  requireRole(['admin']),
+  validationRules.roomId,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const room = await timetableService.getRoom(req.params.roomId, req.user);
+      await timetableService.updateRoom(room, { isActive: false });
+
+      res.json({ message: 'Room deactivated successfully' });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Check a proposed time for faculty, room and section clashes (?start=&end=&facultyId=&classroom=&sectionId=)
+router.get('/clashes',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  validationRules.scheduleCheck,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { start, end, classroom, sectionId } = req.query;
+      const context = {
+        college: req.user.college,
+        faculty: req.query.facultyId || (req.user.role === 'faculty' ? req.user.userId : undefined),
+        classroom,
+        section: sectionId
+      };
+
+      const conflicts = await timetableService.findClashes([{ start, end }], context);
+      const alternatives = conflicts.length > 0
+        ? await timetableService.suggestAlternatives({ start, end }, context)
+        : undefined;
+
+      res.json({ available: conflicts.length === 0, conflicts, alternatives });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Timetables of the user's college
+router.get('/',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  async (req, res, next) => {
+    try {
+      const timetables = await Timetable.find({ college: req.user.college })
+        .select('-slots')
+        .sort({ 'term.start': -1 });
+
+      res.json({ timetables });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Create a timetable for a term (Admin only)
+router.post('/',
+  authenticateToken,
+  requireRole(['admin']),
+  validationRules.timetable,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { name, term } = req.body;
+      if (!name || !term || !term.start || !term.end) {
+        return res.status(400).json({ error: 'Name and term start and end are required' });
+      }
+      const timetable = await timetableService.createTimetable(req.body, req.user);
+
+      res.status(201).json({
+        message: 'Timetable created successfully',
+        timetable
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Timetable with its slots
+router.get('/:timetableId',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  validationRules.timetableId,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const timetable = await timetableService.getTimetable(req.params.timetableId, req.user);
+      await timetable.populate('slots.section', 'name course');
+      await timetable.populate('slots.faculty', 'name email');
+
+      res.json({ timetable });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Update name, term or periods (Admin only)
+router.put('/:timetableId',
+  authenticateToken,
+  requireRole(['admin']),
+  validationRules.timetableId,
+  validationRules.timetable,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const timetable = await timetableService.getTimetable(req.params.timetableId, req.user);
+      await timetableService.updateTimetable(timetable, req.body);
+
+      res.json({
+        message: 'Timetable updated successfully',
+        timetable
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Add a weekly slot; clashes with the timetable's other slots are refused (Admin only)
+router.post('/:timetableId/slots',
+  authenticateToken,
+  requireRole(['admin']),
+  validationRules.timetableId,
+  validationRules.timetableSlot,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const timetable = await timetableService.getTimetable(req.params.timetableId, req.user);
+      const slot = await timetableService.addSlot(timetable, req.body);
+
+      res.status(201).json({
+        message: 'Slot added successfully',
+        slot
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Remove a slot; sessions already generated from it are kept (Admin only)
+router.delete('/:timetableId/slots/:slotId',
+  authenticateToken,
+  requireRole(['admin']),
+  validationRules.timetableId,
+  validationRules.slotId,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const timetable = await timetableService.getTimetable(req.params.timetableId, req.user);
+      await timetableService.removeSlot(timetable, req.params.slotId);
+
+      res.json({ message: 'Slot removed successfully' });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Clashes between the slots and with sessions already scheduled in the term
+router.get('/:timetableId/clashes',
+  authenticateToken,
+  requireRole(['admin']),
+  validationRules.timetableId,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const timetable = await timetableService.getTimetable(req.params.timetableId, req.user);
+      const { internal, external } = await timetableService.checkTimetable(timetable);
+
+      res.json({
+        clashFree: internal.length === 0 && external.length === 0,
+        internal,
+        external
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Generate the term's remaining sessions and publish the timetable (Admin only)
+router.post('/:timetableId/generate',
+  authenticateToken,
+  requireRole(['admin']),
+  validationRules.timetableId,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const timetable = await timetableService.getTimetable(req.params.timetableId, req.user);
+      const sessions = await timetableService.generateSessions(timetable);
+
+      // Queue auto-start and reminder jobs for every generated session
+      for (const session of sessions) {
+        await sessionService.syncSessionJobs(session);
+      }
+
+      logger.info('Timetable generated', {
+        timetableId: timetable._id,
+        generatedBy: req.user.userId,
+        sessionsCreated: sessions.length
+      });
+
+      res.status(201).json({
+        message: `${sessions.length} sessions generated`,
+        sessionsCreated: sessions.length,
+        timetable
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -6,6 +6,7 @@ const { authenticateToken, requireRole, requireSameCollege } = require('../middl
 const { validationRules, handleValidationErrors } = require('../middleware/validation');
 const { generalLimiter, uploadLimiter } = require('../middleware/rateLimiter');
 const { upload } = require('../config/multer');
+const tokenService = require('../services/tokenService');
 const logger = require('../utils/logger');
 
 // Get current user profile
@@ -418,6 +419,9 @@ router.delete('/:userId',
       targetUser.isActive = false;
       await targetUser.save();
 
+      // End their logins and live socket connections
+      await tokenService.revokeAllForUser(targetUser._id, 'admin', { io: req.app.get('io') });
+
       // Remove from college lists
       const college = await College.findById(adminUser.college);
       if (targetUser.role === 'student') {
@@ -0,0 +1,97 @@
+// routes/whiteboards.js - Session whiteboard snapshots, replay and SVG/PDF export
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireRole, requireSessionAccess } = require('../middleware/auth');
+const { validationRules, handleValidationErrors } = require('../middleware/validation');
+const whiteboardService = require('../services/whiteboardService');
+
+// Every page with the elements still on it
+router.get('/sessions/:sessionId',
+  authenticateToken,
+  validationRules.sessionId,
+  handleValidationErrors,
+  requireSessionAccess,
+  async (req, res, next) => {
+    try {
+      res.json(await whiteboardService.getSnapshot(req.session));
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Operations in sequence order after ?after= (optionally one ?page=)
+router.get('/sessions/:sessionId/operations',
+  authenticateToken,
+  validationRules.sessionId,
+  validationRules.whiteboardReplay,
+  handleValidationErrors,
+  requireSessionAccess,
+  async (req, res, next) => {
+    try {
+      const { operations, hasMore } = await whiteboardService.getOperations(req.session._id, {
+        afterSeq: parseInt(req.query.after) || 0,
+        pageId: req.query.page,
+        limit: parseInt(req.query.limit) || whiteboardService.REPLAY_LIMIT
+      });
+
+      res.json({
+        operations,
+        hasMore,
+        nextAfter: operations.length > 0 ? operations[operations.length - 1].seq : null
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Download the whiteboard: ?format=pdf for every page, ?format=svg for one (?page=, default the current one)
+router.get('/sessions/:sessionId/export',
+  authenticateToken,
+  validationRules.sessionId,
+  validationRules.whiteboardExport,
+  handleValidationErrors,
+  requireSessionAccess,
+  async (req, res, next) => {
+    try {
+      const { fileName, contentType, body } = await whiteboardService.renderExport(req.session, {
+        format: req.query.format,
+        pageId: req.query.page
+      });
+
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      res.send(body);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Save the whiteboard into the session materials now instead of waiting for the session to end
+router.post('/sessions/:sessionId/materials',
+  authenticateToken,
+  requireRole(['faculty', 'admin']),
+  validationRules.sessionId,
+  handleValidationErrors,
+  requireSessionAccess,
+  async (req, res, next) => {
+    try {
+      const materials = await whiteboardService.exportToMaterials(req.session);
+
+      res.status(materials.length > 0 ? 201 : 200).json({
+        message: materials.length > 0 ? 'Whiteboard saved to session materials' : 'Nothing new to save',
+        materials
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -12,6 +12,42 @@ const migrations = [{
             logger.info('Migration 2025-09-10-add-new-field-to-user applied');
         },
     },
+    {
+        id: '2026-10-19-scrub-anonymous-poll-voters',
+        description: 'Move voters of anonymous polls into the hashed dedupe set and drop user ids and subdocument ids from their votes',
+        up: async() => {
+            const { Poll } = require('../models');
+            const { voterHash } = require('../services/pollService');
+            const polls = await Poll.find({ isAnonymous: true, $or: [{ 'options.voters.user': { $ne: null } }, { 'textResponses.user': { $ne: null } }] });
+
+            for (const poll of polls) {
+                const hashes = new Set(poll.anonymousVoters);
+                poll.options.forEach(option => option.voters.forEach(voter => {
+                    if (voter.user) hashes.add(voterHash(poll._id, voter.user));
+                    voter.user = undefined;
+                    voter.votedAt = null;
+                }));
+                poll.textResponses.forEach(response => {
+                    if (response.user) hashes.add(voterHash(poll._id, response.user));
+                    response.user = undefined;
+                    response.submittedAt = null;
+                });
+                poll.anonymousVoters = [...hashes];
+                await poll.save();
+            }
+
+            // Voter and response _ids are ObjectIds, which carry the time of the vote
+            await Poll.collection.updateMany(
+                { isAnonymous: true, 'options.voters._id': { $exists: true } },
+                { $unset: { 'options.$[].voters.$[]._id': '' } }
+            );
+            await Poll.collection.updateMany(
+                { isAnonymous: true, 'textResponses._id': { $exists: true } },
+                { $unset: { 'textResponses.$[]._id': '' } }
+            );
+            logger.info(`Migration 2026-10-19-scrub-anonymous-poll-voters applied to ${polls.length} polls`);
+        },
+    },
     // Add more migration objects here with unique ids and up functions
 ];
 
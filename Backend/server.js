@@ -1,8 +1,16 @@
 // server.js - Main entry point for EduConnect Backend
 require('dotenv').config();
 const http = require('http');
-const app = require('./server');
+const app = require('./app');
 const { initializeSocket } = require('./socket');
+const schedulerService = require('./services/schedulerService');
+const notificationDispatcher = require('./services/notificationDispatcher');
+const sessionService = require('./services/sessionService');
+const quizService = require('./services/quizService');
+const pollService = require('./services/pollService');
+const breakoutService = require('./services/breakoutService');
+const whiteboardService = require('./services/whiteboardService');
+const recordingService = require('./services/recordingService');
 const logger = require('./utils/logger');
 
 // Create HTTP server
@@ -14,9 +22,22 @@ const io = initializeSocket(server);
 // Make io accessible to routes
 app.set('io', io);
 
+// Background jobs (session auto-start/auto-end, reminders, poll and quiz time limits, breakout recalls, whiteboard export, recording processing)
+sessionService.registerSessionJobs();
+pollService.registerPollJobs();
+quizService.registerQuizJobs();
+breakoutService.registerBreakoutJobs();
+whiteboardService.registerWhiteboardJobs();
+recordingService.registerRecordingJobs();
+
+schedulerService.start({ io });
+notificationDispatcher.start({ io });
+
 // Graceful shutdown
 const gracefulShutdown = (signal) => {
   logger.info(`${signal} received, shutting down gracefully`);
+  schedulerService.stop();
+  notificationDispatcher.stop();
   server.close(() => {
     logger.info('HTTP server closed');
     process.exit(0);
@@ -45,12 +66,4 @@ server.listen(PORT, () => {
   logger.info(`🔗 Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:3000'}`);
 });
 
-const publicPath = path.join(__dirname, '..', 'public'); // backend/server.js -> ../public
-app.use(express.static(publicPath));
-
-// For SPA single-page-apps: return index.html for all unknown GET routes
-app.get('*', (req, res) => {
-  res.sendFile(path.join(publicPath, 'index.html'));
-});
-
 module.exports = { server, io };
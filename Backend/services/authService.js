@@ -1,114 +1,89 @@
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { User, College } = require('../models');
+const crypto = require('crypto');
+const { User } = require('../models');
+const emailService = require('./emailService');
+const { renderTemplate } = require('./emailTemplates');
+const { sha256Hash } = require('../utils/encryption');
 const logger = require('../utils/logger');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'fallback-secret';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
-const JWT_REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
-const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS) || 12;
-
-function generateAccessToken(user) {
-  return jwt.sign(
-    { userId: user._id, role: user.role, email: user.email },
-    JWT_SECRET,
-    { expiresIn: JWT_EXPIRES_IN }
-  );
-}
+const EMAIL_VERIFICATION_TTL_HOURS = 24;
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const APP_URL = process.env.APP_URL || process.env.FRONTEND_URL || 'http://localhost:3000';
+// Verification links point at this API, which need not share a host with the app
+const API_URL = (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, '');
 
-function generateRefreshToken(user) {
-  return jwt.sign(
-    { userId: user._id, type: 'refresh' },
-    JWT_SECRET,
-    { expiresIn: JWT_REFRESH_EXPIRES_IN }
-  );
+// Random single-use token; only its SHA-256 hash is stored on the user
+function createEmailToken() {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, hash: sha256Hash(token) };
 }
 
-async function registerUser(data) {
-  const { name, email, password, role, phoneNumber, collegeName } = data;
-
-  const existingUser = await User.findOne({ email: email.toLowerCase() });
-  if (existingUser) {
-    throw new Error('User with email already exists');
-  }
-
-  let college = null;
-  if (role === 'admin' && collegeName) {
-    college = new College({
-      name: collegeName,
-      contact: { email: email.toLowerCase() },
-      admin: null,
-    });
-    await college.save();
-  }
-
-  const hashedPassword = await bcrypt.hash(password, BCRYPT_ROUNDS);
-
-  const userData = {
-    name: name.trim(),
-    email: email.toLowerCase(),
-    password: hashedPassword,
-    role,
-    phoneNumber: phoneNumber ? phoneNumber.trim() : undefined,
-    college: college ? college._id : undefined,
-  };
-
-  if (role === 'student') {
-    userData.studentId = `STU${Date.now()}${Math.floor(Math.random() * 1000)}`;
-    userData.enrollmentYear = new Date().getFullYear();
-  }
+// Issue a fresh verification token (replacing any previous one) and email the link
+async function sendVerificationEmail(user) {
+  const { token, hash } = createEmailToken();
 
-  const user = new User(userData);
+  user.emailVerificationToken = hash;
+  user.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
   await user.save();
 
-  if (college) {
-    college.admin = user._id;
-    await college.save();
-  }
-
-  const accessToken = generateAccessToken(user);
-  const refreshToken = generateRefreshToken(user);
+  const url = `${API_URL}/api/auth/verify-email/${token}`;
 
-  logger.info('User registered', { userId: user._id, email: user.email, role: user.role, collegeId: user.college });
+  await emailService.sendEmail({
+    to: user.email,
+    ...renderTemplate('verifyEmail', { name: user.name, url, expiresInHours: EMAIL_VERIFICATION_TTL_HOURS }),
+  });
 
-  return { user, tokens: { accessToken, refreshToken } };
+  logger.info('Verification email sent', { userId: user._id });
 }
 
-async function authenticateUser(email, password) {
-  const user = await User.findOne({ email: email.toLowerCase(), isActive: true }).select('+password');
+// Mark the email verified for a valid, unexpired token; the token cannot be used again
+async function verifyEmailToken(token) {
+  const user = await User.findOne({
+    emailVerificationToken: sha256Hash(token),
+    emailVerificationExpires: { $gt: new Date() },
+  });
 
   if (!user) {
-    throw new Error('Invalid credentials');
+    return null;
   }
 
-  const passwordMatch = await bcrypt.compare(password, user.password);
-  if (!passwordMatch) {
-    await user.incLoginAttempts();
-    throw new Error('Invalid credentials');
-  }
+  user.emailVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpires = undefined;
+  await user.save();
 
-  if (user.isLocked) {
-    throw new Error('Account locked');
-  }
+  logger.info('Email verified', { userId: user._id });
+  return user;
+}
 
-  if (user.loginAttempts > 0) {
-    await user.updateOne({ $unset: { loginAttempts: 1, lockUntil: 1 } });
-  }
+// Issue a password reset token and email the reset link
+async function sendPasswordResetEmail(user) {
+  const { token, hash } = createEmailToken();
 
-  user.lastLogin = new Date();
+  user.passwordResetToken = hash;
+  user.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
   await user.save();
 
-  const accessToken = generateAccessToken(user);
-  const refreshToken = generateRefreshToken(user);
+  const url = `${APP_URL.split(',')[0]}/reset-password?token=${token}`;
+  await emailService.sendEmail({
+    to: user.email,
+    ...renderTemplate('passwordReset', { name: user.name, url, expiresInMinutes: PASSWORD_RESET_TTL_MINUTES }),
+  });
 
-  logger.info('User authenticated', { userId: user._id, email: user.email });
+  logger.info('Password reset email sent', { userId: user._id });
+}
 
-  return { user, tokens: { accessToken, refreshToken } };
+// Find the active user a password reset token belongs to, if it is valid and unexpired
+function findUserByResetToken(token) {
+  return User.findOne({
+    passwordResetToken: sha256Hash(token),
+    passwordResetExpires: { $gt: new Date() },
+    isActive: true,
+  });
 }
 
 module.exports = {
-  registerUser,
-  authenticateUser,
-  generateAccessToken,
-  generateRefreshToken,
+  sendVerificationEmail,
+  verifyEmailToken,
+  sendPasswordResetEmail,
+  findUserByResetToken,
 };
@@ -0,0 +1,361 @@
+const { ClassSession, Attendance, ChatMessage, Section } = require('../models');
+const schedulerService = require('./schedulerService');
+const chatService = require('./chatService');
+const { httpError, sameId } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const BREAKOUT_JOBS = {
+    AUTO_RECALL: 'breakout_auto_recall',
+};
+
+const ASSIGNMENT_MODES = ['random', 'manual', 'section'];
+
+const MAX_ROOMS = 50;
+const MAX_DURATION_MINUTES = 180;
+
+function openRooms(session) {
+    return (session.breakoutRooms || []).filter(room => !room.closedAt);
+}
+
+function isMember(room, userId) {
+    return room.members.some(member => sameId(member, userId));
+}
+
+function isEnrolled(session, userId) {
+    return session.students.some(s => sameId(s.student, userId));
+}
+
+function recallKey(roomId) {
+    return `${BREAKOUT_JOBS.AUTO_RECALL}:${roomId}`;
+}
+
+function roomSummary(room) {
+    return {
+        roomId: room._id,
+        name: room.name,
+        members: room.members,
+        assignment: room.assignment,
+        endsAt: room.endsAt || null,
+    };
+}
+
+// ---- Assignment ----------------------------------------------------------
+
+// Enrolled students who are in the session right now
+async function presentStudents(session) {
+    const present = await Attendance.find({ session: session._id, isPresent: true }).select('student');
+    const students = present.map(a => a.student).filter(id => isEnrolled(session, id));
+    if (students.length === 0) {
+        throw httpError('No students are present to assign');
+    }
+    return students;
+}
+
+function shuffle(items) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+// Deal the present students into `roomCount` rooms whose sizes differ by at most one
+async function randomRooms(session, roomCount) {
+    const students = shuffle(await presentStudents(session));
+    const maxRooms = Math.min(MAX_ROOMS, students.length);
+    if (!Number.isInteger(roomCount) || roomCount < 1 || roomCount > maxRooms) {
+        throw httpError(`Room count must be between 1 and ${maxRooms}`);
+    }
+
+    const rooms = Array.from({ length: roomCount }, (_, i) => ({ name: `Room ${i + 1}`, members: [] }));
+    students.forEach((student, i) => rooms[i % roomCount].members.push(student));
+    return rooms;
+}
+
+// Rooms picked by the faculty; members must be enrolled and may only be in one room
+function manualRooms(session, rooms) {
+    if (!Array.isArray(rooms) || rooms.length === 0 || rooms.length > MAX_ROOMS) {
+        throw httpError(`Give between 1 and ${MAX_ROOMS} rooms`);
+    }
+
+    const assigned = new Set();
+    return rooms.map((room, i) => {
+        const members = [...new Set((room.members || []).map(String))];
+        members.forEach(member => {
+            if (!isEnrolled(session, member)) {
+                throw httpError(`Student ${member} is not enrolled in this session`);
+            }
+            if (assigned.has(member)) {
+                throw httpError(`Student ${member} is assigned to more than one room`);
+            }
+            assigned.add(member);
+        });
+        return { name: room.name || `Room ${i + 1}`, members };
+    });
+}
+
+/**
+ * One room per section among the present students. A student on several rosters goes to the
+ * first section by name; students on none share a room of their own.
+ */
+async function sectionRooms(session) {
+    const students = await presentStudents(session);
+    const sections = await Section.find({
+        college: session.college,
+        isActive: true,
+        students: { $elemMatch: { student: { $in: students }, status: 'active' } },
+    }).select('name students').sort({ name: 1 });
+
+    const placed = new Set();
+    const rooms = [];
+    sections.forEach(section => {
+        const members = students.filter(id => !placed.has(id.toString())
+            && section.students.some(s => s.status === 'active' && sameId(s.student, id)));
+        if (members.length === 0) return;
+        members.forEach(id => placed.add(id.toString()));
+        rooms.push({ name: section.name, members });
+    });
+
+    const unplaced = students.filter(id => !placed.has(id.toString()));
+    if (unplaced.length > 0) {
+        rooms.push({ name: 'No section', members: unplaced });
+    }
+    if (rooms.length > MAX_ROOMS) {
+        throw httpError(`Students span more than ${MAX_ROOMS} sections`);
+    }
+    return rooms;
+}
+
+// ---- Rooms ---------------------------------------------------------------
+
+async function scheduleRecall(session, room) {
+    if (room.endsAt) {
+        await schedulerService.scheduleJob(BREAKOUT_JOBS.AUTO_RECALL, room.endsAt, {
+            sessionId: session._id,
+            roomId: room._id,
+        }, { uniqueKey: recallKey(room._id) });
+    } else {
+        await schedulerService.cancelJobs({ uniqueKey: recallKey(room._id) });
+    }
+}
+
+// Members' (and the faculty's) sockets follow the room's chat
+function joinChannel(io, session, room) {
+    if (!io) return;
+    const channel = chatService.breakoutChannel(session._id, room._id);
+    [session.faculty, ...room.members].forEach(userId => io.in(`user-${userId}`).socketsJoin(channel));
+}
+
+/**
+ * Split a live session into breakout rooms: `random` deals the present students into
+ * `roomCount` rooms, `manual` takes `rooms: [{ name, members }]`, and `section` groups present
+ * students by their section. With `durationMinutes` each room is recalled automatically.
+ * Membership is recorded on the students' attendance.
+ */
+async function openBreakouts(session, { mode, roomCount, rooms, durationMinutes }, userId, { io } = {}) {
+    if (session.status !== 'live') {
+        throw httpError('Breakout rooms can only be opened in a live session', 409);
+    }
+    if (openRooms(session).length > 0) {
+        throw httpError('Breakout rooms are already open; recall them first', 409);
+    }
+    if (durationMinutes != null && (!Number.isInteger(durationMinutes) || durationMinutes < 1 || durationMinutes > MAX_DURATION_MINUTES)) {
+        throw httpError(`Duration must be between 1 and ${MAX_DURATION_MINUTES} minutes`);
+    }
+
+    let assigned;
+    if (mode === 'random') {
+        assigned = await randomRooms(session, roomCount);
+    } else if (mode === 'manual') {
+        assigned = manualRooms(session, rooms);
+    } else if (mode === 'section') {
+        assigned = await sectionRooms(session);
+    } else {
+        throw httpError(`Assignment must be one of: ${ASSIGNMENT_MODES.join(', ')}`);
+    }
+
+    const openedAt = new Date();
+    const endsAt = durationMinutes ? new Date(openedAt.getTime() + durationMinutes * 60000) : undefined;
+    assigned.forEach(room => {
+        session.breakoutRooms.push({ ...room, assignment: mode, openedBy: userId, openedAt, endsAt });
+    });
+    await session.save();
+
+    const opened = openRooms(session);
+    for (const room of opened) {
+        if (room.members.length > 0) {
+            await Attendance.updateMany({ session: session._id, student: { $in: room.members } }, {
+                $push: { breakouts: { room: room._id, name: room.name, joinedAt: openedAt } },
+                $inc: { 'engagement.breakoutsJoined': 1 },
+            });
+        }
+        await scheduleRecall(session, room);
+
+        joinChannel(io, session, room);
+        io?.to(chatService.breakoutChannel(session._id, room._id)).emit('breakout_assigned', {
+            sessionId: session._id,
+            room: roomSummary(room),
+        });
+    }
+    io?.to(`session-${session._id}`).emit('breakouts_opened', {
+        sessionId: session._id,
+        rooms: opened.map(roomSummary),
+    });
+
+    logger.info('Breakout rooms opened', { sessionId: session._id, mode, rooms: opened.length, openedBy: userId });
+    return opened;
+}
+
+/**
+ * Set (or with `minutes` null, clear) the recall timer of one open room, or of every open room
+ * when no `roomId` is given.
+ */
+async function setRoomTimer(session, { roomId, minutes }, { io } = {}) {
+    if (minutes != null && (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_DURATION_MINUTES)) {
+        throw httpError(`Timer must be between 1 and ${MAX_DURATION_MINUTES} minutes`);
+    }
+    const rooms = openRooms(session).filter(room => !roomId || sameId(room._id, roomId));
+    if (rooms.length === 0) {
+        throw httpError(roomId ? 'Breakout room not found or already closed' : 'No breakout rooms are open', 404);
+    }
+
+    const endsAt = minutes != null ? new Date(Date.now() + minutes * 60000) : undefined;
+    rooms.forEach(room => { room.endsAt = endsAt; });
+    await session.save();
+
+    for (const room of rooms) {
+        await scheduleRecall(session, room);
+        io?.to(chatService.breakoutChannel(session._id, room._id)).emit('breakout_timer', {
+            sessionId: session._id,
+            roomId: room._id,
+            endsAt: endsAt || null,
+        });
+    }
+    return rooms;
+}
+
+/**
+ * Close breakout rooms (every open one unless `roomIds` are given) and send their members back
+ * to the main session. `reason` tells clients why: 'faculty', 'timer' or 'session_ended'.
+ * @returns {Promise<Object[]>} The rooms closed
+ */
+async function recallBreakouts(session, { roomIds, reason = 'faculty' } = {}, { io } = {}) {
+    const rooms = openRooms(session).filter(room => !roomIds || roomIds.some(id => sameId(id, room._id)));
+    if (rooms.length === 0) return [];
+
+    const closedAt = new Date();
+    rooms.forEach(room => { room.closedAt = closedAt; });
+    await session.save();
+
+    const ids = rooms.map(room => room._id);
+    await schedulerService.cancelJobs({ uniqueKey: { $in: ids.map(recallKey) } });
+    await Attendance.updateMany(
+        { session: session._id, 'breakouts.room': { $in: ids } },
+        { $set: { 'breakouts.$[entry].leftAt': closedAt } },
+        { arrayFilters: [{ 'entry.room': { $in: ids }, 'entry.leftAt': null }] }
+    );
+
+    rooms.forEach(room => {
+        const channel = chatService.breakoutChannel(session._id, room._id);
+        io?.to(channel).emit('breakout_recalled', { sessionId: session._id, roomId: room._id, reason });
+        io?.socketsLeave(channel);
+    });
+    if (openRooms(session).length === 0) {
+        io?.to(`session-${session._id}`).emit('breakouts_closed', { sessionId: session._id, reason });
+    }
+
+    logger.info('Breakout rooms recalled', { sessionId: session._id, rooms: rooms.length, reason });
+    return rooms;
+}
+
+// Faculty message posted into every open room's chat
+async function broadcastToRooms(session, text, userId, { io } = {}) {
+    const rooms = openRooms(session);
+    if (rooms.length === 0) {
+        throw httpError('No breakout rooms are open', 409);
+    }
+
+    const messages = await ChatMessage.insertMany(rooms.map(room => ({
+        session: session._id,
+        sender: userId,
+        message: text,
+        type: 'announcement',
+        breakoutRoom: room._id,
+        status: 'sent',
+    })));
+    messages.forEach(message => chatService.emitToAudience(io, message, 'chat_message', message));
+
+    logger.info('Breakout broadcast sent', { sessionId: session._id, rooms: rooms.length, sender: userId });
+    return messages;
+}
+
+// ---- Chat ----------------------------------------------------------------
+
+// The open room a message may be sent to: students only to their own, faculty to any
+function assertCanChatInRoom(session, roomId, userId, role) {
+    const room = openRooms(session).find(r => sameId(r._id, roomId));
+    if (!room) {
+        throw httpError('Breakout room not found or already closed', 404);
+    }
+    if (role === 'student' && !isMember(room, userId)) {
+        throw httpError('You are not in this breakout room', 403);
+    }
+    return room;
+}
+
+// Breakout chat history stays readable after the room closes, but only by its members and staff
+function assertCanReadRoom(session, roomId, userId, role) {
+    const room = (session.breakoutRooms || []).find(r => sameId(r._id, roomId));
+    if (!room || (role === 'student' && !isMember(room, userId))) {
+        throw httpError('Breakout room not found', 404);
+    }
+    return room;
+}
+
+// Count a student's breakout chat message on their attendance and engagement
+async function recordMessage(session, roomId, studentId) {
+    const attendance = await Attendance.findOne({ session: session._id, student: studentId });
+    if (!attendance) return;
+
+    const entry = attendance.breakouts.find(b => sameId(b.room, roomId) && !b.leftAt);
+    if (entry) entry.messagesCount += 1;
+    await attendance.updateEngagement('breakout_message', 1);
+}
+
+// Open rooms a user sees: all of them for the faculty, their own for a student
+function visibleRooms(session, userId) {
+    const rooms = openRooms(session);
+    return (sameId(session.faculty, userId) ? rooms : rooms.filter(room => isMember(room, userId))).map(roomSummary);
+}
+
+// Breakout chat channels a socket joining the session belongs in
+function channelsFor(session, userId) {
+    return visibleRooms(session, userId).map(room => chatService.breakoutChannel(session._id, room.roomId));
+}
+
+// Register the scheduler handler that recalls rooms when their timer runs out
+function registerBreakoutJobs() {
+    schedulerService.defineJob(BREAKOUT_JOBS.AUTO_RECALL, async ({ sessionId, roomId }, { io }) => {
+        const session = await ClassSession.findById(sessionId);
+        if (!session) return;
+
+        await recallBreakouts(session, { roomIds: [roomId], reason: 'timer' }, { io });
+    });
+}
+
+module.exports = {
+    BREAKOUT_JOBS,
+    ASSIGNMENT_MODES,
+    roomSummary,
+    openBreakouts,
+    setRoomTimer,
+    recallBreakouts,
+    broadcastToRooms,
+    assertCanChatInRoom,
+    assertCanReadRoom,
+    recordMessage,
+    visibleRooms,
+    channelsFor,
+    registerBreakoutJobs,
+};
@@ -0,0 +1,294 @@
+const crypto = require('crypto');
+const { ClassSession, User } = require('../models');
+const recurrenceService = require('./recurrenceService');
+const sessionService = require('./sessionService');
+const { buildCalendar, toRRule, parseCalendar } = require('../utils/ical');
+const { expandRecurrence } = require('../utils/recurrence');
+const { sha256Hash } = require('../utils/encryption');
+const { httpError, sameId, idOf } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far back feeds list one-off sessions; series are always sent whole as RRULEs
+const FEED_PAST_DAYS = 90;
+
+// Longest session a calendar event may become (ClassSession.duration max)
+const MAX_SESSION_MINUTES = 480;
+
+const UID_DOMAIN = 'shikshalok';
+
+// ---- Feed tokens ---------------------------------------------------------
+
+// Issue (or replace) the secret in a user's feed URL; only its hash is stored
+async function issueFeedToken(userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    await User.updateOne({ _id: userId }, { $set: { calendarFeedToken: sha256Hash(token) } });
+
+    logger.info('Calendar feed token issued', { userId });
+    return token;
+}
+
+async function revokeFeedToken(userId) {
+    await User.updateOne({ _id: userId }, { $unset: { calendarFeedToken: 1 } });
+    logger.info('Calendar feed token revoked', { userId });
+}
+
+async function hasFeedToken(userId) {
+    const user = await User.findById(userId).select('+calendarFeedToken');
+    return !!(user && user.calendarFeedToken);
+}
+
+function findUserByFeedToken(token) {
+    if (!/^[a-f0-9]{64}$/.test(token)) return null;
+    return User.findOne({ calendarFeedToken: sha256Hash(token), isActive: true }).select('name role college');
+}
+
+// ---- Feeds ---------------------------------------------------------------
+
+function involves(session, userId) {
+    return sameId(idOf(session.faculty), userId) || session.students.some(s => sameId(s.student, userId));
+}
+
+function sessionLength(session) {
+    return recurrenceService.occurrenceLength(session) ?? (session.duration || 60) * 60000;
+}
+
+// Event fields shared by one-off sessions, series and their overrides
+function eventFields(session) {
+    return {
+        summary: session.title,
+        description: [session.subject, session.description].filter(Boolean).join('\n\n'),
+        location: session.classroom,
+        categories: session.subject,
+        organizer: session.faculty && session.faculty.email ? { name: session.faculty.name, email: session.faculty.email } : undefined,
+        status: session.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+        lastModified: session.updatedAt,
+    };
+}
+
+function singleEvent(session) {
+    return {
+        uid: `${session._id}@${UID_DOMAIN}`,
+        start: session.scheduledStartTime,
+        end: new Date(session.scheduledStartTime.getTime() + sessionLength(session)),
+        ...eventFields(session),
+    };
+}
+
+/**
+ * One recurring event for a series, with EXDATEs for occurrences the user is not part of (or
+ * that no longer exist) and RECURRENCE-ID overrides for cancelled, moved or edited ones.
+ * Returns null when the series cannot be expressed as a rule and its sessions go out one by one.
+ */
+function seriesEvents(master, occurrences, userId, timeZone) {
+    if (!master.recurringPattern || !master.recurringPattern.type || !master.occurrenceDate || !involves(master, userId)) {
+        return null;
+    }
+
+    const byDate = new Map(occurrences.map(o => [o.occurrenceDate && o.occurrenceDate.getTime(), o]));
+    const lastOccurrence = new Date(Math.max(...occurrences.map(o => o.occurrenceDate ? o.occurrenceDate.getTime() : 0)));
+    const expected = expandRecurrence({
+        start: master.occurrenceDate,
+        pattern: master.recurringPattern,
+        timeZone,
+        until: lastOccurrence,
+    });
+
+    const length = sessionLength(master);
+    const uid = `${master._id}@${UID_DOMAIN}`;
+    const series = {
+        uid,
+        start: master.occurrenceDate,
+        end: new Date(master.occurrenceDate.getTime() + length),
+        rrule: toRRule(master.recurringPattern, lastOccurrence),
+        exdates: [],
+        ...eventFields(master),
+        status: occurrences.every(o => o.status === 'cancelled') ? 'CANCELLED' : 'CONFIRMED',
+    };
+
+    const overrides = [];
+    expected.forEach(date => {
+        const occurrence = byDate.get(date.getTime());
+        byDate.delete(date.getTime());
+        if (!occurrence || !involves(occurrence, userId)) {
+            series.exdates.push(date);
+            return;
+        }
+        const moved = occurrence.scheduledStartTime.getTime() !== date.getTime() || sessionLength(occurrence) !== length;
+        if (occurrence.status === 'cancelled' || occurrence.isSeriesException || moved) {
+            overrides.push({ ...singleEvent(occurrence), uid, recurrenceId: date });
+        }
+    });
+
+    // Occurrences off the rule (e.g. kept from an earlier pattern) go out as their own events
+    const strays = [...byDate.values()].filter(o => involves(o, userId)).map(singleEvent);
+
+    return [series, ...overrides, ...strays];
+}
+
+/**
+ * iCalendar feed of the sessions a user teaches or is enrolled in. Recurring series are sent
+ * as RRULEs and cancellations as STATUS:CANCELLED.
+ */
+async function buildFeed(user) {
+    const userId = user._id;
+    const timeZone = await recurrenceService.getCollegeTimezone(user.college);
+
+    const sessions = await ClassSession.find({
+        $or: [{ faculty: userId }, { 'students.student': userId }],
+        scheduledStartTime: { $gte: new Date(Date.now() - FEED_PAST_DAYS * DAY_MS) },
+    }).populate('faculty', 'name email');
+
+    const seriesIds = [...new Set(sessions.filter(s => s.seriesId).map(s => s.seriesId.toString()))];
+    const seriesSessions = seriesIds.length > 0
+        ? await ClassSession.find({ seriesId: { $in: seriesIds } }).populate('faculty', 'name email')
+        : [];
+
+    const events = sessions.filter(s => !s.seriesId).map(singleEvent);
+    seriesIds.forEach(seriesId => {
+        const occurrences = seriesSessions.filter(s => sameId(s.seriesId, seriesId));
+        const master = occurrences.find(s => sameId(s._id, seriesId));
+        const recurring = master && seriesEvents(master, occurrences, userId, timeZone);
+        events.push(...(recurring || sessions.filter(s => sameId(s.seriesId, seriesId)).map(singleEvent)));
+    });
+
+    return buildCalendar({ name: `ShikshaLok - ${user.name}`, timeZone, events });
+}
+
+// ---- Import --------------------------------------------------------------
+
+// Session data for an imported VEVENT, or a reason it cannot become one
+function sessionDataFromEvent(event, { faculty, subject, sectionId, timeZone }) {
+    if (event.error) return { reason: event.error };
+    if (!faculty) return { reason: 'No faculty: set ORGANIZER to a faculty email or pass facultyId' };
+    if (!event.categories && !subject && !sectionId) return { reason: 'No subject: set CATEGORIES or pass subject' };
+
+    const minutes = Math.round((event.end.date - event.start.date) / 60000);
+    if (minutes > MAX_SESSION_MINUTES) return { reason: `Events longer than ${MAX_SESSION_MINUTES} minutes cannot be sessions` };
+
+    let pattern = event.rrule && event.rrule.pattern;
+    if (pattern && event.rrule.count) {
+        const starts = expandRecurrence({ start: event.start.date, pattern, timeZone, limit: event.rrule.count });
+        pattern = { ...pattern, endDate: starts[starts.length - 1] };
+    }
+
+    return {
+        data: {
+            title: (event.summary || 'Untitled session').slice(0, 200),
+            subject: event.categories || subject,
+            description: event.description,
+            scheduledStartTime: event.start.date,
+            scheduledEndTime: event.end.date,
+            duration: minutes,
+            classroom: event.location,
+            isRecurring: !!pattern,
+            recurringPattern: pattern || {},
+            facultyId: faculty,
+            sectionId,
+        },
+    };
+}
+
+/**
+ * Bulk-create sessions from an .ics timetable. Faculty come from each event's ORGANIZER email
+ * (falling back to `facultyId`), subjects from CATEGORIES (falling back to `subject`).
+ * RRULEs become recurring sessions, EXDATEs and cancelled overrides cancel occurrences, and
+ * other overrides move them. Events that clash or cannot be used are reported, not created.
+ * @returns {Promise<{ created: Object[], skipped: Object[], failed: Object[] }>}
+ */
+async function importCalendar(ics, { facultyId, subject, sectionId }, admin) {
+    const timeZone = await recurrenceService.getCollegeTimezone(admin.college);
+    let events;
+    try {
+        events = parseCalendar(ics, { defaultTimeZone: timeZone });
+    } catch (error) {
+        throw httpError(error.message);
+    }
+
+    const emails = [...new Set(events.map(e => e.organizerEmail).filter(Boolean))];
+    const organizers = await User.find({ email: { $in: emails }, role: 'faculty', college: admin.college, isActive: true }).select('email');
+    const facultyByEmail = new Map(organizers.map(f => [f.email, f._id]));
+
+    const created = [];
+    const skipped = [];
+    const failed = [];
+    const seriesByUid = new Map();
+    const report = (list, event, entry) => list.push({ uid: event.uid, summary: event.summary, ...entry });
+    const actor = { userId: admin._id, role: 'admin' };
+
+    const masters = events.filter(e => !e.recurrenceId);
+    const overrides = events.filter(e => e.recurrenceId);
+
+    for (const event of masters) {
+        if (event.status === 'CANCELLED') {
+            report(skipped, event, { reason: 'Event is cancelled' });
+            continue;
+        }
+        const faculty = facultyByEmail.get(event.organizerEmail) || facultyId;
+        const { data, reason } = sessionDataFromEvent(event, { faculty, subject, sectionId, timeZone });
+        if (reason) {
+            report(skipped, event, { reason });
+            continue;
+        }
+
+        try {
+            const { session, occurrences } = await sessionService.createSession(data, admin);
+            if (event.uid) seriesByUid.set(event.uid, session);
+
+            const exdates = new Set(event.exdates.map(date => date.getTime()));
+            const excluded = occurrences.filter(o => exdates.has(o.occurrenceDate.getTime()));
+            for (const occurrence of excluded) {
+                await sessionService.cancelSessionJobs(await recurrenceService.cancelOccurrences(occurrence, 'this'));
+            }
+
+            report(created, event, { sessionId: session._id, occurrences: occurrences.length - excluded.length });
+        } catch (error) {
+            if (!error.statusCode && error.name !== 'ValidationError') throw error;
+            report(failed, event, { error: error.message, ...error.details });
+        }
+    }
+
+    for (const event of overrides) {
+        const series = seriesByUid.get(event.uid);
+        const occurrence = series && await ClassSession.findOne({ seriesId: series._id, occurrenceDate: event.recurrenceId.date });
+        if (!occurrence) {
+            report(skipped, event, { reason: 'Override of an occurrence that was not imported' });
+            continue;
+        }
+
+        try {
+            if (event.status === 'CANCELLED') {
+                await sessionService.cancelSessionJobs(await recurrenceService.cancelOccurrences(occurrence, 'this'));
+            } else if (!event.error) {
+                await sessionService.updateSession(occurrence._id, {
+                    ...(event.summary ? { title: event.summary.slice(0, 200) } : {}),
+                    ...(event.location ? { classroom: event.location } : {}),
+                    scheduledStartTime: event.start.date,
+                    scheduledEndTime: event.end.date,
+                }, actor, 'this');
+            }
+        } catch (error) {
+            if (!error.statusCode && error.name !== 'ValidationError') throw error;
+            report(failed, event, { error: error.message, ...error.details });
+        }
+    }
+
+    logger.info('Calendar imported', {
+        importedBy: admin._id,
+        created: created.length,
+        skipped: skipped.length,
+        failed: failed.length,
+    });
+
+    return { created, skipped, failed };
+}
+
+module.exports = {
+    issueFeedToken,
+    revokeFeedToken,
+    hasFeedToken,
+    findUserByFeedToken,
+    buildFeed,
+    importCalendar,
+};
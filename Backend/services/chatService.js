@@ -0,0 +1,155 @@
+const { ChatMessage, ClassSession } = require('../models');
+const { httpError, sameId } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+// settings.studentPrivateMessages values
+const STUDENT_DM_POLICIES = ['instructor_only', 'everyone', 'disabled'];
+
+/**
+ * Check a private message's target against the session: the target must take part in the session,
+ * and students are limited by the faculty's studentPrivateMessages setting.
+ */
+function assertCanMessagePrivately(session, senderId, senderRole, targetUserId) {
+    if (!targetUserId) {
+        throw httpError('Private messages need a target user', 400);
+    }
+    if (sameId(senderId, targetUserId)) {
+        throw httpError('You cannot message yourself', 400);
+    }
+
+    const targetIsFaculty = sameId(session.faculty, targetUserId);
+    const targetIsStudent = session.students.some(s => sameId(s.student, targetUserId));
+    if (!targetIsFaculty && !targetIsStudent) {
+        throw httpError('Target user is not part of this session', 404);
+    }
+
+    if (senderRole !== 'student') return;
+
+    const policy = session.settings.studentPrivateMessages || 'instructor_only';
+    if (policy === 'disabled') {
+        throw httpError('Private messages are turned off for this session', 403);
+    }
+    if (policy === 'instructor_only' && !targetIsFaculty) {
+        throw httpError('Students can only message the instructor privately in this session', 403);
+    }
+}
+
+// Socket.io room for a breakout room's chat
+function breakoutChannel(sessionId, roomId) {
+    return `session-${sessionId}-breakout-${roomId}`;
+}
+
+/**
+ * Whether a user may see a message: public messages, or private ones they sent or received.
+ * Breakout room messages are only for staff and the room's members, which takes the session's breakoutRooms.
+ */
+function canSeeMessage(chatMessage, userId, { role, session } = {}) {
+    if (chatMessage.breakoutRoom && role !== 'faculty' && role !== 'admin') {
+        const room = session && (session.breakoutRooms || []).find(r => sameId(r._id, chatMessage.breakoutRoom));
+        if (!room || !room.members.some(member => sameId(member, userId))) return false;
+    }
+    if (!chatMessage.isPrivate) return true;
+    const sender = chatMessage.sender && chatMessage.sender._id ? chatMessage.sender._id : chatMessage.sender;
+    const target = chatMessage.targetUser && chatMessage.targetUser._id ? chatMessage.targetUser._id : chatMessage.targetUser;
+    return sameId(sender, userId) || sameId(target, userId);
+}
+
+// A message by id if the user may see it, else null (breakout messages are checked against the room)
+async function findVisibleMessage(messageId, userId, role) {
+    const chatMessage = await ChatMessage.findById(messageId);
+    if (!chatMessage) return null;
+
+    const session = chatMessage.breakoutRoom ? await ClassSession.findById(chatMessage.session).select('breakoutRooms') : null;
+    return canSeeMessage(chatMessage, userId, { role, session }) ? chatMessage : null;
+}
+
+/**
+ * Emit a chat event to everyone allowed to see the message: the session room (or its breakout
+ * room) for public messages, only the sender's and target's user rooms for private ones.
+ */
+function emitToAudience(io, chatMessage, event, payload) {
+    if (!io) return;
+
+    if (!chatMessage.isPrivate) {
+        const room = chatMessage.breakoutRoom
+            ? breakoutChannel(chatMessage.session, chatMessage.breakoutRoom)
+            : `session-${chatMessage.session}`;
+        io.to(room).emit(event, payload);
+        return;
+    }
+
+    const sender = chatMessage.sender && chatMessage.sender._id ? chatMessage.sender._id : chatMessage.sender;
+    const target = chatMessage.targetUser && chatMessage.targetUser._id ? chatMessage.targetUser._id : chatMessage.targetUser;
+    io.to(`user-${sender}`).to(`user-${target}`).emit(event, payload);
+}
+
+// Messages a user may acknowledge: visible to them, not their own and not deleted
+function ackableFilter(messageIds, userId) {
+    return {
+        _id: { $in: messageIds },
+        sender: { $ne: userId },
+        isDeleted: false,
+        ...ChatMessage.visibilityFilter(userId),
+    };
+}
+
+// Tell each sender their message moved on to a new status
+function notifySenders(io, messages, status) {
+    if (!io) return;
+    messages.forEach(message => {
+        io.to(`user-${message.sender}`).emit('chat_message_status', {
+            messageId: message._id,
+            sessionId: message.session,
+            status,
+        });
+    });
+}
+
+/**
+ * Client ack that messages reached the user's device.
+ * 'sent' becomes 'delivered'; messages already read are left alone.
+ * @returns {Promise<number>} How many messages changed status
+ */
+async function markDelivered(io, messageIds, userId) {
+    const messages = await ChatMessage.find({ ...ackableFilter(messageIds, userId), status: 'sent' })
+        .select('sender session');
+    if (messages.length === 0) return 0;
+
+    await ChatMessage.updateMany(
+        { _id: { $in: messages.map(m => m._id) }, status: 'sent' },
+        { $set: { status: 'delivered' } }
+    );
+    notifySenders(io, messages, 'delivered');
+
+    return messages.length;
+}
+
+/**
+ * Client ack that the user has seen messages: records a read receipt and marks them 'read'.
+ * @returns {Promise<number>} How many messages gained a read receipt from this user
+ */
+async function markRead(io, messageIds, userId) {
+    const messages = await ChatMessage.find({ ...ackableFilter(messageIds, userId), 'readBy.user': { $ne: userId } });
+
+    for (const message of messages) {
+        message.status = 'read';
+        await message.markAsRead(userId);
+    }
+    notifySenders(io, messages, 'read');
+
+    if (messages.length > 0) {
+        logger.info('Chat messages read', { userId, count: messages.length });
+    }
+    return messages.length;
+}
+
+module.exports = {
+    STUDENT_DM_POLICIES,
+    assertCanMessagePrivately,
+    breakoutChannel,
+    canSeeMessage,
+    findVisibleMessage,
+    emitToAudience,
+    markDelivered,
+    markRead,
+};
@@ -0,0 +1,119 @@
+const { Attendance } = require('../models');
+const { hmacSha256, safeCompare } = require('../utils/encryption');
+const { JWT_SECRET } = require('../config/jwt');
+const logger = require('../utils/logger');
+
+const CODE_WINDOW_SECONDS = parseInt(process.env.CHECKIN_CODE_WINDOW_SECONDS, 10) || 30;
+const GRACE_WINDOWS = 1; // the previous code stays valid for one more window
+const CHECKIN_SECRET = process.env.CHECKIN_SECRET || JWT_SECRET;
+const CODE_PATTERN = /^(\d+)\.([0-9a-f]{12})$/;
+
+// Index of the time window a moment falls in
+function getWindow(date = new Date()) {
+    return Math.floor(date.getTime() / 1000 / CODE_WINDOW_SECONDS);
+}
+
+function signWindow(sessionId, window) {
+    return hmacSha256(`${sessionId}:${window}`, CHECKIN_SECRET).slice(0, 12);
+}
+
+// Current check-in code for a session, as shown by the faculty (e.g. encoded in a QR code)
+function generateCode(sessionId, date = new Date()) {
+    const window = getWindow(date);
+
+    return {
+        code: `${window}.${signWindow(sessionId, window)}`,
+        window,
+        windowSeconds: CODE_WINDOW_SECONDS,
+        expiresAt: new Date((window + 1) * CODE_WINDOW_SECONDS * 1000),
+    };
+}
+
+/**
+ * Check a submitted code against the session and the current time window.
+ * @returns {{ valid: boolean, reason?: string, window?: number }} reason is invalid or expired
+ */
+function verifyCode(sessionId, code, date = new Date()) {
+    const match = CODE_PATTERN.exec(String(code || '').trim());
+    if (!match) {
+        return { valid: false, reason: 'invalid' };
+    }
+
+    const window = parseInt(match[1], 10);
+    const currentWindow = getWindow(date);
+
+    if (!safeCompare(match[2], signWindow(sessionId, window)) || window > currentWindow) {
+        return { valid: false, reason: 'invalid', window };
+    }
+    if (currentWindow - window > GRACE_WINDOWS) {
+        return { valid: false, reason: 'expired', window };
+    }
+
+    return { valid: true, window };
+}
+
+// Fetch the student's attendance record, creating it if needed (relies on the unique student/session index)
+async function findOrCreateAttendance(sessionId, studentId) {
+    try {
+        return await Attendance.findOneAndUpdate(
+            { student: studentId, session: sessionId },
+            { $setOnInsert: { student: studentId, session: sessionId } },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+    } catch (error) {
+        // A concurrent request created it first
+        if (error.code === 11000) {
+            return Attendance.findOne({ student: studentId, session: sessionId });
+        }
+        throw error;
+    }
+}
+
+/**
+ * Mark a student present with a rotating check-in code.
+ * Replayed (already used), expired and invalid codes are rejected and recorded as suspicious_activity alerts.
+ * @returns {Promise<{ accepted: boolean, reason?: string, attendance: Object }>}
+ */
+async function checkInWithCode(session, studentId, code, { ipAddress } = {}) {
+    const now = new Date();
+    const attendance = await findOrCreateAttendance(session._id, studentId);
+    const result = verifyCode(session._id.toString(), code, now);
+
+    let reason = result.valid ? null : result.reason;
+    if (!reason && typeof attendance.checkIn.lastWindow === 'number' && result.window <= attendance.checkIn.lastWindow) {
+        reason = 'replayed';
+    }
+
+    if (reason) {
+        attendance.checkIn.rejectedAttempts += 1;
+        await attendance.addAlert(
+            'suspicious_activity',
+            `Check-in rejected: ${reason} code`,
+            reason === 'invalid' ? 'high' : 'medium',
+            { reason, codeWindow: result.window, currentWindow: getWindow(now), ipAddress }
+        );
+
+        logger.warn('Check-in code rejected', { sessionId: session._id, studentId, reason, ipAddress });
+        return { accepted: false, reason, attendance };
+    }
+
+    attendance.checkIn.method = 'code';
+    attendance.checkIn.checkedInAt = now;
+    attendance.checkIn.lastWindow = result.window;
+    attendance.checkIn.ipAddress = ipAddress;
+    attendance.joinTime = attendance.joinTime || now;
+    attendance.isPresent = true;
+    attendance.lastActivity = now;
+    await attendance.save();
+
+    logger.info('Student checked in with code', { sessionId: session._id, studentId });
+
+    return { accepted: true, attendance };
+}
+
+module.exports = {
+    CODE_WINDOW_SECONDS,
+    generateCode,
+    verifyCode,
+    checkInWithCode,
+};
@@ -0,0 +1,267 @@
+const { Course, Section, College, ClassSession, User } = require('../models');
+const enrollmentService = require('./enrollmentService');
+const { httpError, sameId } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+// Sessions that still take roster changes; ended and cancelled ones keep who was enrolled at the time
+const OPEN_SESSION_STATUSES = ['scheduled', 'live', 'paused'];
+
+// "2026-27" style label for an academic year
+function academicYearLabel({ start, end }) {
+    const startYear = new Date(start).getFullYear();
+    const endYear = new Date(end).getFullYear();
+    return startYear === endYear ? `${startYear}` : `${startYear}-${String(endYear).slice(-2)}`;
+}
+
+async function createCourse(data, user) {
+    const exists = await Course.exists({ college: user.college, code: data.code.trim().toUpperCase() });
+    if (exists) {
+        throw httpError('A course with this code already exists', 409);
+    }
+
+    const course = new Course({
+        college: user.college,
+        code: data.code,
+        title: data.title,
+        description: data.description,
+        department: data.department,
+        credits: data.credits,
+        createdBy: user.userId,
+    });
+    await course.save();
+
+    logger.info('Course created', { courseId: course._id, code: course.code, createdBy: user.userId });
+    return course;
+}
+
+async function getCourse(courseId, user) {
+    const course = await Course.findById(courseId);
+    if (!course || !sameId(course.college, user.college)) {
+        throw httpError('Course not found', 404);
+    }
+    return course;
+}
+
+async function updateCourse(course, data) {
+    ['title', 'description', 'department', 'credits', 'isActive'].forEach(field => {
+        if (data[field] !== undefined) course[field] = data[field];
+    });
+    await course.save();
+    return course;
+}
+
+// Faculty of the same college, checked before they are made instructors
+async function findFaculty(userIds, collegeId) {
+    const faculty = await User.find({ _id: { $in: userIds }, role: 'faculty', college: collegeId, isActive: true }).select('_id');
+    if (faculty.length !== new Set(userIds.map(String)).size) {
+        throw httpError('Some instructors not found or not faculty of your college');
+    }
+    return faculty.map(f => f._id);
+}
+
+/**
+ * Open a section of a course for the college's current academic year (or one given explicitly).
+ */
+async function createSection(course, { name, semester, primaryInstructorId, coInstructorIds = [], academicYear }, user) {
+    let year = academicYear;
+    if (!year) {
+        const college = await College.findById(course.college).select('settings.academicYear');
+        year = college && college.settings.academicYear;
+    }
+    if (!year || !year.start || !year.end) {
+        throw httpError('Set the college academic year before creating sections');
+    }
+
+    const primaryId = primaryInstructorId || (user.role === 'faculty' ? user.userId : null);
+    if (!primaryId) {
+        throw httpError('A primary instructor is required');
+    }
+    const coIds = coInstructorIds.filter(id => !sameId(id, primaryId));
+    await findFaculty([primaryId, ...coIds], course.college);
+
+    const label = year.label || academicYearLabel(year);
+    if (await Section.exists({ course: course._id, 'academicYear.label': label, name: name.trim() })) {
+        throw httpError(`Section ${name.trim()} already exists for ${label}`, 409);
+    }
+
+    const section = new Section({
+        course: course._id,
+        college: course.college,
+        name,
+        semester,
+        academicYear: { label, start: year.start, end: year.end },
+        instructors: [
+            { user: primaryId, role: 'primary' },
+            ...coIds.map(id => ({ user: id, role: 'co' })),
+        ],
+    });
+    await section.save();
+
+    logger.info('Section created', { sectionId: section._id, courseId: course._id, academicYear: label, createdBy: user.userId });
+    return section;
+}
+
+/**
+ * Load a section for someone who wants to manage it: admins of its college and its instructors.
+ * With `primaryOnly`, co-instructors are refused (instructor changes).
+ */
+async function getSectionForStaff(sectionId, user, { primaryOnly = false } = {}) {
+    const section = await Section.findById(sectionId).populate('course', 'code title department');
+    if (!section || !sameId(section.college, user.college)) {
+        throw httpError('Section not found', 404);
+    }
+    if (user.role === 'admin') return section;
+
+    const instructor = section.instructors.find(i => sameId(i.user, user.userId));
+    if (user.role !== 'faculty' || !instructor || (primaryOnly && instructor.role !== 'primary')) {
+        throw httpError(primaryOnly ? 'Only the primary instructor can change instructors' : 'You do not teach this section', 403);
+    }
+    return section;
+}
+
+// Sections a user teaches or is enrolled in, for the current or a given academic year
+async function listMySections(user, { academicYear } = {}) {
+    const query = user.role === 'student'
+        ? { students: { $elemMatch: { student: user.userId, status: 'active' } } }
+        : { 'instructors.user': user.userId };
+    query.isActive = true;
+    if (academicYear) query['academicYear.label'] = academicYear;
+
+    return Section.find(query)
+        .select(user.role === 'student' ? '-students' : '')
+        .populate('course', 'code title department credits')
+        .populate('instructors.user', 'name email')
+        .sort({ 'academicYear.start': -1, name: 1 });
+}
+
+async function addInstructor(section, userId) {
+    if (section.isInstructor(userId)) {
+        throw httpError('Already an instructor of this section', 409);
+    }
+    await findFaculty([userId], section.college);
+
+    section.instructors.push({ user: userId, role: 'co' });
+    await section.save();
+    return section;
+}
+
+async function removeInstructor(section, userId) {
+    const instructor = section.instructors.find(i => sameId(i.user, userId));
+    if (!instructor) {
+        throw httpError('Not an instructor of this section', 404);
+    }
+    if (instructor.role === 'primary') {
+        throw httpError('The primary instructor cannot be removed');
+    }
+
+    section.instructors = section.instructors.filter(i => !sameId(i.user, userId));
+    await section.save();
+    return section;
+}
+
+/**
+ * Put students on the roster and into every session of the section that has not ended,
+ * so students joining mid-term pick up the rest of the term's sessions. Full sessions
+ * waitlist them like any other enrollment.
+ */
+async function addStudents(section, studentIds) {
+    const students = await User.find({
+        _id: { $in: studentIds },
+        role: 'student',
+        college: section.college,
+        isActive: true,
+    }).select('_id');
+    if (students.length !== new Set(studentIds.map(String)).size) {
+        throw httpError('Some students not found or not from your college');
+    }
+
+    const added = [];
+    const alreadyEnrolled = [];
+    const now = new Date();
+    students.forEach(({ _id }) => {
+        const entry = section.students.find(s => sameId(s.student, _id));
+        if (entry && entry.status === 'active') {
+            alreadyEnrolled.push(_id);
+            return;
+        }
+        if (entry) {
+            entry.status = 'active';
+            entry.enrolledAt = now;
+            entry.droppedAt = undefined;
+        } else {
+            section.students.push({ student: _id, enrolledAt: now });
+        }
+        added.push(_id);
+    });
+    await section.save();
+
+    if (added.length > 0) {
+        const sessions = await ClassSession.find({ section: section._id, status: { $in: OPEN_SESSION_STATUSES } });
+        for (const session of sessions) {
+            await enrollmentService.enrollStudents(session, added);
+        }
+    }
+
+    logger.info('Section roster updated', { sectionId: section._id, added: added.length, alreadyEnrolled: alreadyEnrolled.length });
+    return { added, alreadyEnrolled };
+}
+
+// Drop a student from the roster and from the section's sessions that have not started, seating waitlisted students
+async function dropStudent(section, studentId) {
+    const entry = section.students.find(s => sameId(s.student, studentId) && s.status === 'active');
+    if (!entry) {
+        throw httpError('Student is not enrolled in this section', 404);
+    }
+
+    entry.status = 'dropped';
+    entry.droppedAt = new Date();
+    await section.save();
+
+    await ClassSession.updateMany(
+        { section: section._id, status: 'scheduled' },
+        { $pull: { students: { student: studentId } } }
+    );
+    await enrollmentService.promoteWaitlists({ section: section._id });
+
+    logger.info('Student dropped from section', { sectionId: section._id, studentId });
+    return section;
+}
+
+/**
+ * Section fields for a new session: the section must belong to the user's college and the
+ * session's faculty must teach it. Returns the reference and the roster to seat
+ * (see enrollmentService.seatRoster).
+ */
+async function sessionFieldsFromSection(sectionId, facultyId, user) {
+    const section = await Section.findById(sectionId).populate('course', 'title');
+    if (!section || !sameId(section.college, user.college)) {
+        throw httpError('Section not found', 404);
+    }
+    if (!section.isActive) {
+        throw httpError('Section is no longer active');
+    }
+    if (!section.isInstructor(facultyId)) {
+        throw httpError('Sessions of a section must be taught by one of its instructors', 403);
+    }
+
+    return {
+        section: section._id,
+        subject: section.course.title,
+        studentIds: section.activeStudentIds(),
+    };
+}
+
+module.exports = {
+    academicYearLabel,
+    createCourse,
+    getCourse,
+    updateCourse,
+    createSection,
+    getSectionForStaff,
+    listMySections,
+    addInstructor,
+    removeInstructor,
+    addStudents,
+    dropStudent,
+    sessionFieldsFromSection,
+};
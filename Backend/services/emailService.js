@@ -1,25 +1,74 @@
 const nodemailer = require('nodemailer');
 const logger = require('../utils/logger');
 
-// Load email config from environment variables
-const transporter = nodemailer.createTransport({
-    host: process.env.MAIL_HOST || 'smtp.gmail.com',
-    port: process.env.MAIL_PORT ? Number(process.env.MAIL_PORT) : 587,
-    secure: process.env.MAIL_SECURE === 'true', // true for port 465, false for others
-    auth: {
-        user: process.env.MAIL_USER, // Email address or SMTP user
-        pass: process.env.MAIL_PASS, // Email password or app password
+// Messages delivered through the capture transport (used by tests and local development)
+const capturedEmails = [];
+
+// Nodemailer transport that keeps messages in memory instead of sending them
+const captureTransport = {
+    name: 'capture',
+    version: '1.0.0',
+    send(mail, callback) {
+        const messageId = `<captured-${Date.now()}-${capturedEmails.length}@localhost>`;
+        capturedEmails.push({ ...mail.data, messageId });
+        callback(null, { messageId, envelope: mail.message.getEnvelope(), response: 'captured' });
     },
-});
+};
 
-// Optional: Check SMTP connection on project startup
-transporter.verify(function(error, success) {
-    if (error) {
-        logger.error('Email service SMTP connection failed:', error);
-    } else {
+function createSmtpTransporter() {
+    return nodemailer.createTransport({
+        host: process.env.MAIL_HOST || 'smtp.gmail.com',
+        port: process.env.MAIL_PORT ? Number(process.env.MAIL_PORT) : 587,
+        secure: process.env.MAIL_SECURE === 'true', // true for port 465, false for others
+        auth: {
+            user: process.env.MAIL_USER, // Email address or SMTP user
+            pass: process.env.MAIL_PASS, // Email password or app password
+        },
+    });
+}
+
+let transporter = null;
+let verified = false;
+
+// MAIL_TRANSPORT=capture (the default under NODE_ENV=test) keeps mail in memory; anything else uses SMTP
+function getTransporter() {
+    if (!transporter) {
+        const useCapture = (process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'test' ? 'capture' : 'smtp')) === 'capture';
+        transporter = useCapture ? nodemailer.createTransport(captureTransport) : createSmtpTransporter();
+        verified = useCapture;
+    }
+    return transporter;
+}
+
+// Check the SMTP connection once, on first use rather than at startup
+async function verifyTransporter() {
+    if (verified) return;
+    verified = true;
+
+    try {
+        await getTransporter().verify();
         logger.info('Email service SMTP connection successful');
+    } catch (error) {
+        logger.error('Email service SMTP connection failed:', error);
     }
-});
+}
+
+/**
+ * Replace the transport, e.g. with nodemailer.createTransport(captureTransport) in tests.
+ * @param {Object} transport - A nodemailer transporter
+ */
+function setTransporter(transport) {
+    transporter = transport;
+    verified = true;
+}
+
+function getCapturedEmails() {
+    return capturedEmails;
+}
+
+function clearCapturedEmails() {
+    capturedEmails.length = 0;
+}
 
 /**
  * Send an email using nodemailer
@@ -42,7 +91,8 @@ async function sendEmail(options) {
             attachments: options.attachments, // [{ filename, path }, ...]
         };
 
-        const info = await transporter.sendMail(mailOptions);
+        await verifyTransporter();
+        const info = await getTransporter().sendMail(mailOptions);
 
         logger.info('Email sent', {
             to: options.to,
@@ -60,4 +110,8 @@ async function sendEmail(options) {
 
 module.exports = {
     sendEmail,
-};
\ No newline at end of file
+    captureTransport,
+    setTransporter,
+    getCapturedEmails,
+    clearCapturedEmails,
+};
@@ -0,0 +1,111 @@
+const APP_NAME = process.env.APP_NAME || 'ShikshaLok';
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Shared HTML frame for every transactional email
+function layout(title, bodyHtml) {
+    return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body style="margin:0;padding:24px;background:#f4f6f8;font-family:Arial,Helvetica,sans-serif;color:#1f2933;">
+  <table role="presentation" width="100%" style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:32px;">
+    <tr><td>
+      <h2 style="margin-top:0;">${escapeHtml(title)}</h2>
+      ${bodyHtml}
+      <p style="font-size:12px;color:#7b8794;margin-top:32px;">${escapeHtml(APP_NAME)}</p>
+    </td></tr>
+  </table>
+</body>
+</html>`;
+}
+
+function button(url, label) {
+    return `<p><a href="${escapeHtml(url)}" style="display:inline-block;padding:12px 20px;background:#2563eb;color:#ffffff;text-decoration:none;border-radius:6px;">${escapeHtml(label)}</a></p>
+      <p style="font-size:12px;color:#7b8794;">Or open this link: ${escapeHtml(url)}</p>`;
+}
+
+const templates = {
+    verifyEmail: ({ name, url, expiresInHours }) => ({
+        subject: `Verify your ${APP_NAME} email address`,
+        text: [
+            `Hi ${name},`,
+            '',
+            `Please confirm your email address to finish setting up your ${APP_NAME} account:`,
+            url,
+            '',
+            `This link expires in ${expiresInHours} hours. If you did not create an account, you can ignore this email.`,
+        ].join('\n'),
+        html: layout('Verify your email address', `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>Please confirm your email address to finish setting up your ${escapeHtml(APP_NAME)} account.</p>
+      ${button(url, 'Verify email')}
+      <p>This link expires in ${escapeHtml(expiresInHours)} hours. If you did not create an account, you can ignore this email.</p>`),
+    }),
+
+    passwordReset: ({ name, url, expiresInMinutes }) => ({
+        subject: `Reset your ${APP_NAME} password`,
+        text: [
+            `Hi ${name},`,
+            '',
+            'We received a request to reset your password. Use this link to choose a new one:',
+            url,
+            '',
+            `This link expires in ${expiresInMinutes} minutes and can be used once. If you did not ask for a reset, you can ignore this email.`,
+        ].join('\n'),
+        html: layout('Reset your password', `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>We received a request to reset your password. Use the button below to choose a new one.</p>
+      ${button(url, 'Reset password')}
+      <p>This link expires in ${escapeHtml(expiresInMinutes)} minutes and can be used once. If you did not ask for a reset, you can ignore this email.</p>`),
+    }),
+
+    notification: ({ name, title, message, url }) => ({
+        subject: title,
+        text: [`Hi ${name},`, '', message, ...(url ? ['', url] : [])].join('\n'),
+        html: layout(title, `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>${escapeHtml(message)}</p>
+      ${url ? button(url, 'Open') : ''}`),
+    }),
+
+    // Several notifications sharing a groupKey, collapsed into one email
+    notificationDigest: ({ name, items }) => ({
+        subject: `You have ${items.length} new notifications`,
+        text: [
+            `Hi ${name},`,
+            '',
+            ...items.map(item => `- ${item.title}: ${item.message}`),
+        ].join('\n'),
+        html: layout(`You have ${items.length} new notifications`, `
+      <p>Hi ${escapeHtml(name)},</p>
+      <ul>
+        ${items.map(item => `<li><strong>${escapeHtml(item.title)}</strong><br>${escapeHtml(item.message)}</li>`).join('\n        ')}
+      </ul>`),
+    }),
+};
+
+/**
+ * Render a named template into subject, text and html parts.
+ * @param {string} name - Template name (verifyEmail, passwordReset, notification, notificationDigest)
+ * @param {Object} data - Values interpolated into the template
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+function renderTemplate(name, data) {
+    const template = templates[name];
+    if (!template) {
+        throw new Error(`Unknown email template: ${name}`);
+    }
+    return template(data);
+}
+
+module.exports = {
+    renderTemplate,
+    escapeHtml,
+};
@@ -0,0 +1,248 @@
+const { ClassSession, College, User, Attendance } = require('../models');
+const notificationService = require('./notificationService');
+const { httpError, sameId } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+// Sessions whose seats still matter; ended and cancelled sessions keep their waitlist as it was
+const OPEN_SESSION_STATUSES = ['scheduled', 'live', 'paused'];
+
+// Attempts at saving a roster change that keeps losing races to other roster changes
+const ROSTER_ATTEMPTS = 3;
+
+/**
+ * Seats in a session: its own maxConcurrentStudents, capped by the college's
+ * maxStudentsPerSession. Infinity when neither is set.
+ */
+async function getCapacity(session) {
+    const college = await College.findById(session.college).select('settings.maxStudentsPerSession');
+    const limits = [
+        session.settings && session.settings.maxConcurrentStudents,
+        college && college.settings && college.settings.maxStudentsPerSession,
+    ].filter(limit => limit > 0);
+    return limits.length > 0 ? Math.min(...limits) : Infinity;
+}
+
+function isEnrolled(session, studentId) {
+    return session.students.some(s => sameId(s.student, studentId));
+}
+
+// 1-based place in the waitlist, or null
+function waitlistPosition(session, studentId) {
+    const index = session.waitlist.findIndex(w => sameId(w.student, studentId));
+    return index === -1 ? null : index + 1;
+}
+
+function removeFromWaitlist(session, studentId) {
+    session.waitlist = session.waitlist.filter(w => !sameId(w.student, studentId));
+}
+
+// Move students from the head of the waitlist into free seats (unsaved); returns their ids
+function fillSeats(session, capacity) {
+    const promoted = [];
+    while (session.waitlist.length > 0 && session.students.length < capacity) {
+        const { student } = session.waitlist.shift();
+        session.students.push({ student, enrolledAt: new Date() });
+        promoted.push(student);
+    }
+    return promoted;
+}
+
+/**
+ * Apply `change` to the roster and save it against the version it was read at, so two changes
+ * cannot both take the last seat. A change that lost a race is replayed on a fresh copy; nothing
+ * is saved when `change` returns false. Resolves to the session that was saved.
+ */
+async function saveRoster(session, change) {
+    for (let attempt = 1; ; attempt++) {
+        if (change(session) === false) return session;
+        session.increment();
+        try {
+            await session.save();
+            return session;
+        } catch (error) {
+            if (error.name !== 'VersionError' || attempt >= ROSTER_ATTEMPTS) throw error;
+            session = await ClassSession.findById(session._id);
+            if (!session) throw httpError('Session not found', 404);
+        }
+    }
+}
+
+async function notifyPromoted(session, studentIds) {
+    for (const studentId of studentIds) {
+        await notificationService.createNotification({
+            recipient: studentId,
+            type: 'waitlist_promoted',
+            title: `You're enrolled: ${session.title}`.slice(0, 200),
+            message: `A seat opened up in ${session.title} (${session.subject}) and you have been enrolled from the waitlist.`,
+            data: { sessionId: session._id },
+            priority: 'high',
+        });
+    }
+}
+
+/**
+ * Fill free seats from the waitlist, in order, and notify the promoted students.
+ * Call whenever a seat may have freed up (unenrollment, drops, a higher capacity).
+ */
+async function promoteFromWaitlist(session) {
+    if (!OPEN_SESSION_STATUSES.includes(session.status) || session.waitlist.length === 0) {
+        return [];
+    }
+
+    const capacity = await getCapacity(session);
+    let promoted = [];
+    session = await saveRoster(session, current => {
+        promoted = fillSeats(current, capacity);
+        return promoted.length > 0;
+    });
+    if (promoted.length === 0) return [];
+
+    await notifyPromoted(session, promoted);
+
+    logger.info('Students promoted from waitlist', { sessionId: session._id, promoted: promoted.length });
+    return promoted;
+}
+
+// Promote waitlisted students in every open session matching `query` (e.g. after a capacity change)
+async function promoteWaitlists(query) {
+    const sessions = await ClassSession.find({
+        ...query,
+        status: { $in: OPEN_SESSION_STATUSES },
+        'waitlist.0': { $exists: true },
+    });
+
+    let promoted = 0;
+    for (const session of sessions) {
+        promoted += (await promoteFromWaitlist(session)).length;
+    }
+    return promoted;
+}
+
+/**
+ * Enroll students while seats last; the rest join the end of the waitlist in the order given.
+ * Waitlisted students are seated before newcomers. With `override`, faculty enroll everyone
+ * regardless of capacity.
+ * @returns {Promise<{ enrolled, waitlisted, alreadyEnrolled, alreadyWaitlisted, promoted, capacity, session }>}
+ *   where session is the saved copy
+ */
+async function enrollStudents(session, studentIds, { override = false } = {}) {
+    const ids = [...new Set(studentIds.map(String))];
+    const students = await User.find({ _id: { $in: ids }, role: 'student', college: session.college, isActive: true }).select('_id');
+    if (students.length !== ids.length) {
+        throw httpError('Some students not found or not from your college');
+    }
+
+    const capacity = await getCapacity(session);
+    let promoted;
+    let result;
+    session = await saveRoster(session, current => {
+        promoted = fillSeats(current, capacity);
+        result = { enrolled: [], waitlisted: [], alreadyEnrolled: [], alreadyWaitlisted: [] };
+
+        ids.forEach(studentId => {
+            if (isEnrolled(current, studentId)) {
+                result.alreadyEnrolled.push(studentId);
+            } else if (override) {
+                removeFromWaitlist(current, studentId);
+                current.students.push({ student: studentId, enrolledAt: new Date(), capacityOverride: current.students.length >= capacity });
+                result.enrolled.push(studentId);
+            } else if (waitlistPosition(current, studentId)) {
+                result.alreadyWaitlisted.push(studentId);
+            } else if (current.students.length < capacity) {
+                current.students.push({ student: studentId, enrolledAt: new Date() });
+                result.enrolled.push(studentId);
+            } else {
+                current.waitlist.push({ student: studentId, addedAt: new Date() });
+                result.waitlisted.push(studentId);
+            }
+        });
+    });
+
+    await notifyPromoted(session, promoted);
+
+    return { ...result, promoted, capacity, session };
+}
+
+/**
+ * Seat a roster in a session that has not been saved yet (e.g. a new session of a section):
+ * students take the seats in roster order and the rest start on the waitlist.
+ */
+async function seatRoster(session, studentIds) {
+    const capacity = await getCapacity(session);
+    const now = new Date();
+    session.students = studentIds.slice(0, capacity).map(student => ({ student, enrolledAt: now }));
+    session.waitlist = studentIds.slice(capacity).map(student => ({ student, addedAt: now }));
+    return session;
+}
+
+// Take a student off a session and give the seat to the next in line
+async function unenrollStudent(session, studentId) {
+    if (!isEnrolled(session, studentId)) {
+        throw httpError('Student is not enrolled in this session', 404);
+    }
+
+    session.students = session.students.filter(s => !sameId(s.student, studentId));
+    await session.save();
+
+    return promoteFromWaitlist(session);
+}
+
+// Faculty override: seat a waitlisted student now, past capacity if need be
+async function admitFromWaitlist(session, studentId) {
+    if (!waitlistPosition(session, studentId)) {
+        throw httpError('Student is not on the waitlist', 404);
+    }
+
+    const capacity = await getCapacity(session);
+    removeFromWaitlist(session, studentId);
+    session.students.push({ student: studentId, enrolledAt: new Date(), capacityOverride: session.students.length >= capacity });
+    await session.save();
+    await notifyPromoted(session, [studentId]);
+
+    return session;
+}
+
+async function leaveWaitlist(session, studentId) {
+    if (!waitlistPosition(session, studentId)) {
+        throw httpError('Student is not on the waitlist', 404);
+    }
+    removeFromWaitlist(session, studentId);
+    await session.save();
+    return session;
+}
+
+/**
+ * Join-time check for students: they must be enrolled, and unless faculty let them in past
+ * capacity, the number of students present must be below the session's seats.
+ */
+async function assertCanJoin(session, userId) {
+    const entry = session.students.find(s => sameId(s.student, userId));
+    if (!entry) {
+        const position = waitlistPosition(session, userId);
+        throw httpError(
+            position ? 'You are on the waitlist for this session' : 'Not enrolled in this session',
+            403,
+            position ? { waitlistPosition: position } : undefined
+        );
+    }
+    if (entry.capacityOverride) return;
+
+    const capacity = await getCapacity(session);
+    const present = await Attendance.countDocuments({ session: session._id, isPresent: true, student: { $ne: userId } });
+    if (present >= capacity) {
+        throw httpError('Session is full', 409, { capacity });
+    }
+}
+
+module.exports = {
+    getCapacity,
+    waitlistPosition,
+    promoteFromWaitlist,
+    promoteWaitlists,
+    enrollStudents,
+    seatRoster,
+    unenrollStudent,
+    admitFromWaitlist,
+    leaveWaitlist,
+    assertCanJoin,
+};
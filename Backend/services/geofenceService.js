@@ -0,0 +1,94 @@
+const { College } = require('../models');
+const { distanceFromFence } = require('../utils/geo');
+const logger = require('../utils/logger');
+
+const DEFAULT_MAX_ACCURACY_METERS = 150;
+
+// Active fences for a session: its classroom's fences if any exist, otherwise the campus-wide ones
+function getApplicableFences(college, session) {
+    const active = (college.geofences || []).filter(fence => fence.isActive);
+
+    if (session && session.classroom) {
+        const classroomFences = active.filter(fence => fence.classroom === session.classroom);
+        if (classroomFences.length > 0) {
+            return classroomFences;
+        }
+    }
+
+    return active.filter(fence => !fence.classroom);
+}
+
+/**
+ * Check a location fix against the fences that apply to a session.
+ * The reported accuracy is treated as a radius of uncertainty: a fix counts as inside
+ * if its uncertainty circle touches a fence, and fixes coarser than the college's
+ * threshold are not trusted at all.
+ * @returns {Object} { required, verified, status, fence, distanceOutsideMeters, accuracy }
+ *   status is one of inside, outside, low_accuracy, not_configured, not_required
+ */
+function evaluateLocation(college, session, { latitude, longitude, accuracy = null }) {
+    // Opt-in: the college must turn verification on and the session must ask for it
+    const required = college.settings.requireLocationVerification === true &&
+        session.settings.requireLocationVerification === true;
+
+    if (!required) {
+        return { required, verified: true, status: 'not_required', accuracy };
+    }
+
+    // Without fences there is nothing to verify against: accept the location as before geofencing
+    const fences = getApplicableFences(college, session);
+    if (fences.length === 0) {
+        return { required: false, verified: true, status: 'not_configured', accuracy };
+    }
+
+    const maxAccuracy = college.settings.maxLocationAccuracyMeters || DEFAULT_MAX_ACCURACY_METERS;
+    if (accuracy === null || accuracy === undefined || accuracy > maxAccuracy) {
+        return { required, verified: false, status: 'low_accuracy', accuracy, maxAccuracyMeters: maxAccuracy };
+    }
+
+    // Pick the fence the fix is closest to (or deepest inside)
+    const point = { latitude, longitude };
+    const nearest = fences
+        .map(fence => ({ fence, distance: distanceFromFence(point, fence) }))
+        .reduce((best, current) => (current.distance < best.distance ? current : best));
+
+    const inside = nearest.distance - accuracy <= 0;
+
+    return {
+        required,
+        verified: inside,
+        status: inside ? 'inside' : 'outside',
+        fence: { id: nearest.fence._id, name: nearest.fence.name, classroom: nearest.fence.classroom },
+        distanceOutsideMeters: Math.max(0, Math.round(nearest.distance)),
+        accuracy,
+    };
+}
+
+// Verify a student's location for a session and record it on their attendance
+async function verifyAttendanceLocation(attendance, session, { latitude, longitude, address, accuracy = null }) {
+    const college = await College.findById(session.college).select('settings geofences');
+    if (!college) {
+        throw new Error('College not found');
+    }
+
+    const verification = evaluateLocation(college, session, { latitude, longitude, accuracy });
+    await attendance.updateLocation(latitude, longitude, address, accuracy, verification);
+
+    if (verification.required && !verification.verified) {
+        logger.warn('Location verification failed', {
+            studentId: attendance.student,
+            sessionId: session._id,
+            status: verification.status,
+            distanceOutsideMeters: verification.distanceOutsideMeters,
+            accuracy,
+        });
+    }
+
+    return verification;
+}
+
+module.exports = {
+    getApplicableFences,
+    evaluateLocation,
+    verifyAttendanceLocation,
+};
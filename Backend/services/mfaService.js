@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { User, College } = require('../models');
+const { encrypt, decrypt, sha256Hash } = require('../utils/encryption');
+const { generateSecret, verifyTotp, buildOtpAuthUrl } = require('../utils/totp');
+const { httpError } = require('../utils/helpers');
+const { JWT_SECRET } = require('../config/jwt');
+const logger = require('../utils/logger');
+
+const MFA_ISSUER = process.env.MFA_ISSUER || 'ShikshaLok';
+const CHALLENGE_EXPIRES_IN = '5m';
+const BACKUP_CODE_COUNT = 10;
+
+// 32-byte hex key for encrypting TOTP secrets; derived from JWT_SECRET when ENCRYPTION_KEY is not set
+const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || sha256Hash(JWT_SECRET);
+
+const MFA_FIELDS = '+mfa.secret +mfa.pendingSecret +mfa.backupCodes +mfa.lastUsedStep';
+
+// Whether the user's college requires MFA for their role
+async function isMfaRequired(user) {
+    if (!user.college) return false;
+    const collegeId = user.college._id || user.college;
+    const college = await College.findById(collegeId).select('settings.mfaRequiredRoles');
+    return !!(college && (college.settings.mfaRequiredRoles || []).includes(user.role));
+}
+
+// Short-lived token proving the password step succeeded; exchanged for real tokens after MFA
+function createChallengeToken(user) {
+    return jwt.sign({ userId: user._id, type: 'mfa_challenge' }, JWT_SECRET, { expiresIn: CHALLENGE_EXPIRES_IN });
+}
+
+function verifyChallengeToken(token) {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    if (decoded.type !== 'mfa_challenge') {
+        throw httpError('Token is not an MFA challenge token', 401);
+    }
+    return decoded;
+}
+
+function loadUserWithMfa(userId) {
+    return User.findById(userId).select(MFA_FIELDS);
+}
+
+function normalizeBackupCode(code) {
+    return String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+}
+
+// Generate fresh one-time recovery codes; only their hashes are stored
+function generateBackupCodes() {
+    const codes = [];
+    for (let i = 0; i < BACKUP_CODE_COUNT; i++) {
+        const raw = crypto.randomBytes(4).toString('hex');
+        codes.push(`${raw.slice(0, 4)}-${raw.slice(4)}`);
+    }
+    return {
+        codes,
+        hashes: codes.map(code => ({ codeHash: sha256Hash(normalizeBackupCode(code)) })),
+    };
+}
+
+// Begin enrollment: store a pending secret and return what the authenticator app needs
+async function startEnrollment(userId) {
+    const user = await loadUserWithMfa(userId);
+    if (!user) {
+        throw httpError('User not found', 404);
+    }
+    if (user.mfa.enabled) {
+        throw httpError('MFA is already enabled');
+    }
+
+    const secret = generateSecret();
+    user.mfa.pendingSecret = encrypt(secret, ENCRYPTION_KEY);
+    await user.save();
+
+    return {
+        secret,
+        otpauthUrl: buildOtpAuthUrl({ secret, label: user.email, issuer: MFA_ISSUER }),
+    };
+}
+
+// Finish enrollment with a code from the app; returns the backup codes (shown once)
+async function confirmEnrollment(userId, code) {
+    const user = await loadUserWithMfa(userId);
+    if (!user || user.mfa.enabled || !user.mfa.pendingSecret) {
+        throw httpError('No MFA enrollment in progress');
+    }
+
+    const secret = decrypt(user.mfa.pendingSecret, ENCRYPTION_KEY);
+    const step = verifyTotp(secret, code);
+    if (step === null) {
+        throw httpError('Invalid verification code');
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    user.mfa.secret = user.mfa.pendingSecret;
+    user.mfa.pendingSecret = undefined;
+    user.mfa.backupCodes = hashes;
+    user.mfa.lastUsedStep = step;
+    user.mfa.enabled = true;
+    user.mfa.enabledAt = new Date();
+    await user.save();
+
+    logger.info('MFA enabled', { userId: user._id });
+
+    return { backupCodes: codes };
+}
+
+/**
+ * Check a TOTP code or an unused backup code.
+ * TOTP codes cannot be reused within their time step; backup codes are single-use.
+ * @returns {Promise<string|null>} 'totp', 'backup_code', or null when the code is wrong
+ */
+async function verifyCode(userId, code) {
+    const user = await loadUserWithMfa(userId);
+    if (!user || !user.mfa.enabled || !user.mfa.secret) {
+        return null;
+    }
+
+    const step = verifyTotp(decrypt(user.mfa.secret, ENCRYPTION_KEY), code);
+    if (step !== null) {
+        if (typeof user.mfa.lastUsedStep === 'number' && step <= user.mfa.lastUsedStep) {
+            return null;
+        }
+        user.mfa.lastUsedStep = step;
+        await user.save();
+        return 'totp';
+    }
+
+    const codeHash = sha256Hash(normalizeBackupCode(code));
+    const backupCode = user.mfa.backupCodes.find(entry => !entry.usedAt && entry.codeHash === codeHash);
+    if (backupCode) {
+        backupCode.usedAt = new Date();
+        await user.save();
+
+        logger.info('MFA backup code used', {
+            userId: user._id,
+            remaining: user.mfa.backupCodes.filter(entry => !entry.usedAt).length,
+        });
+        return 'backup_code';
+    }
+
+    return null;
+}
+
+// Replace all backup codes (requires a valid code)
+async function regenerateBackupCodes(userId, code) {
+    if (!(await verifyCode(userId, code))) {
+        throw httpError('Invalid verification code');
+    }
+
+    const user = await loadUserWithMfa(userId);
+    const { codes, hashes } = generateBackupCodes();
+    user.mfa.backupCodes = hashes;
+    await user.save();
+
+    return { backupCodes: codes };
+}
+
+// Turn MFA off (requires a valid code, and is refused when the college enforces it)
+async function disableMfa(userId, code) {
+    const user = await User.findById(userId);
+    if (!user || !user.mfa.enabled) {
+        throw httpError('MFA is not enabled');
+    }
+    if (await isMfaRequired(user)) {
+        throw httpError('Your college requires MFA for your role', 403);
+    }
+    if (!(await verifyCode(userId, code))) {
+        throw httpError('Invalid verification code');
+    }
+
+    await User.updateOne({ _id: userId }, {
+        $set: { 'mfa.enabled': false },
+        $unset: { 'mfa.secret': 1, 'mfa.pendingSecret': 1, 'mfa.backupCodes': 1, 'mfa.lastUsedStep': 1, 'mfa.enabledAt': 1 },
+    });
+
+    logger.info('MFA disabled', { userId });
+}
+
+module.exports = {
+    isMfaRequired,
+    createChallengeToken,
+    verifyChallengeToken,
+    startEnrollment,
+    confirmEnrollment,
+    verifyCode,
+    regenerateBackupCodes,
+    disableMfa,
+};
@@ -0,0 +1,346 @@
+const { ChatMessage, ClassSession, College, User, AuditLog } = require('../models');
+const { httpError } = require('../utils/helpers');
+const logger = require('../utils/logger');
+const chatService = require('./chatService');
+
+// Common English profanity; colleges extend or replace it through settings.chatFilter
+const DEFAULT_BLOCKED_WORDS = [
+    'fuck', 'fucking', 'motherfucker', 'shit', 'bullshit', 'bitch', 'bastard',
+    'asshole', 'dick', 'cunt', 'slut', 'whore',
+];
+
+const RESTRICTION_TYPES = ['mute', 'ban'];
+
+// Staff are never muted, slowed down or filtered
+const STAFF_ROLES = ['faculty', 'admin'];
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find whole-word, case-insensitive matches of the word list and mask them with asterisks.
+ * @returns {{ text: string, matches: string[] }}
+ */
+function applyWordFilter(text, words) {
+    const list = [...new Set(words.map(word => word.trim().toLowerCase()).filter(Boolean))];
+    if (list.length === 0) {
+        return { text, matches: [] };
+    }
+
+    const pattern = new RegExp(`\\b(${list.map(escapeRegExp).join('|')})\\b`, 'gi');
+    const matches = [];
+    const masked = text.replace(pattern, (match) => {
+        matches.push(match.toLowerCase());
+        return '*'.repeat(match.length);
+    });
+
+    return { text: masked, matches };
+}
+
+// Run a message through the college word filter: returns the (possibly masked) text, or throws in block mode
+async function filterMessage(collegeId, text) {
+    const college = collegeId ? await College.findById(collegeId).select('settings.chatFilter') : null;
+    const chatFilter = (college && college.settings && college.settings.chatFilter) || {};
+
+    if (chatFilter.enabled === false) {
+        return { text, filtered: false };
+    }
+
+    const words = [
+        ...(chatFilter.useDefaultList === false ? [] : DEFAULT_BLOCKED_WORDS),
+        ...(chatFilter.words || []),
+    ];
+    const result = applyWordFilter(text, words);
+
+    if (result.matches.length === 0) {
+        return { text, filtered: false };
+    }
+    if (chatFilter.mode === 'block') {
+        throw httpError('Message contains blocked words', 422);
+    }
+
+    return { text: result.text, filtered: true };
+}
+
+// The user's unexpired mute or ban in this session (a ban wins over a mute)
+function getActiveRestriction(session, userId, types = RESTRICTION_TYPES) {
+    const now = new Date();
+    const active = (session.chatRestrictions || []).filter(r =>
+        r.user.equals(userId) && r.until > now && types.includes(r.type)
+    );
+
+    return active.find(r => r.type === 'ban') || active[0] || null;
+}
+
+// Enforce mutes, bans and (unless turned off, as for edits) slow mode for a student about to send a message
+async function assertCanSend(session, userId, role, { slowMode = true } = {}) {
+    if (STAFF_ROLES.includes(role)) return;
+
+    const restriction = getActiveRestriction(session, userId);
+    if (restriction) {
+        throw httpError(
+            restriction.type === 'ban' ? 'You are banned from this session' : 'You are muted in this session',
+            403,
+            { until: restriction.until }
+        );
+    }
+
+    const slowModeSeconds = slowMode ? session.settings.chatSlowModeSeconds || 0 : 0;
+    if (slowModeSeconds > 0) {
+        const lastMessage = await ChatMessage.findOne({ session: session._id, sender: userId, type: { $ne: 'system' } })
+            .sort({ timestamp: -1 })
+            .select('timestamp');
+
+        const waitMs = lastMessage ? lastMessage.timestamp.getTime() + slowModeSeconds * 1000 - Date.now() : 0;
+        if (waitMs > 0) {
+            throw httpError('Slow mode is on', 429, { retryAfterSeconds: Math.ceil(waitMs / 1000) });
+        }
+    }
+}
+
+/**
+ * Check that a user may post in a session and apply the word filter.
+ * Throws errors with statusCode 403 (muted/banned), 422 (blocked words) or 429 (slow mode).
+ * @returns {Promise<{ text: string, filtered: boolean, session: Object }>}
+ */
+async function prepareOutgoingMessage({ sessionId, userId, role, text }) {
+    const session = await ClassSession.findById(sessionId).select('college faculty students settings chatRestrictions breakoutRooms');
+
+    if (!session) {
+        throw httpError('Session not found', 404);
+    }
+
+    await assertCanSend(session, userId, role);
+    const result = await filterMessage(session.college, text);
+    return { ...result, session };
+}
+
+/**
+ * The same checks for the new text of an edited message, so edits cannot get past a mute, ban or
+ * the word filter. Slow mode does not apply to edits.
+ * @returns {Promise<{ text: string, filtered: boolean }>}
+ */
+async function prepareMessageEdit({ sessionId, userId, role, text }) {
+    const session = await ClassSession.findById(sessionId).select('college settings chatRestrictions');
+
+    if (!session) {
+        throw httpError('Session not found', 404);
+    }
+
+    await assertCanSend(session, userId, role, { slowMode: false });
+    return filterMessage(session.college, text);
+}
+
+// Write the audit entry and announce the action in the session chat
+async function recordAction({ io, session, actor, action, announcement, targetUser, targetMessage, reason, details }) {
+    const entry = await AuditLog.create({
+        college: session.college,
+        session: session._id,
+        actor,
+        action,
+        targetUser,
+        targetMessage,
+        reason,
+        details,
+    });
+
+    const systemMessage = await ChatMessage.create({
+        session: session._id,
+        sender: actor,
+        message: announcement,
+        type: 'system',
+    });
+    if (io) {
+        io.to(`session-${session._id}`).emit('chat_message', systemMessage);
+    }
+
+    logger.info('Chat moderation action', { sessionId: session._id, actor, action, targetUser, targetMessage });
+    return entry;
+}
+
+// Flag a message for faculty review; flagging twice is a no-op
+async function flagMessage({ io, sessionId, messageId, userId, role, reason }) {
+    const message = await ChatMessage.findOne({ _id: messageId, session: sessionId, isDeleted: false });
+    const session = await ClassSession.findById(sessionId).select('faculty breakoutRooms');
+    // Same visibility as reads, so private and breakout messages can't be probed by id
+    if (!message || !chatService.canSeeMessage(message, userId, { role, session })) {
+        throw httpError('Message not found', 404);
+    }
+    if (message.sender.equals(userId)) {
+        throw httpError('You cannot flag your own message', 400);
+    }
+    if (message.flaggedBy.some(flag => flag.user.equals(userId))) {
+        return message;
+    }
+
+    message.flaggedBy.push({ user: userId, reason, flaggedAt: new Date() });
+    message.isFlagged = true;
+    message.moderatedBy = undefined; // back in the queue if it was reviewed before
+    await message.save();
+
+    if (io && session) {
+        io.to(`user-${session.faculty}`).emit('chat_message_flagged', {
+            sessionId,
+            messageId: message._id,
+            flagCount: message.flaggedBy.length,
+            reason,
+        });
+    }
+
+    logger.info('Chat message flagged', { messageId, sessionId, flaggedBy: userId });
+    return message;
+}
+
+// Flagged messages no moderator has reviewed yet, most flagged first
+async function getFlagQueue(sessionId) {
+    const messages = await ChatMessage.find({ session: sessionId, isFlagged: true, isDeleted: false, moderatedBy: null })
+        .populate('sender', 'name email studentId')
+        .populate('flaggedBy.user', 'name')
+        .sort({ updatedAt: -1 });
+
+    return messages.sort((a, b) => b.flaggedBy.length - a.flaggedBy.length);
+}
+
+// Resolve a flag: 'dismiss' keeps the message, 'remove' deletes it for everyone
+async function reviewFlag({ io, session, messageId, moderatorId, action, reason }) {
+    const message = await ChatMessage.findOne({ _id: messageId, session: session._id, isDeleted: false });
+    if (!message) {
+        throw httpError('Message not found', 404);
+    }
+
+    message.moderatedBy = moderatorId;
+    if (action === 'remove') {
+        message.isApproved = false;
+        message.isDeleted = true;
+        message.deletedAt = new Date();
+        message.deletedBy = moderatorId;
+    } else {
+        message.isFlagged = false;
+    }
+    await message.save();
+
+    if (action === 'remove' && io) {
+        io.to(`session-${session._id}`).emit('chat_message_deleted', { messageId: message._id });
+    }
+
+    await recordAction({
+        io,
+        session,
+        actor: moderatorId,
+        action: action === 'remove' ? 'chat.message_removed' : 'chat.flag_dismissed',
+        announcement: action === 'remove' ? 'A message was removed by a moderator.' : 'A flagged message was reviewed and kept.',
+        targetUser: message.sender,
+        targetMessage: message._id,
+        reason,
+        details: { flagCount: message.flaggedBy.length },
+    });
+
+    return message;
+}
+
+// Mute or ban an enrolled student for a number of minutes, replacing any existing restriction of that type
+async function restrictUser({ io, session, userId, type, durationMinutes, reason, moderatorId }) {
+    if (!session.students.some(s => s.student.equals(userId))) {
+        throw httpError('User is not enrolled in this session', 404);
+    }
+
+    const user = await User.findById(userId).select('name');
+    const until = new Date(Date.now() + durationMinutes * 60 * 1000);
+
+    session.chatRestrictions = session.chatRestrictions.filter(r => !(r.user.equals(userId) && r.type === type));
+    session.chatRestrictions.push({ user: userId, type, until, reason, issuedBy: moderatorId, issuedAt: new Date() });
+    await session.save();
+
+    if (io) {
+        // Banned users lose the session room on every device
+        if (type === 'ban') {
+            io.in(`user-${userId}`).socketsLeave(`session-${session._id}`);
+        }
+        io.to(`user-${userId}`).emit('chat_restricted', { sessionId: session._id, type, until, reason });
+    }
+
+    await recordAction({
+        io,
+        session,
+        actor: moderatorId,
+        action: `chat.${type}`,
+        announcement: `${user ? user.name : 'A student'} was ${type === 'ban' ? 'banned' : 'muted'} for ${durationMinutes} minutes.`,
+        targetUser: userId,
+        reason,
+        details: { until, durationMinutes },
+    });
+
+    return { type, until };
+}
+
+// Lift a user's mute or ban early
+async function liftRestriction({ io, session, userId, type, moderatorId }) {
+    const before = session.chatRestrictions.length;
+    session.chatRestrictions = session.chatRestrictions.filter(r => !(r.user.equals(userId) && r.type === type));
+    if (session.chatRestrictions.length === before) {
+        throw httpError(`User is not under a ${type}`, 404);
+    }
+    await session.save();
+
+    const user = await User.findById(userId).select('name');
+    if (io) {
+        io.to(`user-${userId}`).emit('chat_restriction_lifted', { sessionId: session._id, type });
+    }
+
+    await recordAction({
+        io,
+        session,
+        actor: moderatorId,
+        action: `chat.un${type}`,
+        announcement: `${user ? user.name : 'A student'} was ${type === 'ban' ? 'unbanned' : 'unmuted'}.`,
+        targetUser: userId,
+    });
+}
+
+// Set the minimum gap between a student's messages (0 turns slow mode off)
+async function setSlowMode({ io, session, seconds, moderatorId }) {
+    session.settings.chatSlowModeSeconds = seconds;
+    await session.save();
+
+    if (io) {
+        io.to(`session-${session._id}`).emit('chat_slow_mode', { sessionId: session._id, seconds });
+    }
+
+    await recordAction({
+        io,
+        session,
+        actor: moderatorId,
+        action: 'chat.slow_mode',
+        announcement: seconds > 0 ? `Slow mode is on: one message every ${seconds} seconds.` : 'Slow mode is off.',
+        details: { seconds },
+    });
+}
+
+// Moderation history for a session, newest first
+function getModerationLog(sessionId, { page = 1, limit = 50 } = {}) {
+    return AuditLog.find({ session: sessionId, action: /^chat\./ })
+        .populate('actor', 'name role')
+        .populate('targetUser', 'name')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit));
+}
+
+module.exports = {
+    DEFAULT_BLOCKED_WORDS,
+    RESTRICTION_TYPES,
+    applyWordFilter,
+    filterMessage,
+    getActiveRestriction,
+    assertCanSend,
+    prepareOutgoingMessage,
+    prepareMessageEdit,
+    flagMessage,
+    getFlagQueue,
+    reviewFlag,
+    restrictUser,
+    liftRestriction,
+    setSlowMode,
+    getModerationLog,
+};
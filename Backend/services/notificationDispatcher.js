@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+const { Notification, User } = require('../models');
+const emailService = require('./emailService');
+const { renderTemplate } = require('./emailTemplates');
+const logger = require('../utils/logger');
+
+const POLL_INTERVAL_MS = parseInt(process.env.NOTIFICATION_POLL_INTERVAL_MS, 10) || 10000;
+const DIGEST_WINDOW_MS = (parseInt(process.env.NOTIFICATION_DIGEST_WINDOW_SECONDS, 10) || 120) * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 5;
+const LOCK_DURATION_MS = 60 * 1000;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const BATCH_SIZE = 50;
+const APP_URL = (process.env.APP_URL || process.env.FRONTEND_URL || 'http://localhost:3000').split(',')[0];
+
+const CHANNELS = ['inApp', 'email', 'sms', 'push'];
+
+// High-priority notifications skip the digest window and go out as soon as they are due
+const IMMEDIATE_PRIORITIES = ['high', 'urgent'];
+
+const adapters = new Map();
+let timer = null;
+let running = false;
+let context = {};
+let lastPurgeAt = 0;
+
+/**
+ * Register the delivery adapter for a channel.
+ * adapter.send({ recipient, notifications, digest, groupKey }, context) throws to signal a retryable failure.
+ * sms and push have no built-in adapter; those channels are skipped until one is registered.
+ */
+function registerChannelAdapter(channel, adapter) {
+    if (!CHANNELS.includes(channel)) {
+        throw new Error(`Unknown notification channel: ${channel}`);
+    }
+    adapters.set(channel, adapter);
+}
+
+function absoluteUrl(actionUrl) {
+    if (!actionUrl) return null;
+    return /^https?:\/\//.test(actionUrl) ? actionUrl : `${APP_URL}${actionUrl}`;
+}
+
+// In-app: push to the recipient's socket room; the stored notification covers offline users
+registerChannelAdapter('inApp', {
+    async send({ recipient, notifications, digest, groupKey }, { io }) {
+        if (!io) {
+            throw new Error('Socket server not available');
+        }
+
+        const room = `user-${recipient._id}`;
+        if (digest) {
+            io.to(room).emit('notification_digest', {
+                groupKey,
+                count: notifications.length,
+                notifications: notifications.map(n => n.toJSON()),
+            });
+        } else {
+            io.to(room).emit('notification', notifications[0].toJSON());
+        }
+        io.to(room).emit('notification_count', { unreadCount: await Notification.getUnreadCount(recipient._id) });
+    },
+});
+
+registerChannelAdapter('email', {
+    async send({ recipient, notifications, digest }) {
+        if (!recipient.email) {
+            throw new Error('Recipient has no email address');
+        }
+
+        const [first] = notifications;
+        const mail = digest
+            ? renderTemplate('notificationDigest', {
+                name: recipient.name,
+                items: notifications.map(n => ({ title: n.title, message: n.message })),
+            })
+            : renderTemplate('notification', {
+                name: recipient.name,
+                title: first.title,
+                message: first.message,
+                url: absoluteUrl(first.data && first.data.actionUrl),
+            });
+
+        await emailService.sendEmail({ to: recipient.email, ...mail });
+    },
+});
+
+// When a notification should first be attempted: grouped, non-urgent items wait so siblings can be collapsed
+function initialAttemptAt(notification) {
+    const scheduledFor = notification.scheduledFor || new Date();
+    if (notification.groupKey && !IMMEDIATE_PRIORITIES.includes(notification.priority)) {
+        return new Date(scheduledFor.getTime() + DIGEST_WINDOW_MS);
+    }
+    return scheduledFor;
+}
+
+function notExpired(now) {
+    return { expiresAt: { $not: { $lte: now } } };
+}
+
+/**
+ * Claim the next due notification together with any pending siblings that share its groupKey
+ * and would fall due within the digest window. The claim's batchId doubles as the lock token.
+ */
+async function claimNextBatch() {
+    const now = new Date();
+    const batchId = crypto.randomUUID();
+    const lock = {
+        'dispatch.state': 'processing',
+        'dispatch.lockedUntil': new Date(now.getTime() + LOCK_DURATION_MS),
+        batchId,
+    };
+
+    const leader = await Notification.findOneAndUpdate({
+        ...notExpired(now),
+        $or: [
+            { 'dispatch.state': 'pending', 'dispatch.nextAttemptAt': { $lte: now } },
+            // Created through Notification.createNotification, which does not set nextAttemptAt
+            { 'dispatch.state': 'pending', 'dispatch.nextAttemptAt': null, scheduledFor: { $lte: now } },
+            { 'dispatch.state': 'processing', 'dispatch.lockedUntil': { $lt: now } },
+        ],
+    }, { $set: lock }, { sort: { 'dispatch.nextAttemptAt': 1 }, new: true });
+
+    if (!leader) return [];
+    if (!leader.groupKey) return [leader];
+
+    await Notification.updateMany({
+        ...notExpired(now),
+        _id: { $ne: leader._id },
+        recipient: leader.recipient,
+        groupKey: leader.groupKey,
+        'dispatch.state': 'pending',
+        'dispatch.nextAttemptAt': { $lte: new Date(now.getTime() + DIGEST_WINDOW_MS) },
+    }, { $set: lock });
+
+    return Notification.find({ batchId }).sort({ createdAt: 1 });
+}
+
+// Channels a notification still needs delivered on
+function pendingChannels(notification) {
+    return CHANNELS.filter(channel =>
+        notification.channels[channel] &&
+        adapters.has(channel) &&
+        !notification.deliveryStatus[channel].delivered
+    );
+}
+
+function finishAttempt(notification, error) {
+    const now = new Date();
+    notification.dispatch.attempts += 1;
+    notification.dispatch.lockedUntil = undefined;
+
+    if (!error) {
+        notification.dispatch.state = 'sent';
+        notification.dispatch.nextAttemptAt = undefined;
+        notification.dispatch.lastError = undefined;
+        notification.sentAt = now;
+    } else if (notification.dispatch.attempts >= MAX_ATTEMPTS) {
+        notification.dispatch.state = 'failed';
+        notification.dispatch.lastError = error;
+    } else {
+        // Exponential backoff: 30s, 60s, 120s, ...
+        notification.dispatch.state = 'pending';
+        notification.dispatch.nextAttemptAt = new Date(now.getTime() + RETRY_BASE_DELAY_MS * 2 ** (notification.dispatch.attempts - 1));
+        notification.dispatch.lastError = error;
+    }
+}
+
+// Deliver one claimed batch over every enabled channel; channels already delivered are not repeated on retry
+async function deliverBatch(notifications) {
+    const [first] = notifications;
+    const recipient = await User.findById(first.recipient).select('name email phoneNumber isActive');
+
+    if (!recipient || !recipient.isActive) {
+        // Nothing to retry for
+        notifications.forEach(n => {
+            n.dispatch.attempts += 1;
+            n.dispatch.state = 'failed';
+            n.dispatch.lockedUntil = undefined;
+            n.dispatch.lastError = 'Recipient not found or inactive';
+        });
+        await Promise.all(notifications.map(n => n.save()));
+        return;
+    }
+
+    for (const channel of CHANNELS) {
+        const pending = notifications.filter(n => pendingChannels(n).includes(channel));
+        if (pending.length === 0) continue;
+
+        try {
+            await adapters.get(channel).send({
+                recipient,
+                notifications: pending,
+                digest: pending.length > 1,
+                groupKey: first.groupKey,
+            }, context);
+
+            const deliveredAt = new Date();
+            pending.forEach(n => {
+                n.deliveryStatus[channel].delivered = true;
+                n.deliveryStatus[channel].deliveredAt = deliveredAt;
+                n.deliveryStatus[channel].lastError = undefined;
+            });
+        } catch (error) {
+            pending.forEach(n => {
+                n.deliveryStatus[channel].lastError = error.message;
+            });
+            logger.warn('Notification channel delivery failed', {
+                channel,
+                recipient: recipient._id,
+                notifications: pending.map(n => n._id),
+                error: error.message,
+            });
+        }
+    }
+
+    for (const notification of notifications) {
+        const failed = pendingChannels(notification);
+        finishAttempt(notification, failed.length
+            ? failed.map(channel => `${channel}: ${notification.deliveryStatus[channel].lastError}`).join('; ')
+            : null);
+    }
+    await Promise.all(notifications.map(n => n.save()));
+
+    logger.info('Notifications dispatched', {
+        recipient: recipient._id,
+        count: notifications.length,
+        digest: notifications.length > 1,
+        groupKey: first.groupKey,
+    });
+}
+
+// Backs up the TTL index, which runs only once a minute and only where indexes were built
+async function purgeExpired() {
+    const { deletedCount } = await Notification.deleteMany({ expiresAt: { $lte: new Date() } });
+    if (deletedCount) {
+        logger.info('Expired notifications purged', { count: deletedCount });
+    }
+    return deletedCount;
+}
+
+// Deliver every due notification, a batch at a time, and periodically purge expired ones
+async function tick() {
+    if (running) return;
+    running = true;
+
+    try {
+        if (Date.now() - lastPurgeAt >= PURGE_INTERVAL_MS) {
+            lastPurgeAt = Date.now();
+            await purgeExpired();
+        }
+
+        for (let i = 0; i < BATCH_SIZE; i++) {
+            const batch = await claimNextBatch();
+            if (batch.length === 0) break;
+            await deliverBatch(batch);
+        }
+    } catch (error) {
+        logger.error('Notification dispatch error:', error);
+    } finally {
+        running = false;
+    }
+}
+
+// Run a dispatch pass without waiting for the next poll (no-op until started)
+function dispatchSoon() {
+    if (timer) {
+        setImmediate(tick);
+    }
+}
+
+// Start polling for due notifications; context.io is used for in-app delivery
+function start(dispatchContext = {}) {
+    if (timer) return;
+    context = dispatchContext;
+    timer = setInterval(tick, POLL_INTERVAL_MS);
+    timer.unref();
+    logger.info('Notification dispatcher started', { pollIntervalMs: POLL_INTERVAL_MS, channels: [...adapters.keys()] });
+}
+
+function stop() {
+    if (!timer) return;
+    clearInterval(timer);
+    timer = null;
+    logger.info('Notification dispatcher stopped');
+}
+
+module.exports = {
+    CHANNELS,
+    registerChannelAdapter,
+    initialAttemptAt,
+    purgeExpired,
+    dispatchSoon,
+    start,
+    stop,
+    tick,
+};
@@ -1,6 +1,30 @@
-const { Notification } = require('../models');
+const { Notification, User } = require('../models');
+const notificationDispatcher = require('./notificationDispatcher');
+const { httpError } = require('../utils/helpers');
 const logger = require('../utils/logger');
 
+const NOTIFICATION_TYPES = Notification.schema.path('type').enumValues;
+
+// Apply the recipient's channel preferences: per-type overrides first, then the global opt-outs.
+// Turning notifications off stops email, SMS and push; the in-app list still gets them.
+async function applyPreferences(notification) {
+    const recipient = await User.findById(notification.recipient).select('settings');
+    if (!recipient || !recipient.settings) return;
+
+    const { notificationPreferences, notifications, emailUpdates } = recipient.settings;
+    const overrides = notificationPreferences && notificationPreferences.get(notification.type);
+
+    notificationDispatcher.CHANNELS.forEach(channel => {
+        if (overrides && typeof overrides[channel] === 'boolean') {
+            notification.channels[channel] = overrides[channel];
+        } else if (channel !== 'inApp' && notifications === false) {
+            notification.channels[channel] = false;
+        } else if (channel === 'email' && emailUpdates === false) {
+            notification.channels.email = false;
+        }
+    });
+}
+
 // Create a notification for a user or group
 async function createNotification(data) {
     try {
@@ -15,9 +39,15 @@ async function createNotification(data) {
             expiry.setDate(expiry.getDate() + 30); // Default expiry is 30 days
             notification.expiresAt = expiry;
         }
+        await applyPreferences(notification);
+        notification.dispatch.nextAttemptAt = notificationDispatcher.initialAttemptAt(notification);
 
         await notification.save();
 
+        if (notification.dispatch.nextAttemptAt <= new Date()) {
+            notificationDispatcher.dispatchSoon();
+        }
+
         logger.info('Notification created', {
             id: notification._id,
             recipient: notification.recipient,
@@ -86,9 +116,145 @@ async function markAsDelivered(notificationId, userId, channel) {
     return notification;
 }
 
+// Query for the notifications a user sees in their list (archived ones only when asked for)
+function buildListQuery(userId, { unreadOnly = false, archived = false, types = null } = {}) {
+    const query = { recipient: userId, isDismissed: { $ne: true }, isArchived: archived ? true : { $ne: true } };
+    if (unreadOnly) query.isRead = false;
+    if (types && types.length > 0) query.type = { $in: types };
+    return query;
+}
+
+// Paginated listing with the unread badge count
+async function listNotifications(userId, options = {}) {
+    const page = parseInt(options.page) || 1;
+    const limit = parseInt(options.limit) || 20;
+    const query = buildListQuery(userId, options);
+
+    const [notifications, total, unreadCount] = await Promise.all([
+        Notification.find(query)
+            .populate('sender', 'name role')
+            .populate('data.sessionId', 'title subject')
+            .sort({ createdAt: options.sort === 'oldest' ? 1 : -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        Notification.countDocuments(query),
+        Notification.getUnreadCount(userId)
+    ]);
+
+    return {
+        notifications,
+        unreadCount,
+        pagination: {
+            currentPage: page,
+            totalPages: Math.ceil(total / limit),
+            totalNotifications: total,
+            hasNext: page * limit < total,
+            hasPrev: page > 1
+        }
+    };
+}
+
+// Restrict a bulk update to the user's own notifications; no ids means all of them
+function ownedFilter(userId, ids) {
+    const filter = { recipient: userId };
+    if (ids && ids.length > 0) filter._id = { $in: ids };
+    return filter;
+}
+
+async function markManyAsRead(userId, ids) {
+    const now = new Date();
+    const result = await Notification.updateMany(
+        { ...ownedFilter(userId, ids), isRead: false },
+        { $set: { isRead: true, readAt: now } }
+    );
+    return result.modifiedCount;
+}
+
+async function archiveNotifications(userId, ids) {
+    const now = new Date();
+    const result = await Notification.updateMany(
+        { ...ownedFilter(userId, ids), isArchived: { $ne: true } },
+        { $set: { isArchived: true, archivedAt: now } }
+    );
+    return result.modifiedCount;
+}
+
+// Dismissed notifications disappear from every list
+async function dismissNotifications(userId, ids) {
+    const now = new Date();
+    const result = await Notification.updateMany(
+        { ...ownedFilter(userId, ids), isDismissed: { $ne: true } },
+        { $set: { isDismissed: true, dismissedAt: now } }
+    );
+    return result.modifiedCount;
+}
+
+async function deleteNotifications(userId, ids) {
+    const result = await Notification.deleteMany(ownedFilter(userId, ids));
+    return result.deletedCount;
+}
+
+// Push the current unread count to every socket the user has open
+async function emitUnreadCount(io, userId) {
+    if (!io) return;
+    const unreadCount = await Notification.getUnreadCount(userId);
+    io.to(`user-${userId}`).emit('notification_count', { unreadCount });
+}
+
+async function getPreferences(userId) {
+    const user = await User.findById(userId).select('settings');
+    if (!user) throw httpError('User not found', 404);
+
+    return {
+        notifications: user.settings.notifications,
+        emailUpdates: user.settings.emailUpdates,
+        types: NOTIFICATION_TYPES,
+        channels: notificationDispatcher.CHANNELS,
+        preferences: Object.fromEntries(user.settings.notificationPreferences || new Map())
+    };
+}
+
+// Merge per-type channel overrides; a null channel value removes that override
+async function updatePreferences(userId, preferences) {
+    const user = await User.findById(userId).select('settings');
+    if (!user) throw httpError('User not found', 404);
+
+    const stored = user.settings.notificationPreferences;
+    Object.entries(preferences).forEach(([type, channels]) => {
+        if (!NOTIFICATION_TYPES.includes(type)) {
+            throw httpError(`Unknown notification type: ${type}`);
+        }
+        if (!channels || typeof channels !== 'object' || Array.isArray(channels)) {
+            throw httpError(`Preferences for ${type} must be an object of channels`);
+        }
+        const current = stored.get(type) ? stored.get(type).toObject() : {};
+        notificationDispatcher.CHANNELS.forEach(channel => {
+            if (channels[channel] === null) delete current[channel];
+            else if (typeof channels[channel] === 'boolean') current[channel] = channels[channel];
+        });
+
+        if (Object.keys(current).length > 0) stored.set(type, current);
+        else stored.delete(type);
+    });
+
+    await user.save();
+    logger.info('Notification preferences updated', { userId, types: Object.keys(preferences) });
+
+    return getPreferences(userId);
+}
+
 module.exports = {
+    NOTIFICATION_TYPES,
     createNotification,
     getUserNotifications,
+    listNotifications,
     markAsRead,
-    markAsDelivered
+    markManyAsRead,
+    markAsDelivered,
+    archiveNotifications,
+    dismissNotifications,
+    deleteNotifications,
+    emitUnreadCount,
+    getPreferences,
+    updatePreferences
 };
\ No newline at end of file
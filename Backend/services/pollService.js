@@ -0,0 +1,585 @@
+const crypto = require('crypto');
+const { Poll, ClassSession, Attendance } = require('../models');
+const schedulerService = require('./schedulerService');
+const { httpError, sameId, idOf, toCsv } = require('../utils/helpers');
+const textAnalysis = require('../utils/textAnalysis');
+const { JWT_SECRET } = require('../config/jwt');
+const logger = require('../utils/logger');
+
+const POLL_JOBS = {
+    AUTO_CLOSE: 'poll_auto_close',
+};
+
+// Attempts at saving a vote that keeps losing races to other votes
+const VOTE_ATTEMPTS = 3;
+
+const STAFF_ROLES = ['faculty', 'admin'];
+
+// Keys the anonymous voter hashes; without it the stored hashes cannot be matched to users
+const ANONYMITY_SECRET = process.env.POLL_ANONYMITY_SECRET || JWT_SECRET;
+
+// Sockets of users who may follow a poll's live results join this room
+function resultsRoom(pollId) {
+    return `poll-results-${pollId}`;
+}
+
+/**
+ * A shuffled order of option indexes that is the same every time for a poll and student,
+ * so a student's options do not jump around between reloads.
+ */
+function optionOrderFor(pollId, userId, length) {
+    const digest = crypto.createHash('sha256').update(`${pollId}:${userId}`).digest();
+    let seed = digest.readUInt32BE(0);
+    const random = () => {
+        // mulberry32
+        seed = (seed + 0x6D2B79F5) >>> 0;
+        let t = seed;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    const order = Array.from({ length }, (_, i) => i);
+    for (let i = length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+    }
+    return order;
+}
+
+// Dedupe key for a voter in an anonymous poll: keyed by the server secret and salted with the poll id
+function voterHash(pollId, userId) {
+    return crypto.createHmac('sha256', ANONYMITY_SECRET).update(`${pollId}:${userId}`).digest('hex');
+}
+
+// Insert at a random position so storage order says nothing about who answered when
+function insertUnordered(list, entry) {
+    list.splice(Math.floor(Math.random() * (list.length + 1)), 0, entry);
+}
+
+function hasResponded(poll, userId) {
+    if (poll.isAnonymous) {
+        return (poll.anonymousVoters || []).includes(voterHash(poll._id, userId));
+    }
+    return poll.textResponses.some(r => sameId(r.user, userId)) ||
+        poll.options.some(option => option.voters.some(voter => sameId(voter.user, userId)));
+}
+
+// Distinct students who voted or responded
+function participantCount(poll) {
+    if (poll.isAnonymous) return (poll.anonymousVoters || []).length;
+
+    const users = new Set(poll.textResponses.map(r => r.user.toString()));
+    poll.options.forEach(option => option.voters.forEach(voter => users.add(voter.user.toString())));
+    return users.size;
+}
+
+/**
+ * Whether a viewer may see vote counts under the poll's showResults setting.
+ * Staff always may; students per 'real_time', 'after_vote', 'after_close' or 'never'.
+ */
+function canSeeResults(poll, viewer) {
+    if (STAFF_ROLES.includes(viewer.role)) return true;
+
+    switch (poll.settings.showResults) {
+    case 'real_time':
+        return true;
+    case 'after_vote':
+        return hasResponded(poll, viewer.userId) || !poll.isActive;
+    case 'after_close':
+        return !poll.isActive;
+    default:
+        return false;
+    }
+}
+
+/**
+ * Options as a viewer sees them: each carries its original `index` (votes use it),
+ * shuffled per student when randomizeOptions is set, with votes only if results are visible.
+ */
+function optionsFor(poll, viewer) {
+    const showVotes = canSeeResults(poll, viewer);
+    const order = poll.settings.randomizeOptions && !STAFF_ROLES.includes(viewer.role)
+        ? optionOrderFor(poll._id, viewer.userId, poll.options.length)
+        : poll.options.map((_, i) => i);
+
+    return order.map(index => {
+        const option = poll.options[index];
+        const view = { index, text: option.text };
+        if (showVotes) view.votes = option.votes;
+        // Anonymous votes are not linked to users, so nobody's choice can be looked up
+        if (!STAFF_ROLES.includes(viewer.role) && !poll.isAnonymous) {
+            view.hasVoted = option.voters.some(voter => sameId(voter.user, viewer.userId));
+        }
+        return view;
+    });
+}
+
+// Whether a viewer may read other people's responses; students never read anonymous ones
+function canReadResponses(poll, viewer) {
+    return !poll.isAnonymous || Boolean(viewer && STAFF_ROLES.includes(viewer.role));
+}
+
+/**
+ * Word cloud terms, clusters of (near-)duplicate answers and overall sentiment of a
+ * text_response poll, computed in-process so faculty can follow 100+ answers live.
+ * Clusters quote responses, so viewers who may not read them get only the cluster sizes.
+ */
+function textSummary(poll, viewer = null) {
+    const texts = poll.textResponses.map(r => r.response).filter(Boolean);
+    const clusters = textAnalysis.clusterResponses(texts);
+    return {
+        terms: textAnalysis.termFrequencies(texts),
+        clusters: canReadResponses(poll, viewer) ? clusters : clusters.map(cluster => ({ count: cluster.count })),
+        sentiment: textAnalysis.sentimentSummary(texts),
+    };
+}
+
+// Aggregate counts, for viewers allowed to see them (without a viewer, what any student may see)
+function resultsSummary(poll, viewer = null) {
+    const summary = {
+        pollId: poll._id,
+        options: poll.options.map((option, index) => ({ index, text: option.text, votes: option.votes })),
+        totalVotes: poll.options.reduce((sum, option) => sum + option.votes, 0),
+        totalResponses: poll.textResponses.length,
+        participants: participantCount(poll),
+    };
+    if (poll.type === 'text_response') {
+        summary.textSummary = textSummary(poll, viewer);
+    }
+    return summary;
+}
+
+// Per-option counts with share of votes and mean answer time in seconds
+function optionStats(poll) {
+    const totalVotes = poll.options.reduce((sum, option) => sum + option.votes, 0);
+
+    return poll.options.map((option, index) => {
+        const times = option.voters.map(voter => voter.responseTime).filter(time => time != null);
+        return {
+            index,
+            text: option.text,
+            votes: option.votes,
+            percentage: totalVotes ? Math.round((option.votes / totalVotes) * 10000) / 100 : 0,
+            averageResponseTime: times.length ? Math.round((times.reduce((a, b) => a + b, 0) / times.length) * 100) / 100 : null,
+        };
+    });
+}
+
+// Results of a session's polls for download; never carries voter identities
+function exportResults(polls) {
+    return polls.map(poll => ({
+        pollId: poll._id,
+        question: poll.question,
+        type: poll.type,
+        isAnonymous: poll.isAnonymous,
+        isActive: poll.isActive,
+        template: poll.template || null,
+        createdAt: poll.createdAt,
+        closedAt: poll.closedAt || null,
+        participants: participantCount(poll),
+        totalVotes: poll.options.reduce((sum, option) => sum + option.votes, 0),
+        totalTextResponses: poll.textResponses.length,
+        options: optionStats(poll),
+    }));
+}
+
+// One CSV row per option; text response polls get a single row with the response count
+function exportResultsToCsv(results) {
+    const rows = [];
+    results.forEach(result => {
+        const base = {
+            pollId: result.pollId,
+            question: result.question,
+            type: result.type,
+            createdAt: result.createdAt,
+            closedAt: result.closedAt,
+            participants: result.participants,
+        };
+        if (result.options.length === 0) {
+            rows.push({ ...base, votes: result.totalTextResponses });
+            return;
+        }
+        result.options.forEach(option => rows.push({
+            ...base,
+            optionIndex: option.index,
+            option: option.text,
+            votes: option.votes,
+            percentage: option.percentage,
+            averageResponseTime: option.averageResponseTime,
+        }));
+    });
+
+    return toCsv(rows, [
+        { key: 'pollId', header: 'Poll ID' },
+        { key: 'question', header: 'Question' },
+        { key: 'type', header: 'Type' },
+        { key: 'createdAt', header: 'Created At' },
+        { key: 'closedAt', header: 'Closed At' },
+        { key: 'participants', header: 'Participants' },
+        { key: 'optionIndex', header: 'Option Index' },
+        { key: 'option', header: 'Option' },
+        { key: 'votes', header: 'Votes' },
+        { key: 'percentage', header: 'Percentage' },
+        { key: 'averageResponseTime', header: 'Average Response Time (s)' },
+    ]);
+}
+
+/**
+ * Text responses a viewer may read. Students see others' responses only when results are
+ * visible and the poll is not anonymous; anonymous responses reach staff as bare text.
+ */
+function textResponsesFor(poll, viewer) {
+    const isStaff = STAFF_ROLES.includes(viewer.role);
+    if (poll.isAnonymous) {
+        return isStaff ? poll.textResponses.map(r => ({ response: r.response })) : [];
+    }
+    if (isStaff || canSeeResults(poll, viewer)) {
+        return poll.textResponses;
+    }
+    return poll.textResponses.filter(r => sameId(r.user, viewer.userId));
+}
+
+// Validate the chosen option indexes; several only where allowMultipleAnswers is set
+function selectedIndexes(poll, { optionIndex, optionIndexes }) {
+    let indexes;
+    if (Array.isArray(optionIndexes)) {
+        if (!poll.settings.allowMultipleAnswers && optionIndexes.length > 1) {
+            throw httpError('This poll accepts a single answer');
+        }
+        indexes = [...new Set(optionIndexes.map(Number))];
+    } else {
+        indexes = [Number(optionIndex)];
+    }
+    if (indexes.length === 0 || indexes.some(i => !Number.isInteger(i) || i < 0 || i >= poll.options.length)) {
+        throw httpError('Invalid option index');
+    }
+    return indexes;
+}
+
+// Anonymous votes keep counts and response times but no user id or timestamp
+function recordAnonymousVote(poll, userId, { indexes, textResponse, responseTime }) {
+    poll.anonymousVoters.push(voterHash(poll._id, userId));
+
+    if (poll.type === 'text_response') {
+        insertUnordered(poll.textResponses, { response: textResponse.trim(), submittedAt: null });
+        return;
+    }
+
+    indexes.forEach(i => {
+        insertUnordered(poll.options[i].voters, { votedAt: null, responseTime: responseTime || null });
+        poll.options[i].votes = poll.options[i].voters.length;
+    });
+}
+
+/**
+ * Apply a vote or text response to a poll (not saved).
+ * Multi-select (optionIndexes) only where allowMultipleAnswers is set; new participants are
+ * refused once maxResponses is reached.
+ */
+function recordVote(poll, userId, { optionIndex, optionIndexes, textResponse, responseTime }) {
+    if (!poll.isActive || (poll.expiresAt && poll.expiresAt < new Date())) {
+        throw httpError('Poll is not active or expired');
+    }
+
+    let indexes;
+    const responded = hasResponded(poll, userId);
+    // An anonymous vote cannot be found again, so it can never be changed
+    if (responded && (poll.isAnonymous || !poll.settings.allowChangeVote)) {
+        throw httpError('You have already voted on this poll');
+    }
+    if (!responded && poll.settings.maxResponses && participantCount(poll) >= poll.settings.maxResponses) {
+        throw httpError('This poll has reached its response limit');
+    }
+
+    if (poll.type === 'text_response') {
+        if (!textResponse || textResponse.trim().length === 0) {
+            throw httpError('Text response required');
+        }
+    } else {
+        indexes = selectedIndexes(poll, { optionIndex, optionIndexes });
+    }
+
+    if (poll.isAnonymous) {
+        recordAnonymousVote(poll, userId, { indexes, textResponse, responseTime });
+        return;
+    }
+
+    if (poll.type === 'text_response') {
+        const existing = poll.textResponses.find(r => sameId(r.user, userId));
+        if (existing) {
+            existing.response = textResponse.trim();
+            existing.submittedAt = new Date();
+        } else {
+            poll.textResponses.push({ user: userId, response: textResponse.trim(), submittedAt: new Date() });
+        }
+        return;
+    }
+
+    // Changing a vote replaces the previous selection
+    if (responded) {
+        poll.options.forEach(option => {
+            option.voters = option.voters.filter(voter => !sameId(voter.user, userId));
+            option.votes = option.voters.length;
+        });
+    }
+
+    indexes.forEach(i => {
+        poll.options[i].voters.push({ user: userId, votedAt: new Date(), responseTime: responseTime || null });
+        poll.options[i].votes = poll.options[i].voters.length;
+    });
+}
+
+/**
+ * Apply a vote and save it. Each vote save is checked against the poll's version, so a vote
+ * that raced another one is replayed on a fresh copy and maxResponses counts saved votes only.
+ * Resolves to the saved poll, which is that fresh copy after a conflict.
+ */
+async function submitVote(poll, userId, vote) {
+    for (let attempt = 1; ; attempt++) {
+        recordVote(poll, userId, vote);
+        poll.increment();
+        try {
+            await poll.save();
+            return poll;
+        } catch (error) {
+            if (error.name !== 'VersionError' || attempt >= VOTE_ATTEMPTS) throw error;
+            poll = await Poll.findById(poll._id);
+            if (!poll) throw httpError('Poll not found', 404);
+        }
+    }
+}
+
+/**
+ * Push new counts to everyone allowed to see them: staff always, the whole session for
+ * 'real_time', and students who have voted for 'after_vote'.
+ */
+function broadcastResults(io, poll, faculty) {
+    if (!io) return;
+    const summary = resultsSummary(poll);
+    const sessionId = idOf(poll.session);
+
+    if (faculty) {
+        io.to(`user-${faculty}`).emit('poll_updated', resultsSummary(poll, { userId: faculty, role: 'faculty' }));
+    }
+
+    if (poll.settings.showResults === 'real_time') {
+        io.to(`session-${sessionId}`).except(`user-${faculty}`).emit('poll_updated', summary);
+        return;
+    }
+
+    if (poll.settings.showResults === 'after_vote') {
+        io.to(resultsRoom(poll._id)).emit('poll_updated', summary);
+    } else {
+        // Everyone else still learns that the poll moved on, without counts
+        io.to(`session-${sessionId}`).except(`user-${faculty}`).emit('poll_updated', { pollId: poll._id, participants: summary.participants });
+    }
+}
+
+// Credit a vote on the voter's attendance engagement. Anonymous votes are credited when the poll
+// closes instead, so attendance timestamps cannot be matched to individual votes.
+async function recordEngagement(poll, userId) {
+    if (poll.isAnonymous) return;
+
+    const attendance = await Attendance.findOne({ student: userId, session: idOf(poll.session) });
+    if (attendance) await attendance.updateEngagement('poll', 1);
+}
+
+// All of an anonymous poll's voters at once, found by matching attendees against the voter hashes
+async function creditAnonymousVoters(poll) {
+    const voters = new Set(poll.anonymousVoters || []);
+    if (voters.size === 0) return;
+
+    const attendances = await Attendance.find({ session: idOf(poll.session) });
+    for (const attendance of attendances) {
+        if (voters.has(voterHash(poll._id, attendance.student))) {
+            await attendance.updateEngagement('poll', 1);
+        }
+    }
+}
+
+// Close a poll and announce it; results go out unless showResults is 'never'
+async function closePoll(poll, { io, faculty } = {}) {
+    if (!poll.isActive) return poll;
+
+    await poll.close();
+    await schedulerService.cancelJobs({ name: POLL_JOBS.AUTO_CLOSE, 'payload.pollId': poll._id.toString() });
+    if (poll.isAnonymous) {
+        await creditAnonymousVoters(poll);
+    }
+
+    if (io) {
+        const sessionId = idOf(poll.session);
+        io.to(`session-${sessionId}`).except(`user-${faculty}`).emit('poll_closed', {
+            pollId: poll._id,
+            closedAt: poll.closedAt,
+            results: poll.settings.showResults === 'never' ? null : resultsSummary(poll),
+        });
+        if (faculty) {
+            io.to(`user-${faculty}`).emit('poll_closed', {
+                pollId: poll._id,
+                closedAt: poll.closedAt,
+                results: resultsSummary(poll, { userId: faculty, role: 'faculty' }),
+            });
+        }
+    }
+
+    logger.info('Poll closed', { pollId: poll._id, participants: participantCount(poll) });
+    return poll;
+}
+
+/**
+ * After a vote is saved: let the voter follow 'after_vote' results, broadcast the new counts,
+ * and close the poll once maxResponses is reached.
+ */
+async function afterVote(io, poll, userId, faculty) {
+    if (io) {
+        io.in(`user-${userId}`).socketsJoin(resultsRoom(poll._id));
+    }
+    broadcastResults(io, poll, faculty);
+
+    if (poll.settings.maxResponses && participantCount(poll) >= poll.settings.maxResponses) {
+        await closePoll(poll, { io, faculty });
+    }
+}
+
+/**
+ * When a new poll should close on its own: the earlier of `expiresIn` (minutes)
+ * and the `timeLimit` setting (seconds), or null for polls closed by hand.
+ */
+function closingTime({ expiresIn, timeLimit }, from = new Date()) {
+    const times = [];
+    if (expiresIn) times.push(from.getTime() + expiresIn * 60000);
+    if (timeLimit) times.push(from.getTime() + timeLimit * 1000);
+    return times.length ? new Date(Math.min(...times)) : null;
+}
+
+// Queue the close job for a poll that expires
+async function scheduleAutoClose(poll) {
+    if (!poll.expiresAt) return null;
+
+    return schedulerService.scheduleJob(POLL_JOBS.AUTO_CLOSE, poll.expiresAt, { pollId: poll._id.toString() }, {
+        uniqueKey: `poll-close-${poll._id}`,
+    });
+}
+
+// Announce a new poll; with randomizeOptions every student gets their own option order
+function announcePoll(io, poll, session) {
+    if (!io) return;
+
+    const payload = options => ({
+        poll: {
+            id: poll._id,
+            question: poll.question,
+            type: poll.type,
+            options,
+            settings: poll.settings,
+            isAnonymous: poll.isAnonymous,
+            createdBy: poll.createdBy,
+            createdAt: poll.createdAt,
+            expiresAt: poll.expiresAt,
+        },
+    });
+    const canonical = poll.options.map((option, index) => ({ index, text: option.text, votes: 0 }));
+
+    if (!poll.settings.randomizeOptions) {
+        io.to(`session-${session._id}`).emit('new_poll', payload(canonical));
+        return;
+    }
+
+    io.to(`user-${session.faculty}`).emit('new_poll', payload(canonical));
+    session.students.forEach(({ student }) => {
+        const order = optionOrderFor(poll._id, student, poll.options.length);
+        io.to(`user-${student}`).emit('new_poll', payload(order.map(index => canonical[index])));
+    });
+}
+
+/**
+ * Create a poll in a session, schedule its auto-close and announce it. Used for new polls
+ * and for polls launched from a template (`template` links them for analytics).
+ */
+async function launchPoll(session, { question, type = 'single_choice', options = [], expiresIn, settings = {}, isAnonymous = false, template }, { userId, io }) {
+    if (type === 'yes_no' && options.length === 0) {
+        // Auto-generate yes/no options
+        options = ['Yes', 'No'];
+    }
+
+    const poll = new Poll({
+        session: session._id,
+        question: question.trim(),
+        type,
+        options: options.map(optionText => ({
+            text: optionText.trim(),
+            votes: 0,
+            voters: [],
+        })),
+        settings: {
+            allowMultipleAnswers: settings.allowMultipleAnswers || false,
+            showResults: settings.showResults || 'after_vote',
+            // Anonymous votes cannot be traced back to change them
+            allowChangeVote: !isAnonymous && (settings.allowChangeVote || false),
+            requireLogin: settings.requireLogin !== false,
+            randomizeOptions: settings.randomizeOptions || false,
+            timeLimit: settings.timeLimit,
+            maxResponses: settings.maxResponses,
+        },
+        isActive: true,
+        isAnonymous,
+        template: template || null,
+        createdBy: userId,
+        // Closes at the earlier of expiresIn and the time limit
+        expiresAt: closingTime({ expiresIn, timeLimit: settings.timeLimit }),
+    });
+    await poll.save();
+    await poll.populate('createdBy', 'name role');
+
+    // Close it automatically when time runs out
+    await scheduleAutoClose(poll);
+
+    await ClassSession.findByIdAndUpdate(session._id, {
+        $inc: { 'analytics.totalPolls': 1 },
+    });
+
+    // Emit poll to all session participants via Socket.io
+    announcePoll(io, poll, session);
+
+    return poll;
+}
+
+// Register the scheduler handler that closes polls when their time runs out
+function registerPollJobs() {
+    schedulerService.defineJob(POLL_JOBS.AUTO_CLOSE, async ({ pollId }, { io }) => {
+        const poll = await Poll.findById(pollId).populate('session', 'faculty');
+        if (!poll || !poll.isActive || poll.quiz) return;
+
+        await closePoll(poll, { io, faculty: poll.session.faculty });
+    });
+}
+
+module.exports = {
+    POLL_JOBS,
+    resultsRoom,
+    optionOrderFor,
+    hasResponded,
+    participantCount,
+    canSeeResults,
+    optionsFor,
+    textSummary,
+    resultsSummary,
+    optionStats,
+    exportResults,
+    exportResultsToCsv,
+    voterHash,
+    textResponsesFor,
+    recordVote,
+    submitVote,
+    recordEngagement,
+    broadcastResults,
+    closePoll,
+    afterVote,
+    closingTime,
+    scheduleAutoClose,
+    announcePoll,
+    launchPoll,
+    registerPollJobs,
+};
@@ -0,0 +1,283 @@
+const { PollTemplate, Poll, ClassSession, User } = require('../models');
+const pollService = require('./pollService');
+const { httpError, sameId, idOf, toCsv } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const TEMPLATE_FIELDS = ['question', 'type', 'options', 'settings', 'isAnonymous', 'subject', 'tags', 'visibility'];
+const CHOICE_TYPES = ['multiple_choice', 'single_choice'];
+
+// Owners use their own templates; college-shared ones are open to staff of that college
+function canUseTemplate(template, user) {
+    if (sameId(template.owner, user.userId)) return true;
+    if (!sameId(template.college, user.college)) return false;
+    return user.role === 'admin' || template.visibility === 'college';
+}
+
+function canEditTemplate(template, user) {
+    return sameId(template.owner, user.userId) || (user.role === 'admin' && sameId(template.college, user.college));
+}
+
+function pickTemplateFields(data) {
+    const fields = {};
+    TEMPLATE_FIELDS.forEach(field => {
+        if (data[field] !== undefined) fields[field] = data[field];
+    });
+    if (fields.type === 'yes_no' && (!fields.options || fields.options.length === 0)) {
+        fields.options = ['Yes', 'No'];
+    }
+    return fields;
+}
+
+function assertValidOptions(template) {
+    if (CHOICE_TYPES.includes(template.type) && template.options.length < 2) {
+        throw httpError('Choice polls must have at least 2 options');
+    }
+}
+
+async function getTemplate(templateId, user, { edit = false } = {}) {
+    const template = await PollTemplate.findById(templateId);
+    if (!template) {
+        throw httpError('Template not found', 404);
+    }
+    if (!(edit ? canEditTemplate(template, user) : canUseTemplate(template, user))) {
+        throw httpError(edit ? 'You can only change your own templates' : 'Access denied', 403);
+    }
+    return template;
+}
+
+/**
+ * Templates in the user's library: their own plus those shared with their college.
+ * `scope` narrows to 'mine' or 'college'; `search` matches question text and tags.
+ */
+async function listTemplates(user, { scope = 'all', search, subject, page = 1, limit = 20 } = {}) {
+    const own = { owner: user.userId };
+    const shared = { college: user.college, visibility: 'college' };
+    const scopes = { mine: [own], college: [shared], all: [own, shared] };
+
+    const query = { $or: scopes[scope] || scopes.all };
+    if (search) query.$text = { $search: search };
+    if (subject) query.subject = subject;
+
+    const [templates, total] = await Promise.all([
+        PollTemplate.find(query)
+            .populate('owner', 'name')
+            .sort({ updatedAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit),
+        PollTemplate.countDocuments(query),
+    ]);
+
+    return { templates, total };
+}
+
+async function createTemplate(data, user) {
+    const template = new PollTemplate({
+        ...pickTemplateFields(data),
+        owner: user.userId,
+        college: user.college,
+    });
+    assertValidOptions(template);
+    await template.save();
+    return template;
+}
+
+// Save a poll the user ran as a new template in their library
+async function createTemplateFromPoll(pollId, user, { visibility, subject, tags } = {}) {
+    const poll = await Poll.findById(pollId).populate('session', 'faculty college subject');
+    if (!poll) {
+        throw httpError('Poll not found', 404);
+    }
+    if (user.role === 'faculty' && !sameId(poll.session.faculty, user.userId)) {
+        throw httpError('You can only save polls from your own sessions', 403);
+    }
+    if (user.role === 'admin' && !sameId(poll.session.college, user.college)) {
+        throw httpError('Poll not in your college', 403);
+    }
+
+    return createTemplate({
+        question: poll.question,
+        type: poll.type,
+        options: poll.options.map(option => option.text),
+        settings: {
+            allowMultipleAnswers: poll.settings.allowMultipleAnswers,
+            showResults: poll.settings.showResults,
+            allowChangeVote: poll.settings.allowChangeVote,
+            randomizeOptions: poll.settings.randomizeOptions,
+            timeLimit: poll.settings.timeLimit,
+            maxResponses: poll.settings.maxResponses,
+        },
+        isAnonymous: poll.isAnonymous,
+        subject: subject || poll.session.subject,
+        tags,
+        visibility,
+    }, user);
+}
+
+async function updateTemplate(template, data) {
+    Object.assign(template, pickTemplateFields(data));
+    assertValidOptions(template);
+    await template.save();
+    return template;
+}
+
+/**
+ * Start a poll from a template in a live session the user runs.
+ */
+async function launchTemplate(template, { sessionId, expiresIn }, user, { io } = {}) {
+    const session = await ClassSession.findById(sessionId);
+    if (!session) {
+        throw httpError('Session not found', 404);
+    }
+    if (user.role === 'faculty' && !sameId(session.faculty, user.userId)) {
+        throw httpError('You can only create polls for your own sessions', 403);
+    }
+    if (user.role === 'admin' && !sameId(session.college, user.college)) {
+        throw httpError('Session not in your college', 403);
+    }
+    if (session.status !== 'live') {
+        throw httpError('Templates can only be launched into a live session', 409);
+    }
+
+    const poll = await pollService.launchPoll(session, {
+        question: template.question,
+        type: template.type,
+        options: [...template.options],
+        expiresIn,
+        settings: template.settings,
+        isAnonymous: template.isAnonymous,
+        template: template._id,
+    }, { userId: user.userId, io });
+
+    await PollTemplate.updateOne({ _id: template._id }, { $inc: { usageCount: 1 }, $set: { lastUsedAt: new Date() } });
+
+    logger.info('Poll launched from template', { templateId: template._id, pollId: poll._id, sessionId: session._id });
+    return poll;
+}
+
+// Tally choices by option text so runs stay comparable if the template was edited in between
+function addVotes(tally, text, votes) {
+    tally.set(text, (tally.get(text) || 0) + votes);
+}
+
+function sharesOf(tally) {
+    const total = [...tally.values()].reduce((sum, votes) => sum + votes, 0);
+    return [...tally.entries()].map(([text, votes]) => ({
+        text,
+        votes,
+        percentage: total ? Math.round((votes / total) * 10000) / 100 : 0,
+    }));
+}
+
+/**
+ * Compare every run of a template: per-session results in date order, the same answers
+ * grouped by batch (students' enrollment year) and the overall distribution.
+ * Runs are limited to the viewer's college; anonymous runs count toward sessions and
+ * the overall totals but cannot be split by batch.
+ */
+async function compareTemplate(template, user, { from, to } = {}) {
+    const query = { template: template._id };
+    if (from || to) {
+        query.createdAt = {};
+        if (from) query.createdAt.$gte = new Date(from);
+        if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const polls = (await Poll.find(query)
+        .populate('session', 'title subject college scheduledStartTime')
+        .sort({ createdAt: 1 }))
+        .filter(poll => poll.session && sameId(poll.session.college, user.college));
+
+    const voterIds = new Set();
+    polls.filter(poll => !poll.isAnonymous).forEach(poll => {
+        poll.options.forEach(option => option.voters.forEach(voter => voterIds.add(voter.user.toString())));
+    });
+    const students = voterIds.size
+        ? await User.find({ _id: { $in: [...voterIds] } }).select('enrollmentYear')
+        : [];
+    const batchOf = new Map(students.map(student => [student._id.toString(), student.enrollmentYear]));
+
+    const overall = new Map(template.options.map(text => [text, 0]));
+    const batches = new Map();
+
+    const runs = polls.map(poll => {
+        poll.options.forEach(option => addVotes(overall, option.text, option.votes));
+
+        if (!poll.isAnonymous) {
+            poll.options.forEach(option => option.voters.forEach(voter => {
+                const year = batchOf.get(voter.user.toString());
+                if (year == null) return;
+                if (!batches.has(year)) {
+                    batches.set(year, { participants: new Set(), tally: new Map(template.options.map(text => [text, 0])) });
+                }
+                batches.get(year).participants.add(voter.user.toString());
+                addVotes(batches.get(year).tally, option.text, 1);
+            }));
+        }
+
+        return {
+            pollId: poll._id,
+            session: {
+                id: idOf(poll.session),
+                title: poll.session.title,
+                subject: poll.session.subject,
+                scheduledStartTime: poll.session.scheduledStartTime,
+            },
+            runAt: poll.createdAt,
+            isAnonymous: poll.isAnonymous,
+            participants: pollService.participantCount(poll),
+            totalTextResponses: poll.textResponses.length,
+            options: pollService.optionStats(poll),
+        };
+    });
+
+    return {
+        template: { id: template._id, question: template.question, type: template.type, options: template.options },
+        runs,
+        batches: [...batches.entries()]
+            .sort(([a], [b]) => a - b)
+            .map(([batch, { participants, tally }]) => ({ batch, participants: participants.size, options: sharesOf(tally) })),
+        overall: {
+            runs: runs.length,
+            participants: runs.reduce((sum, run) => sum + run.participants, 0),
+            options: sharesOf(overall),
+        },
+    };
+}
+
+// One row per run and option
+function comparisonToCsv(comparison) {
+    const rows = comparison.runs.flatMap(run => run.options.map(option => ({
+        runAt: run.runAt,
+        session: run.session.title,
+        subject: run.session.subject,
+        participants: run.participants,
+        option: option.text,
+        votes: option.votes,
+        percentage: option.percentage,
+        averageResponseTime: option.averageResponseTime,
+    })));
+
+    return toCsv(rows, [
+        { key: 'runAt', header: 'Run At' },
+        { key: 'session', header: 'Session' },
+        { key: 'subject', header: 'Subject' },
+        { key: 'participants', header: 'Participants' },
+        { key: 'option', header: 'Option' },
+        { key: 'votes', header: 'Votes' },
+        { key: 'percentage', header: 'Percentage' },
+        { key: 'averageResponseTime', header: 'Average Response Time (s)' },
+    ]);
+}
+
+module.exports = {
+    canUseTemplate,
+    canEditTemplate,
+    getTemplate,
+    listTemplates,
+    createTemplate,
+    createTemplateFromPoll,
+    updateTemplate,
+    launchTemplate,
+    compareTemplate,
+    comparisonToCsv,
+};
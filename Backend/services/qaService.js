@@ -0,0 +1,236 @@
+const { Question, Attendance, ClassSession } = require('../models');
+const moderationService = require('./moderationService');
+const { httpError, sameId, toCsv } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+// A student may have this many unanswered questions in a session at once
+const MAX_OPEN_QUESTIONS_PER_STUDENT = 5;
+
+const AUTHOR_FIELDS = 'name studentId';
+
+// The session's faculty, or a college admin, runs the Q&A
+function isModerator(session, user) {
+    return user.role === 'admin' || sameId(session.faculty, user.userId);
+}
+
+function assertModerator(session, user) {
+    if (!isModerator(session, user)) {
+        throw httpError('Only the session faculty can do this', 403);
+    }
+}
+
+function roomOf(session) {
+    return `session-${session._id}`;
+}
+
+async function findQuestion(session, questionId) {
+    const question = await Question.findOne({ _id: questionId, session: session._id })
+        .populate('author', AUTHOR_FIELDS);
+    if (!question) {
+        throw httpError('Question not found', 404);
+    }
+    return question;
+}
+
+// Post a question; chat mutes, bans and the college word filter apply (slow mode is for chat only)
+async function askQuestion({ io, session, user, text }) {
+    await moderationService.assertCanSend(session, user.userId, user.role, { slowMode: false });
+
+    const openCount = await Question.countDocuments({ session: session._id, author: user.userId, status: 'open' });
+    if (openCount >= MAX_OPEN_QUESTIONS_PER_STUDENT) {
+        throw httpError(`You already have ${MAX_OPEN_QUESTIONS_PER_STUDENT} open questions`, 429);
+    }
+
+    const filtered = await moderationService.filterMessage(session.college, text.trim());
+    const question = await Question.create({ session: session._id, author: user.userId, text: filtered.text });
+    await question.populate('author', AUTHOR_FIELDS);
+
+    const attendance = await Attendance.findOne({ session: session._id, student: user.userId });
+    if (attendance) await attendance.updateEngagement('question', 1);
+
+    if (io) io.to(roomOf(session)).emit('qa_question_added', question);
+
+    logger.info('Question asked', { questionId: question._id, sessionId: session._id, author: user.userId });
+    return question;
+}
+
+// Toggle the user's upvote; returns the updated question
+async function toggleUpvote({ io, session, user, questionId }) {
+    const question = await findQuestion(session, questionId);
+    if (sameId(question.author._id, user.userId)) {
+        throw httpError('You cannot upvote your own question');
+    }
+
+    const hasUpvoted = question.upvotes.some(id => sameId(id, user.userId));
+    const update = hasUpvoted
+        ? { $pull: { upvotes: user.userId }, $inc: { upvoteCount: -1 } }
+        : { $addToSet: { upvotes: user.userId }, $inc: { upvoteCount: 1 } };
+
+    // Conditioned on the current state so concurrent toggles cannot double count
+    const updated = await Question.findOneAndUpdate(
+        { _id: question._id, upvotes: hasUpvoted ? user.userId : { $ne: user.userId } },
+        update,
+        { new: true }
+    ).populate('author', AUTHOR_FIELDS);
+    const result = updated || question;
+
+    if (io) {
+        io.to(roomOf(session)).emit('qa_question_updated', {
+            questionId: result._id,
+            upvoteCount: result.upvoteCount,
+        });
+    }
+
+    return { question: result, upvoted: !hasUpvoted };
+}
+
+// Answer a question (text optional when it was answered out loud); credits the author's participation once
+async function answerQuestion({ io, session, user, questionId, text }) {
+    assertModerator(session, user);
+
+    const question = await findQuestion(session, questionId);
+    const firstAnswer = question.status !== 'answered';
+
+    question.status = 'answered';
+    question.answer = {
+        text: text ? text.trim() : question.answer && question.answer.text,
+        answeredBy: user.userId,
+        answeredAt: new Date(),
+    };
+    await question.save();
+
+    if (firstAnswer) {
+        const attendance = await Attendance.findOne({ session: session._id, student: question.author._id });
+        if (attendance) await attendance.updateEngagement('question_answered', 1);
+    }
+
+    if (io) io.to(roomOf(session)).emit('qa_question_updated', question);
+
+    logger.info('Question answered', { questionId: question._id, sessionId: session._id, answeredBy: user.userId });
+    return question;
+}
+
+// Hide an off-topic or duplicate question from the open queue
+async function dismissQuestion({ io, session, user, questionId }) {
+    assertModerator(session, user);
+
+    const question = await findQuestion(session, questionId);
+    question.status = 'dismissed';
+    question.isPromoted = false;
+    await question.save();
+
+    if (io) io.to(roomOf(session)).emit('qa_question_updated', question);
+    return question;
+}
+
+// Show a question on the shared screen (replacing any other), or take it down
+async function setPromoted({ io, session, user, questionId, promoted }) {
+    assertModerator(session, user);
+
+    const question = await findQuestion(session, questionId);
+    if (promoted) {
+        await Question.updateMany(
+            { session: session._id, isPromoted: true, _id: { $ne: question._id } },
+            { $set: { isPromoted: false } }
+        );
+    }
+
+    question.isPromoted = promoted;
+    question.promotedAt = promoted ? new Date() : question.promotedAt;
+    await question.save();
+
+    if (io) io.to(roomOf(session)).emit('qa_question_promoted', { question: promoted ? question : null });
+    return question;
+}
+
+/**
+ * List a session's questions.
+ * @param {Object} options - status ('open' | 'answered' | 'dismissed'), sort ('top' | 'recent')
+ */
+function listQuestions(sessionId, { status, sort = 'top' } = {}) {
+    const query = { session: sessionId };
+    if (status) query.status = status;
+
+    return Question.find(query)
+        .populate('author', AUTHOR_FIELDS)
+        .populate('answer.answeredBy', 'name')
+        .sort(sort === 'recent' ? { createdAt: -1 } : { upvoteCount: -1, createdAt: 1 });
+}
+
+// Change the hand queue in place, so concurrent raises and lowers do not overwrite each other; returns the queue
+async function updateHands(session, filter, update) {
+    await ClassSession.updateOne({ _id: session._id, ...filter }, update);
+    const { raisedHands } = await ClassSession.findById(session._id).select('raisedHands');
+    return raisedHands;
+}
+
+// Raise the user's hand (idempotent); the queue is oldest first
+async function raiseHand({ io, session, user }) {
+    const hands = await updateHands(session,
+        { 'raisedHands.user': { $ne: user.userId } },
+        { $push: { raisedHands: { user: user.userId, raisedAt: new Date() } } }
+    );
+
+    if (io) io.to(roomOf(session)).emit('hand_raised', { userId: user.userId, queueLength: hands.length });
+    return hands;
+}
+
+// Lower a hand: students lower their own, faculty can lower anyone's
+async function lowerHand({ io, session, user, userId = user.userId }) {
+    if (!sameId(userId, user.userId)) {
+        assertModerator(session, user);
+    }
+
+    const hands = await updateHands(session, {}, { $pull: { raisedHands: { user: userId } } });
+
+    if (io) io.to(roomOf(session)).emit('hand_lowered', { userId, queueLength: hands.length });
+    return hands;
+}
+
+const EXPORT_COLUMNS = [
+    { key: 'askedAt', header: 'Asked At' },
+    { key: 'author', header: 'Student' },
+    { key: 'studentId', header: 'Student ID' },
+    { key: 'question', header: 'Question' },
+    { key: 'upvotes', header: 'Upvotes' },
+    { key: 'status', header: 'Status' },
+    { key: 'answer', header: 'Answer' },
+    { key: 'answeredBy', header: 'Answered By' },
+    { key: 'answeredAt', header: 'Answered At' },
+];
+
+// Flat rows for export, in the order questions were asked
+async function exportQuestions(sessionId) {
+    const questions = await Question.find({ session: sessionId })
+        .populate('author', AUTHOR_FIELDS)
+        .populate('answer.answeredBy', 'name')
+        .sort({ createdAt: 1 });
+
+    const rows = questions.map(q => ({
+        askedAt: q.createdAt,
+        author: q.author ? q.author.name : '',
+        studentId: q.author ? q.author.studentId : '',
+        question: q.text,
+        upvotes: q.upvoteCount,
+        status: q.status,
+        answer: q.answer && q.answer.text,
+        answeredBy: q.answer && q.answer.answeredBy ? q.answer.answeredBy.name : '',
+        answeredAt: q.answer && q.answer.answeredAt,
+    }));
+
+    return { rows, csv: toCsv(rows, EXPORT_COLUMNS) };
+}
+
+module.exports = {
+    MAX_OPEN_QUESTIONS_PER_STUDENT,
+    isModerator,
+    askQuestion,
+    toggleUpvote,
+    answerQuestion,
+    dismissQuestion,
+    setPromoted,
+    listQuestions,
+    raiseHand,
+    lowerHand,
+    exportQuestions,
+};
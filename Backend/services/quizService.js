@@ -0,0 +1,361 @@
+const { Quiz, Poll, ClassSession } = require('../models');
+const schedulerService = require('./schedulerService');
+const { httpError, sameId, idOf, toCsv } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const QUIZ_JOBS = {
+    AUTO_CLOSE: 'quiz_auto_close',
+};
+
+const QUESTION_TYPES = ['single_choice', 'multiple_choice', 'yes_no', 'text_response'];
+
+// Answers sent just before the deadline may arrive a moment late
+const ANSWER_GRACE_SECONDS = 2;
+
+// Most points a question can earn
+function maxPointsFor(poll) {
+    if (poll.type === 'text_response') return poll.points || 0;
+
+    const correct = poll.options.filter(option => option.isCorrect && option.points > 0);
+    if (poll.type === 'multiple_choice') {
+        return correct.reduce((sum, option) => sum + option.points, 0);
+    }
+    return correct.reduce((max, option) => Math.max(max, option.points), 0);
+}
+
+/**
+ * Grade one student's answer to a quiz question.
+ * Choice questions score the points of every chosen option (never below zero);
+ * text responses score their manual grade, and are 'pending' until graded.
+ * @returns {{ points: number, maxPoints: number, status: string, selected?: number[], response?: string }}
+ */
+function scoreAnswer(poll, userId) {
+    const maxPoints = maxPointsFor(poll);
+
+    if (poll.type === 'text_response') {
+        const entry = poll.textResponses.find(r => sameId(r.user, userId));
+        if (!entry) return { points: 0, maxPoints, status: 'unanswered' };
+        if (!entry.grade || entry.grade.points == null) {
+            return { points: 0, maxPoints, status: 'pending', response: entry.response };
+        }
+
+        const points = entry.grade.points;
+        const status = points >= maxPoints ? 'correct' : points > 0 ? 'partial' : 'incorrect';
+        return { points, maxPoints, status, response: entry.response, feedback: entry.grade.feedback };
+    }
+
+    const selected = [];
+    poll.options.forEach((option, index) => {
+        if (option.voters.some(voter => sameId(voter.user, userId))) selected.push(index);
+    });
+    if (selected.length === 0) return { points: 0, maxPoints, status: 'unanswered', selected };
+
+    const points = Math.max(0, selected.reduce((sum, index) => sum + (poll.options[index].points || 0), 0));
+    const status = points >= maxPoints ? 'correct' : points > 0 ? 'partial' : 'incorrect';
+    return { points, maxPoints, status, selected };
+}
+
+// Options arrive as { text, isCorrect, points }; a correct option is worth 1 point unless stated
+function buildOptions(question, index) {
+    const options = (question.options || []).map(option => ({
+        text: option.text.trim(),
+        isCorrect: !!option.isCorrect,
+        points: option.points != null ? Number(option.points) : (option.isCorrect ? 1 : 0),
+        votes: 0,
+        voters: [],
+    }));
+
+    if (question.type !== 'text_response' && !options.some(option => option.isCorrect)) {
+        throw httpError(`Question ${index + 1} needs at least one correct option`);
+    }
+    if (question.type !== 'multiple_choice' && options.filter(option => option.isCorrect).length > 1) {
+        throw httpError(`Question ${index + 1} allows a single answer but marks several options correct`);
+    }
+    return options;
+}
+
+/**
+ * Create a draft quiz with its questions. Questions stay closed until the quiz starts.
+ * @param {Object} data - sessionId, title, description, timeLimit (seconds), showAnswersAfterClose, questions
+ */
+async function createQuiz(data, user) {
+    const { sessionId, title, description, timeLimit, showAnswersAfterClose = true, questions } = data;
+
+    const session = await ClassSession.findById(sessionId).select('faculty');
+    if (!session) {
+        throw httpError('Session not found', 404);
+    }
+    if (user.role === 'faculty' && !sameId(session.faculty, user.userId)) {
+        throw httpError('You can only create quizzes for your own sessions', 403);
+    }
+
+    const built = questions.map((question, index) => ({
+        question: question.question.trim(),
+        type: question.type,
+        options: buildOptions(question, index),
+        points: question.type === 'text_response' ? (question.points != null ? question.points : 1) : undefined,
+    }));
+
+    const quiz = new Quiz({ session: sessionId, title, description, timeLimit, showAnswersAfterClose, createdBy: user.userId });
+
+    const polls = await Poll.insertMany(built.map(question => ({
+        ...question,
+        session: sessionId,
+        quiz: quiz._id,
+        createdBy: user.userId,
+        isActive: false,
+        settings: {
+            allowMultipleAnswers: question.type === 'multiple_choice',
+            allowChangeVote: true,
+            showResults: 'after_close',
+        },
+    })));
+
+    quiz.questions = polls.map(poll => poll._id);
+    quiz.totalPoints = polls.reduce((sum, poll) => sum + maxPointsFor(poll), 0);
+    await quiz.save();
+
+    logger.info('Quiz created', { quizId: quiz._id, sessionId, questions: polls.length, createdBy: user.userId });
+    return quiz;
+}
+
+// A quiz with its questions, checking the user runs the session it belongs to
+async function getQuizForStaff(quizId, user) {
+    const quiz = await Quiz.findById(quizId).populate('questions').populate('session', 'title faculty students college');
+    if (!quiz) {
+        throw httpError('Quiz not found', 404);
+    }
+    if (user.role === 'faculty' && !sameId(quiz.session.faculty, user.userId)) {
+        throw httpError('You can only manage quizzes for your own sessions', 403);
+    }
+    if (user.role === 'admin' && user.college && !sameId(quiz.session.college, user.college)) {
+        throw httpError('Quiz not in your college', 403);
+    }
+    return quiz;
+}
+
+// A question as students see it: no answer key until the quiz is over
+function toStudentQuestion(poll, { revealAnswers = false } = {}) {
+    return {
+        id: poll._id,
+        question: poll.question,
+        type: poll.type,
+        maxPoints: maxPointsFor(poll),
+        options: poll.options.map(option => (revealAnswers
+            ? { text: option.text, isCorrect: option.isCorrect, points: option.points }
+            : { text: option.text })),
+    };
+}
+
+// Open the answer window and schedule its close (expects populated questions)
+async function startQuiz(quiz, { io } = {}) {
+    if (quiz.status !== 'draft') {
+        throw httpError(`Quiz is already ${quiz.status}`, 409);
+    }
+
+    const startedAt = new Date();
+    const endsAt = new Date(startedAt.getTime() + quiz.timeLimit * 1000);
+    const closesAt = new Date(endsAt.getTime() + ANSWER_GRACE_SECONDS * 1000);
+
+    quiz.status = 'live';
+    quiz.startedAt = startedAt;
+    quiz.endsAt = endsAt;
+    await quiz.save();
+
+    await Poll.updateMany({ quiz: quiz._id }, { $set: { isActive: true, expiresAt: closesAt } });
+    await schedulerService.scheduleJob(QUIZ_JOBS.AUTO_CLOSE, closesAt, { quizId: quiz._id.toString() }, {
+        uniqueKey: `quiz-close-${quiz._id}`,
+    });
+
+    const sessionId = idOf(quiz.session);
+    if (io) {
+        io.to(`session-${sessionId}`).emit('quiz_started', {
+            quizId: quiz._id,
+            title: quiz.title,
+            timeLimit: quiz.timeLimit,
+            startedAt,
+            endsAt,
+            totalPoints: quiz.totalPoints,
+            questions: quiz.questions.map(poll => toStudentQuestion(poll)),
+        });
+    }
+
+    logger.info('Quiz started', { quizId: quiz._id, sessionId, endsAt });
+    return quiz;
+}
+
+// Close the answer window (early, or when time runs out)
+async function closeQuiz(quiz, { io } = {}) {
+    if (quiz.status === 'closed') return quiz;
+
+    quiz.status = 'closed';
+    quiz.closedAt = new Date();
+    await quiz.save();
+
+    await Poll.updateMany({ quiz: quiz._id }, { $set: { isActive: false, closedAt: quiz.closedAt } });
+    await schedulerService.cancelJobs({ name: QUIZ_JOBS.AUTO_CLOSE, 'payload.quizId': quiz._id.toString() });
+
+    const sessionId = idOf(quiz.session);
+    if (io) {
+        io.to(`session-${sessionId}`).emit('quiz_closed', { quizId: quiz._id, closedAt: quiz.closedAt });
+    }
+
+    logger.info('Quiz closed', { quizId: quiz._id, sessionId });
+    return quiz;
+}
+
+// Reject answers to a quiz question outside the quiz's window; plain polls pass through
+async function assertCanAnswer(poll) {
+    if (!poll.quiz) return null;
+
+    const quiz = await Quiz.findById(idOf(poll.quiz)).select('status endsAt');
+    if (!quiz || quiz.status !== 'live') {
+        throw httpError('This quiz is not open for answers');
+    }
+    if (Date.now() > quiz.endsAt.getTime() + ANSWER_GRACE_SECONDS * 1000) {
+        throw httpError('Time is up for this quiz');
+    }
+    return quiz;
+}
+
+/**
+ * Per-student gradebook for a quiz with populated questions and session students.
+ * Students who never answered still get a row with zero points.
+ */
+async function buildGradebook(quiz) {
+    const session = await ClassSession.findById(idOf(quiz.session))
+        .select('students')
+        .populate('students.student', 'name email studentId');
+
+    const rows = session.students.filter(s => s.student).map(({ student }) => {
+        const answers = quiz.questions.map(poll => ({ pollId: poll._id, ...scoreAnswer(poll, student._id) }));
+        const score = answers.reduce((sum, answer) => sum + answer.points, 0);
+
+        return {
+            student: { _id: student._id, name: student.name, email: student.email, studentId: student.studentId },
+            answers,
+            score,
+            maxScore: quiz.totalPoints,
+            percentage: quiz.totalPoints > 0 ? Math.round((score / quiz.totalPoints) * 10000) / 100 : 0,
+            pendingGrading: answers.filter(answer => answer.status === 'pending').length,
+        };
+    });
+
+    const scores = rows.map(row => row.score);
+    return {
+        quiz: { _id: quiz._id, title: quiz.title, status: quiz.status, totalPoints: quiz.totalPoints },
+        rows,
+        summary: {
+            students: rows.length,
+            submitted: rows.filter(row => row.answers.some(answer => answer.status !== 'unanswered')).length,
+            averageScore: scores.length ? Math.round((scores.reduce((a, b) => a + b, 0) / scores.length) * 100) / 100 : 0,
+            highestScore: scores.length ? Math.max(...scores) : 0,
+            pendingGrading: rows.reduce((sum, row) => sum + row.pendingGrading, 0),
+        },
+    };
+}
+
+// One CSV line per student with a column per question
+function gradebookToCsv(quiz, gradebook) {
+    const columns = [
+        { key: 'name', header: 'Student' },
+        { key: 'studentId', header: 'Student ID' },
+        ...quiz.questions.map((poll, index) => ({ key: `q${index + 1}`, header: `Q${index + 1} (${maxPointsFor(poll)})` })),
+        { key: 'score', header: 'Score' },
+        { key: 'maxScore', header: 'Max Score' },
+        { key: 'percentage', header: 'Percentage' },
+    ];
+
+    const rows = gradebook.rows.map(row => {
+        const line = { name: row.student.name, studentId: row.student.studentId, score: row.score, maxScore: row.maxScore, percentage: row.percentage };
+        row.answers.forEach((answer, index) => {
+            line[`q${index + 1}`] = answer.status === 'pending' ? 'pending' : answer.points;
+        });
+        return line;
+    });
+
+    return toCsv(rows, columns);
+}
+
+// A student's own result; per-question detail only once the quiz closes
+function getStudentResult(quiz, userId) {
+    const answers = quiz.questions.map(poll => ({ pollId: poll._id, ...scoreAnswer(poll, userId) }));
+
+    if (quiz.status !== 'closed') {
+        return {
+            quizId: quiz._id,
+            status: quiz.status,
+            answered: answers.filter(answer => answer.status !== 'unanswered').length,
+            totalQuestions: answers.length,
+        };
+    }
+
+    return {
+        quizId: quiz._id,
+        status: quiz.status,
+        score: answers.reduce((sum, answer) => sum + answer.points, 0),
+        maxScore: quiz.totalPoints,
+        pendingGrading: answers.filter(answer => answer.status === 'pending').length,
+        questions: quiz.showAnswersAfterClose
+            ? quiz.questions.map((poll, index) => ({ ...toStudentQuestion(poll, { revealAnswers: true }), result: answers[index] }))
+            : undefined,
+    };
+}
+
+// Manually grade a student's text response
+async function gradeResponse({ io, quiz, pollId, studentId, points, feedback, graderId }) {
+    const poll = quiz.questions.find(q => sameId(q._id, pollId));
+    if (!poll) {
+        throw httpError('Question not found in this quiz', 404);
+    }
+    if (poll.type !== 'text_response') {
+        throw httpError('Only text responses are graded manually');
+    }
+    if (points > poll.points) {
+        throw httpError(`This question is worth at most ${poll.points} points`);
+    }
+
+    const entry = poll.textResponses.find(r => sameId(r.user, studentId));
+    if (!entry) {
+        throw httpError('The student has not answered this question', 404);
+    }
+
+    entry.grade = { points, feedback, gradedBy: graderId, gradedAt: new Date() };
+    await poll.save();
+
+    if (io && quiz.status === 'closed') {
+        io.to(`user-${studentId}`).emit('quiz_graded', { quizId: quiz._id, pollId: poll._id, points, maxPoints: poll.points });
+    }
+
+    logger.info('Quiz response graded', { quizId: quiz._id, pollId, studentId, points, gradedBy: graderId });
+    return entry;
+}
+
+// Register the scheduler handler that closes quizzes when time runs out
+function registerQuizJobs() {
+    schedulerService.defineJob(QUIZ_JOBS.AUTO_CLOSE, async ({ quizId }, { io }) => {
+        const quiz = await Quiz.findById(quizId);
+        if (!quiz || quiz.status !== 'live') return;
+
+        await closeQuiz(quiz, { io });
+    });
+}
+
+module.exports = {
+    QUIZ_JOBS,
+    QUESTION_TYPES,
+    ANSWER_GRACE_SECONDS,
+    maxPointsFor,
+    scoreAnswer,
+    createQuiz,
+    getQuizForStaff,
+    toStudentQuestion,
+    startQuiz,
+    closeQuiz,
+    assertCanAnswer,
+    buildGradebook,
+    gradebookToCsv,
+    getStudentResult,
+    gradeResponse,
+    registerQuizJobs,
+};
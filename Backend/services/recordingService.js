@@ -0,0 +1,308 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { ClassSession, College } = require('../models');
+const schedulerService = require('./schedulerService');
+const { JWT_SECRET } = require('../config/jwt');
+const { RECORDINGS_DIR } = require('../config/storage');
+const { httpError } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const RECORDING_JOBS = {
+    PROCESS: 'recording_process',
+};
+
+// Media types clients may record in, and the extension the assembled file gets
+const RECORDING_MIME_TYPES = {
+    'video/webm': '.webm',
+    'video/mp4': '.mp4',
+    'audio/webm': '.weba',
+    'audio/mp4': '.m4a',
+    'audio/mpeg': '.mp3',
+};
+
+const MAX_CHUNKS = 5000;
+const MAX_CHUNK_BYTES = parseInt(process.env.RECORDING_CHUNK_MAX_BYTES, 10) || 10 * 1024 * 1024;
+
+// Processing retries while late chunks arrive, then gives up and marks the recording failed
+const PROCESS_MAX_ATTEMPTS = 10;
+
+// <video> elements cannot send an Authorization header, so playback URLs carry a short-lived token
+const PLAYBACK_TOKEN_PURPOSE = 'recording_playback';
+const PLAYBACK_TOKEN_TTL = '4h';
+
+function chunkDir(recordingId) {
+    return path.join(RECORDINGS_DIR, recordingId);
+}
+
+function chunkPath(recordingId, index) {
+    return path.join(chunkDir(recordingId), `${String(index).padStart(6, '0')}.part`);
+}
+
+function recordingFile(recording) {
+    return path.join(RECORDINGS_DIR, `${recording.recordingId}${RECORDING_MIME_TYPES[recording.mimeType] || ''}`);
+}
+
+function playbackPath(sessionId) {
+    return `/api/recordings/sessions/${sessionId}/playback`;
+}
+
+// The college must have bought recording and the session must allow it
+async function assertRecordingAllowed(session) {
+    const college = await College.findById(session.college).select('subscription');
+    const subscription = college && college.subscription;
+    if (!subscription || !subscription.features || !subscription.features.recording) {
+        throw httpError('Recording is not included in your college subscription', 403);
+    }
+    if (subscription.expiresAt && subscription.expiresAt < new Date()) {
+        throw httpError('Your college subscription has expired', 403);
+    }
+    if (!session.settings || !session.settings.enableRecording) {
+        throw httpError('Recording is turned off for this session', 403);
+    }
+}
+
+/**
+ * Start recording a live session. A session holds one recording; one that failed processing
+ * may be recorded again.
+ */
+async function startRecording(session, userId, { mimeType }, { io } = {}) {
+    await assertRecordingAllowed(session);
+    if (session.status !== 'live') {
+        throw httpError('Only live sessions can be recorded', 409);
+    }
+    if (!RECORDING_MIME_TYPES[mimeType]) {
+        throw httpError(`mimeType must be one of: ${Object.keys(RECORDING_MIME_TYPES).join(', ')}`);
+    }
+
+    const current = session.recording || {};
+    if (current.isRecording) {
+        throw httpError('The session is already being recorded', 409);
+    }
+    if (['processing', 'ready'].includes(current.status)) {
+        throw httpError('This session already has a recording', 409);
+    }
+
+    const recordingId = crypto.randomUUID();
+    await fs.mkdir(chunkDir(recordingId), { recursive: true });
+
+    session.recording = {
+        isRecording: true,
+        recordingId,
+        startTime: new Date(),
+        status: 'recording',
+        mimeType,
+        startedBy: userId,
+    };
+    await session.save();
+
+    // Participants are told they are being recorded
+    io?.to(`session-${session._id}`).emit('recording_started', { sessionId: session._id, startTime: session.recording.startTime });
+
+    logger.info('Session recording started', { sessionId: session._id, recordingId, startedBy: userId });
+    return session.recording;
+}
+
+/**
+ * Store one chunk of recorded media. Chunks may arrive in any order, and after the recording
+ * stops, until processing has them all. Re-sending an index replaces it.
+ */
+async function saveChunk(session, index, data) {
+    const recording = session.recording || {};
+    if (!['recording', 'processing'].includes(recording.status)) {
+        throw httpError('The session is not being recorded', 409);
+    }
+    if (!Number.isInteger(index) || index < 0 || index >= (recording.totalChunks || MAX_CHUNKS)) {
+        throw httpError(`Chunk index must be between 0 and ${(recording.totalChunks || MAX_CHUNKS) - 1}`);
+    }
+    if (!Buffer.isBuffer(data) || data.length === 0) {
+        throw httpError('Chunk is empty');
+    }
+    if (data.length > MAX_CHUNK_BYTES) {
+        throw httpError(`Chunks cannot exceed ${MAX_CHUNK_BYTES} bytes`, 413);
+    }
+
+    await fs.writeFile(chunkPath(recording.recordingId, index), data);
+    return { index, size: data.length };
+}
+
+// Queue the recording for processing; it runs once every chunk is in
+function scheduleProcessing(session) {
+    const { recordingId } = session.recording;
+    return schedulerService.scheduleJob(RECORDING_JOBS.PROCESS, new Date(), { sessionId: session._id, recordingId }, {
+        uniqueKey: `${RECORDING_JOBS.PROCESS}:${recordingId}`,
+        maxAttempts: PROCESS_MAX_ATTEMPTS,
+    });
+}
+
+/**
+ * Stop recording and queue processing. `totalChunks` is how many chunks the client recorded;
+ * without it (e.g. when the session ends) processing takes the chunks received from 0 onwards.
+ */
+async function stopRecording(session, { totalChunks } = {}, { io } = {}) {
+    if (!session.recording || !session.recording.isRecording) {
+        throw httpError('The session is not being recorded', 409);
+    }
+    if (totalChunks != null && (!Number.isInteger(totalChunks) || totalChunks < 1 || totalChunks > MAX_CHUNKS)) {
+        throw httpError(`totalChunks must be between 1 and ${MAX_CHUNKS}`);
+    }
+
+    const recording = session.recording;
+    recording.isRecording = false;
+    recording.endTime = new Date();
+    recording.duration = Math.round((recording.endTime - recording.startTime) / 1000);
+    recording.status = 'processing';
+    if (totalChunks != null) recording.totalChunks = totalChunks;
+    await session.save();
+
+    await scheduleProcessing(session);
+
+    io?.to(`session-${session._id}`).emit('recording_stopped', { sessionId: session._id, duration: recording.duration });
+
+    logger.info('Session recording stopped', { sessionId: session._id, recordingId: recording.recordingId, totalChunks });
+    return recording;
+}
+
+// Chunk indexes processing still waits for
+function missingChunks(indexes, totalChunks) {
+    const present = new Set(indexes);
+    const expected = totalChunks || (indexes.length > 0 ? Math.max(...indexes) + 1 : 1);
+    return Array.from({ length: expected }, (_, i) => i).filter(i => !present.has(i));
+}
+
+/**
+ * Processing job: join the chunks into one file in the uploads store and mark the recording
+ * processed. Missing chunks make it retry; on its last attempt the recording is marked failed.
+ */
+async function processRecording({ sessionId, recordingId }, { io, lastAttempt = false } = {}) {
+    const session = await ClassSession.findById(sessionId);
+    const recording = session && session.recording;
+    if (!recording || recording.recordingId !== recordingId || recording.status !== 'processing') return null;
+
+    const dir = chunkDir(recordingId);
+    const files = await fs.readdir(dir).catch(error => (error.code === 'ENOENT' ? [] : Promise.reject(error)));
+    const indexes = files.filter(file => file.endsWith('.part')).map(file => parseInt(file, 10)).sort((a, b) => a - b);
+
+    const missing = missingChunks(indexes, recording.totalChunks);
+    if (missing.length > 0) {
+        if (!lastAttempt) {
+            throw new Error(`Recording ${recordingId} is missing ${missing.length} chunks`);
+        }
+        recording.status = 'failed';
+        recording.processingError = `Missing chunks: ${missing.slice(0, 20).join(', ')}${missing.length > 20 ? ', ...' : ''}`;
+        await session.save();
+
+        io?.to(`user-${session.faculty}`).emit('recording_failed', { sessionId, error: recording.processingError });
+        logger.warn('Session recording failed processing', { sessionId, recordingId, missing: missing.length });
+        return recording;
+    }
+
+    const file = recordingFile(recording);
+    const output = await fs.open(file, 'w');
+    try {
+        for (const index of indexes.slice(0, recording.totalChunks || indexes.length)) {
+            await output.write(await fs.readFile(chunkPath(recordingId, index)));
+        }
+    } finally {
+        await output.close();
+    }
+    const { size } = await fs.stat(file);
+    await fs.rm(dir, { recursive: true, force: true });
+
+    recording.fileSize = size;
+    recording.recordingUrl = playbackPath(session._id);
+    recording.isProcessed = true;
+    recording.status = 'ready';
+    recording.processedAt = new Date();
+    recording.processingError = undefined;
+    await session.save();
+
+    io?.to(`user-${session.faculty}`).emit('recording_ready', { sessionId, recordingUrl: recording.recordingUrl, fileSize: size });
+    logger.info('Session recording processed', { sessionId, recordingId, fileSize: size });
+    return recording;
+}
+
+// ---- Playback ------------------------------------------------------------
+
+function issuePlaybackToken(session, user) {
+    return jwt.sign(
+        { sid: session._id.toString(), uid: user.userId.toString(), purpose: PLAYBACK_TOKEN_PURPOSE },
+        JWT_SECRET,
+        { expiresIn: PLAYBACK_TOKEN_TTL }
+    );
+}
+
+// The user id a playback token was issued to, if it is valid for this session
+function verifyPlaybackToken(token, sessionId) {
+    try {
+        const decoded = jwt.verify(token, JWT_SECRET);
+        if (decoded.purpose !== PLAYBACK_TOKEN_PURPOSE || decoded.sid !== sessionId.toString()) return null;
+        return decoded.uid;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Recording details for a user who may watch it, with a playback URL once it is ready
+function describeRecording(session, user) {
+    const recording = session.recording || {};
+    if (!recording.recordingId) {
+        throw httpError('This session has not been recorded', 404);
+    }
+
+    const ready = recording.status === 'ready';
+    return {
+        status: recording.status,
+        isRecording: recording.isRecording,
+        startTime: recording.startTime,
+        endTime: recording.endTime,
+        duration: recording.duration,
+        fileSize: recording.fileSize,
+        mimeType: recording.mimeType,
+        isProcessed: recording.isProcessed,
+        thumbnailUrl: recording.thumbnailUrl,
+        processingError: recording.processingError,
+        playbackUrl: ready ? `${playbackPath(session._id)}?token=${issuePlaybackToken(session, user)}` : null,
+    };
+}
+
+// Where a ready recording's file is, for streaming
+async function getPlaybackFile(session) {
+    const recording = session.recording || {};
+    if (recording.status !== 'ready') {
+        throw httpError('No recording is available for this session', 404);
+    }
+
+    const file = recordingFile(recording);
+    try {
+        const { size } = await fs.stat(file);
+        return { file, size, mimeType: recording.mimeType };
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        logger.error('Recording file missing', { sessionId: session._id, recordingId: recording.recordingId });
+        throw httpError('No recording is available for this session', 404);
+    }
+}
+
+// Register the scheduler handler that processes stopped recordings
+function registerRecordingJobs() {
+    schedulerService.defineJob(RECORDING_JOBS.PROCESS, async (payload, { io }, job) => {
+        await processRecording(payload, { io, lastAttempt: job.attempts >= job.maxAttempts });
+    });
+}
+
+module.exports = {
+    RECORDING_JOBS,
+    RECORDING_MIME_TYPES,
+    MAX_CHUNKS,
+    MAX_CHUNK_BYTES,
+    startRecording,
+    saveChunk,
+    stopRecording,
+    processRecording,
+    verifyPlaybackToken,
+    describeRecording,
+    getPlaybackFile,
+    registerRecordingJobs,
+};
@@ -0,0 +1,248 @@
+const { ClassSession, College } = require('../models');
+const { expandRecurrence, normalizePattern } = require('../utils/recurrence');
+const { DEFAULT_TIMEZONE } = require('../utils/timezone');
+const { httpError } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const EDIT_SCOPES = ['this', 'following', 'series'];
+
+// Fields copied from the series template onto every generated occurrence
+const TEMPLATE_FIELDS = ['title', 'subject', 'description', 'faculty', 'college', 'section', 'duration', 'classroom'];
+
+async function getCollegeTimezone(collegeId) {
+    const college = await College.findById(collegeId).select('settings.timezone');
+    return (college && college.settings && college.settings.timezone) || DEFAULT_TIMEZONE;
+}
+
+// Length of one occurrence in ms, taken from the template's own start/end times
+function occurrenceLength(session) {
+    if (session.scheduledEndTime) {
+        return session.scheduledEndTime.getTime() - session.scheduledStartTime.getTime();
+    }
+    return null;
+}
+
+// Generate the concrete sessions of a recurring series up to its pattern's endDate
+async function materializeSeries(master) {
+    if (!master.isRecurring || !master.recurringPattern || !master.recurringPattern.type) {
+        return [];
+    }
+
+    if (!master.seriesId) {
+        master.seriesId = master._id;
+        master.occurrenceDate = master.scheduledStartTime;
+        await master.save();
+    }
+
+    const timeZone = await getCollegeTimezone(master.college);
+    const starts = expandRecurrence({
+        start: master.scheduledStartTime,
+        pattern: master.recurringPattern,
+        timeZone,
+    });
+
+    // Occurrences superseded by a pattern change are cancelled but leave their date free
+    const existing = await ClassSession.find({
+        seriesId: master.seriesId,
+        $or: [{ status: { $ne: 'cancelled' } }, { isSeriesException: true }],
+    }).select('occurrenceDate');
+    const existingTimes = new Set(existing.map(s => s.occurrenceDate && s.occurrenceDate.getTime()));
+    const length = occurrenceLength(master);
+
+    const occurrences = starts
+        .filter(start => !existingTimes.has(start.getTime()))
+        .map(start => {
+            const occurrence = {
+                scheduledStartTime: start,
+                scheduledEndTime: length !== null ? new Date(start.getTime() + length) : undefined,
+                settings: master.settings.toObject(),
+                students: master.students.map(s => ({ student: s.student, capacityOverride: s.capacityOverride })),
+                waitlist: master.waitlist.map(w => ({ student: w.student, addedAt: w.addedAt })),
+                seriesId: master.seriesId,
+                occurrenceDate: start,
+            };
+            TEMPLATE_FIELDS.forEach(field => { occurrence[field] = master[field]; });
+            return occurrence;
+        });
+
+    if (occurrences.length === 0) {
+        return [];
+    }
+
+    const created = await ClassSession.create(occurrences);
+
+    logger.info('Recurring series materialized', {
+        seriesId: master.seriesId,
+        timeZone,
+        occurrencesCreated: created.length,
+    });
+
+    return created;
+}
+
+// Reject edits the scope cannot carry before anything is changed
+function assertEditScope(session, changes, scope) {
+    if (!EDIT_SCOPES.includes(scope)) {
+        throw httpError(`Scope must be one of: ${EDIT_SCOPES.join(', ')}`);
+    }
+    if (changes.recurringPattern && session.seriesId && scope === 'this') {
+        throw httpError('Recurring pattern can only be changed for following occurrences or the whole series');
+    }
+}
+
+// Resolve which sessions an edit or cancellation applies to
+async function findScopedOccurrences(session, scope) {
+    if (!session.seriesId || scope === 'this') {
+        return [session];
+    }
+
+    const query = { seriesId: session.seriesId, status: 'scheduled' };
+    if (scope === 'following') {
+        query.occurrenceDate = { $gte: session.occurrenceDate };
+    }
+
+    return ClassSession.find(query).sort({ occurrenceDate: 1 });
+}
+
+// Start a fresh series at `anchor` with a new pattern, ending the old series just before it
+async function restartSeriesFrom(anchor, pattern) {
+    const previousSeriesId = anchor.seriesId;
+
+    if (previousSeriesId) {
+        // Generated occurrences are cancelled (keeping their records) and rebuilt below; individually edited ones are kept
+        await ClassSession.updateMany({
+            seriesId: previousSeriesId,
+            status: 'scheduled',
+            isSeriesException: false,
+            occurrenceDate: { $gt: anchor.occurrenceDate },
+        }, { $set: { status: 'cancelled' } });
+
+        if (!anchor._id.equals(previousSeriesId)) {
+            await ClassSession.updateOne(
+                { _id: previousSeriesId },
+                { $set: { 'recurringPattern.endDate': new Date(anchor.occurrenceDate.getTime() - 1) } }
+            );
+            await ClassSession.updateMany(
+                { seriesId: previousSeriesId, occurrenceDate: { $gt: anchor.occurrenceDate } },
+                { $set: { seriesId: anchor._id } }
+            );
+        }
+    }
+
+    anchor.isRecurring = true;
+    anchor.recurringPattern = pattern;
+    anchor.seriesId = anchor._id;
+    anchor.occurrenceDate = anchor.scheduledStartTime;
+    anchor.isSeriesException = false;
+    await anchor.save();
+
+    return materializeSeries(anchor);
+}
+
+/**
+ * Apply an edit to one occurrence, it and the following ones, or the whole series.
+ * Start/end changes are applied as a shift relative to the edited session.
+ * A new recurringPattern restarts the series from the edited occurrence ('following')
+ * or from the earliest occurrence that has not happened yet ('series').
+ * @returns {Promise<{ session: Object, affected: number }>}
+ */
+async function updateOccurrences(session, changes, scope = 'this') {
+    assertEditScope(session, changes, scope);
+
+    const { scheduledStartTime, scheduledEndTime, settings, recurringPattern, ...fields } = changes;
+    const pattern = recurringPattern ? normalizePattern(recurringPattern) : null;
+
+    const startShift = scheduledStartTime ? new Date(scheduledStartTime).getTime() - session.scheduledStartTime.getTime() : 0;
+    let length = occurrenceLength(session);
+    if (scheduledEndTime) {
+        const newStart = scheduledStartTime ? new Date(scheduledStartTime) : session.scheduledStartTime;
+        length = new Date(scheduledEndTime).getTime() - newStart.getTime();
+    }
+
+    const targets = await findScopedOccurrences(session, scope);
+
+    for (const target of targets) {
+        Object.assign(target, fields);
+        if (settings) {
+            target.settings = { ...target.settings.toObject(), ...settings };
+        }
+        if (startShift !== 0 || scheduledEndTime) {
+            target.scheduledStartTime = new Date(target.scheduledStartTime.getTime() + startShift);
+            target.scheduledEndTime = length !== null ? new Date(target.scheduledStartTime.getTime() + length) : undefined;
+        }
+        if (scope === 'this' && target.seriesId) {
+            target.isSeriesException = true;
+        }
+        await target.save();
+    }
+
+    let updated = targets.find(t => t._id.equals(session._id)) || session;
+
+    if (pattern) {
+        let anchor = updated;
+        if (scope === 'series' && targets.length > 0) {
+            anchor = targets[0];
+        }
+        await restartSeriesFrom(anchor, pattern);
+        // A generated occurrence may have been rebuilt under a new id; fall back to the series anchor
+        updated = (await ClassSession.findById(session._id)) || anchor;
+    }
+
+    logger.info('Session occurrences updated', {
+        sessionId: session._id,
+        seriesId: session.seriesId,
+        scope,
+        affected: targets.length,
+        patternChanged: !!pattern,
+    });
+
+    return { session: updated, affected: targets.length };
+}
+
+// Cancel one occurrence, it and the following ones, or every remaining occurrence of the series
+async function cancelOccurrences(session, scope = 'this') {
+    if (!EDIT_SCOPES.includes(scope)) {
+        throw new Error(`Scope must be one of: ${EDIT_SCOPES.join(', ')}`);
+    }
+
+    const targets = await findScopedOccurrences(session, scope);
+    const ids = targets.map(t => t._id);
+
+    if (!ids.some(id => id.equals(session._id))) {
+        ids.push(session._id);
+    }
+
+    const update = { status: 'cancelled' };
+    if (session.seriesId && scope === 'this') {
+        update.isSeriesException = true;
+    }
+    await ClassSession.updateMany({ _id: { $in: ids } }, { $set: update });
+
+    // Stop the series before this occurrence so it is never generated again
+    if (session.seriesId && scope === 'following') {
+        await ClassSession.updateOne(
+            { _id: session.seriesId },
+            { $set: { 'recurringPattern.endDate': new Date(session.occurrenceDate.getTime() - 1) } }
+        );
+    }
+
+    logger.info('Session occurrences cancelled', {
+        sessionId: session._id,
+        seriesId: session.seriesId,
+        scope,
+        cancelled: ids.length,
+    });
+
+    return ids;
+}
+
+module.exports = {
+    EDIT_SCOPES,
+    getCollegeTimezone,
+    occurrenceLength,
+    assertEditScope,
+    findScopedOccurrences,
+    materializeSeries,
+    updateOccurrences,
+    cancelOccurrences,
+};
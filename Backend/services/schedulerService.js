@@ -0,0 +1,168 @@
+const os = require('os');
+const { ScheduledJob } = require('../models');
+const logger = require('../utils/logger');
+
+const POLL_INTERVAL_MS = parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS, 10) || 5000;
+const LOCK_DURATION_MS = parseInt(process.env.SCHEDULER_LOCK_DURATION_MS, 10) || 2 * 60 * 1000;
+const BATCH_SIZE = 20;
+const RETRY_DELAY_MS = 30 * 1000;
+
+// Identifies this process when claiming jobs
+const workerId = `${os.hostname()}-${process.pid}-${Math.random().toString(36).slice(2, 8)}`;
+
+const handlers = new Map();
+let timer = null;
+let running = false;
+let context = {};
+
+// Register the handler that runs jobs of the given name: handler(payload, context, job)
+function defineJob(name, handler) {
+    handlers.set(name, handler);
+}
+
+/**
+ * Persist a job to run at `runAt`.
+ * With a uniqueKey, an existing job for the same key is rescheduled instead of duplicated,
+ * and a completed job is left alone when its run time has not changed.
+ */
+async function scheduleJob(name, runAt, payload = {}, options = {}) {
+    const { uniqueKey, maxAttempts } = options;
+    const fields = {
+        name,
+        runAt: new Date(runAt),
+        payload,
+        status: 'pending',
+        attempts: 0,
+        lockedBy: null,
+        lockedUntil: null,
+        lastError: null,
+        completedAt: null,
+        completedSteps: [],
+    };
+    if (maxAttempts) fields.maxAttempts = maxAttempts;
+
+    if (!uniqueKey) {
+        return ScheduledJob.create(fields);
+    }
+
+    try {
+        return await ScheduledJob.findOneAndUpdate({
+            uniqueKey,
+            status: { $ne: 'running' },
+            $or: [{ status: { $ne: 'completed' } }, { runAt: { $ne: fields.runAt } }],
+        }, { $set: fields }, { upsert: true, new: true, setDefaultsOnInsert: true });
+    } catch (error) {
+        // Duplicate key: the job is running or already done for this run time
+        if (error.code === 11000) {
+            return ScheduledJob.findOne({ uniqueKey });
+        }
+        throw error;
+    }
+}
+
+// Cancel pending jobs matching the filter (e.g. { name, 'payload.sessionId': id })
+async function cancelJobs(filter) {
+    const result = await ScheduledJob.updateMany(
+        { ...filter, status: 'pending' },
+        { $set: { status: 'cancelled', completedAt: new Date() } }
+    );
+    return result.modifiedCount;
+}
+
+// Record part of a running job as done, so that a retry after a failure does not repeat it
+async function completeJobStep(job, step) {
+    await ScheduledJob.updateOne({ _id: job._id }, { $addToSet: { completedSteps: String(step) } });
+}
+
+// Atomically claim the next due job; expired locks from crashed workers are reclaimed
+async function claimNextJob() {
+    const now = new Date();
+    return ScheduledJob.findOneAndUpdate({
+        name: { $in: [...handlers.keys()] },
+        $or: [
+            { status: 'pending', runAt: { $lte: now } },
+            { status: 'running', lockedUntil: { $lt: now } },
+        ],
+    }, {
+        $set: {
+            status: 'running',
+            lockedBy: workerId,
+            lockedUntil: new Date(now.getTime() + LOCK_DURATION_MS),
+        },
+        $inc: { attempts: 1 },
+    }, { sort: { runAt: 1 }, new: true });
+}
+
+async function runJob(job) {
+    const handler = handlers.get(job.name);
+
+    try {
+        await handler(job.payload || {}, context, job);
+        await ScheduledJob.updateOne(
+            { _id: job._id, lockedBy: workerId },
+            { $set: { status: 'completed', completedAt: new Date(), lockedUntil: null } }
+        );
+    } catch (error) {
+        const failed = job.attempts >= job.maxAttempts;
+        await ScheduledJob.updateOne({ _id: job._id, lockedBy: workerId }, {
+            $set: {
+                status: failed ? 'failed' : 'pending',
+                runAt: failed ? job.runAt : new Date(Date.now() + RETRY_DELAY_MS * job.attempts),
+                lastError: error.message,
+                lockedUntil: null,
+                completedAt: failed ? new Date() : null,
+            },
+        });
+        logger.error('Scheduled job failed', {
+            jobId: job._id,
+            name: job.name,
+            attempts: job.attempts,
+            willRetry: !failed,
+            error: error.message,
+        });
+    }
+}
+
+// Run every due job, a batch at a time
+async function tick() {
+    if (running) return;
+    running = true;
+
+    try {
+        for (let i = 0; i < BATCH_SIZE; i++) {
+            const job = await claimNextJob();
+            if (!job) break;
+            await runJob(job);
+        }
+    } catch (error) {
+        logger.error('Scheduler tick error:', error);
+    } finally {
+        running = false;
+    }
+}
+
+// Start polling for due jobs; context (e.g. { io }) is passed to every handler
+function start(jobContext = {}) {
+    if (timer) return;
+    context = jobContext;
+    timer = setInterval(tick, POLL_INTERVAL_MS);
+    timer.unref();
+    logger.info('Job scheduler started', { workerId, pollIntervalMs: POLL_INTERVAL_MS, jobs: [...handlers.keys()] });
+}
+
+function stop() {
+    if (!timer) return;
+    clearInterval(timer);
+    timer = null;
+    logger.info('Job scheduler stopped', { workerId });
+}
+
+module.exports = {
+    defineJob,
+    scheduleJob,
+    cancelJobs,
+    completeJobStep,
+    start,
+    stop,
+    tick,
+};
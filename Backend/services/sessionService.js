@@ -1,7 +1,41 @@
 const { ClassSession, User, Attendance } = require('../models');
+const recurrenceService = require('./recurrenceService');
+const schedulerService = require('./schedulerService');
+const notificationService = require('./notificationService');
+const courseService = require('./courseService');
+const timetableService = require('./timetableService');
+const enrollmentService = require('./enrollmentService');
+const breakoutService = require('./breakoutService');
+const whiteboardService = require('./whiteboardService');
+const recordingService = require('./recordingService');
+const { expandRecurrence } = require('../utils/recurrence');
+const { httpError } = require('../utils/helpers');
 const logger = require('../utils/logger');
 
-// Create a new class session
+const SESSION_JOBS = {
+    AUTO_START: 'session_auto_start',
+    AUTO_END: 'session_auto_end',
+    REMINDER: 'session_reminder',
+};
+
+// Minutes before the start time at which reminders go out, unless a session sets its own
+const DEFAULT_REMINDER_LEAD_MINUTES = (process.env.SESSION_REMINDER_LEAD_MINUTES || '15')
+    .split(',')
+    .map(value => parseInt(value, 10))
+    .filter(value => value > 0);
+
+// [start, end) of every listed start, each lasting `length` ms
+function intervalsFrom(starts, length) {
+    return starts.map(start => ({ start, end: new Date(start.getTime() + length) }));
+}
+
+/**
+ * Create a new class session and, for recurring sessions, its occurrences. `user` is the
+ * creating user's document; `facultyId` lets admins create sessions for a faculty member.
+ * Rejects with a 409 (details: conflicts and alternatives) when any occurrence would
+ * double-book the faculty member, the room or the section.
+ * @returns {Promise<{ session: Object, occurrences: Object[] }>}
+ */
 async function createSession(data, user) {
     const {
         title,
@@ -10,33 +44,41 @@ async function createSession(data, user) {
         scheduledStartTime,
         scheduledEndTime,
         duration,
+        classroom,
         settings = {},
         isRecurring = false,
         recurringPattern = {},
-        facultyId
+        facultyId,
+        sectionId
     } = data;
 
     const faculty = facultyId ? await User.findById(facultyId) : user;
-    if (!faculty || faculty.role !== 'faculty' || !faculty.college.equals(user.college)) {
-        throw new Error('Invalid faculty');
+    if (!faculty || (faculty !== user && faculty.role !== 'faculty') || !faculty.college.equals(user.college)) {
+        throw httpError('Invalid faculty selection');
     }
 
+    // Sessions under a section take its roster (and the course title unless a subject is given)
+    const sectionFields = sectionId ? await courseService.sessionFieldsFromSection(sectionId, faculty._id, user) : {};
+
     const sessionData = {
         title: title.trim(),
-        subject: subject.trim(),
+        subject: subject ? subject.trim() : sectionFields.subject,
+        section: sectionFields.section || null,
         description: description ? description.trim() : undefined,
         faculty: faculty._id,
         college: user.college,
         scheduledStartTime: new Date(scheduledStartTime),
         scheduledEndTime: scheduledEndTime ? new Date(scheduledEndTime) : undefined,
         duration: duration || 60,
+        classroom: classroom ? classroom.trim() : undefined,
         settings: {
             allowLateJoin: settings.allowLateJoin !== false,
             lateJoinCutoffMinutes: settings.lateJoinCutoffMinutes || 15,
-            requireLocationVerification: settings.requireLocationVerification !== false,
+            requireLocationVerification: settings.requireLocationVerification || false,
             enableChat: settings.enableChat !== false,
             enablePolls: settings.enablePolls !== false,
             enableScreenShare: settings.enableScreenShare !== false,
+            enableWhiteboard: settings.enableWhiteboard !== false,
             enableRecording: settings.enableRecording || false,
             maxConcurrentStudents: settings.maxConcurrentStudents || 100,
             ...settings,
@@ -44,36 +86,306 @@ async function createSession(data, user) {
         isRecurring,
         recurringPattern: isRecurring ? recurringPattern : undefined,
     };
+    await enrollmentService.seatRoster(sessionData, sectionFields.studentIds || []);
+
+    const start = sessionData.scheduledStartTime;
+    const length = sessionData.scheduledEndTime
+        ? sessionData.scheduledEndTime.getTime() - start.getTime()
+        : sessionData.duration * 60000;
+    const starts = [start];
+    if (isRecurring && recurringPattern.type) {
+        const timeZone = await recurrenceService.getCollegeTimezone(user.college);
+        starts.push(...expandRecurrence({ start, pattern: recurringPattern, timeZone })
+            .filter(occurrence => occurrence.getTime() !== start.getTime()));
+    }
+    await timetableService.assertNoClashes(intervalsFrom(starts, length), {
+        college: user.college,
+        faculty: faculty._id,
+        classroom: sessionData.classroom,
+        section: sessionData.section,
+    }, { headcount: sessionData.students.length });
 
     const session = new ClassSession(sessionData);
     await session.save();
 
+    // Expand recurring sessions into concrete occurrences
+    const occurrences = await recurrenceService.materializeSeries(session);
+    for (const occurrence of [session, ...occurrences]) {
+        await syncSessionJobs(occurrence);
+    }
+
     await session.populate('faculty', 'name email specialization');
     await session.populate('college', 'name');
 
-    logger.info('Session created', { sessionId: session._id, facultyId: session.faculty, title: session.title });
+    logger.info('Session created', {
+        sessionId: session._id,
+        facultyId: session.faculty,
+        title: session.title,
+        scheduledStartTime: session.scheduledStartTime,
+        occurrencesCreated: occurrences.length
+    });
 
-    return session;
+    return { session, occurrences };
+}
+
+// Where the sessions an edit applies to would end up, for clash detection before it is applied
+async function plannedIntervals(session, updateData, scope) {
+    const targets = await recurrenceService.findScopedOccurrences(session, scope);
+    const { scheduledStartTime, scheduledEndTime, duration, recurringPattern } = updateData;
+
+    const startShift = scheduledStartTime ? new Date(scheduledStartTime).getTime() - session.scheduledStartTime.getTime() : 0;
+    let length = recurrenceService.occurrenceLength(session);
+    if (scheduledEndTime) {
+        length = new Date(scheduledEndTime).getTime() - (scheduledStartTime ? new Date(scheduledStartTime) : session.scheduledStartTime).getTime();
+    }
+    const lengthOf = target => length !== null ? length : (duration || target.duration) * 60000;
+
+    const intervals = targets.map(target => {
+        if (startShift === 0 && !scheduledEndTime) {
+            return { start: target.scheduledStartTime, end: target.scheduledEndTime || new Date(target.scheduledStartTime.getTime() + lengthOf(target)) };
+        }
+        return intervalsFrom([new Date(target.scheduledStartTime.getTime() + startShift)], lengthOf(target))[0];
+    });
+
+    // A new pattern regenerates the series from the edited (or earliest remaining) occurrence
+    if (recurringPattern) {
+        const anchor = scope === 'series' && targets.length > 0 ? targets[0] : session;
+        const start = new Date(anchor.scheduledStartTime.getTime() + startShift);
+        const timeZone = await recurrenceService.getCollegeTimezone(session.college);
+        const planned = new Set(intervals.map(i => i.start.getTime()));
+        const regenerated = expandRecurrence({ start, pattern: recurringPattern, timeZone })
+            .filter(occurrence => !planned.has(occurrence.getTime()));
+        intervals.push(...intervalsFrom(regenerated, lengthOf(anchor)));
+    }
+
+    return { targets, intervals };
 }
 
-// Update session fields (used for PATCH)
-async function updateSession(sessionId, updateData, user) {
+/**
+ * Update session fields (used for PATCH); scope selects this/following/series for recurring sessions.
+ * Moving sessions or changing their room rejects with a 409 (details: conflicts and alternatives)
+ * when it would double-book the faculty member, the room or the section.
+ * @returns {Promise<{ session: Object, affected: number }>}
+ */
+async function updateSession(sessionId, updateData, user, scope = 'this') {
     const session = await ClassSession.findById(sessionId);
     if (!session) {
-        throw new Error('Session not found');
+        throw httpError('Session not found', 404);
     }
-    if (user.role === 'faculty' && !session.faculty.equals(user._id)) {
-        throw new Error('Only faculty owner can edit this session');
+    if (user.role === 'faculty' && !session.faculty.equals(user.userId)) {
+        throw httpError('You can only modify your own sessions', 403);
     }
     if (session.status === 'live') {
-        throw new Error('Cannot modify a live session');
+        throw httpError('Cannot modify a live session');
     }
-    Object.assign(session, updateData);
-    await session.save();
-    logger.info('Session updated', { sessionId, updatedFields: Object.keys(updateData) });
+    recurrenceService.assertEditScope(session, updateData, scope);
+
+    const reschedules
+ = ['scheduledStartTime', 'scheduledEndTime', 'duration', 'classroom', 'recurringPattern']
+        .some(field => updateData[field] !== undefined);
+    if (reschedules) {
+        const { targets, intervals } = await plannedIntervals(session, updateData, scope);
+        await timetableService.assertNoClashes(intervals, {
+            college: session.college,
+            faculty: session.faculty,
+            classroom: updateData.classroom !== undefined ? updateData.classroom : session.classroom,
+            section: session.section,
+            excludeIds: targets.map(target => target._id),
+        }, { headcount: session.students.length });
+    }
+
+    const result = await recurrenceService.updateOccurrences(session, updateData, scope);
+    await syncSeriesJobs(result.session);
+
+    // A higher capacity frees seats for waitlisted students
+    if (updateData.settings && updateData.settings.maxConcurrentStudents !== undefined) {
+        await enrollmentService.promoteWaitlists(result.session.seriesId && scope !== 'this'
+            ? { seriesId: result.session.seriesId }
+            : { _id: result.session._id });
+    }
+
+    logger.info('Session updated', {
+        sessionId,
+        userId: user.userId,
+        updatedFields: Object.keys(updateData),
+        scope,
+        affectedSessions: result.affected
+    });
+    return result;
+}
+
+// Start a session, notify its room and schedule its auto-end
+async function startSession(session, { io } = {}) {
+    await session.startSession();
+
+    io?.to(`session-${session._id}`).emit('session_started', {
+        sessionId: session._id,
+        startTime: session.actualStartTime
+    });
+
+    await syncSessionJobs(session);
+    return session;
+}
+
+// End a session, bring everyone back from breakout rooms, notify its room and drop any jobs still pending for it.
+// The whiteboard is saved to the session materials and a running recording is stopped and processed in the background.
+async function endSession(session, { io } = {}) {
+    await session.endSession();
+    await breakoutService.recallBreakouts(session, { reason: 'session_ended' }, { io });
+    await whiteboardService.scheduleExport(session);
+    if (session.recording && session.recording.isRecording) {
+        await recordingService.stopRecording(session, {}, { io });
+    }
+
+    io?.to(`session-${session._id}`).emit('session_ended', {
+        sessionId: session._id,
+        endTime: session.actualEndTime,
+        duration: session.actualDuration
+    });
+
+    await syncSessionJobs(session);
     return session;
 }
 
+// When a live session should be ended automatically: the earlier of autoEndAfterMinutes and scheduledEndTime
+function getAutoEndTime(session) {
+    const candidates = [];
+    const startedAt = session.actualStartTime || session.scheduledStartTime;
+
+    if (session.settings.autoEndAfterMinutes) {
+        candidates.push(startedAt.getTime() + session.settings.autoEndAfterMinutes * 60000);
+    }
+    // Sessions started after their scheduled end are not cut off immediately
+    if (session.scheduledEndTime && session.scheduledEndTime > startedAt) {
+        candidates.push(session.scheduledEndTime.getTime());
+    }
+
+    return candidates.length > 0 ? new Date(Math.min(...candidates)) : null;
+}
+
+function getReminderLeadMinutes(session) {
+    const leads = session.settings.reminderLeadMinutes;
+    return Array.isArray(leads) ? leads : DEFAULT_REMINDER_LEAD_MINUTES;
+}
+
+// Bring the persisted auto-start, auto-end and reminder jobs in line with the session's current state
+async function syncSessionJobs(session) {
+    const sessionId = session._id;
+    const byName = name => ({ name, 'payload.sessionId': sessionId });
+
+    if (session.status === 'scheduled') {
+        await schedulerService.cancelJobs(byName(SESSION_JOBS.AUTO_END));
+
+        if (session.settings.autoStart) {
+            await schedulerService.scheduleJob(SESSION_JOBS.AUTO_START, session.scheduledStartTime, { sessionId }, {
+                uniqueKey: `${SESSION_JOBS.AUTO_START}:${sessionId}`
+            });
+        } else {
+            await schedulerService.cancelJobs(byName(SESSION_JOBS.AUTO_START));
+        }
+
+        const reminderKeys = [];
+        for (const leadMinutes of getReminderLeadMinutes(session)) {
+            const runAt = new Date(session.scheduledStartTime.getTime() - leadMinutes * 60000);
+            if (runAt <= new Date()) continue;
+
+            const uniqueKey = `${SESSION_JOBS.REMINDER}:${sessionId}:${leadMinutes}`;
+            reminderKeys.push(uniqueKey);
+            await schedulerService.scheduleJob(SESSION_JOBS.REMINDER, runAt, { sessionId, leadMinutes }, { uniqueKey });
+        }
+        await schedulerService.cancelJobs({ ...byName(SESSION_JOBS.REMINDER), uniqueKey: { $nin: reminderKeys } });
+        return;
+    }
+
+    await schedulerService.cancelJobs({ name: { $in: [SESSION_JOBS.AUTO_START, SESSION_JOBS.REMINDER] }, 'payload.sessionId': sessionId });
+
+    const autoEndAt = ['live', 'paused'].includes(session.status) ? getAutoEndTime(session) : null;
+    if (autoEndAt) {
+        await schedulerService.scheduleJob(SESSION_JOBS.AUTO_END, autoEndAt, { sessionId }, {
+            uniqueKey: `${SESSION_JOBS.AUTO_END}:${sessionId}`
+        });
+    } else {
+        await schedulerService.cancelJobs(byName(SESSION_JOBS.AUTO_END));
+    }
+}
+
+// Sync jobs for a session and, if it belongs to a series, every upcoming occurrence of it
+async function syncSeriesJobs(session) {
+    const sessions = session.seriesId
+        ? await ClassSession.find({ seriesId: session.seriesId, status: 'scheduled' })
+        : [session];
+
+    for (const occurrence of sessions) {
+        await syncSessionJobs(occurrence);
+    }
+}
+
+// Drop all pending jobs for the given sessions (e.g. after cancellation)
+async function cancelSessionJobs(sessionIds) {
+    return schedulerService.cancelJobs({
+        name: { $in: Object.values(SESSION_JOBS) },
+        'payload.sessionId': { $in: sessionIds }
+    });
+}
+
+// Register the scheduler handlers for session jobs
+function registerSessionJobs() {
+    schedulerService.defineJob(SESSION_JOBS.AUTO_START, async ({ sessionId }, { io }) => {
+        const session = await ClassSession.findById(sessionId);
+        if (!session || session.status !== 'scheduled' || !session.settings.autoStart) return;
+
+        // The start time moved later since this job was queued
+        if (session.scheduledStartTime > new Date()) {
+            await syncSessionJobs(session);
+            return;
+        }
+
+        await startSession(session, { io });
+        logger.info('Session auto-started', { sessionId });
+    });
+
+    schedulerService.defineJob(SESSION_JOBS.AUTO_END, async ({ sessionId }, { io }) => {
+        const session = await ClassSession.findById(sessionId);
+        if (!session || !['live', 'paused'].includes(session.status)) return;
+
+        const autoEndAt = getAutoEndTime(session);
+        if (!autoEndAt) return;
+        if (autoEndAt > new Date()) {
+            await syncSessionJobs(session);
+            return;
+        }
+
+        await endSession(session, { io });
+        logger.info('Session auto-ended', { sessionId, duration: session.actualDuration });
+    });
+
+    schedulerService.defineJob(SESSION_JOBS.REMINDER, async ({ sessionId, leadMinutes }, context, job) => {
+        const session = await ClassSession.findById(sessionId);
+        if (!session || session.status !== 'scheduled') return;
+
+        // A retried job only reminds the recipients an earlier attempt did not reach
+        const notified = new Set(job.completedSteps || []);
+        const recipients = [session.faculty, ...session.students.map(s => s.student)]
+            .filter(recipient => !notified.has(String(recipient)));
+        const expiresAt = session.scheduledEndTime || new Date(session.scheduledStartTime.getTime() + session.duration * 60000);
+
+        for (const recipient of recipients) {
+            await notificationService.createNotification({
+                recipient,
+                type: 'session_reminder',
+                title: `Upcoming session: ${session.title}`.slice(0, 200),
+                message: `${session.title} (${session.subject}) starts in ${leadMinutes} minutes.`,
+                data: { sessionId: session._id },
+                priority: 'medium',
+                expiresAt
+            });
+            await schedulerService.completeJobStep(job, recipient);
+        }
+
+        logger.info('Session reminders sent', { sessionId, leadMinutes, recipients: recipients.length });
+    });
+}
+
 // Get analytics summary for all sessions of the current user's college
 async function getCollegeSessionAnalytics(collegeId) {
     const totalSessions = await ClassSession.countDocuments({ college: collegeId });
@@ -102,7 +414,15 @@ async function getCollegeSessionAnalytics(collegeId) {
 }
 
 module.exports = {
+    SESSION_JOBS,
     createSession,
     updateSession,
+    startSession,
+    endSession,
+    getAutoEndTime,
+    syncSessionJobs,
+    syncSeriesJobs,
+    cancelSessionJobs,
+    registerSessionJobs,
     getCollegeSessionAnalytics
 };
\ No newline at end of file
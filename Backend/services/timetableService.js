@@ -0,0 +1,458 @@
+const { ClassSession, Room, Timetable, Section } = require('../models');
+const recurrenceService = require('./recurrenceService');
+const enrollmentService = require('./enrollmentService');
+const { toDayNumber, fromDayNumber } = require('../utils/recurrence');
+const { getZonedParts, zonedTimeToUtc } = require('../utils/timezone');
+const { httpError, sameId, idOf } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sessions in these states occupy their faculty, room and section
+const BLOCKING_STATUSES = ['scheduled', 'live', 'paused'];
+
+// Longest a session can run (ClassSession.duration max), bounds the overlap query
+const MAX_SESSION_MS = 480 * 60000;
+
+// Without a timetable, alternatives are searched every half hour between these hours
+const FALLBACK_DAY = { startHour: 8, endHour: 18, stepMinutes: 30 };
+const ALTERNATIVE_SEARCH_DAYS = 7;
+
+function sessionEnd(session) {
+    if (session.scheduledEndTime) return session.scheduledEndTime;
+    return new Date(session.scheduledStartTime.getTime() + (session.duration || 60) * 60000);
+}
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+// "09:30" -> { hour: 9, minute: 30 }
+function parseTime(value) {
+    const [hour, minute] = value.split(':').map(Number);
+    return { hour, minute };
+}
+
+function clashTypes(session, { faculty, classroom, section }) {
+    const types = [];
+    if (faculty && sameId(session.faculty, faculty)) types.push('faculty');
+    if (classroom && session.classroom && session.classroom.toLowerCase() === classroom.toLowerCase()) types.push('room');
+    if (section && sameId(session.section, section)) types.push('section');
+    return types;
+}
+
+/**
+ * Existing sessions that would double-book the faculty member, room or section in any of
+ * the given { start, end } intervals. Sessions in `excludeIds` (the ones being edited) are ignored.
+ */
+async function findClashes(intervals, { college, faculty, classroom, section, excludeIds = [] }) {
+    const who = [];
+    if (faculty) who.push({ faculty: idOf(faculty) });
+    if (classroom) who.push({ classroom: new RegExp(`^${classroom.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') });
+    if (section) who.push({ section: idOf(section) });
+    if (intervals.length === 0 || who.length === 0) return [];
+
+    const from = Math.min(...intervals.map(i => i.start.getTime()));
+    const to = Math.max(...intervals.map(i => i.end.getTime()));
+
+    const sessions = await ClassSession.find({
+        college,
+        status: { $in: BLOCKING_STATUSES },
+        _id: { $nin: excludeIds },
+        scheduledStartTime: { $lt: new Date(to), $gt: new Date(from - MAX_SESSION_MS) },
+        $or: who,
+    }).select('title faculty classroom section scheduledStartTime scheduledEndTime duration');
+
+    const clashes = [];
+    intervals.forEach(interval => {
+        sessions.forEach(session => {
+            const existing = { start: session.scheduledStartTime, end: sessionEnd(session) };
+            if (!overlaps(interval, existing)) return;
+            const types = clashTypes(session, { faculty, classroom, section });
+            if (types.length === 0) return;
+            clashes.push({
+                types,
+                requested: { start: interval.start, end: interval.end },
+                session: { id: session._id, title: session.title, classroom: session.classroom, ...existing },
+            });
+        });
+    });
+    return clashes;
+}
+
+// Timetable covering a date, whose periods are preferred when suggesting other times
+async function findTimetableFor(college, date) {
+    return Timetable.findOne({ college, 'term.start': { $lte: date }, 'term.end': { $gte: date } })
+        .sort({ status: -1, 'term.start': -1 });
+}
+
+// Candidate starts near `start`: timetable period starts (or half-hour steps) on the same and following days
+function candidateStarts(start, length, timeZone, periods) {
+    const first = getZonedParts(start, timeZone);
+    const firstDay = toDayNumber(first.year, first.month, first.day);
+    const times = periods && periods.length
+        ? periods.map(period => parseTime(period.start))
+        : [];
+    if (times.length === 0) {
+        for (let minutes = FALLBACK_DAY.startHour * 60; minutes * 60000 + length <= FALLBACK_DAY.endHour * 3600000; minutes += FALLBACK_DAY.stepMinutes) {
+            times.push({ hour: Math.floor(minutes / 60), minute: minutes % 60 });
+        }
+    }
+
+    const candidates = [];
+    for (let offset = 0; offset <= ALTERNATIVE_SEARCH_DAYS; offset++) {
+        const day = fromDayNumber(firstDay + offset);
+        const sameDay = times
+            .map(time => zonedTimeToUtc({ ...day, ...time }, timeZone))
+            .filter(candidate => candidate.getTime() !== start.getTime() && candidate > new Date());
+        // Closest to the requested time first
+        sameDay.sort((a, b) => Math.abs(a - start) - Math.abs(b - start));
+        candidates.push(...sameDay);
+    }
+    return candidates;
+}
+
+/**
+ * Other times (same duration) when the faculty member, room and section are all free, and
+ * other rooms free at the requested time with space for `headcount`.
+ */
+async function suggestAlternatives({ start, end }, context, { limit = 3, headcount = 0 } = {}) {
+    const length = end - start;
+    const timeZone = await recurrenceService.getCollegeTimezone(context.college);
+    const timetable = await findTimetableFor(context.college, start);
+
+    const starts = candidateStarts(start, length, timeZone, timetable && timetable.periods);
+    const intervals = starts.map(candidate => ({ start: candidate, end: new Date(candidate.getTime() + length) }));
+    const clashes = await findClashes(intervals, context);
+    const busy = new Set(clashes.map(clash => clash.requested.start.getTime()));
+    const times = intervals.filter(interval => !busy.has(interval.start.getTime())).slice(0, limit);
+
+    let rooms = [];
+    if (context.classroom) {
+        const candidates = await Room.find({
+            college: context.college,
+            isActive: true,
+            ...(headcount ? { capacity: { $gte: headcount } } : {}),
+        }).select('name building capacity').sort({ capacity: 1 });
+        const roomClashes = await Promise.all(candidates
+            .filter(room => room.name.toLowerCase() !== context.classroom.toLowerCase())
+            .map(async room => ({
+                room,
+                busy: (await findClashes([{ start, end }], { college: context.college, classroom: room.name, excludeIds: context.excludeIds })).length > 0,
+            })));
+        rooms = roomClashes.filter(r => !r.busy).slice(0, limit).map(({ room }) => ({ name: room.name, building: room.building, capacity: room.capacity }));
+    }
+
+    return { times, rooms };
+}
+
+/**
+ * Throw a 409 listing the clashes, with alternatives for the first clashing interval, when any
+ * interval double-books the faculty member, room or section.
+ */
+async function assertNoClashes(intervals, context, { headcount = 0 } = {}) {
+    const clashes = await findClashes(intervals, context);
+    if (clashes.length === 0) return;
+
+    const alternatives = await suggestAlternatives(clashes[0].requested, context, { headcount });
+    throw httpError('Schedule clash', 409, { conflicts: clashes, alternatives });
+}
+
+// ---- Rooms ---------------------------------------------------------------
+
+async function getRoom(roomId, user) {
+    const room = await Room.findById(roomId);
+    if (!room || !sameId(room.college, user.college)) {
+        throw httpError('Room not found', 404);
+    }
+    return room;
+}
+
+async function createRoom(data, user) {
+    if (await Room.exists({ college: user.college, name: data.name.trim() })) {
+        throw httpError('A room with this name already exists', 409);
+    }
+    const room = new Room({
+        college: user.college,
+        name: data.name,
+        building: data.building,
+        capacity: data.capacity,
+        features: data.features,
+    });
+    await room.save();
+    return room;
+}
+
+/**
+ * Update a room. Sessions and timetable slots refer to rooms by name, so a rename is carried
+ * over to the sessions that have not started and to the college's timetables.
+ */
+async function updateRoom(room, data) {
+    const previousName = room.name;
+    const name = data.name !== undefined ? data.name.trim() : previousName;
+    if (name !== previousName && await Room.exists({ college: room.college, name, _id: { $ne: room._id } })) {
+        throw httpError('A room with this name already exists', 409);
+    }
+
+    room.name = name;
+    ['building', 'capacity', 'features', 'isActive'].forEach(field => {
+        if (data[field] !== undefined) room[field] = data[field];
+    });
+    await room.save();
+
+    if (name !== previousName) {
+        await ClassSession.updateMany({ college: room.college, classroom: previousName, status: 'scheduled' }, { $set: { classroom: name } });
+        await Timetable.updateMany(
+            { college: room.college, 'slots.room': previousName },
+            { $set: { 'slots.$[slot].room': name } },
+            { arrayFilters: [{ 'slot.room': previousName }] }
+        );
+    }
+    return room;
+}
+
+// Rooms free for the whole of [start, end), smallest first
+async function findFreeRooms(college, { start, end, minCapacity }) {
+    const rooms = await Room.find({
+        college,
+        isActive: true,
+        ...(minCapacity ? { capacity: { $gte: minCapacity } } : {}),
+    }).sort({ capacity: 1, name: 1 });
+    const busy = await ClassSession.find({
+        college,
+        status: { $in: BLOCKING_STATUSES },
+        classroom: { $in: rooms.map(room => room.name) },
+        scheduledStartTime: { $lt: end, $gt: new Date(start.getTime() - MAX_SESSION_MS) },
+    }).select('classroom scheduledStartTime scheduledEndTime duration');
+
+    const taken = new Set(busy
+        .filter(session => overlaps({ start, end }, { start: session.scheduledStartTime, end: sessionEnd(session) }))
+        .map(session => session.classroom.toLowerCase()));
+    return rooms.filter(room => !taken.has(room.name.toLowerCase()));
+}
+
+// ---- Timetables ----------------------------------------------------------
+
+async function getTimetable(timetableId, user) {
+    const timetable = await Timetable.findById(timetableId);
+    if (!timetable || !sameId(timetable.college, user.college)) {
+        throw httpError('Timetable not found', 404);
+    }
+    return timetable;
+}
+
+async function createTimetable({ name, term, periods = [] }, user) {
+    const timetable = new Timetable({
+        college: user.college,
+        name,
+        term,
+        periods,
+        createdBy: user.userId,
+    });
+    await timetable.save();
+
+    logger.info('Timetable created', { timetableId: timetable._id, createdBy: user.userId });
+    return timetable;
+}
+
+// Rename a timetable or change its term or periods; slots must keep pointing at existing periods
+async function updateTimetable(timetable, { name, term, periods }) {
+    if (periods) {
+        const names = new Set(periods.map(period => period.name));
+        const orphaned = timetable.slots.filter(slot => !names.has(slot.period));
+        if (orphaned.length) {
+            throw httpError(`Periods still used by ${orphaned.length} slots cannot be removed`);
+        }
+        timetable.periods = periods;
+    }
+    if (name !== undefined) timetable.name = name;
+    if (term && term.start) timetable.term.start = term.start;
+    if (term && term.end) timetable.term.end = term.end;
+
+    await timetable.save();
+    return timetable;
+}
+
+async function removeSlot(timetable, slotId) {
+    const slot = timetable.slots.id(slotId);
+    if (!slot) {
+        throw httpError('Slot not found', 404);
+    }
+    timetable.slots.pull(slotId);
+    await timetable.save();
+    return slot;
+}
+
+function periodOf(timetable, name) {
+    return timetable.periods.find(period => period.name === name);
+}
+
+// Two slots collide when they share a weekday, overlapping periods and a faculty member, room or section
+function slotsCollide(timetable, a, b) {
+    if (a.dayOfWeek !== b.dayOfWeek) return [];
+    const pa = periodOf(timetable, a.period);
+    const pb = periodOf(timetable, b.period);
+    if (!pa || !pb || !(pa.start < pb.end && pb.start < pa.end)) return [];
+
+    const types = [];
+    if (sameId(a.faculty, b.faculty)) types.push('faculty');
+    if (a.room && b.room && a.room.toLowerCase() === b.room.toLowerCase()) types.push('room');
+    if (sameId(a.section, b.section)) types.push('section');
+    return types;
+}
+
+function internalClashes(timetable) {
+    const clashes = [];
+    timetable.slots.forEach((a, i) => {
+        timetable.slots.slice(i + 1).forEach(b => {
+            const types = slotsCollide(timetable, a, b);
+            if (types.length) clashes.push({ types, slots: [a._id, b._id] });
+        });
+    });
+    return clashes;
+}
+
+/**
+ * Add a weekly slot after checking the period, the section and its instructor, the room,
+ * and the timetable's other slots.
+ */
+async function addSlot(timetable, { dayOfWeek, period, sectionId, facultyId, room, title }) {
+    if (!periodOf(timetable, period)) {
+        throw httpError(`Unknown period ${period}`);
+    }
+
+    const section = await Section.findById(sectionId).select('college instructors isActive');
+    if (!section || !sameId(section.college, timetable.college) || !section.isActive) {
+        throw httpError('Section not found', 404);
+    }
+    if (!section.isInstructor(facultyId)) {
+        throw httpError('The faculty member does not teach this section');
+    }
+    if (room && !(await Room.exists({ college: timetable.college, name: room, isActive: true }))) {
+        throw httpError(`Unknown room ${room}`);
+    }
+
+    const slot = { dayOfWeek, period, section: section._id, faculty: facultyId, room, title };
+    const clashes = timetable.slots
+        .map(other => ({ types: slotsCollide(timetable, slot, other), slot: other._id }))
+        .filter(clash => clash.types.length);
+    if (clashes.length) {
+        throw httpError('Slot clashes with the timetable', 409, { conflicts: clashes });
+    }
+
+    timetable.slots.push(slot);
+    await timetable.save();
+    return timetable.slots[timetable.slots.length - 1];
+}
+
+// Every class of a slot within the term (calendar days stored at UTC midnight), as UTC intervals
+function slotIntervals(timetable, slot, timeZone) {
+    const period = periodOf(timetable, slot.period);
+    const lastDay = Math.floor(timetable.term.end.getTime() / DAY_MS);
+
+    const intervals = [];
+    for (let dayNumber = Math.floor(timetable.term.start.getTime() / DAY_MS); dayNumber <= lastDay; dayNumber++) {
+        if (new Date(dayNumber * DAY_MS).getUTCDay() !== slot.dayOfWeek) continue;
+        const day = fromDayNumber(dayNumber);
+        intervals.push({
+            start: zonedTimeToUtc({ ...day, ...parseTime(period.start) }, timeZone),
+            end: zonedTimeToUtc({ ...day, ...parseTime(period.end) }, timeZone),
+        });
+    }
+    return intervals;
+}
+
+/**
+ * Clashes that generating the timetable would cause: between its own slots, and between its
+ * classes still to come and sessions already scheduled (other than those it generated).
+ */
+async function checkTimetable(timetable, { from = new Date() } = {}) {
+    const timeZone = await recurrenceService.getCollegeTimezone(timetable.college);
+    const generated = await ClassSession.find({ timetable: timetable._id }).distinct('_id');
+
+    const external = [];
+    for (const slot of timetable.slots) {
+        const intervals = slotIntervals(timetable, slot, timeZone).filter(interval => interval.start >= from);
+        const clashes = await findClashes(intervals, {
+            college: timetable.college,
+            faculty: slot.faculty,
+            classroom: slot.room,
+            section: slot.section,
+            excludeIds: generated,
+        });
+        clashes.forEach(clash => external.push({ slot: slot._id, ...clash }));
+    }
+
+    return { internal: internalClashes(timetable), external };
+}
+
+/**
+ * Create the term's sessions for every slot from `from` on, skipping classes generated before.
+ * Refuses with a 409 while the timetable has clashes. Returns the created sessions.
+ */
+async function generateSessions(timetable, { from = new Date() } = {}) {
+    const clashes = await checkTimetable(timetable, { from });
+    if (clashes.internal.length || clashes.external.length) {
+        throw httpError('Timetable has clashes', 409, { conflicts: clashes });
+    }
+
+    const timeZone = await recurrenceService.getCollegeTimezone(timetable.college);
+    const sections = await Section.find({ _id: { $in: timetable.slots.map(slot => slot.section) } })
+        .populate('course', 'code title');
+    const sectionById = new Map(sections.map(section => [section._id.toString(), section]));
+
+    const created = [];
+    for (const slot of timetable.slots) {
+        const section = sectionById.get(slot.section.toString());
+        const intervals = slotIntervals(timetable, slot, timeZone).filter(interval => interval.start >= from);
+        const existing = new Set((await ClassSession.find({ timetable: timetable._id, timetableSlot: slot._id })
+            .select('scheduledStartTime')).map(session => session.scheduledStartTime.getTime()));
+
+        const sessions = intervals
+            .filter(interval => !existing.has(interval.start.getTime()))
+            .map(interval => new ClassSession({
+                title: slot.title || `${section.course.code} ${section.course.title} (${section.name})`,
+                subject: section.course.title,
+                faculty: slot.faculty,
+                college: timetable.college,
+                section: section._id,
+                classroom: slot.room,
+                scheduledStartTime: interval.start,
+                scheduledEndTime: interval.end,
+                duration: Math.round((interval.end - interval.start) / 60000),
+                timetable: timetable._id,
+                timetableSlot: slot._id,
+            }));
+        // Built as documents so the seat count sees the default settings
+        for (const session of sessions) {
+            await enrollmentService.seatRoster(session, section.activeStudentIds());
+        }
+
+        if (sessions.length) {
+            created.push(...await ClassSession.create(sessions));
+        }
+    }
+
+    timetable.status = 'published';
+    timetable.generatedAt = new Date();
+    await timetable.save();
+
+    return created;
+}
+
+module.exports = {
+    BLOCKING_STATUSES,
+    findClashes,
+    suggestAlternatives,
+    assertNoClashes,
+    getRoom,
+    createRoom,
+    updateRoom,
+    findFreeRooms,
+    getTimetable,
+    createTimetable,
+    updateTimetable,
+    addSlot,
+    removeSlot,
+    slotIntervals,
+    checkTimetable,
+    generateSessions,
+};
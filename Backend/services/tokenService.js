@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { RefreshToken, User } = require('../models');
+const { sha256Hash } = require('../utils/encryption');
+const { httpError } = require('../utils/helpers');
+const { JWT_SECRET } = require('../config/jwt');
+const logger = require('../utils/logger');
+
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
+const JWT_REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+
+function generateAccessToken(user, family) {
+    return jwt.sign(
+        { userId: user._id, role: user.role, email: user.email, type: 'access', fid: family },
+        JWT_SECRET,
+        { expiresIn: JWT_EXPIRES_IN }
+    );
+}
+
+// Sign a refresh token and persist its hash
+async function createRefreshToken(user, family, { parentToken, ipAddress, userAgent, _id } = {}) {
+    const token = jwt.sign(
+        { userId: user._id, type: 'refresh', fid: family, jti: crypto.randomUUID() },
+        JWT_SECRET,
+        { expiresIn: JWT_REFRESH_EXPIRES_IN }
+    );
+    const { exp } = jwt.decode(token);
+
+    await RefreshToken.create({
+        _id,
+        user: user._id,
+        family,
+        tokenHash: sha256Hash(token),
+        parentToken,
+        expiresAt: new Date(exp * 1000),
+        createdByIp: ipAddress,
+        userAgent,
+    });
+
+    return token;
+}
+
+// Issue an access/refresh pair for a new login, starting a new token family
+async function issueTokens(user, meta = {}) {
+    const family = crypto.randomUUID();
+    const refresh = await createRefreshToken(user, family, meta);
+
+    return { access: generateAccessToken(user, family), refresh, family };
+}
+
+// Disconnect the user's sockets that belong to a revoked family (or all of them)
+async function disconnectRevokedSockets(io, userId, family = null, reason = 'logout') {
+    if (!io) return 0;
+
+    const sockets = await io.in(`user-${userId}`).fetchSockets();
+    const revoked = sockets.filter(socket => !family || socket.data.tokenFamily === family);
+
+    revoked.forEach(socket => {
+        socket.emit('session_revoked', { reason });
+        socket.disconnect(true);
+    });
+
+    return revoked.length;
+}
+
+// Revoke every token in a family
+async function revokeFamily(family, reason, { io, userId } = {}) {
+    const result = await RefreshToken.updateMany(
+        { family, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    if (userId) {
+        await disconnectRevokedSockets(io, userId, family, reason);
+    }
+
+    logger.info('Refresh token family revoked', { family, reason, tokens: result.modifiedCount });
+    return result.modifiedCount;
+}
+
+// Revoke every token family of a user (logout everywhere, password reset)
+async function revokeAllForUser(userId, reason, { io } = {}) {
+    const result = await RefreshToken.updateMany(
+        { user: userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    await disconnectRevokedSockets(io, userId, null, reason);
+
+    logger.info('All refresh tokens revoked for user', { userId, reason, tokens: result.modifiedCount });
+    return result.modifiedCount;
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh pair.
+ * Each refresh token can be used once; presenting an already-rotated token is treated as theft
+ * and revokes its whole family.
+ */
+async function rotateRefreshToken(refreshToken, { ipAddress, userAgent, io } = {}) {
+    const decoded = jwt.verify(refreshToken, JWT_SECRET);
+    if (decoded.type !== 'refresh') {
+        throw httpError('Token is not a refresh token', 401);
+    }
+
+    const record = await RefreshToken.findOne({ tokenHash: sha256Hash(refreshToken) });
+    if (!record) {
+        throw httpError('Refresh token not recognized', 401);
+    }
+    if (record.revokedAt) {
+        throw httpError('Refresh token has been revoked', 401);
+    }
+
+    // Claim the token atomically so concurrent requests cannot both rotate it
+    const nextId = new mongoose.Types.ObjectId();
+    const claimed = await RefreshToken.findOneAndUpdate(
+        { _id: record._id, replacedBy: null, revokedAt: null },
+        { $set: { replacedBy: nextId, usedAt: new Date() } }
+    );
+
+    if (!claimed) {
+        logger.warn('Refresh token reuse detected', { userId: record.user, family: record.family, ipAddress });
+        await revokeFamily(record.family, 'reuse_detected', { io, userId: record.user });
+        throw httpError('Refresh token reuse detected. Please login again.', 401);
+    }
+
+    const user = await User.findById(record.user).select('-password');
+    if (!user || !user.isActive) {
+        await revokeFamily(record.family, 'admin', { io, userId: record.user });
+        throw httpError('User not found or inactive', 401);
+    }
+
+    const refresh = await createRefreshToken(user, record.family, {
+        _id: nextId,
+        parentToken: record._id,
+        ipAddress,
+        userAgent,
+    });
+
+    return { access: generateAccessToken(user, record.family), refresh, family: record.family, user };
+}
+
+// Verify an access token; refresh, MFA challenge and other tokens signed with the same secret are refused
+function verifyAccessToken(token) {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    if (decoded.type !== 'access') {
+        throw httpError('Token is not an access token', 401);
+    }
+    return decoded;
+}
+
+// Whether the family an access token belongs to has been revoked
+async function isFamilyRevoked(family) {
+    if (!family) return false;
+    return !!(await RefreshToken.exists({ family, revokedAt: { $ne: null } }));
+}
+
+module.exports = {
+    issueTokens,
+    rotateRefreshToken,
+    verifyAccessToken,
+    revokeFamily,
+    revokeAllForUser,
+    isFamilyRevoked,
+    disconnectRevokedSockets,
+};
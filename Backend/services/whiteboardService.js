@@ -0,0 +1,458 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { Whiteboard, WhiteboardOperation, ClassSession } = require('../models');
+const schedulerService = require('./schedulerService');
+const { toSvg, toPdf } = require('../utils/whiteboardRender');
+const { httpError, sameId } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const WHITEBOARD_JOBS = {
+    EXPORT: 'whiteboard_export',
+};
+
+const OPERATION_TYPES = ['stroke', 'shape', 'text', 'erase'];
+const SHAPES = ['line', 'arrow', 'rect', 'ellipse'];
+const EXPORT_FORMATS = ['svg', 'pdf'];
+
+const MAX_PAGES = 50;
+const MAX_STROKE_POINTS = 5000;
+const MAX_TEXT_LENGTH = 500;
+const MAX_ERASE_TARGETS = 500;
+const REPLAY_LIMIT = 1000;
+
+// Served under /uploads like other session materials
+const EXPORT_DIR = 'uploads/documents';
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// The session's faculty, or a college admin, runs the whiteboard
+function isModerator(session, user) {
+    return user.role === 'admin' || sameId(session.faculty, user.userId);
+}
+
+function assertModerator(session, user) {
+    if (!isModerator(session, user)) {
+        throw httpError('Only the session faculty can do this', 403);
+    }
+}
+
+function findPage(board, pageId) {
+    const page = board.pages.find(p => sameId(p._id, pageId || board.currentPage));
+    if (!page) {
+        throw httpError('Whiteboard page not found', 404);
+    }
+    return page;
+}
+
+function toPayload(operation) {
+    return {
+        sessionId: operation.session,
+        pageId: operation.page,
+        seq: operation.seq,
+        type: operation.type,
+        author: operation.author,
+        clientId: operation.clientId,
+        data: operation.data,
+        createdAt: operation.createdAt,
+    };
+}
+
+function pagePayload(page) {
+    return { pageId: page._id, title: page.title, createdAt: page.createdAt };
+}
+
+// ---- Operation data ------------------------------------------------------
+
+function point(value, board) {
+    if (!Array.isArray(value) || value.length !== 2 || !value.every(Number.isFinite)) {
+        throw httpError('Points must be [x, y] pairs');
+    }
+    const [x, y] = value;
+    if (x < 0 || y < 0 || x > board.width || y > board.height) {
+        throw httpError(`Points must lie within the ${board.width}x${board.height} canvas`);
+    }
+    return [Math.round(x * 100) / 100, Math.round(y * 100) / 100];
+}
+
+function color(value, fallback = '#000000') {
+    if (value == null) return fallback;
+    if (typeof value !== 'string' || !COLOR_PATTERN.test(value)) {
+        throw httpError('Colours must be #rrggbb');
+    }
+    return value.toLowerCase();
+}
+
+function numberIn(value, { name, min, max, fallback }) {
+    if (value == null) return fallback;
+    if (!Number.isFinite(value) || value < min || value > max) {
+        throw httpError(`${name} must be between ${min} and ${max}`);
+    }
+    return value;
+}
+
+/**
+ * Validate an operation's data and keep only the fields its type uses:
+ *   stroke  { points: [[x, y], ...], color, width }
+ *   shape   { shape: line|arrow|rect|ellipse, from: [x, y], to: [x, y], color, width, fill }
+ *   text    { at: [x, y], text, color, fontSize }
+ *   erase   { targets: [seq, ...] } or { all: true } to clear the page
+ */
+function normalizeOperation(type, data, board) {
+    if (!data || typeof data !== 'object') {
+        throw httpError('Operation data is required');
+    }
+    const width = () => numberIn(data.width, { name: 'Width', min: 1, max: 50, fallback: 3 });
+
+    switch (type) {
+        case 'stroke':
+            if (!Array.isArray(data.points) || data.points.length === 0 || data.points.length > MAX_STROKE_POINTS) {
+                throw httpError(`Strokes need between 1 and ${MAX_STROKE_POINTS} points`);
+            }
+            return { points: data.points.map(p => point(p, board)), color: color(data.color), width: width() };
+        case 'shape':
+            if (!SHAPES.includes(data.shape)) {
+                throw httpError(`Shape must be one of: ${SHAPES.join(', ')}`);
+            }
+            return {
+                shape: data.shape,
+                from: point(data.from, board),
+                to: point(data.to, board),
+                color: color(data.color),
+                width: width(),
+                fill: ['rect', 'ellipse'].includes(data.shape) ? color(data.fill, null) : null,
+            };
+        case 'text':
+            if (typeof data.text !== 'string' || !data.text.trim() || data.text.length > MAX_TEXT_LENGTH) {
+                throw httpError(`Text must be 1-${MAX_TEXT_LENGTH} characters`);
+            }
+            return {
+                at: point(data.at, board),
+                text: data.text,
+                color: color(data.color),
+                fontSize: numberIn(data.fontSize, { name: 'Font size', min: 8, max: 144, fallback: 24 }),
+            };
+        case 'erase':
+            if (data.all === true) return { all: true };
+            if (!Array.isArray(data.targets) || data.targets.length === 0 || data.targets.length > MAX_ERASE_TARGETS
+                || !data.targets.every(Number.isInteger)) {
+                throw httpError(`Erase needs between 1 and ${MAX_ERASE_TARGETS} target sequence numbers`);
+            }
+            return { targets: [...new Set(data.targets)] };
+        default:
+            throw httpError(`Operation type must be one of: ${OPERATION_TYPES.join(', ')}`);
+    }
+}
+
+// Students may only erase what they drew, and never clear a page
+async function checkErase(session, page, data, user) {
+    if (data.all) {
+        if (!isModerator(session, user)) throw httpError('Only the session faculty can clear a page', 403);
+        return data;
+    }
+
+    const targets = await WhiteboardOperation.find({
+        session: session._id,
+        page: page._id,
+        seq: { $in: data.targets },
+        type: { $ne: 'erase' },
+    }).select('seq author');
+    if (!isModerator(session, user) && targets.some(target => !sameId(target.author, user.userId))) {
+        throw httpError('You can only erase your own drawing', 403);
+    }
+    if (targets.length === 0) {
+        throw httpError('Nothing to erase on this page', 404);
+    }
+    return { targets: targets.map(target => target.seq) };
+}
+
+// ---- Boards and operations -----------------------------------------------
+
+// A session's whiteboard, created with a first page on first use
+async function getOrCreateWhiteboard(session, userId) {
+    const existing = await Whiteboard.findOne({ session: session._id });
+    if (existing) return existing;
+
+    const board = new Whiteboard({ session: session._id, pages: [{ title: 'Page 1', createdBy: userId }] });
+    board.currentPage = board.pages[0]._id;
+    try {
+        return await board.save();
+    } catch (error) {
+        // Another participant created it first
+        if (error.code === 11000) return Whiteboard.findOne({ session: session._id });
+        throw error;
+    }
+}
+
+function assertCanDraw(session, board, user) {
+    if (session.settings && session.settings.enableWhiteboard === false) {
+        throw httpError('The whiteboard is turned off for this session', 403);
+    }
+    if (session.status !== 'live') {
+        throw httpError('The whiteboard can only be used while the session is live', 409);
+    }
+    if (!isModerator(session, user) && !(user.role === 'student' && board.studentsCanDraw)) {
+        throw httpError('Only the session faculty can draw on this whiteboard', 403);
+    }
+}
+
+/**
+ * Record a drawing operation under the next server sequence number and send it to the session.
+ * Clients order operations by `seq`, whatever order they arrive in.
+ */
+async function applyOperation(session, user, { pageId, type, data, clientId }, { io } = {}) {
+    const board = await getOrCreateWhiteboard(session, user.userId);
+    assertCanDraw(session, board, user);
+    const page = findPage(board, pageId);
+
+    let normalized = normalizeOperation(type, data, board);
+    if (type === 'erase') {
+        normalized = await checkErase(session, page, normalized, user);
+    }
+
+    const { sequence } = await Whiteboard.findOneAndUpdate(
+        { _id: board._id },
+        { $inc: { sequence: 1 } },
+        { new: true, projection: { sequence: 1 } }
+    );
+    const operation = await WhiteboardOperation.create({
+        session: session._id,
+        page: page._id,
+        seq: sequence,
+        type,
+        author: user.userId,
+        clientId: typeof clientId === 'string' ? clientId.slice(0, 64) : undefined,
+        data: normalized,
+    });
+
+    const payload = toPayload(operation);
+    io?.to(`session-${session._id}`).emit('whiteboard_operation', payload);
+    return payload;
+}
+
+// Operations after `afterSeq`, oldest first, for clients catching up after a reconnect
+async function getOperations(sessionId, { afterSeq = 0, pageId, limit = REPLAY_LIMIT } = {}) {
+    const query = { session: sessionId, seq: { $gt: afterSeq } };
+    if (pageId) query.page = pageId;
+
+    const operations = await WhiteboardOperation.find(query).sort({ seq: 1 }).limit(limit + 1);
+    return {
+        operations: operations.slice(0, limit).map(toPayload),
+        hasMore: operations.length > limit,
+    };
+}
+
+// The operations still visible on a page once erases are applied, in drawing order
+function replay(operations) {
+    const elements = new Map();
+    operations.forEach(operation => {
+        if (operation.type !== 'erase') {
+            elements.set(operation.seq, operation);
+        } else if (operation.data.all) {
+            elements.clear();
+        } else {
+            operation.data.targets.forEach(seq => elements.delete(seq));
+        }
+    });
+    return [...elements.values()];
+}
+
+async function loadPages(board) {
+    const operations = await WhiteboardOperation.find({ session: board.session }).sort({ seq: 1 });
+    return {
+        pages: board.pages.map(page => ({
+            page,
+            elements: replay(operations.filter(operation => sameId(operation.page, page._id))),
+        })),
+        lastSeq: operations.length > 0 ? operations[operations.length - 1].seq : 0,
+    };
+}
+
+/**
+ * Everything a late joiner needs to draw the whiteboard: each page's visible elements and the
+ * sequence number they are current to. Live operations with a higher `seq` apply on top.
+ */
+async function getSnapshot(session) {
+    const board = await Whiteboard.findOne({ session: session._id });
+    if (!board) {
+        return { sessionId: session._id, sequence: 0, pages: [], currentPage: null, studentsCanDraw: false };
+    }
+
+    const { pages, lastSeq } = await loadPages(board);
+    return {
+        sessionId: session._id,
+        width: board.width,
+        height: board.height,
+        sequence: lastSeq,
+        currentPage: board.currentPage,
+        studentsCanDraw: board.studentsCanDraw,
+        pages: pages.map(({ page, elements }) => ({ ...pagePayload(page), elements: elements.map(toPayload) })),
+    };
+}
+
+// ---- Pages and permissions -----------------------------------------------
+
+async function addPage(session, user, title, { io } = {}) {
+    assertModerator(session, user);
+    const board = await getOrCreateWhiteboard(session, user.userId);
+    if (board.pages.length >= MAX_PAGES) {
+        throw httpError(`A whiteboard can have at most ${MAX_PAGES} pages`, 409);
+    }
+
+    board.pages.push({ title: title || `Page ${board.pages.length + 1}`, createdBy: user.userId });
+    const page = board.pages[board.pages.length - 1];
+    board.currentPage = page._id;
+    await board.save();
+
+    io?.to(`session-${session._id}`).emit('whiteboard_page_added', { sessionId: session._id, page: pagePayload(page) });
+    return page;
+}
+
+// Move everyone to a page
+async function setCurrentPage(session, user, pageId, { io } = {}) {
+    assertModerator(session, user);
+    const board = await getOrCreateWhiteboard(session, user.userId);
+    const page = findPage(board, pageId);
+
+    board.currentPage = page._id;
+    await board.save();
+
+    io?.to(`session-${session._id}`).emit('whiteboard_page_changed', { sessionId: session._id, pageId: page._id });
+    return page;
+}
+
+async function setStudentsCanDraw(session, user, allowed, { io } = {}) {
+    assertModerator(session, user);
+    const board = await getOrCreateWhiteboard(session, user.userId);
+
+    board.studentsCanDraw = !!allowed;
+    await board.save();
+
+    io?.to(`session-${session._id}`).emit('whiteboard_permissions', { sessionId: session._id, studentsCanDraw: board.studentsCanDraw });
+    return board;
+}
+
+// ---- Export --------------------------------------------------------------
+
+function renderable(board, { page, elements }, index) {
+    return {
+        title: page.title || `Page ${index + 1}`,
+        width: board.width,
+        height: board.height,
+        elements: elements.map(element => ({ type: element.type, data: element.data })),
+    };
+}
+
+/**
+ * The whiteboard as a download: one page (the current one by default) as SVG, or every page as PDF.
+ * @returns {Promise<{ fileName: string, contentType: string, body: Buffer|string }>}
+ */
+async function renderExport(session, { format, pageId }) {
+    if (!EXPORT_FORMATS.includes(format)) {
+        throw httpError(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+    }
+    const board = await Whiteboard.findOne({ session: session._id });
+    if (!board) {
+        throw httpError('This session has no whiteboard', 404);
+    }
+
+    const { pages } = await loadPages(board);
+    if (format === 'pdf') {
+        return {
+            fileName: `whiteboard-${session._id}.pdf`,
+            contentType: 'application/pdf',
+            body: toPdf(pages.map((page, i) => renderable(board, page, i))),
+        };
+    }
+
+    const page = findPage(board, pageId);
+    const index = pages.findIndex(p => sameId(p.page._id, page._id));
+    return {
+        fileName: `whiteboard-${session._id}-${index + 1}.svg`,
+        contentType: 'image/svg+xml',
+        body: toSvg(renderable(board, pages[index], index)),
+    };
+}
+
+/**
+ * Save the whiteboard into the session's materials: every page in one PDF, plus an SVG per page
+ * with drawing on it. Does nothing when the board is empty or unchanged since the last export.
+ * @returns {Promise<Object[]>} The materials added
+ */
+async function exportToMaterials(session) {
+    const board = await Whiteboard.findOne({ session: session._id });
+    if (!board) return [];
+
+    const latest = await WhiteboardOperation.findOne({ session: session._id }).sort({ seq: -1 });
+    if (!latest || (board.exportedAt && latest.createdAt <= board.exportedAt)) return [];
+
+    const { pages } = await loadPages(board);
+    const drawn = pages.map((page, i) => renderable(board, page, i)).filter(page => page.elements.length > 0);
+    if (drawn.length === 0) return [];
+
+    const stamp = Date.now();
+    const files = [
+        { name: `whiteboard-${session._id}-${stamp}.pdf`, originalName: `${session.title} - whiteboard.pdf`, type: 'pdf', body: toPdf(drawn) },
+        ...drawn.map((page, i) => ({
+            name: `whiteboard-${session._id}-${stamp}-${i + 1}.svg`,
+            originalName: `${session.title} - ${page.title}.svg`,
+            type: 'image',
+            body: toSvg(page),
+        })),
+    ];
+
+    await fs.mkdir(EXPORT_DIR, { recursive: true });
+    for (const file of files) {
+        await fs.writeFile(path.join(EXPORT_DIR, file.name), file.body);
+    }
+
+    const materials = files.map(file => ({
+        name: file.name,
+        originalName: file.originalName,
+        url: `/uploads/documents/${file.name}`,
+        type: file.type,
+        size: Buffer.byteLength(file.body),
+        uploadedBy: session.faculty,
+    }));
+    await ClassSession.updateOne({ _id: session._id }, { $push: { materials: { $each: materials } } });
+
+    board.exportedAt = new Date();
+    await board.save();
+
+    logger.info('Whiteboard exported to materials', { sessionId: session._id, pages: drawn.length });
+    return materials;
+}
+
+// Export in the background once the session ends
+function scheduleExport(session) {
+    return schedulerService.scheduleJob(WHITEBOARD_JOBS.EXPORT, new Date(), { sessionId: session._id }, {
+        uniqueKey: `${WHITEBOARD_JOBS.EXPORT}:${session._id}`,
+    });
+}
+
+// Register the scheduler handler that exports ended sessions' whiteboards
+function registerWhiteboardJobs() {
+    schedulerService.defineJob(WHITEBOARD_JOBS.EXPORT, async ({ sessionId }) => {
+        const session = await ClassSession.findById(sessionId);
+        if (!session) return;
+
+        await exportToMaterials(session);
+    });
+}
+
+module.exports = {
+    WHITEBOARD_JOBS,
+    OPERATION_TYPES,
+    EXPORT_FORMATS,
+    REPLAY_LIMIT,
+    normalizeOperation,
+    applyOperation,
+    getOperations,
+    getSnapshot,
+    addPage,
+    setCurrentPage,
+    setStudentsCanDraw,
+    renderExport,
+    exportToMaterials,
+    scheduleExport,
+    registerWhiteboardJobs,
+};
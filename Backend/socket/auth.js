@@ -1,9 +1,7 @@
-const jwt = require('jsonwebtoken');
 const { User } = require('../models');
+const tokenService = require('../services/tokenService');
 const logger = require('../utils/logger');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'fallback-secret';
-
 const socketAuth = async (socket, next) => {
   try {
     const token = socket.handshake.auth.token;
@@ -12,7 +10,11 @@ const socketAuth = async (socket, next) => {
       return next(new Error('Authentication error: Token required'));
     }
 
-    const decoded = jwt.verify(token, JWT_SECRET);
+    const decoded = tokenService.verifyAccessToken(token);
+
+    if (await tokenService.isFamilyRevoked(decoded.fid)) {
+      return next(new Error('Authentication error: Session revoked'));
+    }
 
     const user = await User.findById(decoded.userId).select('-password');
 
@@ -23,6 +25,7 @@ const socketAuth = async (socket, next) => {
     socket.userId = user._id;
     socket.userRole = user.role;
     socket.userCollege = user.college;
+    socket.data.tokenFamily = decoded.fid; // read by fetchSockets() when a login is revoked
 
     next();
   } catch (error) {
@@ -0,0 +1,64 @@
+const { ClassSession } = require('../models');
+const breakoutService = require('../services/breakoutService');
+const logger = require('../utils/logger');
+
+// Rejections the client sees as-is
+function rejected(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+module.exports = (io, socket) => {
+  // Run a breakout action for a session the socket has joined; only its faculty manage rooms
+  const handle = (event, action, { facultyOnly = true } = {}) => {
+    socket.on(event, async (data = {}, callback = () => {}) => {
+      try {
+        if (!socket.rooms.has(`session-${data.sessionId}`)) return callback({ error: 'Join the session first' });
+
+        const session = await ClassSession.findById(data.sessionId);
+        if (!session) return callback({ error: 'Session not found' });
+        if (facultyOnly && !session.faculty.equals(socket.userId)) {
+          return callback({ error: 'Only the session faculty can manage breakout rooms' });
+        }
+
+        callback({ success: true, ...(await action(session, data)) });
+      } catch (error) {
+        if (error.statusCode) return callback({ error: error.message });
+        logger.error(`Breakout ${event} error:`, error);
+        callback({ error: 'Request failed' });
+      }
+    });
+  };
+
+  handle('breakout_open', async (session, { mode, roomCount, rooms, durationMinutes }) => {
+    const opened = await breakoutService.openBreakouts(session, { mode, roomCount, rooms, durationMinutes }, socket.userId, { io });
+    return { rooms: opened.map(breakoutService.roomSummary) };
+  });
+
+  handle('breakout_timer', async (session, { roomId, minutes = null }) => {
+    const rooms = await breakoutService.setRoomTimer(session, { roomId, minutes }, { io });
+    return { rooms: rooms.map(breakoutService.roomSummary) };
+  });
+
+  handle('breakout_broadcast', async (session, { message }) => {
+    if (typeof message !== 'string' || !message.trim() || message.length > 2000) {
+      throw rejected('Message must be 1-2000 characters');
+    }
+
+    const messages = await breakoutService.broadcastToRooms(session, message.trim(), socket.userId, { io });
+    return { rooms: messages.length };
+  });
+
+  handle('breakout_recall', async (session, { roomIds }) => {
+    const rooms = await breakoutService.recallBreakouts(session, { roomIds, reason: 'faculty' }, { io });
+    if (rooms.length === 0) throw rejected('No breakout rooms are open');
+
+    return { recalled: rooms.map(room => room._id) };
+  });
+
+  // The open rooms this user can see, e.g. after reconnecting
+  handle('breakout_state', async (session) => ({
+    rooms: breakoutService.visibleRooms(session, socket.userId),
+  }), { facultyOnly: false });
+};
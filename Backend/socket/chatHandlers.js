@@ -1,40 +1,113 @@
 const { ChatMessage } = require('../models');
+const moderationService = require('../services/moderationService');
+const chatService = require('../services/chatService');
+const breakoutService = require('../services/breakoutService');
 const logger = require('../utils/logger');
 
 module.exports = (io, socket) => {
   // Handle sending a chat message
   socket.on('send_message', async (data, callback) => {
     try {
-      const { sessionId, message, type = 'text', isPrivate = false, targetUser } = data;
+      const { sessionId, message, type = 'text', isPrivate = false, targetUser, breakoutRoom } = data;
+
+      // Mutes, bans, slow mode and the college word filter
+      const { text, filtered, session } = await moderationService.prepareOutgoingMessage({
+        sessionId,
+        userId: socket.userId,
+        role: socket.userRole,
+        text: message.trim(),
+      });
+
+      if (isPrivate) {
+        chatService.assertCanMessagePrivately(session, socket.userId, socket.userRole, targetUser);
+      }
+
+      // Breakout chat stays within its room
+      const room = breakoutRoom && !isPrivate
+        ? breakoutService.assertCanChatInRoom(session, breakoutRoom, socket.userId, socket.userRole)
+        : null;
 
       const chatMessage = new ChatMessage({
         session: sessionId,
         sender: socket.userId,
-        message: message.trim(),
+        message: text,
         type,
         isPrivate,
         targetUser: isPrivate ? targetUser : null,
+        breakoutRoom: room ? room._id : null,
         status: 'sent',
       });
 
       await chatMessage.save();
 
+      if (room && socket.userRole === 'student') {
+        await breakoutService.recordMessage(session, room._id, socket.userId);
+      }
+
       await chatMessage.populate('sender', 'name role');
       if (isPrivate && targetUser) {
         await chatMessage.populate('targetUser', 'name');
       }
 
-      io.to(`session-${sessionId}`).emit('chat_message', chatMessage);
+      // Private messages go only to the sender's and target's own rooms
+      chatService.emitToAudience(io, chatMessage, 'chat_message', chatMessage);
 
       logger.info('Chat message sent', { messageId: chatMessage._id, sessionId, sender: socket.userId });
 
-      callback({ success: true, message: 'Message sent', chatMessage });
+      callback({ success: true, message: 'Message sent', chatMessage, filtered });
     } catch (error) {
+      if (error.statusCode) return callback({ error: error.message, ...error.details });
       logger.error('Chat send_message error:', error);
       callback({ error: 'Failed to send message' });
     }
   });
 
+  // Delivery receipt: the client received these messages
+  socket.on('message_delivered', async (data, callback) => {
+    try {
+      const messageIds = Array.isArray(data && data.messageIds) ? data.messageIds.slice(0, 200) : [];
+      const updated = await chatService.markDelivered(io, messageIds, socket.userId);
+
+      if (callback) callback({ success: true, updated });
+    } catch (error) {
+      logger.error('Chat message_delivered error:', error);
+      if (callback) callback({ error: 'Failed to record delivery' });
+    }
+  });
+
+  // Read receipt: the user has seen these messages
+  socket.on('message_read', async (data, callback) => {
+    try {
+      const messageIds = Array.isArray(data && data.messageIds) ? data.messageIds.slice(0, 200) : [];
+      const updated = await chatService.markRead(io, messageIds, socket.userId);
+
+      if (callback) callback({ success: true, updated });
+    } catch (error) {
+      logger.error('Chat message_read error:', error);
+      if (callback) callback({ error: 'Failed to record read receipt' });
+    }
+  });
+
+  // Flag a message for faculty review
+  socket.on('flag_message', async (data, callback) => {
+    try {
+      const { sessionId, messageId, reason } = data;
+
+      // Only participants who joined the session room may flag its messages
+      if (!socket.rooms.has(`session-${sessionId}`)) return callback({ error: 'Join the session first' });
+
+      const chatMessage = await moderationService.flagMessage({
+        io, sessionId, messageId, userId: socket.userId, role: socket.userRole, reason,
+      });
+
+      callback({ success: true, message: 'Message flagged for review', flagCount: chatMessage.flaggedBy.length });
+    } catch (error) {
+      if (error.statusCode) return callback({ error: error.message });
+      logger.error('Chat flag_message error:', error);
+      callback({ error: 'Failed to flag message' });
+    }
+  });
+
   // Handle editing a chat message
   socket.on('edit_message', async (data, callback) => {
     try {
@@ -44,19 +117,28 @@ module.exports = (io, socket) => {
       if (!chatMessage) return callback({ error: 'Message not found' });
       if (!chatMessage.sender.equals(socket.userId)) return callback({ error: 'Permission denied' });
 
+      // Mutes, bans and the college word filter apply to edits too
+      const { text, filtered } = await moderationService.prepareMessageEdit({
+        sessionId: chatMessage.session,
+        userId: socket.userId,
+        role: socket.userRole,
+        text: newMessage.trim(),
+      });
+
       chatMessage.originalMessage = chatMessage.message;
-      chatMessage.message = newMessage.trim();
+      chatMessage.message = text;
       chatMessage.isEdited = true;
       chatMessage.editedAt = new Date();
 
       await chatMessage.save();
 
-      io.to(`session-${chatMessage.session}`).emit('chat_message_edited', chatMessage);
+      chatService.emitToAudience(io, chatMessage, 'chat_message_edited', chatMessage);
 
       logger.info('Chat message edited', { messageId, editor: socket.userId });
 
-      callback({ success: true, message: 'Message edited', chatMessage });
+      callback({ success: true, message: 'Message edited', chatMessage, filtered });
     } catch (error) {
+      if (error.statusCode) return callback({ error: error.message, ...error.details });
       logger.error('Chat edit_message error:', error);
       callback({ error: 'Failed to edit message' });
     }
@@ -77,7 +159,7 @@ module.exports = (io, socket) => {
 
       await chatMessage.save();
 
-      io.to(`session-${chatMessage.session}`).emit('chat_message_deleted', { messageId });
+      chatService.emitToAudience(io, chatMessage, 'chat_message_deleted', { messageId });
 
       logger.info('Chat message deleted', { messageId, deleter: socket.userId });
 
@@ -93,12 +175,12 @@ module.exports = (io, socket) => {
     try {
       const { messageId, emoji } = data;
 
-      const chatMessage = await ChatMessage.findById(messageId);
+      const chatMessage = await chatService.findVisibleMessage(messageId, socket.userId, socket.userRole);
       if (!chatMessage) return callback({ error: 'Message not found' });
 
       await chatMessage.addReaction(socket.userId, emoji);
 
-      io.to(`session-${chatMessage.session}`).emit('chat_reaction_added', {
+      chatService.emitToAudience(io, chatMessage, 'chat_reaction_added', {
         messageId,
         emoji,
         userId: socket.userId,
@@ -118,12 +200,12 @@ module.exports = (io, socket) => {
     try {
       const { messageId, emoji } = data;
 
-      const chatMessage = await ChatMessage.findById(messageId);
+      const chatMessage = await chatService.findVisibleMessage(messageId, socket.userId, socket.userRole);
       if (!chatMessage) return callback({ error: 'Message not found' });
 
       await chatMessage.removeReaction(socket.userId, emoji);
 
-      io.to(`session-${chatMessage.session}`).emit('chat_reaction_removed', {
+      chatService.emitToAudience(io, chatMessage, 'chat_reaction_removed', {
         messageId,
         emoji,
         userId: socket.userId,
@@ -4,6 +4,10 @@ const sessionHandlers = require('./sessionHandlers');
 const chatHandlers = require('./chatHandlers');
 const pollHandlers = require('./pollHandlers');
 const monitoringHandlers = require('./monitoringHandlers');
+const notificationHandlers = require('./notificationHandlers');
+const qaHandlers = require('./qaHandlers');
+const breakoutHandlers = require('./breakoutHandlers');
+const whiteboardHandlers = require('./whiteboardHandlers');
 const logger = require('../utils/logger');
 
 function initializeSocket(server) {
@@ -21,10 +25,17 @@ function initializeSocket(server) {
   io.on('connection', (socket) => {
     logger.info(`Socket connected: ${socket.id} - User: ${socket.userId}`);
 
+    // Per-user room for direct delivery and for disconnecting revoked logins
+    socket.join(`user-${socket.userId}`);
+
     sessionHandlers(io, socket);
     chatHandlers(io, socket);
     pollHandlers(io, socket);
     monitoringHandlers(io, socket);
+    notificationHandlers(io, socket);
+    qaHandlers(io, socket);
+    breakoutHandlers(io, socket);
+    whiteboardHandlers(io, socket);
 
     socket.on('disconnect', (reason) => {
       logger.info(`Socket disconnected: ${socket.id} - Reason: ${reason}`);
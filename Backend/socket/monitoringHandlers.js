@@ -1,4 +1,5 @@
-const { Attendance } = require('../models');
+const { Attendance, ClassSession } = require('../models');
+const geofenceService = require('../services/geofenceService');
 const logger = require('../utils/logger');
 
 module.exports = (io, socket) => {
@@ -33,7 +34,18 @@ module.exports = (io, socket) => {
         return;
       }
 
-      await attendance.updateLocation(latitude, longitude, address, accuracy);
+      const session = await ClassSession.findById(sessionId);
+      if (!session) {
+        callback({ error: 'Session not found' });
+        return;
+      }
+
+      const verification = await geofenceService.verifyAttendanceLocation(attendance, session, {
+        latitude,
+        longitude,
+        address,
+        accuracy: accuracy !== undefined && accuracy !== null ? Number(accuracy) : null,
+      });
 
       // Notify faculty/admin
       io.to(`session-${sessionId}`).emit('student_location_update', {
@@ -42,9 +54,10 @@ module.exports = (io, socket) => {
         longitude,
         address,
         accuracy,
+        verification,
       });
 
-      callback({ success: true, message: 'Location updated' });
+      callback({ success: true, message: 'Location updated', verification });
 
       logger.info('Location update received', { studentId: socket.userId, sessionId });
     } catch (error) {
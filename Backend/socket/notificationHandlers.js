@@ -0,0 +1,33 @@
+const { Notification } = require('../models');
+const notificationService = require('../services/notificationService');
+const logger = require('../utils/logger');
+
+// New notifications and badge updates are pushed to the user-<id> room by the dispatcher and the REST routes
+module.exports = (io, socket) => {
+  // Current unread badge count, e.g. right after connecting
+  socket.on('notification_count', async (callback) => {
+    try {
+      const unreadCount = await Notification.getUnreadCount(socket.userId);
+      if (callback) callback({ success: true, unreadCount });
+    } catch (error) {
+      logger.error('Error in notification_count handler:', error);
+      if (callback) callback({ error: 'Could not load unread count' });
+    }
+  });
+
+  // Mark notifications read from the client (all of them when no ids are given)
+  socket.on('notification_read', async (data = {}, callback) => {
+    try {
+      const ids = Array.isArray(data.ids) ? data.ids : undefined;
+      const updated = await notificationService.markManyAsRead(socket.userId, ids);
+
+      // Keep the badge in sync on the user's other devices
+      await notificationService.emitUnreadCount(io, socket.userId);
+
+      if (callback) callback({ success: true, updated });
+    } catch (error) {
+      logger.error('Error in notification_read handler:', error);
+      if (callback) callback({ error: 'Could not mark notifications as read' });
+    }
+  });
+};
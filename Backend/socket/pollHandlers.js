@@ -1,12 +1,14 @@
-const { Poll, Attendance, ClassSession } = require('../models');
+const { Poll, ClassSession } = require('../models');
+const quizService = require('../services/quizService');
+const pollService = require('../services/pollService');
 const logger = require('../utils/logger');
 
 module.exports = (io, socket) => {
   // Receive vote on a poll
   socket.on('poll_vote', async (data, callback) => {
-    const { pollId, optionIndex, responseTime, textResponse } = data;
+    const { pollId, optionIndex, optionIndexes, responseTime, textResponse } = data;
     try {
-      const poll = await Poll.findById(pollId).populate('session');
+      let poll = await Poll.findById(pollId).populate('session');
       if (!poll) return callback({ error: 'Poll not found' });
 
       if (!poll.isActive || (poll.expiresAt && poll.expiresAt < new Date())) {
@@ -21,61 +23,28 @@ module.exports = (io, socket) => {
         return callback({ error: 'User not enrolled in session' });
       }
 
-      // Handle vote logic depending on poll type
-      if (poll.type === 'text_response') {
-        if (!textResponse || textResponse.trim().length === 0) {
-          return callback({ error: 'Text response required' });
-        }
-        const existingResponse = poll.textResponses.find(r => r.user.equals(socket.userId));
-        if (existingResponse && !poll.settings.allowChangeVote) {
-          return callback({ error: 'User already responded' });
-        }
-        if (existingResponse) {
-          existingResponse.response = textResponse.trim();
-          existingResponse.submittedAt = new Date();
-        } else {
-          poll.textResponses.push({ user: socket.userId, response: textResponse.trim(), submittedAt: new Date() });
-        }
-      } else {
-        if (optionIndex == null || optionIndex < 0 || optionIndex >= poll.options.length) {
-          return callback({ error: 'Invalid option index' });
-        }
-        const hasVoted = poll.options.some(opt => opt.voters.some(v => v.user.equals(socket.userId)));
-        if (hasVoted && !poll.settings.allowChangeVote) {
-          return callback({ error: 'User already voted' });
-        }
-        if (hasVoted) {
-          // Remove previous votes
-          poll.options.forEach(opt => {
-            opt.voters = opt.voters.filter(v => !v.user.equals(socket.userId));
-            opt.votes = opt.voters.length;
-          });
-        }
-        poll.options[optionIndex].voters.push({ user: socket.userId, votedAt: new Date(), responseTime });
-        poll.options[optionIndex].votes = poll.options[optionIndex].voters.length;
-      }
-
-      await poll.save();
+      // Quiz questions only take answers while the quiz's time window is open
+      await quizService.assertCanAnswer(poll);
 
-      // Update attendance engagement
-      const attendance = await Attendance.findOne({ student: socket.userId, session: session._id });
-      if (attendance) await attendance.updateEngagement('poll', 1);
+      // Validates the vote against allowChangeVote, allowMultipleAnswers and maxResponses, then saves it
+      poll = await pollService.submitVote(poll, socket.userId, { optionIndex, optionIndexes, textResponse, responseTime });
 
-      // Prepare poll update for clients
-      const updatedPollData = {
-        pollId: poll._id,
-        options: poll.options.map(opt => ({ text: opt.text, votes: opt.votes })),
-        totalVotes: poll.options.reduce((sum, o) => sum + o.votes, 0),
-        totalResponses: poll.textResponses.length,
-      };
+      // Update attendance engagement (anonymous polls credit their voters when they close)
+      await pollService.recordEngagement(poll, socket.userId);
 
-      // Emit updated poll results to session participants
-      io.to(`session-${session._id}`).emit('poll_updated', updatedPollData);
+      // Counts go only to viewers showResults allows; reaching maxResponses closes the poll
+      await pollService.afterVote(io, poll, socket.userId, session.faculty);
 
-      logger.info('Poll vote recorded', { pollId, userId: socket.userId, optionIndex, textResponse: !!textResponse });
+      logger.info('Poll vote recorded', { pollId, userId: poll.isAnonymous ? undefined : socket.userId, optionIndex, optionIndexes, textResponse: !!textResponse });
 
-      callback({ success: true, message: 'Vote recorded', pollResults: updatedPollData });
+      const viewer = { userId: socket.userId, role: socket.userRole };
+      callback({
+        success: true,
+        message: 'Vote recorded',
+        pollResults: pollService.canSeeResults(poll, viewer) ? pollService.resultsSummary(poll, viewer) : null,
+      });
     } catch (error) {
+      if (error.statusCode) return callback({ error: error.message });
       logger.error('Poll vote error:', error);
       callback({ error: 'Failed to record vote' });
     }
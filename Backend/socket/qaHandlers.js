@@ -0,0 +1,76 @@
+const { ClassSession } = require('../models');
+const qaService = require('../services/qaService');
+const logger = require('../utils/logger');
+
+// Rejections the client sees as-is
+function rejected(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+module.exports = (io, socket) => {
+  const user = { userId: socket.userId, role: socket.userRole };
+
+  // Run a Q&A action for a session the socket has joined, answering through the ack callback
+  const handle = (event, action) => {
+    socket.on(event, async (data = {}, callback = () => {}) => {
+      try {
+        if (!socket.rooms.has(`session-${data.sessionId}`)) return callback({ error: 'Join the session first' });
+
+        const session = await ClassSession.findById(data.sessionId);
+        if (!session) return callback({ error: 'Session not found' });
+
+        callback({ success: true, ...(await action(session, data)) });
+      } catch (error) {
+        if (error.statusCode) return callback({ error: error.message, ...error.details });
+
+        logger.error(`Q&A ${event} error:`, error);
+        callback({ error: 'Request failed' });
+      }
+    });
+  };
+
+  handle('qa_ask', async (session, { text }) => {
+    if (user.role !== 'student') throw rejected('Only students can ask questions');
+    if (typeof text !== 'string' || !text.trim() || text.length > 1000) {
+      throw rejected('Question must be 1-1000 characters');
+    }
+
+    const question = await qaService.askQuestion({ io, session, user, text });
+    return { question };
+  });
+
+  handle('qa_upvote', async (session, { questionId }) => {
+    const { question, upvoted } = await qaService.toggleUpvote({ io, session, user, questionId });
+    return { upvoted, upvoteCount: question.upvoteCount };
+  });
+
+  handle('qa_answer', async (session, { questionId, text }) => {
+    const question = await qaService.answerQuestion({ io, session, user, questionId, text });
+    return { question };
+  });
+
+  handle('qa_dismiss', async (session, { questionId }) => {
+    const question = await qaService.dismissQuestion({ io, session, user, questionId });
+    return { question };
+  });
+
+  handle('qa_promote', async (session, { questionId, promoted = true }) => {
+    const question = await qaService.setPromoted({ io, session, user, questionId, promoted });
+    return { question };
+  });
+
+  handle('raise_hand', async (session) => {
+    if (user.role !== 'student') throw rejected('Only students can raise a hand');
+
+    const hands = await qaService.raiseHand({ io, session, user });
+    return { queueLength: hands.length };
+  });
+
+  // Faculty pass userId to lower a student's hand
+  handle('lower_hand', async (session, { userId }) => {
+    const hands = await qaService.lowerHand({ io, session, user, userId: userId || user.userId });
+    return { queueLength: hands.length };
+  });
+};
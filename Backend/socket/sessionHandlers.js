@@ -1,4 +1,8 @@
 const { ClassSession, Attendance, User } = require('../models');
+const sessionService = require('../services/sessionService');
+const moderationService = require('../services/moderationService');
+const enrollmentService = require('../services/enrollmentService');
+const breakoutService = require('../services/breakoutService');
 const logger = require('../utils/logger');
 
 module.exports = (io, socket) => {
@@ -10,14 +14,26 @@ module.exports = (io, socket) => {
         return callback({ error: 'Session not found' });
       }
 
-      // Check if user is enrolled
-      const isEnrolled = session.students.some(s => s.student.equals(socket.userId));
-      if (!isEnrolled && socket.userRole === 'student') {
-        return callback({ error: 'Not enrolled in this session' });
+      // Students must be enrolled, and there must be a free seat unless faculty let them in past capacity
+      if (socket.userRole === 'student') {
+        try {
+          await enrollmentService.assertCanJoin(session, socket.userId);
+        } catch (error) {
+          if (!error.statusCode) throw error;
+          return callback({ error: error.message, ...error.details });
+        }
+      }
+
+      const ban = moderationService.getActiveRestriction(session, socket.userId, ['ban']);
+      if (ban) {
+        return callback({ error: 'You are banned from this session', until: ban.until });
       }
 
       socket.join(`session-${sessionId}`);
 
+      // Rejoin the chat of any breakout room still open, e.g. after a reconnect
+      breakoutService.channelsFor(session, socket.userId).forEach(channel => socket.join(channel));
+
       // Mark attendance join time
       const attendance = await Attendance.findOne({ session: sessionId, student: socket.userId });
       if (attendance) {
@@ -39,6 +55,9 @@ module.exports = (io, socket) => {
   socket.on('leave_session', async (sessionId, callback) => {
     try {
       socket.leave(`session-${sessionId}`);
+      [...socket.rooms]
+        .filter(room => room.startsWith(`session-${sessionId}-breakout-`))
+        .forEach(room => socket.leave(room));
 
       const attendance = await Attendance.findOne({ session: sessionId, student: socket.userId });
       if (attendance) {
@@ -73,13 +92,13 @@ module.exports = (io, socket) => {
           if (session.status === 'live') {
             return callback({ error: 'Session already live' });
           }
-          await session.startSession();
+          await sessionService.startSession(session, { io });
           break;
         case 'end':
           if (session.status !== 'live') {
             return callback({ error: 'Session is not live' });
           }
-          await session.endSession();
+          await sessionService.endSession(session, { io });
           break;
         case 'pause':
           if (session.status !== 'live') {
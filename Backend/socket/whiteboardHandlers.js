@@ -0,0 +1,60 @@
+const { ClassSession } = require('../models');
+const whiteboardService = require('../services/whiteboardService');
+const logger = require('../utils/logger');
+
+module.exports = (io, socket) => {
+  const user = { userId: socket.userId, role: socket.userRole };
+
+  // Run a whiteboard action for a session the socket has joined, answering through the ack callback
+  const handle = (event, action) => {
+    socket.on(event, async (data = {}, callback = () => {}) => {
+      try {
+        if (!socket.rooms.has(`session-${data.sessionId}`)) return callback({ error: 'Join the session first' });
+
+        const session = await ClassSession.findById(data.sessionId);
+        if (!session) return callback({ error: 'Session not found' });
+
+        callback({ success: true, ...(await action(session, data)) });
+      } catch (error) {
+        if (error.statusCode) return callback({ error: error.message });
+        logger.error(`Whiteboard ${event} error:`, error);
+        callback({ error: 'Request failed' });
+      }
+    });
+  };
+
+  // Late joiners draw from the snapshot, then apply live operations with a higher seq
+  handle('whiteboard_snapshot', async (session) => ({
+    snapshot: await whiteboardService.getSnapshot(session),
+  }));
+
+  handle('whiteboard_operation', async (session, { pageId, type, data, clientId }) => {
+    const operation = await whiteboardService.applyOperation(session, user, { pageId, type, data, clientId }, { io });
+    return { seq: operation.seq, clientId: operation.clientId };
+  });
+
+  // Operations missed while disconnected
+  handle('whiteboard_replay', async (session, { afterSeq = 0, pageId }) => {
+    if (!Number.isInteger(afterSeq) || afterSeq < 0) {
+      const error = new Error('afterSeq must be a non-negative integer');
+      error.statusCode = 400;
+      throw error;
+    }
+    return whiteboardService.getOperations(session._id, { afterSeq, pageId });
+  });
+
+  handle('whiteboard_add_page', async (session, { title }) => {
+    const page = await whiteboardService.addPage(session, user, typeof title === 'string' ? title.trim().slice(0, 100) : undefined, { io });
+    return { pageId: page._id };
+  });
+
+  handle('whiteboard_set_page', async (session, { pageId }) => {
+    const page = await whiteboardService.setCurrentPage(session, user, pageId, { io });
+    return { pageId: page._id };
+  });
+
+  handle('whiteboard_permissions', async (session, { studentsCanDraw }) => {
+    const board = await whiteboardService.setStudentsCanDraw(session, user, studentsCanDraw, { io });
+    return { studentsCanDraw: board.studentsCanDraw };
+  });
+};
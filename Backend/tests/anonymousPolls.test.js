@@ -0,0 +1,115 @@
+jest.mock('../models', () => ({
+    Poll: { findById: jest.fn() },
+    Attendance: { find: jest.fn(), findOne: jest.fn() },
+}));
+jest.mock('../services/schedulerService', () => ({
+    defineJob: jest.fn(),
+    scheduleJob: jest.fn(),
+    cancelJobs: jest.fn(),
+}));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { Attendance } = require('../models');
+const pollService = require('../services/pollService');
+
+function makePoll(overrides = {}) {
+    const { settings, ...rest } = overrides;
+    return {
+        _id: 'poll1',
+        session: 'sess1',
+        type: 'single_choice',
+        isActive: true,
+        isAnonymous: true,
+        anonymousVoters: [],
+        options: ['A', 'B', 'C'].map(text => ({ text, votes: 0, voters: [] })),
+        textResponses: [],
+        settings: { showResults: 'real_time', allowChangeVote: false, allowMultipleAnswers: false, ...settings },
+        ...rest,
+    };
+}
+
+describe('Anonymous polls', () => {
+    const faculty = { userId: 'faculty1', role: 'faculty' };
+
+    it('should store votes without any user id or timestamp', () => {
+        const poll = makePoll();
+        pollService.recordVote(poll, 'student1', { optionIndex: 0, responseTime: 4 });
+        pollService.recordVote(poll, 'student2', { optionIndex: 0, responseTime: 6 });
+        pollService.recordVote(poll, 'student3', { optionIndex: 2 });
+
+        const stored = JSON.stringify(poll);
+        ['student1', 'student2', 'student3'].forEach(id => expect(stored).not.toContain(id));
+        poll.options[0].voters.forEach(voter => {
+            expect(voter).not.toHaveProperty('user');
+            expect(voter.votedAt).toBeNull();
+        });
+        expect(poll.options[0].voters.map(v => v.responseTime).sort()).toEqual([4, 6]);
+    });
+
+    it('should keep aggregate results correct', () => {
+        const poll = makePoll();
+        pollService.recordVote(poll, 'student1', { optionIndex: 1 });
+        pollService.recordVote(poll, 'student2', { optionIndex: 1 });
+        pollService.recordVote(poll, 'student3', { optionIndex: 0 });
+
+        expect(pollService.resultsSummary(poll)).toMatchObject({
+            options: [{ votes: 1 }, { votes: 2 }, { votes: 0 }],
+            totalVotes: 3,
+            participants: 3,
+        });
+    });
+
+    it('should refuse a second vote from the same student', () => {
+        const poll = makePoll({ settings: { allowChangeVote: true } });
+        pollService.recordVote(poll, 'student1', { optionIndex: 1 });
+
+        expect(pollService.hasResponded(poll, 'student1')).toBe(true);
+        expect(pollService.hasResponded(poll, 'student2')).toBe(false);
+        expect(() => pollService.recordVote(poll, 'student1', { optionIndex: 0 })).toThrow(/already voted/);
+    });
+
+    it('should key the dedupe hash per poll', () => {
+        expect(pollService.voterHash('poll1', 'student1')).toBe(pollService.voterHash('poll1', 'student1'));
+        expect(pollService.voterHash('poll1', 'student1')).not.toBe(pollService.voterHash('poll2', 'student1'));
+        expect(pollService.voterHash('poll1', 'student1')).not.toContain('student1');
+    });
+
+    it('should not reveal who answered to anyone', () => {
+        const poll = makePoll({ type: 'text_response', options: [] });
+        pollService.recordVote(poll, 'student1', { textResponse: ' Too fast ' });
+
+        expect(pollService.textResponsesFor(poll, faculty)).toEqual([{ response: 'Too fast' }]);
+        expect(pollService.textResponsesFor(poll, { userId: 'student1', role: 'student' })).toEqual([]);
+
+        const choice = makePoll();
+        pollService.recordVote(choice, 'student1', { optionIndex: 0 });
+        pollService.optionsFor(choice, { userId: 'student1', role: 'student' })
+            .forEach(option => expect(option).not.toHaveProperty('hasVoted'));
+    });
+
+    it('should store votes and responses without ObjectId _ids, which would date them', () => {
+        const { Poll } = jest.requireActual('../models/polls');
+        const poll = new Poll({
+            options: [{ text: 'A', voters: [{ votedAt: null }] }],
+            textResponses: [{ response: 'Too fast', submittedAt: null }],
+        });
+
+        expect(poll.options[0].voters[0]._id).toBeUndefined();
+        expect(poll.textResponses[0]._id).toBeUndefined();
+    });
+
+    it('should credit engagement for anonymous votes only when the poll closes', async() => {
+        const poll = makePoll({ close: jest.fn() });
+        pollService.recordVote(poll, 'student1', { optionIndex: 0 });
+        await pollService.recordEngagement(poll, 'student1');
+        expect(Attendance.findOne).not.toHaveBeenCalled();
+
+        const attendances = ['student2', 'student1'].map(student => ({ student, updateEngagement: jest.fn() }));
+        Attendance.find.mockResolvedValue(attendances);
+        await pollService.closePoll(poll);
+
+        expect(Attendance.find).toHaveBeenCalledWith({ session: 'sess1' });
+        expect(attendances[0].updateEngagement).not.toHaveBeenCalled();
+        expect(attendances[1].updateEngagement).toHaveBeenCalledWith('poll', 1);
+    });
+});
@@ -0,0 +1,146 @@
+jest.mock('../models', () => ({
+    ClassSession: { findById: jest.fn() },
+    Attendance: { find: jest.fn(), findOne: jest.fn(), updateMany: jest.fn() },
+    ChatMessage: { insertMany: jest.fn() },
+    Section: { find: jest.fn() },
+}));
+jest.mock('../services/schedulerService', () => ({
+    defineJob: jest.fn(),
+    scheduleJob: jest.fn(),
+    cancelJobs: jest.fn(),
+}));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { Attendance, ChatMessage, Section } = require('../models');
+const schedulerService = require('../services/schedulerService');
+const breakoutService = require('../services/breakoutService');
+const chatService = require('../services/chatService');
+const { mockIo } = require('./utils/mockIo');
+
+function selectResolving(result) {
+    return { select: jest.fn().mockResolvedValue(result) };
+}
+
+function makeSession(overrides = {}) {
+    const breakoutRooms = [];
+    let nextId = 1;
+    breakoutRooms.push = (...rooms) => Array.prototype.push.apply(breakoutRooms, rooms.map(room => ({ _id: `r${nextId++}`, ...room })));
+
+    return {
+        _id: 'sess1',
+        faculty: 'f1',
+        college: 'c1',
+        status: 'live',
+        students: ['s1', 's2', 's3', 's4', 's5'].map(student => ({ student })),
+        breakoutRooms,
+        save: jest.fn(),
+        ...overrides,
+    };
+}
+
+describe('Breakout rooms', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        Attendance.find.mockReturnValue(selectResolving(['s1', 's2', 's3', 's4', 's5'].map(student => ({ student }))));
+    });
+
+    it('should deal present students into evenly sized rooms with a recall timer', async() => {
+        const session = makeSession();
+        const { io, socketsJoin } = mockIo();
+
+        const rooms = await breakoutService.openBreakouts(session, { mode: 'random', roomCount: 2, durationMinutes: 10 }, 'f1', { io });
+
+        expect(rooms.map(room => room.members.length).sort()).toEqual([2, 3]);
+        expect(rooms.flatMap(room => room.members).sort()).toEqual(['s1', 's2', 's3', 's4', 's5']);
+        expect(schedulerService.scheduleJob).toHaveBeenCalledWith('breakout_auto_recall', rooms[0].endsAt,
+            { sessionId: 'sess1', roomId: 'r1' }, { uniqueKey: 'breakout_auto_recall:r1' });
+        expect(Attendance.updateMany).toHaveBeenCalledWith({ session: 'sess1', student: { $in: rooms[0].members } }, expect.objectContaining({
+            $inc: { 'engagement.breakoutsJoined': 1 },
+        }));
+        expect(io.in).toHaveBeenCalledWith('user-f1');
+        expect(socketsJoin).toHaveBeenCalledWith('session-sess1-breakout-r2');
+
+        await expect(breakoutService.openBreakouts(session, { mode: 'random', roomCount: 2 }, 'f1'))
+            .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should check manual assignments and group by section', async() => {
+        await expect(breakoutService.openBreakouts(makeSession(), {
+            mode: 'manual',
+            rooms: [{ members: ['s1', 's2'] }, { members: ['s2'] }],
+        }, 'f1')).rejects.toThrow('Student s2 is assigned to more than one room');
+        await expect(breakoutService.openBreakouts(makeSession(), {
+            mode: 'manual',
+            rooms: [{ members: ['s9'] }],
+        }, 'f1')).rejects.toThrow('Student s9 is not enrolled in this session');
+
+        Section.find.mockReturnValue({
+            select: jest.fn().mockReturnValue({
+                sort: jest.fn().mockResolvedValue([
+                    { name: 'A', students: [{ student: 's1', status: 'active' }, { student: 's2', status: 'active' }] },
+                    { name: 'B', students: [{ student: 's2', status: 'active' }, { student: 's3', status: 'active' }, { student: 's4', status: 'dropped' }] },
+                ]),
+            }),
+        });
+
+        const rooms = await breakoutService.openBreakouts(makeSession(), { mode: 'section' }, 'f1');
+
+        expect(rooms.map(room => [room.name, room.members])).toEqual([
+            ['A', ['s1', 's2']],
+            ['B', ['s3']],
+            ['No section', ['s4', 's5']],
+        ]);
+    });
+
+    it('should keep chat within a room and count it toward engagement', async() => {
+        const session = makeSession();
+        await breakoutService.openBreakouts(session, { mode: 'manual', rooms: [{ members: ['s1'] }, { members: ['s2'] }] }, 'f1');
+
+        expect(breakoutService.assertCanChatInRoom(session, 'r1', 's1', 'student')._id).toBe('r1');
+        expect(breakoutService.assertCanChatInRoom(session, 'r2', 'f1', 'faculty')._id).toBe('r2');
+        expect(() => breakoutService.assertCanChatInRoom(session, 'r2', 's1', 'student')).toThrow('You are not in this breakout room');
+        expect(breakoutService.channelsFor(session, 's2')).toEqual(['session-sess1-breakout-r2']);
+
+        const attendance = { breakouts: [{ room: 'r1', leftAt: null, messagesCount: 0 }], updateEngagement: jest.fn() };
+        Attendance.findOne.mockResolvedValue(attendance);
+        await breakoutService.recordMessage(session, 'r1', 's1');
+
+        expect(attendance.breakouts[0].messagesCount).toBe(1);
+        expect(attendance.updateEngagement).toHaveBeenCalledWith('breakout_message', 1);
+    });
+
+    it('should only show breakout messages to the room\'s members and staff', async() => {
+        const session = makeSession();
+        await breakoutService.openBreakouts(session, { mode: 'manual', rooms: [{ members: ['s1'] }, { members: ['s2'] }] }, 'f1');
+        const message = { isPrivate: false, breakoutRoom: 'r1', sender: 's1' };
+
+        expect(chatService.canSeeMessage(message, 's1', { role: 'student', session })).toBe(true);
+        expect(chatService.canSeeMessage(message, 's2', { role: 'student', session })).toBe(false);
+        expect(chatService.canSeeMessage(message, 's2', { role: 'student' })).toBe(false);
+        expect(chatService.canSeeMessage(message, 'f1', { role: 'faculty' })).toBe(true);
+    });
+
+    it('should broadcast to every open room and recall them', async() => {
+        const session = makeSession();
+        const { io, emit } = mockIo();
+        await breakoutService.openBreakouts(session, { mode: 'manual', rooms: [{ members: ['s1'] }, { members: ['s2'] }] }, 'f1');
+        ChatMessage.insertMany.mockImplementation(async docs => docs);
+
+        const messages = await breakoutService.broadcastToRooms(session, 'Two minutes left', 'f1', { io });
+
+        expect(messages.map(m => [m.breakoutRoom, m.type])).toEqual([['r1', 'announcement'], ['r2', 'announcement']]);
+        expect(io.to).toHaveBeenCalledWith('session-sess1-breakout-r1');
+
+        const recalled = await breakoutService.recallBreakouts(session, { roomIds: ['r1'], reason: 'timer' }, { io });
+
+        expect(recalled.map(room => room._id)).toEqual(['r1']);
+        expect(schedulerService.cancelJobs).toHaveBeenCalledWith({ uniqueKey: { $in: ['breakout_auto_recall:r1'] } });
+        expect(emit).toHaveBeenCalledWith('breakout_recalled', { sessionId: 'sess1', roomId: 'r1', reason: 'timer' });
+        expect(emit).not.toHaveBeenCalledWith('breakouts_closed', expect.anything());
+        expect(() => breakoutService.assertCanChatInRoom(session, 'r1', 's1', 'student')).toThrow('already closed');
+        expect(breakoutService.assertCanReadRoom(session, 'r1', 's1', 'student')._id).toBe('r1');
+
+        await breakoutService.recallBreakouts(session, {}, { io });
+        expect(emit).toHaveBeenCalledWith('breakouts_closed', { sessionId: 'sess1', reason: 'faculty' });
+    });
+});
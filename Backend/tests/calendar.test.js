@@ -0,0 +1,159 @@
+jest.mock('../models', () => ({
+    ClassSession: { find: jest.fn(), findOne: jest.fn() },
+    User: { find: jest.fn(), findOne: jest.fn(), updateOne: jest.fn() },
+    College: { findById: jest.fn() },
+}));
+jest.mock('../services/sessionService', () => ({
+    createSession: jest.fn(),
+    updateSession: jest.fn(),
+    cancelSessionJobs: jest.fn(),
+}));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { ClassSession, User, College } = require('../models');
+const sessionService = require('../services/sessionService');
+const calendarService = require('../services/calendarService');
+const ical = require('../utils/ical');
+
+function selectResolving(result) {
+    return { select: jest.fn().mockResolvedValue(result) };
+}
+
+function populateResolving(result) {
+    return { populate: jest.fn().mockResolvedValue(result) };
+}
+
+const faculty = { _id: 'f1', name: 'Dr Rao', email: 'rao@college.edu' };
+
+function makeSession(overrides = {}) {
+    const start = overrides.scheduledStartTime || new Date('2030-01-07T04:30:00Z');
+    return {
+        title: 'Thermodynamics',
+        subject: 'Physics',
+        classroom: 'LH-1',
+        faculty,
+        students: [{ student: 's1' }],
+        status: 'scheduled',
+        seriesId: null,
+        isSeriesException: false,
+        scheduledStartTime: start,
+        scheduledEndTime: new Date(start.getTime() + 60 * 60000),
+        occurrenceDate: start,
+        ...overrides,
+    };
+}
+
+describe('iCalendar feeds and import', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        College.findById.mockReturnValue(selectResolving({ settings: { timezone: 'Asia/Kolkata' } }));
+    });
+
+    it('should fold and escape long lines and read them back', () => {
+        const ics = ical.buildCalendar({
+            name: 'Test',
+            events: [{
+                uid: 'e1@shikshalok',
+                start: new Date('2030-01-07T04:30:00Z'),
+                end: new Date('2030-01-07T05:30:00Z'),
+                summary: 'Heat, work; and entropy — ऊष्मागतिकी का दूसरा नियम और उसके अनुप्रयोग',
+                location: 'LH-1',
+            }],
+        });
+
+        expect(ics.split('\r\n').every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+        expect(ics).toContain('DTSTART;TZID=Asia/Kolkata:20300107T100000');
+
+        const [event] = ical.parseCalendar(ics);
+        expect(event.summary).toBe('Heat, work; and entropy — ऊष्मागतिकी का दूसरा नियम और उसके अनुप्रयोग');
+        expect(event.start.date).toEqual(new Date('2030-01-07T04:30:00Z'));
+        expect(event.error).toBeUndefined();
+    });
+
+    it('should map RRULEs to recurring patterns and refuse ones sessions cannot express', () => {
+        expect(ical.parseRRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=10')).toEqual({
+            pattern: { type: 'weekly', interval: 2, daysOfWeek: [1, 3] },
+            count: 10,
+        });
+        expect(ical.toRRule({ type: 'weekly', interval: 1, daysOfWeek: [1, 3] }, new Date('2030-03-01T04:30:00Z')))
+            .toBe('FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20300301T043000Z');
+        expect(ical.parseRRule('FREQ=YEARLY').error).toMatch(/frequency/);
+        expect(ical.parseRRule('FREQ=MONTHLY;BYSETPOS=-1;BYDAY=FR').error).toMatch(/BYSETPOS/);
+    });
+
+    it('should send a series as one RRULE with cancellations and exclusions', async() => {
+        const master = makeSession({
+            _id: 'm1',
+            seriesId: 'm1',
+            isRecurring: true,
+            recurringPattern: { type: 'weekly', interval: 1, daysOfWeek: [1] },
+        });
+        const cancelled = makeSession({ _id: 'o2', seriesId: 'm1', status: 'cancelled', isSeriesException: true, scheduledStartTime: new Date('2030-01-14T04:30:00Z') });
+        const notEnrolled = makeSession({ _id: 'o3', seriesId: 'm1', students: [], scheduledStartTime: new Date('2030-01-21T04:30:00Z') });
+        const regular = makeSession({ _id: 'o4', seriesId: 'm1', scheduledStartTime: new Date('2030-01-28T04:30:00Z') });
+        const oneOff = makeSession({ _id: 'x1', title: 'Guest lecture', status: 'cancelled', scheduledStartTime: new Date('2030-02-01T04:30:00Z') });
+
+        ClassSession.find
+            .mockReturnValueOnce(populateResolving([master, cancelled, regular, oneOff]))
+            .mockReturnValueOnce(populateResolving([master, cancelled, notEnrolled, regular]));
+
+        const ics = await calendarService.buildFeed({ _id: 's1', name: 'Asha', college: 'c1' });
+        const events = ical.parseCalendar(ics);
+
+        expect(ics).toContain('RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=20300128T043000Z');
+        expect(ics).toContain('EXDATE;TZID=Asia/Kolkata:20300121T100000');
+        expect(ics).toContain('ORGANIZER;CN=Dr Rao:mailto:rao@college.edu');
+        expect(events).toHaveLength(3);
+        expect(events[0]).toMatchObject({ uid: 'x1@shikshalok', summary: 'Guest lecture', status: 'CANCELLED' });
+        expect(events[1]).toMatchObject({ uid: 'm1@shikshalok', status: 'CONFIRMED' });
+        expect(events[2]).toMatchObject({ uid: 'm1@shikshalok', status: 'CANCELLED', recurrenceId: { date: new Date('2030-01-14T04:30:00Z') } });
+    });
+
+    it('should import events with organizer faculty and report the ones it cannot use', async() => {
+        User.find.mockReturnValue(selectResolving([{ _id: 'f1', email: 'rao@college.edu' }]));
+        sessionService.createSession.mockResolvedValue({ session: { _id: 'new1' }, occurrences: [] });
+
+        const ics = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'BEGIN:VEVENT',
+            'UID:a@uni',
+            'SUMMARY:Thermodynamics',
+            'CATEGORIES:Physics',
+            'ORGANIZER;CN="Rao, S":mailto:RAO@college.edu',
+            'DTSTART;TZID=Asia/Kolkata:20300107T100000',
+            'DURATION:PT1H',
+            'RRULE:FREQ=WEEKLY;BYDAY=MO;COUNT=3',
+            'LOCATION:LH-1',
+            'END:VEVENT',
+            'BEGIN:VEVENT',
+            'UID:b@uni',
+            'SUMMARY:Sports day',
+            'DTSTART;VALUE=DATE:20300110',
+            'END:VEVENT',
+            'END:VCALENDAR',
+        ].join('\r\n');
+
+        const result = await calendarService.importCalendar(ics, {}, { _id: 'a1', college: 'c1' });
+
+        expect(sessionService.createSession).toHaveBeenCalledWith(expect.objectContaining({
+            title: 'Thermodynamics',
+            subject: 'Physics',
+            facultyId: 'f1',
+            classroom: 'LH-1',
+            duration: 60,
+            isRecurring: true,
+            recurringPattern: { type: 'weekly', interval: 1, daysOfWeek: [1], endDate: new Date('2030-01-21T04:30:00Z') },
+        }), { _id: 'a1', college: 'c1' });
+        expect(result.created).toEqual([{ uid: 'a@uni', summary: 'Thermodynamics', sessionId: 'new1', occurrences: 0 }]);
+        expect(result.skipped).toEqual([{ uid: 'b@uni', summary: 'Sports day', reason: 'All-day events cannot be imported as sessions' }]);
+    });
+
+    it('should only find feed owners by well-formed tokens', () => {
+        expect(calendarService.findUserByFeedToken('not-a-token')).toBeNull();
+        User.findOne.mockReturnValue(selectResolving(null));
+
+        calendarService.findUserByFeedToken('a'.repeat(64));
+        expect(User.findOne).toHaveBeenCalledWith({ calendarFeedToken: expect.not.stringContaining('aaaa'), isActive: true });
+    });
+});
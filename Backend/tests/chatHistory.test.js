@@ -0,0 +1,174 @@
+jest.mock('../models', () => {
+    const ChatMessage = jest.fn(function(data) {
+        Object.assign(this, { _id: 'new-msg' }, data);
+        this.save = jest.fn();
+        this.populate = jest.fn();
+    });
+    ChatMessage.getSessionHistory = jest.fn();
+    ChatMessage.visibilityFilter = jest.fn(userId => ({ $or: [{ isPrivate: false }, { sender: userId }, { targetUser: userId }] }));
+    ChatMessage.findOne = jest.fn();
+    ChatMessage.find = jest.fn();
+    ChatMessage.countDocuments = jest.fn();
+    ChatMessage.updateOne = jest.fn();
+    return { ChatMessage };
+});
+jest.mock('../services/moderationService', () => ({
+    prepareOutgoingMessage: jest.fn(async({ text }) => ({ text, filtered: false })),
+}));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { ChatMessage } = require('../models');
+const chatController = require('../controllers/chatController');
+
+function mockResponse() {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+}
+
+function chainable(result) {
+    const query = {};
+    ['populate', 'sort', 'skip'].forEach(method => { query[method] = jest.fn(() => query); });
+    query.limit = jest.fn().mockResolvedValue(result);
+    query.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+    return query;
+}
+
+describe('Chat history controller', () => {
+    const user = { userId: 'user1', role: 'student' };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('should page history with a cursor and apply sender/type filters', async() => {
+        const messages = [3, 2, 1].map(i => ({ _id: `m${i}`, timestamp: new Date(Date.UTC(2026, 0, 1, 10, i)) }));
+        ChatMessage.getSessionHistory.mockResolvedValue(messages);
+        const res = mockResponse();
+
+        await chatController.getSessionHistory({
+            params: { sessionId: 's1' },
+            query: { limit: '2', before: '2026-01-01T11:00:00.000Z_64b000000000000000000009', sender: 'user2', type: 'text,file' },
+            user,
+        }, res, jest.fn());
+
+        const [sessionId, limit, before, filters] = ChatMessage.getSessionHistory.mock.calls[0];
+        expect(sessionId).toBe('s1');
+        expect(limit).toBe(3);
+        expect(before).toEqual({ timestamp: new Date('2026-01-01T11:00:00.000Z'), id: '64b000000000000000000009' });
+        expect(filters).toEqual({ viewer: 'user1', sender: 'user2', types: ['text', 'file'] });
+
+        const body = res.json.mock.calls[0][0];
+        expect(body.messages.map(m => m._id)).toEqual(['m3', 'm2']);
+        expect(body.hasMore).toBe(true);
+        expect(body.nextCursor).toBe(`${messages[1].timestamp.toISOString()}_m2`);
+    });
+
+    it('should still accept a bare timestamp as the cursor', async() => {
+        ChatMessage.getSessionHistory.mockResolvedValue([]);
+
+        await chatController.getSessionHistory({
+            params: { sessionId: 's1' },
+            query: { before: '2026-01-01T11:00:00.000Z' },
+            user,
+        }, mockResponse(), jest.fn());
+
+        expect(ChatMessage.getSessionHistory.mock.calls[0][2]).toEqual({ timestamp: new Date('2026-01-01T11:00:00.000Z'), id: null });
+    });
+
+    it('should report the last page without a cursor', async() => {
+        ChatMessage.getSessionHistory.mockResolvedValue([{ _id: 'm1', timestamp: new Date() }]);
+        const res = mockResponse();
+
+        await chatController.getSessionHistory({ params: { sessionId: 's1' }, query: {}, user }, res, jest.fn());
+
+        expect(res.json.mock.calls[0][0]).toMatchObject({ hasMore: false, nextCursor: null });
+    });
+
+    it('should search with $text while hiding other users\' private messages', async() => {
+        ChatMessage.find.mockReturnValue(chainable([{ _id: 'm1' }]));
+        ChatMessage.countDocuments.mockResolvedValue(1);
+        const res = mockResponse();
+
+        await chatController.searchMessages({
+            params: { sessionId: 's1' },
+            query: { q: 'derivative' },
+            user,
+        }, res, jest.fn());
+
+        const [query, projection] = ChatMessage.find.mock.calls[0];
+        expect(query).toMatchObject({ session: 's1', breakoutRoom: null, isDeleted: false, $text: { $search: 'derivative' } });
+        expect(query.$or).toContainEqual({ targetUser: 'user1' });
+        expect(projection).toEqual({ score: { $meta: 'textScore' } });
+        expect(res.json.mock.calls[0][0].pagination.totalResults).toBe(1);
+    });
+
+    it('should link a reply to its parent message', async() => {
+        ChatMessage.findOne.mockResolvedValue({ _id: 'parent' });
+        const res = mockResponse();
+
+        await chatController.sendMessage({
+            body: { sessionId: 's1', message: 'Same question here', replyTo: 'parent' },
+            user,
+            app: { get: () => null },
+        }, res, jest.fn());
+
+        expect(ChatMessage.findOne).toHaveBeenCalledWith({ _id: 'parent', session: 's1', isDeleted: false });
+        expect(ChatMessage.updateOne).toHaveBeenCalledWith({ _id: 'parent' }, { $push: { replies: 'new-msg' } });
+        expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should reject replies to messages from another session', async() => {
+        ChatMessage.findOne.mockResolvedValue(null);
+        const res = mockResponse();
+
+        await chatController.sendMessage({
+            body: { sessionId: 's1', message: 'Hi', replyTo: 'elsewhere' },
+            user,
+            app: { get: () => null },
+        }, res, jest.fn());
+
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(ChatMessage).not.toHaveBeenCalled();
+    });
+
+    it('should return a thread with its replies', async() => {
+        const root = { _id: 'root' };
+        const rootQuery = chainable(root);
+        ChatMessage.findOne.mockReturnValue(rootQuery);
+        ChatMessage.find.mockReturnValue(chainable([{ _id: 'r1' }, { _id: 'r2' }]));
+        const res = mockResponse();
+
+        await chatController.getThread({ params: { sessionId: 's1', messageId: 'root' }, query: {}, user }, res, jest.fn());
+
+        expect(ChatMessage.findOne.mock.calls[0][0]).toMatchObject({ _id: 'root', session: 's1', breakoutRoom: null });
+        expect(ChatMessage.find.mock.calls[0][0]).toMatchObject({ replyTo: 'root', isDeleted: false });
+        expect(res.json).toHaveBeenCalledWith({ chatMessage: root, replies: [{ _id: 'r1' }, { _id: 'r2' }] });
+    });
+
+    it('should keep search and threads in breakout rooms to the room\'s members', async() => {
+        const session = { breakoutRooms: [{ _id: 'room1', members: ['user1'] }, { _id: 'room2', members: ['user2'] }] };
+        ChatMessage.find.mockReturnValue(chainable([]));
+        ChatMessage.countDocuments.mockResolvedValue(0);
+
+        const res = mockResponse();
+        await chatController.searchMessages({
+            params: { sessionId: 's1' },
+            query: { q: 'answer', breakoutRoom: 'room1' },
+            session,
+            user,
+        }, res, jest.fn());
+        expect(ChatMessage.find.mock.calls[0][0]).toMatchObject({ session: 's1', breakoutRoom: 'room1' });
+
+        const denied = mockResponse();
+        await chatController.getThread({
+            params: { sessionId: 's1', messageId: 'root' },
+            query: { breakoutRoom: 'room2' },
+            session,
+            user,
+        }, denied, jest.fn());
+        expect(denied.status).toHaveBeenCalledWith(404);
+        expect(ChatMessage.findOne).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,52 @@
+jest.mock('../models', () => ({ Attendance: { findOneAndUpdate: jest.fn(), findOne: jest.fn() } }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { Attendance } = require('../models');
+const { CODE_WINDOW_SECONDS, generateCode, verifyCode, checkInWithCode } = require('../services/checkinService');
+
+describe('Rotating check-in codes', () => {
+    const sessionId = '64b7f0c2a1b2c3d4e5f60718';
+    const issuedAt = new Date('2025-01-06T04:00:05.000Z');
+    const later = seconds => new Date(issuedAt.getTime() + seconds * 1000);
+
+    it('should accept the current code and the previous one within the grace window', () => {
+        const { code, window } = generateCode(sessionId, issuedAt);
+
+        expect(verifyCode(sessionId, code, issuedAt)).toEqual({ valid: true, window });
+        expect(verifyCode(sessionId, code, later(CODE_WINDOW_SECONDS))).toEqual({ valid: true, window });
+    });
+
+    it('should reject expired codes', () => {
+        const { code } = generateCode(sessionId, issuedAt);
+        expect(verifyCode(sessionId, code, later(CODE_WINDOW_SECONDS * 3))).toMatchObject({ valid: false, reason: 'expired' });
+    });
+
+    it('should reject codes for another session or with a forged signature', () => {
+        const { code, window } = generateCode(sessionId, issuedAt);
+
+        expect(verifyCode('64b7f0c2a1b2c3d4e5f60719', code, issuedAt)).toMatchObject({ valid: false, reason: 'invalid' });
+        expect(verifyCode(sessionId, `${window}.000000000000`, issuedAt)).toMatchObject({ valid: false, reason: 'invalid' });
+        expect(verifyCode(sessionId, 'not-a-code', issuedAt)).toMatchObject({ valid: false, reason: 'invalid' });
+    });
+
+    it('should reject a replayed code and raise a suspicious_activity alert', async() => {
+        const { code, window } = generateCode(sessionId, new Date());
+        const attendance = {
+            checkIn: { lastWindow: window, rejectedAttempts: 0 },
+            addAlert: jest.fn().mockResolvedValue(),
+            save: jest.fn(),
+        };
+        Attendance.findOneAndUpdate.mockResolvedValueOnce(attendance);
+
+        const result = await checkInWithCode({ _id: sessionId }, 'student1', code);
+
+        expect(result).toMatchObject({ accepted: false, reason: 'replayed' });
+        expect(attendance.addAlert).toHaveBeenCalledWith(
+            'suspicious_activity',
+            'Check-in rejected: replayed code',
+            'medium',
+            expect.objectContaining({ reason: 'replayed', codeWindow: window })
+        );
+        expect(attendance.save).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,110 @@
+jest.mock('../models', () => ({
+    Course: { exists: jest.fn(), findById: jest.fn() },
+    Section: { exists: jest.fn(), findById: jest.fn() },
+    College: { findById: jest.fn() },
+    ClassSession: { updateMany: jest.fn(), find: jest.fn() },
+    User: { find: jest.fn() },
+}));
+jest.mock('../services/enrollmentService', () => ({ promoteWaitlists: jest.fn(), enrollStudents: jest.fn() }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { Section, College, ClassSession, User } = require('../models');
+const enrollmentService = require('../services/enrollmentService');
+const courseService = require('../services/courseService');
+
+function makeSection(overrides = {}) {
+    const section = {
+        _id: 'sec1',
+        college: 'c1',
+        isActive: true,
+        course: { _id: 'course1', title: 'Thermodynamics' },
+        instructors: [{ user: 'f1', role: 'primary' }, { user: 'f2', role: 'co' }],
+        students: [{ student: 's1', status: 'active' }, { student: 's2', status: 'dropped' }],
+        save: jest.fn(),
+        ...overrides,
+    };
+    section.isInstructor = userId => section.instructors.some(i => i.user === userId.toString());
+    section.activeStudentIds = () => section.students.filter(s => s.status === 'active').map(s => s.student);
+    return section;
+}
+
+function selectResolving(result) {
+    return { select: jest.fn().mockResolvedValue(result) };
+}
+
+describe('Courses and sections', () => {
+    const admin = { userId: 'a1', role: 'admin', college: 'c1' };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('should label academic years', () => {
+        expect(courseService.academicYearLabel({ start: '2026-07-01', end: '2027-05-31' })).toBe('2026-27');
+        expect(courseService.academicYearLabel({ start: '2026-01-05', end: '2026-12-20' })).toBe('2026');
+    });
+
+    it('should require the college academic year to create a section', async() => {
+        College.findById.mockReturnValue(selectResolving({ settings: {} }));
+
+        await expect(courseService.createSection({ _id: 'course1', college: 'c1' }, { name: 'A', primaryInstructorId: 'f1' }, admin))
+            .rejects.toThrow(/academic year/);
+    });
+
+    it('should enroll new and returning students into open sessions of the section', async() => {
+        const section = makeSection();
+        const sessions = [{ _id: 'sess1' }, { _id: 'sess2' }];
+        User.find.mockReturnValue(selectResolving([{ _id: 's1' }, { _id: 's2' }, { _id: 's3' }]));
+        ClassSession.find.mockResolvedValue(sessions);
+
+        const { added, alreadyEnrolled } = await courseService.addStudents(section, ['s1', 's2', 's3']);
+
+        expect(added).toEqual(['s2', 's3']);
+        expect(alreadyEnrolled).toEqual(['s1']);
+        expect(section.students.find(s => s.student === 's2').status).toBe('active');
+        expect(ClassSession.find).toHaveBeenCalledWith({ section: 'sec1', status: { $in: ['scheduled', 'live', 'paused'] } });
+        // Capacity and the waitlist apply to section students as to any enrollment
+        expect(enrollmentService.enrollStudents).toHaveBeenCalledTimes(2);
+        expect(enrollmentService.enrollStudents).toHaveBeenCalledWith(sessions[1], ['s2', 's3']);
+    });
+
+    it('should reject students from another college', async() => {
+        User.find.mockReturnValue(selectResolving([{ _id: 's1' }]));
+
+        await expect(courseService.addStudents(makeSection(), ['s1', 'x9'])).rejects.toMatchObject({ statusCode: 400 });
+        expect(enrollmentService.enrollStudents).not.toHaveBeenCalled();
+    });
+
+    it('should drop students from sessions that have not started and seat waitlisted students', async() => {
+        const section = makeSection();
+
+        await courseService.dropStudent(section, 's1');
+
+        expect(section.students[0]).toMatchObject({ status: 'dropped', droppedAt: expect.any(Date) });
+        expect(ClassSession.updateMany).toHaveBeenCalledWith(
+            { section: 'sec1', status: 'scheduled' },
+            { $pull: { students: { student: 's1' } } }
+        );
+        expect(enrollmentService.promoteWaitlists).toHaveBeenCalledWith({ section: 'sec1' });
+    });
+
+    it('should let only instructors create sessions under a section, with its roster', async() => {
+        Section.findById.mockReturnValue({ populate: jest.fn().mockResolvedValue(makeSection()) });
+
+        await expect(courseService.sessionFieldsFromSection('sec1', 'f2', admin)).resolves.toEqual({
+            section: 'sec1',
+            subject: 'Thermodynamics',
+            studentIds: ['s1'],
+        });
+        await expect(courseService.sessionFieldsFromSection('sec1', 'f9', admin)).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should keep instructor changes to the primary instructor', async() => {
+        Section.findById.mockReturnValue({ populate: jest.fn().mockResolvedValue(makeSection()) });
+
+        const coInstructor = { userId: 'f2', role: 'faculty', college: 'c1' };
+        await expect(courseService.getSectionForStaff('sec1', coInstructor)).resolves.toBeTruthy();
+        await expect(courseService.getSectionForStaff('sec1', coInstructor, { primaryOnly: true })).rejects.toMatchObject({ statusCode: 403 });
+        await expect(courseService.removeInstructor(makeSection(), 'f1')).rejects.toThrow(/primary instructor/);
+    });
+});
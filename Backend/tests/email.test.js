@@ -0,0 +1,74 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../models', () => ({
+    User: { findOne: jest.fn() },
+    College: {},
+}));
+process.env.API_URL = 'https://api.example.edu/';
+
+const nodemailer = require('nodemailer');
+const { User } = require('../models');
+const emailService = require('../services/emailService');
+const { renderTemplate } = require('../services/emailTemplates');
+const authService = require('../services/authService');
+const { sha256Hash } = require('../utils/encryption');
+
+describe('Email flows', () => {
+    beforeAll(() => {
+        emailService.setTransporter(nodemailer.createTransport(emailService.captureTransport));
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        emailService.clearCapturedEmails();
+    });
+
+    it('should escape user values in the HTML part', () => {
+        const mail = renderTemplate('verifyEmail', { name: '<b>Asha</b>', url: 'http://x/verify?a=1&b=2', expiresInHours: 24 });
+
+        expect(mail.subject).toMatch(/Verify/);
+        expect(mail.text).toContain('<b>Asha</b>');
+        expect(mail.html).toContain('&lt;b&gt;Asha&lt;/b&gt;');
+        expect(mail.html).toContain('a=1&amp;b=2');
+        expect(() => renderTemplate('missing', {})).toThrow(/Unknown email template/);
+    });
+
+    it('should email a verification link and store only the token hash', async () => {
+        const user = { _id: 'u1', name: 'Asha', email: 'asha@example.com', save: jest.fn() };
+
+        await authService.sendVerificationEmail(user);
+
+        const [mail] = emailService.getCapturedEmails();
+        expect(mail.to).toBe('asha@example.com');
+
+        // The link goes to the API, not the app
+        const token = mail.text.match(/https:\/\/api\.example\.edu\/api\/auth\/verify-email\/([a-f0-9]{64})/)[1];
+        expect(user.emailVerificationToken).toBe(sha256Hash(token));
+        expect(user.emailVerificationToken).not.toBe(token);
+        expect(user.emailVerificationExpires.getTime()).toBeGreaterThan(Date.now());
+        expect(user.save).toHaveBeenCalled();
+    });
+
+    it('should consume a verification token once', async () => {
+        const user = { _id: 'u1', emailVerified: false, emailVerificationToken: sha256Hash('abc'), save: jest.fn() };
+        User.findOne.mockResolvedValueOnce(user).mockResolvedValueOnce(null);
+
+        await expect(authService.verifyEmailToken('abc')).resolves.toBe(user);
+        expect(User.findOne.mock.calls[0][0].emailVerificationToken).toBe(sha256Hash('abc'));
+        expect(user.emailVerified).toBe(true);
+        expect(user.emailVerificationToken).toBeUndefined();
+
+        await expect(authService.verifyEmailToken('abc')).resolves.toBeNull();
+    });
+
+    it('should email a password reset link with a hashed, expiring token', async () => {
+        const user = { _id: 'u1', name: 'Asha', email: 'asha@example.com', save: jest.fn() };
+
+        await authService.sendPasswordResetEmail(user);
+
+        const [mail] = emailService.getCapturedEmails();
+
+        const token = mail.text.match(/reset-password\?token=([a-f0-9]{64})/)[1];
+        expect(user.passwordResetToken).toBe(sha256Hash(token));
+        expect(user.passwordResetExpires.getTime()).toBeLessThanOrEqual(Date.now() + 60 * 60 * 1000);
+    });
+});
@@ -0,0 +1,97 @@
+jest.mock('../models', () => ({ College: { findById: jest.fn() } }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { distanceFromFence, isPointInPolygon } = require('../utils/geo');
+const { evaluateLocation, getApplicableFences } = require('../services/geofenceService');
+
+describe('Geofence verification', () => {
+    const campus = {
+        _id: 'campus',
+        name: 'Main campus',
+        type: 'polygon',
+        isActive: true,
+        polygon: [
+            { latitude: 28.6000, longitude: 77.2000 },
+            { latitude: 28.6000, longitude: 77.2100 },
+            { latitude: 28.6100, longitude: 77.2100 },
+            { latitude: 28.6100, longitude: 77.2000 },
+        ],
+    };
+    const lectureHall = {
+        _id: 'hall',
+        name: 'Lecture hall A',
+        type: 'circle',
+        isActive: true,
+        classroom: 'LH-A',
+        center: { latitude: 28.6050, longitude: 77.2050 },
+        radiusMeters: 50,
+    };
+    const college = {
+        settings: { requireLocationVerification: true, maxLocationAccuracyMeters: 100 },
+        geofences: [campus, lectureHall],
+    };
+    const session = { settings: { requireLocationVerification: true } };
+
+    it('should measure signed distance to circle and polygon fences', () => {
+        const centre = { latitude: 28.6050, longitude: 77.2050 };
+        expect(distanceFromFence(centre, lectureHall)).toBeCloseTo(-50, 0);
+        expect(isPointInPolygon(centre, campus.polygon)).toBe(true);
+
+        // About 111 m north of the campus boundary
+        const outside = { latitude: 28.6110, longitude: 77.2050 };
+        expect(distanceFromFence(outside, campus)).toBeGreaterThan(100);
+        expect(distanceFromFence(outside, campus)).toBeLessThan(125);
+    });
+
+    it('should use classroom fences when the session has a classroom', () => {
+        expect(getApplicableFences(college, session)).toEqual([campus]);
+        expect(getApplicableFences(college, { ...session, classroom: 'LH-A' })).toEqual([lectureHall]);
+        expect(getApplicableFences(college, { ...session, classroom: 'LH-B' })).toEqual([campus]);
+    });
+
+    it('should verify fixes whose accuracy circle reaches the fence', () => {
+        const justOutside = { latitude: 28.6105, longitude: 77.2050 }; // ~56 m outside
+
+        expect(evaluateLocation(college, session, { ...justOutside, accuracy: 80 })).toMatchObject({
+            verified: true,
+            status: 'inside',
+        });
+        expect(evaluateLocation(college, session, { ...justOutside, accuracy: 10 })).toMatchObject({
+            verified: false,
+            status: 'outside',
+            fence: { name: 'Main campus' },
+        });
+    });
+
+    it('should not trust fixes coarser than the college threshold', () => {
+        const result = evaluateLocation(college, session, { latitude: 28.6050, longitude: 77.2050, accuracy: 500 });
+        expect(result).toMatchObject({ verified: false, status: 'low_accuracy', maxAccuracyMeters: 100 });
+    });
+
+    it('should skip verification when the session does not require it', () => {
+        const result = evaluateLocation(college, { settings: { requireLocationVerification: false } }, {
+            latitude: 0,
+            longitude: 0,
+            accuracy: 5,
+        });
+        expect(result).toMatchObject({ required: false, verified: true, status: 'not_required' });
+    });
+
+    it('should leave verification off until the college turns it on', () => {
+        const result = evaluateLocation({ ...college, settings: { maxLocationAccuracyMeters: 100 } }, session, {
+            latitude: 0,
+            longitude: 0,
+            accuracy: 5,
+        });
+        expect(result).toMatchObject({ required: false, status: 'not_required' });
+    });
+
+    it('should not fail verification for colleges without geofences', () => {
+        const result = evaluateLocation({ settings: { requireLocationVerification: true }, geofences: [] }, session, {
+            latitude: 0,
+            longitude: 0,
+            accuracy: 5,
+        });
+        expect(result).toMatchObject({ required: false, verified: true, status: 'not_configured' });
+    });
+});
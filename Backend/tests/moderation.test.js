@@ -0,0 +1,191 @@
+jest.mock('../models', () => ({
+    ChatMessage: { findOne: jest.fn(), create: jest.fn() },
+    ClassSession: { findById: jest.fn() },
+    College: { findById: jest.fn() },
+    User: { findById: jest.fn() },
+    AuditLog: { create: jest.fn() },
+}));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { ChatMessage, ClassSession, College, User, AuditLog } = require('../models');
+
+const moderationService = require('../services/moderationService');
+
+// Minimal stand-in for an ObjectId with equals()
+const id = (value) => ({ value, equals: (other) => String(other) === value, toString: () => value });
+
+function mockCollegeFilter(chatFilter) {
+    College.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ settings: { chatFilter } }) });
+}
+
+describe('Chat moderation', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('word filter', () => {
+        it('should mask whole words case-insensitively', () => {
+            const result = moderationService.applyWordFilter('Well DARN it, darnation', ['darn']);
+
+            expect(result.text).toBe('Well **** it, darnation');
+            expect(result.matches).toEqual(['darn']);
+        });
+
+        it('should mask default and college words in mask mode', async() => {
+            mockCollegeFilter({ enabled: true, mode: 'mask', useDefaultList: true, words: ['spoiler'] });
+
+            await expect(moderationService.filterMessage('c1', 'no spoiler, this is shit'))
+                .resolves.toEqual({ text: 'no *******, this is ****', filtered: true });
+        });
+
+        it('should reject messages in block mode', async() => {
+            mockCollegeFilter({ enabled: true, mode: 'block', useDefaultList: false, words: ['cheat sheet'] });
+
+            await expect(moderationService.filterMessage('c1', 'Anyone have the cheat sheet?'))
+                .rejects.toMatchObject({ statusCode: 422 });
+        });
+
+        it('should pass everything through when the filter is disabled', async() => {
+            mockCollegeFilter({ enabled: false });
+
+            await expect(moderationService.filterMessage('c1', 'shit')).resolves.toEqual({ text: 'shit', filtered: false });
+        });
+    });
+
+    describe('send checks', () => {
+        const session = (overrides = {}) => ({
+            _id: 's1',
+            settings: { chatSlowModeSeconds: 0 },
+            chatRestrictions: [],
+            ...overrides,
+        });
+
+        it('should block muted students until the mute expires', async() => {
+            const until = new Date(Date.now() + 60000);
+            const muted = session({ chatRestrictions: [{ user: id('u1'), type: 'mute', until }] });
+
+            await expect(moderationService.assertCanSend(muted, 'u1', 'student'))
+                .rejects.toMatchObject({ statusCode: 403, details: { until } });
+
+            const expired = session({ chatRestrictions: [{ user: id('u1'), type: 'mute', until: new Date(Date.now() - 1000) }] });
+            await expect(moderationService.assertCanSend(expired, 'u1', 'student')).resolves.toBeUndefined();
+        });
+
+        it('should enforce slow mode with a retry hint', async() => {
+            ChatMessage.findOne.mockReturnValue({
+                sort: () => ({ select: jest.fn().mockResolvedValue({ timestamp: new Date(Date.now() - 4000) }) }),
+            });
+
+            const error = await moderationService.assertCanSend(session({ settings: { chatSlowModeSeconds: 10 } }), 'u1', 'student')
+                .catch(e => e);
+
+            expect(error.statusCode).toBe(429);
+            expect(error.details.retryAfterSeconds).toBeGreaterThanOrEqual(5);
+            expect(error.details.retryAfterSeconds).toBeLessThanOrEqual(6);
+        });
+
+        it('should not restrict faculty', async() => {
+            const restricted = session({
+                settings: { chatSlowModeSeconds: 60 },
+                chatRestrictions: [{ user: id('f1'), type: 'ban', until: new Date(Date.now() + 60000) }],
+            });
+
+            await expect(moderationService.assertCanSend(restricted, 'f1', 'faculty')).resolves.toBeUndefined();
+            expect(ChatMessage.findOne).not.toHaveBeenCalled();
+        });
+
+        it('should hold edits to mutes, bans and the word filter but not slow mode', async() => {
+            const banned = session({ chatRestrictions: [{ user: id('u1'), type: 'ban', until: new Date(Date.now() + 60000) }] });
+            ClassSession.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(banned) });
+
+            await expect(moderationService.prepareMessageEdit({ sessionId: 's1', userId: 'u1', role: 'student', text: 'edited' }))
+                .rejects.toMatchObject({ statusCode: 403 });
+
+            ClassSession.findById.mockReturnValue({
+                select: jest.fn().mockResolvedValue(session({ college: 'c1', settings: { chatSlowModeSeconds: 60 } })),
+            });
+            mockCollegeFilter({ enabled: true, mode: 'block', useDefaultList: false, words: ['cheat sheet'] });
+
+            await expect(moderationService.prepareMessageEdit({ sessionId: 's1', userId: 'u1', role: 'student', text: 'the cheat sheet' }))
+                .rejects.toMatchObject({ statusCode: 422 });
+            await expect(moderationService.prepareMessageEdit({ sessionId: 's1', userId: 'u1', role: 'student', text: 'fixed typo' }))
+                .resolves.toEqual({ text: 'fixed typo', filtered: false });
+            expect(ChatMessage.findOne).not.toHaveBeenCalled();
+        });
+    });
+
+    it('should ban a student, remove them from the room and record the action', async() => {
+        const leave = jest.fn();
+        const emit = jest.fn();
+        const io = { in: jest.fn(() => ({ socketsLeave: leave })), to: jest.fn(() => ({ emit })) };
+        const session = {
+            _id: 's1',
+            college: 'c1',
+            students: [{ student: id('u1') }],
+            chatRestrictions: [{ user: id('u1'), type: 'ban', until: new Date(0) }],
+            save: jest.fn(),
+        };
+        User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ name: 'Ravi' }) });
+        ChatMessage.create.mockResolvedValue({ _id: 'sys1' });
+
+        const result = await moderationService.restrictUser({
+            io, session, userId: 'u1', type: 'ban', durationMinutes: 30, reason: 'Spamming', moderatorId: 'f1',
+        });
+
+        expect(session.chatRestrictions).toHaveLength(1);
+        expect(session.chatRestrictions[0]).toMatchObject({ type: 'ban', reason: 'Spamming', issuedBy: 'f1' });
+        expect(result.until.getTime()).toBeGreaterThan(Date.now() + 29 * 60000);
+        expect(io.in).toHaveBeenCalledWith('user-u1');
+        expect(leave).toHaveBeenCalledWith('session-s1');
+        expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'chat.ban', actor: 'f1', targetUser: 'u1' }));
+        expect(ChatMessage.create).toHaveBeenCalledWith(expect.objectContaining({
+            type: 'system',
+            message: 'Ravi was banned for 30 minutes.',
+        }));
+        expect(emit).toHaveBeenCalledWith('chat_message', { _id: 'sys1' });
+    });
+
+    describe('flagging', () => {
+        const message = (overrides = {}) => ({
+            _id: 'm1',
+            sender: id('u2'),
+            flaggedBy: [],
+            save: jest.fn(),
+            ...overrides,
+        });
+
+        beforeEach(() => {
+            ClassSession.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ faculty: 'f1', breakoutRooms: [] }) });
+        });
+
+        it('should flag a public message and tell the faculty', async() => {
+            const emit = jest.fn();
+            const flagged = message();
+            ChatMessage.findOne.mockResolvedValue(flagged);
+
+            await moderationService.flagMessage({
+                io: { to: jest.fn(() => ({ emit })) }, sessionId: 's1', messageId: 'm1', userId: 'u1', role: 'student', reason: 'Spam',
+            });
+
+            expect(flagged.isFlagged).toBe(true);
+            expect(flagged.flaggedBy[0]).toMatchObject({ user: 'u1', reason: 'Spam' });
+            expect(emit).toHaveBeenCalledWith('chat_message_flagged', expect.objectContaining({ messageId: 'm1', flagCount: 1 }));
+        });
+
+        it('should not let a student flag a private message they cannot see', async() => {
+            const hidden = message({ isPrivate: true, targetUser: id('u3') });
+            ChatMessage.findOne.mockResolvedValue(hidden);
+
+            await expect(moderationService.flagMessage({ sessionId: 's1', messageId: 'm1', userId: 'u1', role: 'student' }))
+                .rejects.toMatchObject({ statusCode: 404 });
+            expect(hidden.save).not.toHaveBeenCalled();
+        });
+    });
+
+    it('should refuse to restrict users outside the session', async() => {
+        const session = { students: [{ student: id('u1') }], chatRestrictions: [] };
+
+        await expect(moderationService.restrictUser({ session, userId: 'u2', type: 'mute', durationMinutes: 5 }))
+            .rejects.toMatchObject({ statusCode: 404 });
+    });
+});
@@ -0,0 +1,126 @@
+jest.mock('../models', () => ({
+    Notification: {
+        findOneAndUpdate: jest.fn(),
+        updateMany: jest.fn(),
+        find: jest.fn(),
+        deleteMany: jest.fn(),
+        getUnreadCount: jest.fn().mockResolvedValue(1),
+    },
+    User: { findById: jest.fn() },
+}));
+jest.mock('../services/emailService', () => ({ sendEmail: jest.fn() }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { Notification, User } = require('../models');
+const emailService = require('../services/emailService');
+const notificationDispatcher = require('../services/notificationDispatcher');
+
+function makeNotification(overrides = {}) {
+    const notification = {
+        _id: `n${Math.random()}`,
+        recipient: 'user1',
+        title: 'Upcoming session',
+        message: 'Physics starts in 15 minutes.',
+        data: {},
+        channels: { inApp: true, email: false, sms: false, push: false },
+        deliveryStatus: { inApp: {}, email: {}, sms: {}, push: {} },
+        dispatch: { state: 'processing', attempts: 0 },
+        save: jest.fn(),
+        toJSON() { return { title: this.title }; },
+        ...overrides,
+    };
+    return notification;
+}
+
+describe('Notification dispatcher', () => {
+    const emit = jest.fn();
+    const io = { to: jest.fn(() => ({ emit })) };
+
+    beforeAll(() => {
+        notificationDispatcher.start({ io });
+    });
+
+    afterAll(() => {
+        notificationDispatcher.stop();
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        Notification.deleteMany.mockResolvedValue({ deletedCount: 0 });
+        User.findById.mockReturnValue({
+            select: jest.fn().mockResolvedValue({ _id: 'user1', name: 'Asha', email: 'asha@example.com', isActive: true }),
+        });
+    });
+
+    it('should push due notifications to the recipient room and mark them sent', async() => {
+        const notification = makeNotification();
+        Notification.findOneAndUpdate.mockResolvedValueOnce(notification).mockResolvedValueOnce(null);
+
+        await notificationDispatcher.tick();
+
+        expect(io.to).toHaveBeenCalledWith('user-user1');
+        expect(emit).toHaveBeenCalledWith('notification', { title: 'Upcoming session' });
+        expect(emit).toHaveBeenCalledWith('notification_count', { unreadCount: 1 });
+        expect(notification.deliveryStatus.inApp.delivered).toBe(true);
+        expect(notification.dispatch.state).toBe('sent');
+        expect(notification.save).toHaveBeenCalled();
+    });
+
+    it('should collapse notifications sharing a groupKey into one digest', async() => {
+        const group = [
+            makeNotification({ groupKey: 'chat:s1', channels: { inApp: true, email: true } }),
+            makeNotification({ groupKey: 'chat:s1', channels: { inApp: true, email: true }, title: 'Second' }),
+        ];
+        Notification.findOneAndUpdate.mockResolvedValueOnce(group[0]).mockResolvedValueOnce(null);
+        Notification.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(group) });
+
+        await notificationDispatcher.tick();
+
+        const [filter] = Notification.updateMany.mock.calls[0];
+        expect(filter).toMatchObject({ recipient: 'user1', groupKey: 'chat:s1', 'dispatch.state': 'pending' });
+        expect(emit).toHaveBeenCalledWith('notification_digest', expect.objectContaining({ count: 2 }));
+        expect(emailService.sendEmail).toHaveBeenCalledTimes(1);
+        expect(emailService.sendEmail.mock.calls[0][0].subject).toBe('You have 2 new notifications');
+        expect(group.every(n => n.dispatch.state === 'sent')).toBe(true);
+    });
+
+    it('should retry failed channels with backoff without repeating delivered ones', async() => {
+        emailService.sendEmail.mockRejectedValueOnce(new Error('SMTP down'));
+        const notification = makeNotification({ channels: { inApp: true, email: true } });
+        Notification.findOneAndUpdate.mockResolvedValueOnce(notification).mockResolvedValueOnce(null);
+
+        const before = Date.now();
+        await notificationDispatcher.tick();
+
+        expect(notification.deliveryStatus.inApp.delivered).toBe(true);
+        expect(notification.deliveryStatus.email.lastError).toBe('SMTP down');
+        expect(notification.dispatch.state).toBe('pending');
+        expect(notification.dispatch.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + 30 * 1000);
+
+        // Second attempt only goes out by email
+        emit.mockClear();
+        Notification.findOneAndUpdate.mockResolvedValueOnce(notification).mockResolvedValueOnce(null);
+        await notificationDispatcher.tick();
+
+        expect(emit).not.toHaveBeenCalled();
+        expect(notification.deliveryStatus.email.delivered).toBe(true);
+        expect(notification.dispatch.state).toBe('sent');
+        expect(notification.dispatch.attempts).toBe(2);
+    });
+
+    it('should delay grouped, non-urgent notifications by the digest window', () => {
+        const scheduledFor = new Date('2026-01-01T10:00:00Z');
+
+        expect(notificationDispatcher.initialAttemptAt({ scheduledFor, groupKey: 'g', priority: 'medium' }).getTime())
+            .toBe(scheduledFor.getTime() + 120 * 1000);
+        expect(notificationDispatcher.initialAttemptAt({ scheduledFor, groupKey: 'g', priority: 'urgent' })).toBe(scheduledFor);
+        expect(notificationDispatcher.initialAttemptAt({ scheduledFor, priority: 'medium' })).toBe(scheduledFor);
+    });
+
+    it('should purge expired notifications', async() => {
+        Notification.deleteMany.mockResolvedValueOnce({ deletedCount: 3 });
+
+        await expect(notificationDispatcher.purgeExpired()).resolves.toBe(3);
+        expect(Notification.deleteMany.mock.calls[0][0].expiresAt.$lte).toBeInstanceOf(Date);
+    });
+});
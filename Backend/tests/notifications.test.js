@@ -0,0 +1,129 @@
+jest.mock('../models', () => {
+    const Notification = jest.fn(function(data) {
+        Object.assign(this, {
+            channels: { inApp: true, email: false, sms: false, push: true },
+            dispatch: {},
+            save: jest.fn(),
+        }, data);
+    });
+    Notification.schema = { path: () => ({ enumValues: ['session_reminder', 'poll_created', 'announcement'] }) };
+    Notification.find = jest.fn();
+    Notification.countDocuments = jest.fn();
+    Notification.getUnreadCount = jest.fn();
+    Notification.updateMany = jest.fn();
+    return { Notification, User: { findById: jest.fn() } };
+});
+jest.mock('../services/emailService', () => ({ sendEmail: jest.fn() }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { Notification, User } = require('../models');
+const notificationService = require('../services/notificationService');
+
+function mockUserSettings(settings) {
+    const user = { settings, save: jest.fn() };
+    User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+    return user;
+}
+
+describe('Notification service', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('should apply per-type channel preferences when creating a notification', async() => {
+        mockUserSettings({
+            emailUpdates: true,
+            notificationPreferences: new Map([['poll_created', { email: true, push: false }]]),
+        });
+
+        const notification = await notificationService.createNotification({
+            recipient: 'user1', type: 'poll_created', title: 'New poll', message: 'Vote now',
+        });
+
+        expect(notification.channels).toEqual({ inApp: true, email: true, sms: false, push: false });
+        expect(notification.save).toHaveBeenCalled();
+    });
+
+    it('should honour the global email opt-out for types without an override', async() => {
+        mockUserSettings({
+            emailUpdates: false,
+            notificationPreferences: new Map(),
+        });
+
+        const notification = await notificationService.createNotification({
+            recipient: 'user1', type: 'announcement', title: 'Notice', message: 'Campus closed', channels: { inApp: true, email: true },
+        });
+
+        expect(notification.channels.email).toBe(false);
+    });
+
+    it('should keep only in-app delivery when notifications are turned off', async() => {
+        mockUserSettings({
+            notifications: false,
+            emailUpdates: true,
+            notificationPreferences: new Map([['poll_created', { push: true }]]),
+        });
+
+        const announcement = await notificationService.createNotification({
+            recipient: 'user1', type: 'announcement', title: 'Notice', message: 'Campus closed',
+            channels: { inApp: true, email: true, sms: true, push: true },
+        });
+        expect(announcement.channels).toEqual({ inApp: true, email: false, sms: false, push: false });
+
+        // An explicit per-type choice still wins
+        const poll = await notificationService.createNotification({
+            recipient: 'user1', type: 'poll_created', title: 'New poll', message: 'Vote now', channels: { push: false },
+        });
+        expect(poll.channels.push).toBe(true);
+    });
+
+    it('should merge preference updates and drop cleared overrides', async() => {
+        const stored = new Map([['poll_created', { toObject: () => ({ email: true }) }]]);
+        const user = mockUserSettings({ emailUpdates: true, notificationPreferences: stored });
+
+        await notificationService.updatePreferences('user1', {
+            poll_created: { email: null },
+            session_reminder: { sms: true },
+        });
+
+        expect(stored.has('poll_created')).toBe(false);
+        expect(stored.get('session_reminder')).toEqual({ sms: true });
+        expect(user.save).toHaveBeenCalled();
+
+        await expect(notificationService.updatePreferences('user1', { bogus: { email: true } }))
+            .rejects.toMatchObject({ statusCode: 400 });
+        await expect(notificationService.updatePreferences('user1', { poll_created: true }))
+            .rejects.toMatchObject({ statusCode: 400 });
+        await expect(notificationService.updatePreferences('user1', { poll_created: null }))
+            .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should list visible notifications with pagination and the unread count', async() => {
+        const query = { populate: jest.fn(), sort: jest.fn(), skip: jest.fn(), limit: jest.fn().mockResolvedValue([{ _id: 'n1' }]) };
+        query.populate.mockReturnValue(query);
+        query.sort.mockReturnValue(query);
+        query.skip.mockReturnValue(query);
+        Notification.find.mockReturnValue(query);
+        Notification.countDocuments.mockResolvedValue(45);
+        Notification.getUnreadCount.mockResolvedValue(7);
+
+        const result = await notificationService.listNotifications('user1', { page: '2', limit: '20', types: ['poll_created'] });
+
+        expect(Notification.find).toHaveBeenCalledWith({
+            recipient: 'user1',
+            isDismissed: { $ne: true },
+            isArchived: { $ne: true },
+            type: { $in: ['poll_created'] },
+        });
+        expect(query.skip).toHaveBeenCalledWith(20);
+        expect(result.unreadCount).toBe(7);
+        expect(result.pagination).toMatchObject({ currentPage: 2, totalPages: 3, hasNext: true, hasPrev: true });
+    });
+
+    it('should only touch the user\'s own notifications in bulk updates', async() => {
+        Notification.updateMany.mockResolvedValue({ modifiedCount: 2 });
+
+        await expect(notificationService.markManyAsRead('user1', ['a', 'b'])).resolves.toBe(2);
+        expect(Notification.updateMany.mock.calls[0][0]).toEqual({ recipient: 'user1', _id: { $in: ['a', 'b'] }, isRead: false });
+    });
+});
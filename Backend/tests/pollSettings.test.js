@@ -0,0 +1,147 @@
+jest.mock('../models', () => ({
+    Poll: { findById: jest.fn() },
+}));
+jest.mock('../services/schedulerService', () => ({
+    defineJob: jest.fn(),
+    scheduleJob: jest.fn(),
+    cancelJobs: jest.fn(),
+}));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { Poll } = require('../models');
+const pollService = require('../services/pollService');
+const { mockIo } = require('./utils/mockIo');
+
+function makePoll(overrides = {}) {
+    const { settings, ...rest } = overrides;
+    return {
+        _id: 'poll1',
+        session: 'sess1',
+        type: 'single_choice',
+        isActive: true,
+        options: ['A', 'B', 'C', 'D'].map(text => ({ text, votes: 0, voters: [] })),
+        textResponses: [],
+        settings: { showResults: 'after_vote', allowChangeVote: false, allowMultipleAnswers: false, ...settings },
+        close: jest.fn(function() {
+            this.isActive = false;
+            this.closedAt = new Date();
+        }),
+        ...rest,
+    };
+}
+
+describe('Poll settings', () => {
+    const student = { userId: 'student1', role: 'student' };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('should shuffle options per student with a stable order', () => {
+        const poll = makePoll({ settings: { randomizeOptions: true } });
+
+        const first = pollService.optionsFor(poll, student).map(o => o.index);
+        const again = pollService.optionsFor(poll, student).map(o => o.index);
+
+        expect(again).toEqual(first);
+        expect([...first].sort()).toEqual([0, 1, 2, 3]);
+        expect(pollService.optionsFor(poll, { userId: 'f1', role: 'faculty' }).map(o => o.index)).toEqual([0, 1, 2, 3]);
+
+        // Different students do not all share one order
+        const orders = new Set(['s1', 's2', 's3', 's4', 's5', 's6'].map(id => pollService.optionOrderFor('poll1', id, 4).join()));
+        expect(orders.size).toBeGreaterThan(1);
+    });
+
+    it('should filter results per viewer by showResults', () => {
+        const voted = makePoll();
+        voted.options[0].voters.push({ user: 'student1' });
+
+        expect(pollService.canSeeResults(voted, student)).toBe(true);
+        expect(pollService.canSeeResults(voted, { userId: 'student2', role: 'student' })).toBe(false);
+        expect(pollService.canSeeResults(makePoll({ settings: { showResults: 'after_close' } }), student)).toBe(false);
+        expect(pollService.canSeeResults(makePoll({ settings: { showResults: 'after_close' }, isActive: false }), student)).toBe(true);
+        expect(pollService.canSeeResults(makePoll({ settings: { showResults: 'never' }, isActive: false }), student)).toBe(false);
+        expect(pollService.canSeeResults(makePoll({ settings: { showResults: 'never' } }), { role: 'faculty' })).toBe(true);
+
+        expect(pollService.optionsFor(makePoll({ settings: { showResults: 'never' } }), student)[0]).not.toHaveProperty('votes');
+    });
+
+    it('should accept multi-select votes only when allowed', () => {
+        const single = makePoll();
+        expect(() => pollService.recordVote(single, 'student1', { optionIndexes: [0, 2] })).toThrow(/single answer/);
+
+        const multi = makePoll({ type: 'multiple_choice', settings: { allowMultipleAnswers: true, allowChangeVote: true } });
+        pollService.recordVote(multi, 'student1', { optionIndexes: [0, 2, 2] });
+        expect(multi.options.map(o => o.votes)).toEqual([1, 0, 1, 0]);
+
+        // Changing the vote replaces the whole selection
+        pollService.recordVote(multi, 'student1', { optionIndexes: [1] });
+        expect(multi.options.map(o => o.votes)).toEqual([0, 1, 0, 0]);
+    });
+
+    it('should refuse new participants past maxResponses', () => {
+        const poll = makePoll({ settings: { maxResponses: 1 } });
+        pollService.recordVote(poll, 'student1', { optionIndex: 1 });
+
+        expect(() => pollService.recordVote(poll, 'student2', { optionIndex: 0 })).toThrow(/response limit/);
+        expect(() => pollService.recordVote(poll, 'student1', { optionIndex: 0 })).toThrow(/already voted/);
+    });
+
+    it('should replay a vote that lost a race and recheck maxResponses', async() => {
+        const conflict = Object.assign(new Error('No matching document'), { name: 'VersionError' });
+        const stale = makePoll({ settings: { maxResponses: 2 }, increment: jest.fn(), save: jest.fn().mockRejectedValue(conflict) });
+        const fresh = makePoll({ settings: { maxResponses: 2 }, increment: jest.fn(), save: jest.fn() });
+        fresh.options[0].voters.push({ user: 'student2' });
+        Poll.findById.mockResolvedValue(fresh);
+
+        const saved = await pollService.submitVote(stale, 'student1', { optionIndex: 1 });
+
+        expect(saved).toBe(fresh);
+        expect(fresh.increment).toHaveBeenCalled();
+        expect(fresh.save).toHaveBeenCalled();
+        expect(saved.options[1].voters).toHaveLength(1);
+
+        // The vote that won the race took the last place
+        const full = makePoll({ settings: { maxResponses: 2 } });
+        full.options[0].voters.push({ user: 'student2' }, { user: 'student4' });
+        Poll.findById.mockResolvedValue(full);
+        const late = makePoll({ settings: { maxResponses: 2 }, increment: jest.fn(), save: jest.fn().mockRejectedValue(conflict) });
+
+        await expect(pollService.submitVote(late, 'student3', { optionIndex: 0 })).rejects.toThrow(/response limit/);
+    });
+
+    it('should close the poll once maxResponses is reached', async() => {
+        const { io, emits } = mockIo();
+        const poll = makePoll({ settings: { maxResponses: 1, showResults: 'after_close' } });
+        pollService.recordVote(poll, 'student1', { optionIndex: 1 });
+
+        await pollService.afterVote(io, poll, 'student1', 'faculty1');
+
+        expect(poll.close).toHaveBeenCalled();
+        const closed = emits.find(e => e.event === 'poll_closed');
+        expect(closed.room).toBe('session-sess1');
+        expect(closed.payload.results.options[1].votes).toBe(1);
+    });
+
+    it('should send live counts only to viewers allowed to see them', () => {
+        const { io, emits } = mockIo();
+        const poll = makePoll();
+
+        pollService.broadcastResults(io, poll, 'faculty1');
+
+        expect(emits.map(e => e.room)).toEqual(['user-faculty1', 'poll-results-poll1']);
+
+        emits.length = 0;
+        pollService.broadcastResults(io, makePoll({ settings: { showResults: 'never' } }), 'faculty1');
+        const sessionEmit = emits.find(e => e.room === 'session-sess1');
+        expect(sessionEmit.payload).not.toHaveProperty('options');
+    });
+
+    it('should close at the earlier of expiresIn and timeLimit', () => {
+        const from = new Date('2026-01-01T10:00:00.000Z');
+
+        expect(pollService.closingTime({ expiresIn: 5, timeLimit: 60 }, from)).toEqual(new Date('2026-01-01T10:01:00.000Z'));
+        expect(pollService.closingTime({ expiresIn: 1, timeLimit: 600 }, from)).toEqual(new Date('2026-01-01T10:01:00.000Z'));
+        expect(pollService.closingTime({}, from)).toBeNull();
+    });
+});
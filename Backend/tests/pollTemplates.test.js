@@ -0,0 +1,112 @@
+jest.mock('../models', () => ({
+    PollTemplate: { findById: jest.fn(), updateOne: jest.fn() },
+    Poll: jest.fn(),
+    ClassSession: { findById: jest.fn(), findByIdAndUpdate: jest.fn() },
+    User: { find: jest.fn() },
+}));
+jest.mock('../services/schedulerService', () => ({
+    defineJob: jest.fn(),
+    scheduleJob: jest.fn(),
+    cancelJobs: jest.fn(),
+}));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { Poll, PollTemplate, ClassSession, User } = require('../models');
+const pollService = require('../services/pollService');
+const pollTemplateService = require('../services/pollTemplateService');
+
+function option(text, voters) {
+    return { text, votes: voters.length, voters: voters.map(([user, responseTime]) => ({ user, responseTime })) };
+}
+
+function run(id, sessionTitle, options, extra = {}) {
+    return {
+        _id: id,
+        type: 'single_choice',
+        isAnonymous: false,
+        createdAt: new Date('2026-01-01T10:00:00.000Z'),
+        session: { _id: `sess-${id}`, title: sessionTitle, subject: 'Physics', college: 'c1' },
+        options,
+        textResponses: [],
+        ...extra,
+    };
+}
+
+describe('Poll templates and analytics', () => {
+    const faculty = { userId: 'f1', role: 'faculty', college: 'c1' };
+    const template = { _id: 't1', question: 'Which law?', type: 'single_choice', options: ['First', 'Second'] };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('should report per-option average response time', () => {
+        const poll = run('p1', 'Week 1', [option('First', [['s1', 4], ['s2', 6]]), option('Second', [['s3', null]])]);
+
+        expect(pollService.optionStats(poll)).toEqual([
+            { index: 0, text: 'First', votes: 2, percentage: 66.67, averageResponseTime: 5 },
+            { index: 1, text: 'Second', votes: 1, percentage: 33.33, averageResponseTime: null },
+        ]);
+    });
+
+    it('should export session results as CSV without voter identities', () => {
+        const poll = run('p1', 'Week 1', [option('First', [['s1', 4]]), option('Second', [])], { question: 'Which law?' });
+        const csv = pollService.exportResultsToCsv(pollService.exportResults([poll])).split('\r\n');
+
+        expect(csv[0]).toBe('Poll ID,Question,Type,Created At,Closed At,Participants,Option Index,Option,Votes,Percentage,Average Response Time (s)');
+        expect(csv[1]).toBe('p1,Which law?,single_choice,2026-01-01T10:00:00.000Z,,1,0,First,1,100,4');
+        expect(csv.join()).not.toContain('s1,');
+    });
+
+    it('should keep private templates to their owner', () => {
+        const privateTemplate = { owner: 'f2', college: 'c1', visibility: 'private' };
+
+        expect(pollTemplateService.canUseTemplate(privateTemplate, faculty)).toBe(false);
+        expect(pollTemplateService.canUseTemplate({ ...privateTemplate, visibility: 'college' }, faculty)).toBe(true);
+        expect(pollTemplateService.canUseTemplate({ ...privateTemplate, visibility: 'college' }, { ...faculty, college: 'c2' })).toBe(false);
+        expect(pollTemplateService.canEditTemplate({ ...privateTemplate, visibility: 'college' }, faculty)).toBe(false);
+    });
+
+    it('should only launch into a live session', async() => {
+        ClassSession.findById.mockResolvedValue({ _id: 'sess1', faculty: 'f1', college: 'c1', status: 'scheduled' });
+
+        await expect(pollTemplateService.launchTemplate(template, { sessionId: 'sess1' }, faculty))
+            .rejects.toMatchObject({ statusCode: 409 });
+        expect(Poll).not.toHaveBeenCalled();
+        expect(PollTemplate.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should compare a template across sessions and batches', async() => {
+        Poll.find = jest.fn().mockReturnValue({
+            populate: jest.fn().mockReturnValue({
+                sort: jest.fn().mockResolvedValue([
+                    run('p1', 'Week 1', [option('First', [['s1', 3], ['s2', 5]]), option('Second', [['s3', 7]])]),
+                    run('p2', 'Week 9', [option('First', [['s4', 2]]), option('Second', [])]),
+                    run('p3', 'Other college', [option('First', []), option('Second', [['x1', 1]])], {
+                        session: { _id: 'sess-x', title: 'X', college: 'c2' },
+                    }),
+                ]),
+            }),
+        });
+        User.find.mockReturnValue({
+            select: jest.fn().mockResolvedValue([
+                { _id: 's1', enrollmentYear: 2024 },
+                { _id: 's2', enrollmentYear: 2025 },
+                { _id: 's3', enrollmentYear: 2025 },
+                { _id: 's4', enrollmentYear: 2025 },
+            ]),
+        });
+
+        const comparison = await pollTemplateService.compareTemplate(template, faculty);
+
+        expect(comparison.runs.map(r => r.session.title)).toEqual(['Week 1', 'Week 9']);
+        expect(comparison.runs[0].options[0]).toMatchObject({ votes: 2, averageResponseTime: 4 });
+        expect(comparison.batches).toEqual([
+            { batch: 2024, participants: 1, options: [{ text: 'First', votes: 1, percentage: 100 }, { text: 'Second', votes: 0, percentage: 0 }] },
+            { batch: 2025, participants: 3, options: [{ text: 'First', votes: 2, percentage: 66.67 }, { text: 'Second', votes: 1, percentage: 33.33 }] },
+        ]);
+        expect(comparison.overall).toMatchObject({ runs: 2, participants: 4 });
+
+        expect(pollTemplateService.comparisonToCsv(comparison).split('\r\n')).toHaveLength(5);
+    });
+});
@@ -0,0 +1,95 @@
+jest.mock('../models', () => ({
+    ChatMessage: {
+        find: jest.fn(),
+        updateMany: jest.fn(),
+        visibilityFilter: jest.fn(userId => ({ $or: [{ isPrivate: false }, { sender: userId }, { targetUser: userId }] })),
+    },
+}));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { ChatMessage } = require('../models');
+const chatService = require('../services/chatService');
+const { mockIo } = require('./utils/mockIo');
+
+describe('Private messages', () => {
+    const session = (policy) => ({
+        faculty: 'faculty1',
+        students: [{ student: 'student1' }, { student: 'student2' }],
+        settings: { studentPrivateMessages: policy },
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('should let students message only the instructor by default', () => {
+        expect(() => chatService.assertCanMessagePrivately(session(undefined), 'student1', 'student', 'faculty1')).not.toThrow();
+        expect(() => chatService.assertCanMessagePrivately(session(undefined), 'student1', 'student', 'student2'))
+            .toThrow(expect.objectContaining({ statusCode: 403 }));
+    });
+
+    it('should apply the everyone and disabled policies to students only', () => {
+        expect(() => chatService.assertCanMessagePrivately(session('everyone'), 'student1', 'student', 'student2')).not.toThrow();
+        expect(() => chatService.assertCanMessagePrivately(session('disabled'), 'student1', 'student', 'faculty1'))
+            .toThrow(/turned off/);
+        expect(() => chatService.assertCanMessagePrivately(session('disabled'), 'faculty1', 'faculty', 'student2')).not.toThrow();
+    });
+
+    it('should reject targets outside the session', () => {
+        expect(() => chatService.assertCanMessagePrivately(session('everyone'), 'faculty1', 'faculty', 'stranger'))
+            .toThrow(expect.objectContaining({ statusCode: 404 }));
+        expect(() => chatService.assertCanMessagePrivately(session('everyone'), 'student1', 'student', undefined))
+            .toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    it('should emit private messages only to the sender and target rooms', () => {
+        const { io, emit, rooms } = mockIo();
+        const message = { _id: 'm1', session: 's1', isPrivate: true, sender: { _id: 'student1', name: 'A' }, targetUser: 'faculty1' };
+
+        chatService.emitToAudience(io, message, 'chat_message', message);
+
+        expect(rooms).toEqual(['user-student1', 'user-faculty1']);
+        expect(emit).toHaveBeenCalledWith('chat_message', message);
+    });
+
+    it('should emit public messages to the session room', () => {
+        const { io, rooms } = mockIo();
+
+        chatService.emitToAudience(io, { session: 's1', isPrivate: false, sender: 'student1' }, 'chat_message', {});
+
+        expect(rooms).toEqual(['session-s1']);
+    });
+
+    it('should hide private messages from everyone else', () => {
+        const message = { isPrivate: true, sender: 'student1', targetUser: 'faculty1' };
+
+        expect(chatService.canSeeMessage(message, 'faculty1')).toBe(true);
+        expect(chatService.canSeeMessage(message, 'student2')).toBe(false);
+        expect(chatService.canSeeMessage({ isPrivate: false }, 'student2')).toBe(true);
+    });
+
+    it('should move sent messages to delivered and tell the sender', async() => {
+        const { io, emit, rooms } = mockIo();
+        ChatMessage.find.mockReturnValue({ select: jest.fn().mockResolvedValue([{ _id: 'm1', sender: 'student1', session: 's1' }]) });
+
+        await expect(chatService.markDelivered(io, ['m1'], 'faculty1')).resolves.toBe(1);
+
+        expect(ChatMessage.find.mock.calls[0][0]).toMatchObject({ sender: { $ne: 'faculty1' }, status: 'sent' });
+        expect(ChatMessage.updateMany).toHaveBeenCalledWith({ _id: { $in: ['m1'] }, status: 'sent' }, { $set: { status: 'delivered' } });
+        expect(rooms).toEqual(['user-student1']);
+        expect(emit).toHaveBeenCalledWith('chat_message_status', { messageId: 'm1', sessionId: 's1', status: 'delivered' });
+    });
+
+    it('should record read receipts through markAsRead', async() => {
+        const { io, emit } = mockIo();
+        const message = { _id: 'm1', sender: 'student1', session: 's1', status: 'delivered', markAsRead: jest.fn() };
+        ChatMessage.find.mockResolvedValue([message]);
+
+        await expect(chatService.markRead(io, ['m1'], 'faculty1')).resolves.toBe(1);
+
+        expect(ChatMessage.find.mock.calls[0][0]).toMatchObject({ 'readBy.user': { $ne: 'faculty1' } });
+        expect(message.status).toBe('read');
+        expect(message.markAsRead).toHaveBeenCalledWith('faculty1');
+        expect(emit).toHaveBeenCalledWith('chat_message_status', { messageId: 'm1', sessionId: 's1', status: 'read' });
+    });
+});
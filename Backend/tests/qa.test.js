@@ -0,0 +1,166 @@
+jest.mock('../models', () => ({
+    Question: {
+        create: jest.fn(),
+        countDocuments: jest.fn(),
+        findOne: jest.fn(),
+        findOneAndUpdate: jest.fn(),
+        updateMany: jest.fn(),
+        find: jest.fn(),
+    },
+    Attendance: { findOne: jest.fn() },
+    ClassSession: { updateOne: jest.fn(), findById: jest.fn() },
+}));
+jest.mock('../services/moderationService', () => ({
+    assertCanSend: jest.fn(),
+    filterMessage: jest.fn(async(collegeId, text) => ({ text, filtered: false })),
+}));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { Question, Attendance, ClassSession } = require('../models');
+const moderationService = require('../services/moderationService');
+const qaService = require('../services/qaService');
+const { mockIo } = require('./utils/mockIo');
+
+// Resolves like a query and supports populate/sort chaining
+function query(result) {
+    const q = { populate: jest.fn(() => q), sort: jest.fn(() => q) };
+    q.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+    return q;
+}
+
+describe('Session Q&A', () => {
+    const faculty = { userId: 'faculty1', role: 'faculty' };
+    const student = { userId: 'student1', role: 'student' };
+    let session;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        session = { _id: 's1', college: 'c1', faculty: 'faculty1', raisedHands: [], save: jest.fn() };
+    });
+
+    it('should post a filtered question and count it as asked', async() => {
+        const { io, emit } = mockIo();
+        const attendance = { updateEngagement: jest.fn() };
+        const question = { _id: 'q1', populate: jest.fn() };
+        Question.countDocuments.mockResolvedValue(0);
+        Question.create.mockResolvedValue(question);
+        Attendance.findOne.mockResolvedValue(attendance);
+
+        await qaService.askQuestion({ io, session, user: student, text: '  What is a limit?  ' });
+
+        expect(Question.create).toHaveBeenCalledWith({ session: 's1', author: 'student1', text: 'What is a limit?' });
+        expect(attendance.updateEngagement).toHaveBeenCalledWith('question', 1);
+        expect(emit).toHaveBeenCalledWith('qa_question_added', question);
+    });
+
+    it('should not take questions from muted or banned students', async() => {
+        const muted = Object.assign(new Error('You are muted in this session'), { statusCode: 403 });
+        moderationService.assertCanSend.mockRejectedValueOnce(muted);
+
+        await expect(qaService.askQuestion({ session, user: student, text: 'Why?' })).rejects.toBe(muted);
+        expect(moderationService.assertCanSend).toHaveBeenCalledWith(session, 'student1', 'student', { slowMode: false });
+        expect(Question.create).not.toHaveBeenCalled();
+    });
+
+    it('should cap open questions per student', async() => {
+        Question.countDocuments.mockResolvedValue(qaService.MAX_OPEN_QUESTIONS_PER_STUDENT);
+
+        await expect(qaService.askQuestion({ session, user: student, text: 'Again?' }))
+            .rejects.toMatchObject({ statusCode: 429 });
+        expect(Question.create).not.toHaveBeenCalled();
+    });
+
+    it('should toggle upvotes atomically and refuse self-upvotes', async() => {
+        Question.findOne.mockReturnValue(query({ _id: 'q1', author: { _id: 'student2' }, upvotes: [] }));
+        Question.findOneAndUpdate.mockReturnValue(query({ _id: 'q1', upvoteCount: 1 }));
+
+        const result = await qaService.toggleUpvote({ session, user: student, questionId: 'q1' });
+
+        expect(result).toMatchObject({ upvoted: true, question: { upvoteCount: 1 } });
+        expect(Question.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: 'q1', upvotes: { $ne: 'student1' } });
+        expect(Question.findOneAndUpdate.mock.calls[0][1]).toEqual({ $addToSet: { upvotes: 'student1' }, $inc: { upvoteCount: 1 } });
+
+        Question.findOne.mockReturnValue(query({ _id: 'q2', author: { _id: 'student1' }, upvotes: [] }));
+        await expect(qaService.toggleUpvote({ session, user: student, questionId: 'q2' }))
+            .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should credit the author\'s participation only on the first answer', async() => {
+        const attendance = { updateEngagement: jest.fn() };
+        const question = { _id: 'q1', author: { _id: 'student1' }, status: 'open', save: jest.fn() };
+        Question.findOne.mockReturnValue(query(question));
+        Attendance.findOne.mockResolvedValue(attendance);
+
+        await qaService.answerQuestion({ session, user: faculty, questionId: 'q1', text: 'See chapter 2' });
+        await qaService.answerQuestion({ session, user: faculty, questionId: 'q1' });
+
+        expect(question.status).toBe('answered');
+        expect(question.answer).toMatchObject({ text: 'See chapter 2', answeredBy: 'faculty1' });
+        expect(Attendance.findOne).toHaveBeenCalledWith({ session: 's1', student: 'student1' });
+        expect(attendance.updateEngagement).toHaveBeenCalledTimes(1);
+        expect(attendance.updateEngagement).toHaveBeenCalledWith('question_answered', 1);
+    });
+
+    it('should keep answering and promoting to the session faculty', async() => {
+        await expect(qaService.answerQuestion({ session, user: student, questionId: 'q1' }))
+            .rejects.toMatchObject({ statusCode: 403 });
+        await expect(qaService.setPromoted({ session, user: { userId: 'faculty2', role: 'faculty' }, questionId: 'q1', promoted: true }))
+            .rejects.toMatchObject({ statusCode: 403 });
+        expect(Question.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should promote one question at a time', async() => {
+        const { io, emit } = mockIo();
+        const question = { _id: 'q1', save: jest.fn() };
+        Question.findOne.mockReturnValue(query(question));
+
+        await qaService.setPromoted({ io, session, user: faculty, questionId: 'q1', promoted: true });
+
+        expect(Question.updateMany).toHaveBeenCalledWith(
+            { session: 's1', isPromoted: true, _id: { $ne: 'q1' } },
+            { $set: { isPromoted: false } }
+        );
+        expect(question.isPromoted).toBe(true);
+        expect(emit).toHaveBeenCalledWith('qa_question_promoted', { question });
+    });
+
+    it('should raise a hand once and let only faculty lower someone else\'s', async() => {
+        const raised = [{ user: 'student1', raisedAt: new Date() }];
+        ClassSession.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ raisedHands: raised }) });
+
+        await expect(qaService.raiseHand({ session, user: student })).resolves.toEqual(raised);
+        // Conditional push in the database, so racing raises cannot queue a hand twice
+        expect(ClassSession.updateOne).toHaveBeenCalledWith(
+            { _id: 's1', 'raisedHands.user': { $ne: 'student1' } },
+            { $push: { raisedHands: { user: 'student1', raisedAt: expect.any(Date) } } }
+        );
+        expect(session.save).not.toHaveBeenCalled();
+
+        await expect(qaService.lowerHand({ session, user: { userId: 'student2', role: 'student' }, userId: 'student1' }))
+            .rejects.toMatchObject({ statusCode: 403 });
+
+        ClassSession.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ raisedHands: [] }) });
+        const hands = await qaService.lowerHand({ session, user: faculty, userId: 'student1' });
+        expect(hands).toHaveLength(0);
+        expect(ClassSession.updateOne).toHaveBeenLastCalledWith({ _id: 's1' }, { $pull: { raisedHands: { user: 'student1' } } });
+    });
+
+    it('should export questions as CSV', async() => {
+        Question.find.mockReturnValue(query([{
+            createdAt: new Date('2026-01-01T10:00:00.000Z'),
+            author: { name: 'Asha', studentId: 'S1' },
+            text: 'Why, though?',
+            upvoteCount: 3,
+            status: 'answered',
+            answer: { text: 'Because', answeredBy: { name: 'Dr. Rao' }, answeredAt: new Date('2026-01-01T10:05:00.000Z') },
+        }]));
+
+        const { rows, csv } = await qaService.exportQuestions('s1');
+
+        expect(rows).toHaveLength(1);
+        expect(csv.split('\r\n')).toEqual([
+            'Asked At,Student,Student ID,Question,Upvotes,Status,Answer,Answered By,Answered At',
+            '2026-01-01T10:00:00.000Z,Asha,S1,"Why, though?",3,answered,Because,Dr. Rao,2026-01-01T10:05:00.000Z',
+        ]);
+    });
+});
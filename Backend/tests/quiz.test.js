@@ -0,0 +1,147 @@
+jest.mock('../models', () => ({
+    Quiz: { findById: jest.fn() },
+    Poll: { insertMany: jest.fn(), updateMany: jest.fn() },
+    ClassSession: { findById: jest.fn() },
+}));
+jest.mock('../services/schedulerService', () => ({
+    defineJob: jest.fn(),
+    scheduleJob: jest.fn(),
+    cancelJobs: jest.fn(),
+}));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { Quiz, ClassSession } = require('../models');
+const schedulerService = require('../services/schedulerService');
+const quizService = require('../services/quizService');
+
+function option(text, isCorrect, points, voters = []) {
+    return { text, isCorrect, points, voters: voters.map(user => ({ user })) };
+}
+
+function select(result) {
+    return { select: jest.fn().mockResolvedValue(result) };
+}
+
+describe('Quiz grading', () => {
+    const singleChoice = {
+        _id: 'p1',
+        type: 'single_choice',
+        options: [option('4', true, 2, ['s1']), option('5', false, 0, ['s2'])],
+    };
+    const multipleChoice = {
+        _id: 'p2',
+        type: 'multiple_choice',
+        options: [option('2', true, 1, ['s1', 's2']), option('3', true, 1, ['s1']), option('4', false, -1, ['s2'])],
+    };
+    const textResponse = {
+        _id: 'p3',
+        type: 'text_response',
+        points: 5,
+        textResponses: [
+            { user: 's1', response: 'Because of friction', grade: { points: 3 } },
+            { user: 's2', response: 'No idea' },
+        ],
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('should score choice questions from the answer key', () => {
+        expect(quizService.scoreAnswer(singleChoice, 's1')).toMatchObject({ points: 2, maxPoints: 2, status: 'correct', selected: [0] });
+        expect(quizService.scoreAnswer(singleChoice, 's2')).toMatchObject({ points: 0, status: 'incorrect' });
+        expect(quizService.scoreAnswer(singleChoice, 's3')).toMatchObject({ points: 0, status: 'unanswered' });
+    });
+
+    it('should apply penalties on multiple choice without going below zero', () => {
+        expect(quizService.scoreAnswer(multipleChoice, 's1')).toMatchObject({ points: 2, maxPoints: 2, status: 'correct' });
+        expect(quizService.scoreAnswer(multipleChoice, 's2')).toMatchObject({ points: 0, status: 'incorrect', selected: [0, 2] });
+    });
+
+    it('should leave ungraded text responses pending', () => {
+        expect(quizService.scoreAnswer(textResponse, 's1')).toMatchObject({ points: 3, maxPoints: 5, status: 'partial' });
+        expect(quizService.scoreAnswer(textResponse, 's2')).toMatchObject({ points: 0, status: 'pending' });
+    });
+
+    it('should require an answer key for choice questions', async() => {
+        ClassSession.findById.mockReturnValue(select({ faculty: 'f1' }));
+
+        await expect(quizService.createQuiz({
+            sessionId: 'sess1',
+            title: 'Quiz 1',
+            timeLimit: 60,
+            questions: [{ question: 'Pick one', type: 'single_choice', options: [{ text: 'a' }, { text: 'b' }] }],
+        }, { userId: 'f1', role: 'faculty' })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should reject answers outside the quiz window', async() => {
+        Quiz.findById.mockReturnValue(select({ status: 'draft' }));
+        await expect(quizService.assertCanAnswer({ quiz: 'q1' })).rejects.toThrow(/not open/);
+
+        Quiz.findById.mockReturnValue(select({ status: 'live', endsAt: new Date(Date.now() - (quizService.ANSWER_GRACE_SECONDS + 1) * 1000) }));
+        await expect(quizService.assertCanAnswer({ quiz: 'q1' })).rejects.toThrow(/Time is up/);
+
+        Quiz.findById.mockReturnValue(select({ status: 'live', endsAt: new Date(Date.now() - 500) }));
+        await expect(quizService.assertCanAnswer({ quiz: 'q1' })).resolves.toBeTruthy();
+
+        await expect(quizService.assertCanAnswer({})).resolves.toBeNull();
+    });
+
+    it('should start the countdown and schedule the close', async() => {
+        const emit = jest.fn();
+        const io = { to: jest.fn(() => ({ emit })) };
+        const quiz = { _id: 'q1', session: { _id: 'sess1' }, status: 'draft', timeLimit: 60, questions: [singleChoice], save: jest.fn() };
+
+        await quizService.startQuiz(quiz, { io });
+
+        expect(quiz.status).toBe('live');
+        expect(quiz.endsAt - quiz.startedAt).toBe(60000);
+        expect(schedulerService.scheduleJob).toHaveBeenCalledWith(
+            quizService.QUIZ_JOBS.AUTO_CLOSE,
+            new Date(quiz.endsAt.getTime() + quizService.ANSWER_GRACE_SECONDS * 1000),
+            { quizId: 'q1' },
+            { uniqueKey: 'quiz-close-q1' }
+        );
+        const payload = emit.mock.calls[0][1];
+        expect(payload.questions[0].options).toEqual([{ text: '4' }, { text: '5' }]);
+
+        await expect(quizService.startQuiz(quiz, { io })).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should cap manual grades at the question\'s points', async() => {
+        const poll = { ...textResponse, textResponses: textResponse.textResponses.map(r => ({ ...r })), save: jest.fn() };
+        const quiz = { _id: 'q1', status: 'closed', questions: [poll] };
+
+        await expect(quizService.gradeResponse({ quiz, pollId: 'p3', studentId: 's2', points: 6 }))
+            .rejects.toMatchObject({ statusCode: 400 });
+
+        await quizService.gradeResponse({ quiz, pollId: 'p3', studentId: 's2', points: 4, feedback: 'Good', graderId: 'f1' });
+        expect(quizService.scoreAnswer(poll, 's2')).toMatchObject({ points: 4, status: 'partial', feedback: 'Good' });
+    });
+
+    it('should build a gradebook with a row per enrolled student', async() => {
+        ClassSession.findById.mockReturnValue({
+            select: jest.fn().mockReturnValue({
+                populate: jest.fn().mockResolvedValue({
+                    students: [
+                        { student: { _id: 's1', name: 'Asha', studentId: 'S1' } },
+                        { student: { _id: 's2', name: 'Ravi', studentId: 'S2' } },
+                    ],
+                }),
+            }),
+        });
+        const quiz = { _id: 'q1', title: 'Quiz 1', session: 'sess1', totalPoints: 9, questions: [singleChoice, multipleChoice, textResponse] };
+
+        const gradebook = await quizService.buildGradebook(quiz);
+
+        expect(gradebook.rows.map(row => row.score)).toEqual([7, 0]);
+        expect(gradebook.rows[1].pendingGrading).toBe(1);
+        expect(gradebook.summary).toMatchObject({ students: 2, submitted: 2, highestScore: 7, pendingGrading: 1 });
+
+        expect(quizService.gradebookToCsv(quiz, gradebook).split('\r\n')).toEqual([
+            'Student,Student ID,Q1 (2),Q2 (2),Q3 (5),Score,Max Score,Percentage',
+            'Asha,S1,2,2,3,7,9,77.78',
+            'Ravi,S2,0,0,pending,0,9,0',
+        ]);
+    });
+});
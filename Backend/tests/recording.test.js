@@ -0,0 +1,192 @@
+jest.mock('../models', () => ({
+    ClassSession: { findById: jest.fn() },
+    College: { findById: jest.fn() },
+}));
+jest.mock('fs/promises', () => ({
+    mkdir: jest.fn(),
+    writeFile: jest.fn(),
+    readdir: jest.fn(),
+    readFile: jest.fn(),
+    open: jest.fn(),
+    stat: jest.fn(),
+    rm: jest.fn(),
+}));
+jest.mock('../services/schedulerService', () => ({ defineJob: jest.fn(), scheduleJob: jest.fn() }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const path = require('path');
+const fs = require('fs/promises');
+const { ClassSession, College } = require('../models');
+const schedulerService = require('../services/schedulerService');
+const recordingService = require('../services/recordingService');
+const { parseRange } = require('../utils/httpRange');
+
+function makeSession(overrides = {}) {
+    return {
+        _id: 'sess1',
+        college: 'c1',
+        faculty: 'f1',
+        status: 'live',
+        settings: { enableRecording: true },
+        recording: { isRecording: false, isProcessed: false },
+        save: jest.fn(),
+        ...overrides,
+    };
+}
+
+function mockSubscription(subscription) {
+    College.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ subscription }) });
+}
+
+function recordingSession(recording = {}) {
+    return makeSession({
+        recording: {
+            isRecording: false,
+            recordingId: 'rec1',
+            mimeType: 'video/webm',
+            status: 'processing',
+            ...recording,
+        },
+    });
+}
+
+describe('Session recording', () => {
+    const io = { to: jest.fn().mockReturnThis(), emit: jest.fn() };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockSubscription({ features: { recording: true } });
+    });
+
+    it('should only record when the subscription and the session allow it', async () => {
+        mockSubscription({ features: { recording: false } });
+        await expect(recordingService.startRecording(makeSession(), 'f1', { mimeType: 'video/webm' }))
+            .rejects.toMatchObject({ statusCode: 403, message: /subscription/ });
+
+        mockSubscription({ features: { recording: true }, expiresAt: new Date(2020, 0, 1) });
+        await expect(recordingService.startRecording(makeSession(), 'f1', { mimeType: 'video/webm' }))
+            .rejects.toMatchObject({ statusCode: 403, message: /expired/ });
+
+        mockSubscription({ features: { recording: true } });
+        await expect(recordingService.startRecording(makeSession({ settings: { enableRecording: false } }), 'f1', { mimeType: 'video/webm' }))
+            .rejects.toMatchObject({ statusCode: 403, message: /turned off/ });
+        await expect(recordingService.startRecording(makeSession({ status: 'scheduled' }), 'f1', { mimeType: 'video/webm' }))
+            .rejects.toMatchObject({ statusCode: 409 });
+        expect(fs.mkdir).not.toHaveBeenCalled();
+    });
+
+    it('should start a recording once and tell the session', async () => {
+        const session = makeSession();
+
+        const recording = await recordingService.startRecording(session, 'f1', { mimeType: 'video/webm' }, { io });
+
+        expect(recording).toMatchObject({ isRecording: true, status: 'recording', mimeType: 'video/webm', startedBy: 'f1' });
+        expect(fs.mkdir).toHaveBeenCalledWith(path.join('storage/recordings', recording.recordingId), { recursive: true });
+        expect(session.save).toHaveBeenCalled();
+        expect(io.to).toHaveBeenCalledWith('session-sess1');
+        expect(io.emit).toHaveBeenCalledWith('recording_started', expect.objectContaining({ sessionId: 'sess1' }));
+
+        await expect(recordingService.startRecording(session, 'f1', { mimeType: 'video/webm' }))
+            .rejects.toThrow('The session is already being recorded');
+        await expect(recordingService.startRecording(recordingSession({ status: 'ready' }), 'f1', { mimeType: 'video/webm' }))
+            .rejects.toThrow('This session already has a recording');
+    });
+
+    it('should store chunks by index while recording and within the reported total', async () => {
+        const session = recordingSession({ isRecording: true, status: 'recording' });
+
+        await expect(recordingService.saveChunk(session, 3, Buffer.from('abc'))).resolves.toEqual({ index: 3, size: 3 });
+        expect(fs.writeFile).toHaveBeenCalledWith(path.join('storage/recordings', 'rec1', '000003.part'), Buffer.from('abc'));
+
+        await expect(recordingService.saveChunk(session, 0, Buffer.alloc(0))).rejects.toThrow('Chunk is empty');
+        await expect(recordingService.saveChunk(recordingSession({ totalChunks: 4 }), 4, Buffer.from('x')))
+            .rejects.toThrow('Chunk index must be between 0 and 3');
+        await expect(recordingService.saveChunk(recordingSession({ status: 'ready' }), 0, Buffer.from('x')))
+            .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should stop a recording and queue it for processing', async () => {
+        const session = recordingSession({ isRecording: true, status: 'recording', startTime: new Date(Date.now() - 90000) });
+
+        const recording = await recordingService.stopRecording(session, { totalChunks: 12 }, { io });
+
+        expect(recording).toMatchObject({ isRecording: false, status: 'processing', totalChunks: 12, duration: 90 });
+        expect(schedulerService.scheduleJob).toHaveBeenCalledWith(
+            recordingService.RECORDING_JOBS.PROCESS,
+            expect.any(Date),
+            { sessionId: 'sess1', recordingId: 'rec1' },
+            expect.objectContaining({ uniqueKey: 'recording_process:rec1' })
+        );
+        expect(io.emit).toHaveBeenCalledWith('recording_stopped', { sessionId: 'sess1', duration: 90 });
+
+        await expect(recordingService.stopRecording(session)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should retry processing while chunks are missing and fail on the last attempt', async () => {
+        const session = recordingSession({ totalChunks: 3 });
+        ClassSession.findById.mockResolvedValue(session);
+        fs.readdir.mockResolvedValue(['000000.part', '000002.part']);
+
+        await expect(recordingService.processRecording({ sessionId: 'sess1', recordingId: 'rec1' }))
+            .rejects.toThrow('Recording rec1 is missing 1 chunks');
+        expect(session.save).not.toHaveBeenCalled();
+
+        const recording = await recordingService.processRecording({ sessionId: 'sess1', recordingId: 'rec1' }, { io, lastAttempt: true });
+
+        expect(recording).toMatchObject({ status: 'failed', processingError: 'Missing chunks: 1' });
+        expect(session.save).toHaveBeenCalled();
+        expect(io.to).toHaveBeenCalledWith('user-f1');
+        expect(fs.open).not.toHaveBeenCalled();
+    });
+
+    it('should assemble the chunks in order and mark the recording processed', async () => {
+        const session = recordingSession({ totalChunks: 2 });
+        const output = { write: jest.fn(), close: jest.fn() };
+        ClassSession.findById.mockResolvedValue(session);
+        fs.readdir.mockResolvedValue(['000001.part', '000000.part']);
+        fs.readFile.mockImplementation(async (file) => Buffer.from(path.basename(file)));
+        fs.open.mockResolvedValue(output);
+        fs.stat.mockResolvedValue({ size: 22 });
+
+        const recording = await recordingService.processRecording({ sessionId: 'sess1', recordingId: 'rec1' }, { io });
+
+        expect(fs.open).toHaveBeenCalledWith(path.join('storage/recordings', 'rec1.webm'), 'w');
+        expect(output.write.mock.calls.map(([data]) => data.toString())).toEqual(['000000.part', '000001.part']);
+        expect(output.close).toHaveBeenCalled();
+        expect(fs.rm).toHaveBeenCalledWith(path.join('storage/recordings', 'rec1'), { recursive: true, force: true });
+        expect(recording).toMatchObject({
+            status: 'ready',
+            isProcessed: true,
+            fileSize: 22,
+            recordingUrl: '/api/recordings/sessions/sess1/playback',
+        });
+        expect(io.emit).toHaveBeenCalledWith('recording_ready', expect.objectContaining({ sessionId: 'sess1', fileSize: 22 }));
+
+        // A stale or repeated job leaves a processed recording alone
+        await expect(recordingService.processRecording({ sessionId: 'sess1', recordingId: 'rec1' })).resolves.toBeNull();
+    });
+
+    it('should hand out playback links that only work for their session', () => {
+        const session = recordingSession({ status: 'ready', isProcessed: true });
+
+        const details = recordingService.describeRecording(session, { userId: 's1' });
+        const token = new URL(details.playbackUrl, 'http://localhost').searchParams.get('token');
+
+        expect(details.playbackUrl).toMatch(/^\/api\/recordings\/sessions\/sess1\/playback\?token=/);
+        expect(recordingService.verifyPlaybackToken(token, 'sess1')).toBe('s1');
+        expect(recordingService.verifyPlaybackToken(token, 'sess2')).toBeNull();
+        expect(recordingService.verifyPlaybackToken('garbage', 'sess1')).toBeNull();
+        expect(recordingService.describeRecording(recordingSession(), { userId: 's1' }).playbackUrl).toBeNull();
+    });
+
+    it('should parse single byte ranges for playback', () => {
+        expect(parseRange(undefined, 100)).toBeNull();
+        expect(parseRange('bytes=0-9', 100)).toEqual({ start: 0, end: 9 });
+        expect(parseRange('bytes=90-', 100)).toEqual({ start: 90, end: 99 });
+        expect(parseRange('bytes=-10', 100)).toEqual({ start: 90, end: 99 });
+        expect(parseRange('bytes=50-500', 100)).toEqual({ start: 50, end: 99 });
+        expect(parseRange('bytes=100-', 100)).toEqual({ unsatisfiable: true });
+        expect(parseRange('bytes=0-1,5-6', 100)).toBeNull();
+        expect(parseRange('items=0-1', 100)).toBeNull();
+    });
+});
@@ -0,0 +1,128 @@
+jest.mock('../models', () => ({
+    ClassSession: { find: jest.fn(), findById: jest.fn(), create: jest.fn(), updateOne: jest.fn(), updateMany: jest.fn(), deleteMany: jest.fn() },
+    College: { findById: jest.fn() },
+}));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const mongoose = require('mongoose');
+const { ClassSession, College } = require('../models');
+const { expandRecurrence, normalizePattern } = require('../utils/recurrence');
+const recurrenceService = require('../services/recurrenceService');
+
+describe('Recurrence expansion', () => {
+    // Monday 2025-01-06 09:30 in Asia/Kolkata (UTC+05:30)
+    const start = new Date('2025-01-06T04:00:00.000Z');
+
+    it('should generate daily occurrences up to the end date', () => {
+        const occurrences = expandRecurrence({
+            start,
+            pattern: { type: 'daily', interval: 2, endDate: new Date('2025-01-12T18:00:00.000Z') },
+            timeZone: 'Asia/Kolkata',
+        });
+
+        expect(occurrences.map(d => d.toISOString())).toEqual([
+            '2025-01-06T04:00:00.000Z',
+            '2025-01-08T04:00:00.000Z',
+            '2025-01-10T04:00:00.000Z',
+            '2025-01-12T04:00:00.000Z',
+        ]);
+    });
+
+    it('should generate weekly occurrences on the selected weekdays', () => {
+        const occurrences = expandRecurrence({
+            start,
+            pattern: { type: 'weekly', interval: 1, daysOfWeek: [1, 3], endDate: new Date('2025-01-16T00:00:00.000Z') },
+            timeZone: 'Asia/Kolkata',
+        });
+
+        expect(occurrences.map(d => d.toISOString())).toEqual([
+            '2025-01-06T04:00:00.000Z',
+            '2025-01-08T04:00:00.000Z',
+            '2025-01-13T04:00:00.000Z',
+            '2025-01-15T04:00:00.000Z',
+        ]);
+    });
+
+    it('should skip months that do not have the anchor day', () => {
+        const occurrences = expandRecurrence({
+            start: new Date('2025-01-31T10:00:00.000Z'),
+            pattern: { type: 'monthly', interval: 1, endDate: new Date('2025-05-31T23:00:00.000Z') },
+            timeZone: 'UTC',
+        });
+
+        expect(occurrences.map(d => d.toISOString())).toEqual([
+            '2025-01-31T10:00:00.000Z',
+            '2025-03-31T10:00:00.000Z',
+            '2025-05-31T10:00:00.000Z',
+        ]);
+    });
+
+    it('should keep the local wall-clock time across a DST change', () => {
+        // 09:00 in New York, before and after the March 2025 DST switch
+        const occurrences = expandRecurrence({
+            start: new Date('2025-03-07T14:00:00.000Z'),
+            pattern: { type: 'weekly', interval: 1, endDate: new Date('2025-03-15T00:00:00.000Z') },
+            timeZone: 'America/New_York',
+        });
+
+        expect(occurrences.map(d => d.toISOString())).toEqual([
+            '2025-03-07T14:00:00.000Z',
+            '2025-03-14T13:00:00.000Z',
+        ]);
+    });
+
+    it('should reject invalid patterns', () => {
+        expect(() => normalizePattern({ type: 'yearly' })).toThrow('Recurring pattern type must be daily, weekly or monthly');
+        expect(() => normalizePattern({ type: 'weekly', daysOfWeek: [7] })).toThrow('daysOfWeek');
+        expect(() => normalizePattern({ type: 'daily', interval: 0 })).toThrow('positive integer');
+        // Bad patterns from a request are the client's mistake, not a server error
+        expect(() => normalizePattern({ type: 'weekly', daysOfWeek: 'mon' })).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+});
+
+describe('Series edits', () => {
+    const seriesId = new mongoose.Types.ObjectId();
+    const occurrence = (date) => ({
+        _id: new mongoose.Types.ObjectId(),
+        seriesId,
+        occurrenceDate: new Date(date),
+        scheduledStartTime: new Date(date),
+        scheduledEndTime: new Date(new Date(date).getTime() + 60 * 60 * 1000),
+        college: 'college1',
+        settings: { toObject: () => ({}) },
+        students: [],
+        waitlist: [],
+        save: jest.fn(),
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        College.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+        ClassSession.find.mockReturnValue({ select: jest.fn().mockResolvedValue([]), sort: jest.fn().mockResolvedValue([]) });
+        ClassSession.create.mockResolvedValue([]);
+        ClassSession.findById.mockResolvedValue(null);
+    });
+
+    it('should cancel rather than delete the occurrences a new pattern replaces', async() => {
+        const session = occurrence('2025-01-13T04:00:00.000Z');
+        ClassSession.find.mockReturnValueOnce({ sort: jest.fn().mockResolvedValue([session]) });
+
+        await recurrenceService.updateOccurrences(session, {
+            recurringPattern: { type: 'weekly', daysOfWeek: [3], endDate: new Date('2025-02-01T00:00:00.000Z') },
+        }, 'following');
+
+        expect(ClassSession.deleteMany).not.toHaveBeenCalled();
+        expect(ClassSession.updateMany).toHaveBeenCalledWith(
+            expect.objectContaining({ seriesId, status: 'scheduled', isSeriesException: false }),
+            { $set: { status: 'cancelled' } }
+        );
+    });
+
+    it('should refuse a pattern change scoped to a single occurrence before touching anything', async() => {
+        const session = occurrence('2025-01-13T04:00:00.000Z');
+
+        await expect(recurrenceService.updateOccurrences(session, { recurringPattern: { type: 'daily' } }, 'this'))
+            .rejects.toMatchObject({ statusCode: 400 });
+        expect(session.save).not.toHaveBeenCalled();
+    });
+});
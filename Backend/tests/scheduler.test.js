@@ -0,0 +1,82 @@
+jest.mock('../models', () => ({
+    ScheduledJob: {
+        create: jest.fn(),
+        findOne: jest.fn(),
+        findOneAndUpdate: jest.fn(),
+        updateOne: jest.fn(),
+        updateMany: jest.fn(),
+    },
+}));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { ScheduledJob } = require('../models');
+const schedulerService = require('../services/schedulerService');
+
+describe('Job scheduler', () => {
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('should run a claimed job and mark it completed', async() => {
+        const handler = jest.fn().mockResolvedValue();
+        schedulerService.defineJob('test_job', handler);
+
+        const job = { _id: 'job1', name: 'test_job', payload: { value: 1 }, attempts: 1, maxAttempts: 3 };
+        ScheduledJob.findOneAndUpdate.mockResolvedValueOnce(job).mockResolvedValueOnce(null);
+
+        await schedulerService.tick();
+
+        expect(handler).toHaveBeenCalledWith({ value: 1 }, expect.any(Object), job);
+        const [, update] = ScheduledJob.updateOne.mock.calls[0];
+        expect(update.$set.status).toBe('completed');
+    });
+
+    it('should claim jobs atomically, including ones with an expired lock', async() => {
+        schedulerService.defineJob('test_job', jest.fn());
+        ScheduledJob.findOneAndUpdate.mockResolvedValueOnce(null);
+
+        await schedulerService.tick();
+
+        const [filter, update, options] = ScheduledJob.findOneAndUpdate.mock.calls[0];
+        expect(filter.$or).toEqual([
+            { status: 'pending', runAt: { $lte: expect.any(Date) } },
+            { status: 'running', lockedUntil: { $lt: expect.any(Date) } },
+        ]);
+        expect(update.$set.status).toBe('running');
+        expect(update.$inc).toEqual({ attempts: 1 });
+        expect(options.sort).toEqual({ runAt: 1 });
+    });
+
+    it('should retry failed jobs until maxAttempts is reached', async() => {
+        schedulerService.defineJob('test_job', jest.fn().mockRejectedValue(new Error('boom')));
+
+        ScheduledJob.findOneAndUpdate
+            .mockResolvedValueOnce({ _id: 'job1', name: 'test_job', attempts: 1, maxAttempts: 2, runAt: new Date() })
+            .mockResolvedValueOnce({ _id: 'job2', name: 'test_job', attempts: 2, maxAttempts: 2, runAt: new Date() })
+            .mockResolvedValueOnce(null);
+
+        await schedulerService.tick();
+
+        expect(ScheduledJob.updateOne.mock.calls[0][1].$set).toMatchObject({ status: 'pending', lastError: 'boom' });
+        expect(ScheduledJob.updateOne.mock.calls[1][1].$set).toMatchObject({ status: 'failed', lastError: 'boom' });
+    });
+
+    it('should treat a duplicate unique key as already scheduled', async() => {
+        const existing = { _id: 'job1', uniqueKey: 'reminder:1', status: 'completed' };
+        ScheduledJob.findOneAndUpdate.mockRejectedValueOnce(Object.assign(new Error('dup'), { code: 11000 }));
+        ScheduledJob.findOne.mockResolvedValueOnce(existing);
+
+        const job = await schedulerService.scheduleJob('test_job', new Date(), {}, { uniqueKey: 'reminder:1' });
+
+        expect(job).toBe(existing);
+        expect(ScheduledJob.findOneAndUpdate.mock.calls[0][2]).toMatchObject({ upsert: true });
+    });
+
+    it('should record finished steps and clear them when a job is rescheduled', async() => {
+        await schedulerService.completeJobStep({ _id: 'job1' }, 'user1');
+        await schedulerService.scheduleJob('test_job', new Date(), {}, { uniqueKey: 'reminder:1' });
+
+        expect(ScheduledJob.updateOne).toHaveBeenCalledWith({ _id: 'job1' }, { $addToSet: { completedSteps: 'user1' } });
+        expect(ScheduledJob.findOneAndUpdate.mock.calls[0][1].$set.completedSteps).toEqual([]);
+    });
+});
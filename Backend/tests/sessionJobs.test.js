@@ -0,0 +1,216 @@
+jest.mock('../models', () => ({
+    ClassSession: { findById: jest.fn(), find: jest.fn() },
+    User: {},
+    Attendance: {},
+}));
+jest.mock('../services/schedulerService', () => ({
+    defineJob: jest.fn(),
+    scheduleJob: jest.fn(),
+    cancelJobs: jest.fn(),
+    completeJobStep: jest.fn(),
+}));
+jest.mock('../services/notificationService', () => ({ createNotification: jest.fn() }));
+jest.mock('../services/breakoutService', () => ({ recallBreakouts: jest.fn() }));
+jest.mock('../services/whiteboardService', () => ({ scheduleExport: jest.fn() }));
+jest.mock('../services/recordingService', () => ({ stopRecording: jest.fn() }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { ClassSession } = require('../models');
+const schedulerService = require('../services/schedulerService');
+const notificationService = require('../services/notificationService');
+const sessionService = require('../services/sessionService');
+const { mockIo } = require('./utils/mockIo');
+
+const { SESSION_JOBS } = sessionService;
+const MINUTE = 60 * 1000;
+
+function makeSession(overrides = {}) {
+    const start = new Date(Date.now() + 60 * MINUTE);
+    return {
+        _id: 'sess1',
+        title: 'Thermodynamics',
+        subject: 'Physics',
+        status: 'scheduled',
+        faculty: 'f1',
+        students: [{ student: 's1' }, { student: 's2' }],
+        scheduledStartTime: start,
+        scheduledEndTime: new Date(start.getTime() + 60 * MINUTE),
+        duration: 60,
+        settings: { autoStart: true, reminderLeadMinutes: [15] },
+        startSession: jest.fn(async function() {
+            this.status = 'live';
+            this.actualStartTime = new Date();
+        }),
+        endSession: jest.fn(async function() {
+            this.status = 'ended';
+            this.actualEndTime = new Date();
+        }),
+        ...overrides,
+    };
+}
+
+// The handler registered for a job name
+function handlerFor(name) {
+    const call = schedulerService.defineJob.mock.calls.find(([jobName]) => jobName === name);
+    return call[1];
+}
+
+describe('Session jobs', () => {
+    beforeAll(() => {
+        sessionService.registerSessionJobs();
+    });
+
+    beforeEach(() => {
+        schedulerService.scheduleJob.mockClear();
+        schedulerService.cancelJobs.mockClear();
+        schedulerService.completeJobStep.mockClear();
+        notificationService.createNotification.mockClear();
+        ClassSession.findById.mockReset();
+    });
+
+    describe('getAutoEndTime', () => {
+        const startedAt = new Date('2030-01-07T04:30:00.000Z');
+
+        it('should take the earlier of the auto-end limit and the scheduled end', () => {
+            const session = makeSession({
+                actualStartTime: startedAt,
+                scheduledEndTime: new Date(startedAt.getTime() + 90 * MINUTE),
+                settings: { autoEndAfterMinutes: 60 },
+            });
+
+            expect(sessionService.getAutoEndTime(session)).toEqual(new Date(startedAt.getTime() + 60 * MINUTE));
+        });
+
+        it('should not cut off a session started after its scheduled end', () => {
+            const session = makeSession({
+                actualStartTime: startedAt,
+                scheduledEndTime: new Date(startedAt.getTime() - MINUTE),
+                settings: {},
+            });
+
+            expect(sessionService.getAutoEndTime(session)).toBeNull();
+        });
+    });
+
+    describe('syncSessionJobs', () => {
+        it('should schedule the auto-start and upcoming reminders of a scheduled session', async() => {
+            const session = makeSession({ settings: { autoStart: true, reminderLeadMinutes: [15, 120] } });
+
+            await sessionService.syncSessionJobs(session);
+
+            expect(schedulerService.scheduleJob).toHaveBeenCalledWith(
+                SESSION_JOBS.AUTO_START, session.scheduledStartTime, { sessionId: 'sess1' },
+                { uniqueKey: `${SESSION_JOBS.AUTO_START}:sess1` }
+            );
+            // The 120-minute reminder would already be in the past
+            const reminders = schedulerService.scheduleJob.mock.calls.filter(([name]) => name === SESSION_JOBS.REMINDER);
+            expect(reminders).toHaveLength(1);
+            expect(reminders[0][1]).toEqual(new Date(session.scheduledStartTime.getTime() - 15 * MINUTE));
+            expect(schedulerService.cancelJobs).toHaveBeenCalledWith(expect.objectContaining({
+                name: SESSION_JOBS.REMINDER,
+                uniqueKey: { $nin: [`${SESSION_JOBS.REMINDER}:sess1:15`] },
+            }));
+        });
+
+        it('should swap start and reminder jobs for an auto-end once the session is live', async() => {
+            const session = makeSession({ status: 'live', actualStartTime: new Date() });
+
+            await sessionService.syncSessionJobs(session);
+
+            expect(schedulerService.cancelJobs).toHaveBeenCalledWith({
+                name: { $in: [SESSION_JOBS.AUTO_START, SESSION_JOBS.REMINDER] },
+                'payload.sessionId': 'sess1',
+            });
+            expect(schedulerService.scheduleJob).toHaveBeenCalledWith(
+                SESSION_JOBS.AUTO_END, session.scheduledEndTime, { sessionId: 'sess1' },
+                { uniqueKey: `${SESSION_JOBS.AUTO_END}:sess1` }
+            );
+        });
+    });
+
+    describe('auto-start', () => {
+        it('should start a due session and tell its room', async() => {
+            const session = makeSession({ scheduledStartTime: new Date(Date.now() - MINUTE) });
+            ClassSession.findById.mockResolvedValue(session);
+            const { io, emits } = mockIo();
+
+            await handlerFor(SESSION_JOBS.AUTO_START)({ sessionId: 'sess1' }, { io });
+
+            expect(session.startSession).toHaveBeenCalled();
+            expect(emits).toContainEqual(expect.objectContaining({ room: 'session-sess1', event: 'session_started' }));
+        });
+
+        it('should reschedule instead of starting when the start time moved later', async() => {
+            const session = makeSession();
+            ClassSession.findById.mockResolvedValue(session);
+
+            await handlerFor(SESSION_JOBS.AUTO_START)({ sessionId: 'sess1' }, {});
+
+            expect(session.startSession).not.toHaveBeenCalled();
+            expect(schedulerService.scheduleJob).toHaveBeenCalledWith(
+                SESSION_JOBS.AUTO_START, session.scheduledStartTime, { sessionId: 'sess1' }, expect.any(Object)
+            );
+        });
+    });
+
+    describe('auto-end', () => {
+        it('should end a live session once its end time has passed', async() => {
+            const session = makeSession({
+                status: 'live',
+                actualStartTime: new Date(Date.now() - 61 * MINUTE),
+                settings: { autoEndAfterMinutes: 60 },
+            });
+            ClassSession.findById.mockResolvedValue(session);
+            const { io, emits } = mockIo();
+
+            await handlerFor(SESSION_JOBS.AUTO_END)({ sessionId: 'sess1' }, { io });
+
+            expect(session.endSession).toHaveBeenCalled();
+            expect(emits).toContainEqual(expect.objectContaining({ room: 'session-sess1', event: 'session_ended' }));
+        });
+
+        it('should leave a session running whose end was pushed back', async() => {
+            const session = makeSession({ status: 'live', actualStartTime: new Date(), settings: { autoEndAfterMinutes: 60 } });
+            ClassSession.findById.mockResolvedValue(session);
+
+            await handlerFor(SESSION_JOBS.AUTO_END)({ sessionId: 'sess1' }, {});
+
+            expect(session.endSession).not.toHaveBeenCalled();
+            expect(schedulerService.scheduleJob).toHaveBeenCalledWith(
+                SESSION_JOBS.AUTO_END, expect.any(Date), { sessionId: 'sess1' }, expect.any(Object)
+            );
+        });
+    });
+
+    describe('reminders', () => {
+        it('should remind the faculty and every enrolled student, recording each one', async() => {
+            ClassSession.findById.mockResolvedValue(makeSession());
+            const job = { _id: 'job1', completedSteps: [] };
+
+            await handlerFor(SESSION_JOBS.REMINDER)({ sessionId: 'sess1', leadMinutes: 15 }, {}, job);
+
+            const recipients = notificationService.createNotification.mock.calls.map(([n]) => n.recipient);
+            expect(recipients).toEqual(['f1', 's1', 's2']);
+            expect(notificationService.createNotification.mock.calls[0][0].message).toContain('starts in 15 minutes');
+            expect(schedulerService.completeJobStep.mock.calls.map(([, step]) => step)).toEqual(['f1', 's1', 's2']);
+        });
+
+        it('should only remind the recipients an earlier attempt missed when retried', async() => {
+            ClassSession.findById.mockResolvedValue(makeSession());
+            const job = { _id: 'job1', completedSteps: ['f1', 's1'] };
+
+            await handlerFor(SESSION_JOBS.REMINDER)({ sessionId: 'sess1', leadMinutes: 15 }, {}, job);
+
+            expect(notificationService.createNotification).toHaveBeenCalledTimes(1);
+            expect(notificationService.createNotification.mock.calls[0][0].recipient).toBe('s2');
+        });
+
+        it('should skip sessions that are no longer scheduled', async() => {
+            ClassSession.findById.mockResolvedValue(makeSession({ status: 'cancelled' }));
+
+            await handlerFor(SESSION_JOBS.REMINDER)({ sessionId: 'sess1', leadMinutes: 15 }, {}, { completedSteps: [] });
+
+            expect(notificationService.createNotification).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,89 @@
+jest.mock('../models', () => ({
+    Poll: { findById: jest.fn() },
+}));
+jest.mock('../services/schedulerService', () => ({
+    defineJob: jest.fn(),
+    scheduleJob: jest.fn(),
+    cancelJobs: jest.fn(),
+}));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const textAnalysis = require('../utils/textAnalysis');
+const pollService = require('../services/pollService');
+const { mockIo } = require('./utils/mockIo');
+
+describe('Text response analysis', () => {
+    it('should count terms without English or Hindi stop words', () => {
+        const terms = textAnalysis.termFrequencies([
+            'The entropy of the system increases',
+            'Entropy increases, entropy!',
+            'एन्ट्रॉपी बढ़ती है और ऊर्जा का फैलाव होता है',
+        ]);
+
+        expect(terms[0]).toEqual({ term: 'entropy', count: 3, responses: 2 });
+        expect(terms.map(t => t.term)).toEqual(expect.arrayContaining(['increases', 'एन्ट्रॉपी', 'ऊर्जा']));
+        expect(terms.map(t => t.term)).not.toEqual(expect.arrayContaining(['the']));
+        expect(terms.map(t => t.term)).not.toContain('है');
+        expect(terms.map(t => t.term)).not.toContain('और');
+    });
+
+    it('should cluster duplicate and near-duplicate answers', () => {
+        const clusters = textAnalysis.clusterResponses([
+            'Newton\'s third law',
+            'newtons third law',
+            'Newton\'s third law!!',
+            'It is Newton\'s third law',
+            'Conservation of momentum',
+        ]);
+
+        expect(clusters[0]).toMatchObject({ text: 'Newton\'s third law', count: 3 });
+        expect(clusters.map(c => c.count)).toEqual([3, 1, 1]);
+    });
+
+    it('should score sentiment with negation in both word orders', () => {
+        expect(textAnalysis.sentimentScore('Very clear and helpful')).toBeGreaterThan(0.5);
+        expect(textAnalysis.sentimentScore('not clear')).toBeLessThan(0);
+        expect(textAnalysis.sentimentScore('samajh nahi aaya')).toBeLessThan(0);
+        expect(textAnalysis.sentimentScore('बहुत अच्छा')).toBeGreaterThan(0);
+        expect(textAnalysis.sentimentScore('Entropy')).toBe(0);
+
+        expect(textAnalysis.sentimentSummary(['great class', 'boring', 'ok fine', 'entropy'])).toEqual({
+            average: 0.17, label: 'positive', positive: 2, neutral: 1, negative: 1,
+        });
+    });
+
+    it('should push the summary with poll_updated for text_response polls', () => {
+        const { io, emits } = mockIo();
+        const poll = {
+            _id: 'poll1',
+            session: 'sess1',
+            type: 'text_response',
+            isActive: true,
+            options: [],
+            textResponses: [{ user: 's1', response: 'Too fast' }, { user: 's2', response: 'too fast' }],
+            settings: { showResults: 'real_time' },
+        };
+
+        pollService.broadcastResults(io, poll, 'faculty1');
+
+        const { textSummary } = emits.find(e => e.room === 'session-sess1').payload;
+        expect(emits.map(e => e.event)).toEqual(['poll_updated', 'poll_updated']);
+        expect(textSummary.terms).toEqual([{ term: 'fast', count: 2, responses: 2 }]);
+        expect(textSummary.clusters).toEqual([{ text: 'Too fast', count: 2, variants: [] }]);
+        expect(textSummary.sentiment.negative).toBe(2);
+    });
+
+    it('should not quote anonymous responses to students through the clusters', () => {
+        const poll = {
+            _id: 'poll1',
+            type: 'text_response',
+            isAnonymous: true,
+            options: [],
+            textResponses: [{ response: 'Too fast' }, { response: 'too fast' }, { response: 'Loved it' }],
+        };
+
+        expect(pollService.textSummary(poll, { userId: 's1', role: 'student' }).clusters).toEqual([{ count: 2 }, { count: 1 }]);
+        expect(pollService.resultsSummary(poll).textSummary.clusters).toEqual([{ count: 2 }, { count: 1 }]);
+        expect(pollService.textSummary(poll, { userId: 'f1', role: 'faculty' }).clusters[0]).toMatchObject({ text: 'Too fast', count: 2 });
+    });
+});
@@ -0,0 +1,140 @@
+jest.mock('../models', () => {
+    const ClassSession = jest.fn();
+    ClassSession.find = jest.fn();
+    return {
+        ClassSession,
+        Room: { find: jest.fn(), exists: jest.fn() },
+        Timetable: { findOne: jest.fn() },
+        Section: { findById: jest.fn() },
+        College: { findById: jest.fn() },
+        User: { findById: jest.fn() },
+    };
+});
+jest.mock('../services/schedulerService', () => ({
+    defineJob: jest.fn(),
+    scheduleJob: jest.fn(),
+    cancelJobs: jest.fn(),
+}));
+jest.mock('../services/notificationService', () => ({ createNotification: jest.fn() }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { ClassSession, Room, Timetable, Section, College } = require('../models');
+const timetableService = require('../services/timetableService');
+const sessionService = require('../services/sessionService');
+
+function selectResolving(result) {
+    return { select: jest.fn().mockResolvedValue(result) };
+}
+
+// Monday 7 January 2030, 10:00-11:00 in Asia/Kolkata
+const mechanics = {
+    _id: 'sess1',
+    title: 'Mechanics',
+    faculty: 'f1',
+    classroom: 'LH-1',
+    section: 'secA',
+    scheduledStartTime: new Date('2030-01-07T04:30:00Z'),
+    scheduledEndTime: new Date('2030-01-07T05:30:00Z'),
+    duration: 60,
+};
+
+describe('Timetables and clash detection', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        ClassSession.find.mockReturnValue(selectResolving([mechanics]));
+        College.findById.mockReturnValue(selectResolving({ settings: { timezone: 'Asia/Kolkata' } }));
+        Timetable.findOne.mockReturnValue({ sort: jest.fn().mockResolvedValue(null) });
+    });
+
+    it('should report faculty, room and section clashes but not back-to-back sessions', async() => {
+        const context = { college: 'c1', faculty: 'f1', classroom: 'lh-1', section: 'secB' };
+
+        const clashes = await timetableService.findClashes([
+            { start: new Date('2030-01-07T05:00:00Z'), end: new Date('2030-01-07T06:00:00Z') },
+            { start: new Date('2030-01-07T05:30:00Z'), end: new Date('2030-01-07T06:30:00Z') },
+        ], context);
+
+        expect(clashes).toHaveLength(1);
+        expect(clashes[0]).toMatchObject({ types: ['faculty', 'room'], session: { id: 'sess1', title: 'Mechanics' } });
+        expect(ClassSession.find).toHaveBeenCalledWith(expect.objectContaining({
+            college: 'c1',
+            status: { $in: ['scheduled', 'live', 'paused'] },
+        }));
+    });
+
+    it('should refuse a double-booked session with free times and rooms as alternatives', async() => {
+        Room.find.mockReturnValue({
+            select: jest.fn().mockReturnValue({
+                sort: jest.fn().mockResolvedValue([
+                    { name: 'LH-1', building: 'Main', capacity: 80 },
+                    { name: 'LH-2', building: 'Main', capacity: 60 },
+                ]),
+            }),
+        });
+        const college = { equals: () => true };
+        const faculty = { _id: 'f1', role: 'faculty', college };
+
+        const attempt = sessionService.createSession({
+            title: 'Thermodynamics',
+            subject: 'Physics',
+            scheduledStartTime: '2030-01-07T05:00:00Z',
+            duration: 60,
+            classroom: 'LH-1',
+        }, faculty);
+
+        await expect(attempt).rejects.toMatchObject({
+            statusCode: 409,
+            details: {
+                conflicts: [expect.objectContaining({ types: ['faculty', 'room'] })],
+                alternatives: {
+                    times: [
+                        { start: new Date('2030-01-07T05:30:00Z'), end: new Date('2030-01-07T06:30:00Z') },
+                        { start: new Date('2030-01-07T06:00:00Z'), end: new Date('2030-01-07T07:00:00Z') },
+                        { start: new Date('2030-01-07T03:30:00Z'), end: new Date('2030-01-07T04:30:00Z') },
+                    ],
+                    rooms: [{ name: 'LH-2', building: 'Main', capacity: 60 }],
+                },
+            },
+        });
+        expect(ClassSession).not.toHaveBeenCalled();
+    });
+
+    it('should refuse slots that share a room in overlapping periods', async() => {
+        const timetable = {
+            college: 'c1',
+            periods: [
+                { name: 'P1', start: '09:00', end: '10:00' },
+                { name: 'P2', start: '09:30', end: '10:30' },
+                { name: 'P3', start: '10:00', end: '11:00' },
+            ],
+            slots: [{ _id: 'slot1', dayOfWeek: 1, period: 'P1', section: 'secA', faculty: 'f1', room: 'LH-1' }],
+            save: jest.fn(),
+        };
+        Section.findById.mockReturnValue(selectResolving({ _id: 'secB', college: 'c1', isActive: true, isInstructor: () => true }));
+        Room.exists.mockResolvedValue(true);
+
+        await expect(timetableService.addSlot(timetable, { dayOfWeek: 1, period: 'P2', sectionId: 'secB', facultyId: 'f2', room: 'lh-1' }))
+            .rejects.toMatchObject({ statusCode: 409, details: { conflicts: [{ types: ['room'], slot: 'slot1' }] } });
+
+        await timetableService.addSlot(timetable, { dayOfWeek: 1, period: 'P3', sectionId: 'secB', facultyId: 'f2', room: 'LH-1' });
+        expect(timetable.slots).toHaveLength(2);
+        expect(timetable.save).toHaveBeenCalledTimes(1);
+    });
+
+    it('should place a weekly slot on every matching day of the term in the college time zone', () => {
+        const timetable = {
+            term: { start: new Date('2030-01-01'), end: new Date('2030-01-31') },
+            periods: [{ name: 'P1', start: '09:00', end: '10:00' }],
+        };
+
+        const intervals = timetableService.slotIntervals(timetable, { dayOfWeek: 1, period: 'P1' }, 'Asia/Kolkata');
+
+        expect(intervals.map(i => i.start.toISOString())).toEqual([
+            '2030-01-07T03:30:00.000Z',
+            '2030-01-14T03:30:00.000Z',
+            '2030-01-21T03:30:00.000Z',
+            '2030-01-28T03:30:00.000Z',
+        ]);
+        expect(intervals[0].end).toEqual(new Date('2030-01-07T04:30:00Z'));
+    });
+});
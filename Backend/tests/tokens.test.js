@@ -0,0 +1,119 @@
+jest.mock('../models', () => ({
+    RefreshToken: {
+        create: jest.fn(),
+        findOne: jest.fn(),
+        findOneAndUpdate: jest.fn(),
+        updateMany: jest.fn(),
+        exists: jest.fn(),
+    },
+    User: { findById: jest.fn() },
+}));
+
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const jwt = require('jsonwebtoken');
+const { RefreshToken, User } = require('../models');
+const tokenService = require('../services/tokenService');
+const mfaService = require('../services/mfaService');
+const { authenticateToken } = require('../middleware/auth');
+
+describe('Refresh token rotation', () => {
+    const user = { _id: '64b7f0c2a1b2c3d4e5f60718', role: 'student', email: 'student@example.com', isActive: true };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        RefreshToken.create.mockResolvedValue({});
+        RefreshToken.updateMany.mockResolvedValue({ modifiedCount: 2 });
+        User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+    });
+
+    it('should issue access tokens tagged with the refresh token family', async() => {
+        const { access, refresh, family } = await tokenService.issueTokens(user);
+
+        expect(jwt.decode(access).fid).toBe(family);
+        expect(jwt.decode(refresh)).toMatchObject({ type: 'refresh', fid: family });
+        expect(RefreshToken.create.mock.calls[0][0].tokenHash).not.toBe(refresh);
+    });
+
+    it('should rotate a refresh token into a new one from the same family', async() => {
+        const { refresh, family } = await tokenService.issueTokens(user);
+        RefreshToken.findOne.mockResolvedValueOnce({ _id: 'token1', user: user._id, family, revokedAt: null });
+        RefreshToken.findOneAndUpdate.mockResolvedValueOnce({ _id: 'token1' });
+
+        const rotated = await tokenService.rotateRefreshToken(refresh);
+
+        expect(rotated.refresh).not.toBe(refresh);
+        expect(jwt.decode(rotated.refresh).fid).toBe(family);
+        expect(RefreshToken.create).toHaveBeenLastCalledWith(expect.objectContaining({ family, parentToken: 'token1' }));
+    });
+
+    it('should revoke the whole family when an already rotated token is reused', async() => {
+        const { refresh, family } = await tokenService.issueTokens(user);
+        RefreshToken.findOne.mockResolvedValueOnce({ _id: 'token1', user: user._id, family, revokedAt: null });
+        RefreshToken.findOneAndUpdate.mockResolvedValueOnce(null); // already claimed by an earlier refresh
+
+        await expect(tokenService.rotateRefreshToken(refresh)).rejects.toThrow('reuse detected');
+        expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+            { family, revokedAt: null },
+            { $set: expect.objectContaining({ revokedReason: 'reuse_detected' }) }
+        );
+    });
+
+    it('should disconnect only the sockets of the revoked family', async() => {
+        const sockets = [
+            { data: { tokenFamily: 'a' }, emit: jest.fn(), disconnect: jest.fn() },
+            { data: { tokenFamily: 'b' }, emit: jest.fn(), disconnect: jest.fn() },
+        ];
+        const io = { in: jest.fn().mockReturnValue({ fetchSockets: jest.fn().mockResolvedValue(sockets) }) };
+
+        await tokenService.revokeFamily('a', 'logout', { io, userId: user._id });
+
+        expect(io.in).toHaveBeenCalledWith(`user-${user._id}`);
+        expect(sockets[0].disconnect).toHaveBeenCalledWith(true);
+        expect(sockets[1].disconnect).not.toHaveBeenCalled();
+    });
+});
+
+describe('Access token verification', () => {
+    const user = { _id: '64b7f0c2a1b2c3d4e5f60718', role: 'student', email: 'student@example.com', isActive: true };
+
+    const authenticate = async(token) => {
+        const req = { headers: { authorization: `Bearer ${token}` } };
+        const res = { status: jest.fn(() => res), json: jest.fn() };
+        const next = jest.fn();
+        await authenticateToken(req, res, next);
+        return { req, res, next };
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        RefreshToken.create.mockResolvedValue({});
+        RefreshToken.exists.mockResolvedValue(null);
+        User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+    });
+
+    it('should let access tokens through', async() => {
+        const { access, family } = await tokenService.issueTokens(user);
+
+        const { req, next } = await authenticate(access);
+
+        expect(next).toHaveBeenCalled();
+        expect(req.user).toMatchObject({ userId: user._id, tokenFamily: family });
+    });
+
+    it('should refuse an MFA challenge token on protected routes', async() => {
+        const { res, next } = await authenticate(mfaService.createChallengeToken(user));
+
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a refresh token on protected routes', async() => {
+        const { refresh } = await tokenService.issueTokens(user);
+
+        const { res, next } = await authenticate(refresh);
+
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(next).not.toHaveBeenCalled();
+    });
+});
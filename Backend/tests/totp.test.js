@@ -0,0 +1,32 @@
+const { base32Encode, base32Decode, generateTotp, verifyTotp, buildOtpAuthUrl } = require('../utils/totp');
+
+describe('TOTP', () => {
+    // RFC 6238 appendix B SHA-1 secret
+    const secret = base32Encode(Buffer.from('12345678901234567890'));
+
+    it('should round-trip base32', () => {
+        expect(secret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+        expect(base32Decode(secret).toString()).toBe('12345678901234567890');
+    });
+
+    it('should match the RFC 6238 test vectors', () => {
+        expect(generateTotp(secret, { time: 59 * 1000, digits: 8 })).toBe('94287082');
+        expect(generateTotp(secret, { time: 1111111109 * 1000, digits: 8 })).toBe('07081804');
+        expect(generateTotp(secret, { time: 1234567890 * 1000, digits: 8 })).toBe('89005924');
+    });
+
+    it('should accept codes from adjacent time steps and report the matched step', () => {
+        const time = 1111111109 * 1000;
+        const previous = generateTotp(secret, { time: time - 30 * 1000 });
+
+        expect(verifyTotp(secret, previous, { time })).toBe(Math.floor(1111111109 / 30) - 1);
+        expect(verifyTotp(secret, previous, { time: time + 60 * 1000 })).toBeNull();
+        expect(verifyTotp(secret, '12345', { time })).toBeNull();
+    });
+
+    it('should build an otpauth URL for authenticator apps', () => {
+        const url = buildOtpAuthUrl({ secret, label: 'admin@example.com', issuer: 'ShikshaLok' });
+        expect(url).toMatch(/^otpauth:\/\/totp\/ShikshaLok%3Aadmin%40example\.com\?/);
+        expect(url).toContain(`secret=${secret}`);
+    });
+});
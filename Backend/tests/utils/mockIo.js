@@ -0,0 +1,38 @@
+/**
+ * A Socket.io server stand-in that records what is sent where.
+ * - `emit` is called with (event, payload) for every emit
+ * - `emits` lists { room, event, payload }, once per room the emit went to
+ * - `rooms` lists every room passed to to(), chained or not
+ * - `socketsJoin` and `socketsLeave` are shared by every io.in(room)
+ * @returns {Object} { io, emit, emits, rooms, socketsJoin, socketsLeave }
+ */
+function mockIo() {
+    const emit = jest.fn();
+    const emits = [];
+    const rooms = [];
+    const socketsJoin = jest.fn();
+    const socketsLeave = jest.fn();
+
+    const to = (targets) => jest.fn((room) => {
+        rooms.push(room);
+        return broadcast([...targets, room]);
+    });
+    const broadcast = (targets) => ({
+        to: to(targets),
+        except: jest.fn(() => broadcast(targets)),
+        emit: (event, payload) => {
+            emit(event, payload);
+            targets.forEach(room => emits.push({ room, event, payload }));
+        },
+    });
+
+    const io = {
+        to: to([]),
+        in: jest.fn(() => ({ socketsJoin, socketsLeave })),
+        socketsLeave,
+    };
+
+    return { io, emit, emits, rooms, socketsJoin, socketsLeave };
+}
+
+module.exports = { mockIo };
@@ -0,0 +1,125 @@
+jest.mock('../models', () => ({
+    ClassSession: { find: jest.fn(), findById: jest.fn() },
+    College: { findById: jest.fn() },
+    User: { find: jest.fn() },
+    Attendance: { countDocuments: jest.fn() },
+}));
+jest.mock('../services/notificationService', () => ({ createNotification: jest.fn() }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { ClassSession, College, User, Attendance } = require('../models');
+const notificationService = require('../services/notificationService');
+const enrollmentService = require('../services/enrollmentService');
+
+function selectResolving(result) {
+    return { select: jest.fn().mockResolvedValue(result) };
+}
+
+function makeSession(overrides = {}) {
+    return {
+        _id: 'sess1',
+        title: 'Thermodynamics',
+        subject: 'Physics',
+        college: 'c1',
+        status: 'scheduled',
+        settings: { maxConcurrentStudents: 2 },
+        students: [{ student: 's1' }],
+        waitlist: [],
+        save: jest.fn(),
+        increment: jest.fn(),
+        ...overrides,
+    };
+}
+
+describe('Session capacity and waitlist', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        College.findById.mockReturnValue(selectResolving({ settings: { maxStudentsPerSession: 100 } }));
+    });
+
+    it('should take the lower of the session and college limits', async() => {
+        await expect(enrollmentService.getCapacity(makeSession())).resolves.toBe(2);
+
+        College.findById.mockReturnValue(selectResolving({ settings: { maxStudentsPerSession: 1 } }));
+        await expect(enrollmentService.getCapacity(makeSession())).resolves.toBe(1);
+    });
+
+    it('should waitlist students past capacity in order, unless faculty override', async() => {
+        const session = makeSession();
+        User.find.mockReturnValue(selectResolving([{ _id: 's2' }, { _id: 's3' }, { _id: 's4' }]));
+
+        const result = await enrollmentService.enrollStudents(session, ['s2', 's3', 's4']);
+
+        expect(result).toMatchObject({ enrolled: ['s2'], waitlisted: ['s3', 's4'], capacity: 2 });
+        expect(session.waitlist.map(w => w.student)).toEqual(['s3', 's4']);
+        expect(enrollmentService.waitlistPosition(session, 's4')).toBe(2);
+
+        User.find.mockReturnValue(selectResolving([{ _id: 's4' }]));
+        await enrollmentService.enrollStudents(session, ['s4'], { override: true });
+
+        expect(session.students[2]).toMatchObject({ student: 's4', capacityOverride: true });
+        expect(session.waitlist.map(w => w.student)).toEqual(['s3']);
+    });
+
+    it('should seat a new session\'s roster up to capacity and waitlist the rest', async() => {
+        const session = { college: 'c1', settings: { maxConcurrentStudents: 2 } };
+
+        await enrollmentService.seatRoster(session, ['s1', 's2', 's3']);
+
+        expect(session.students.map(s => s.student)).toEqual(['s1', 's2']);
+        expect(session.waitlist.map(w => w.student)).toEqual(['s3']);
+
+        College.findById.mockReturnValue(selectResolving({ settings: {} }));
+        await enrollmentService.seatRoster(session, ['s1', 's2']);
+        expect(session.waitlist).toEqual([]);
+    });
+
+    it('should replay an enrollment that raced another one against the fresh roster', async() => {
+        const conflict = Object.assign(new Error('No matching document'), { name: 'VersionError' });
+        const stale = makeSession({ save: jest.fn().mockRejectedValue(conflict) });
+        // Another enrollment took the last seat in the meantime
+        const fresh = makeSession({ students: [{ student: 's1' }, { student: 's5' }] });
+        ClassSession.findById.mockResolvedValue(fresh);
+        User.find.mockReturnValue(selectResolving([{ _id: 's2' }]));
+
+        const result = await enrollmentService.enrollStudents(stale, ['s2']);
+
+        expect(stale.increment).toHaveBeenCalled();
+        expect(fresh.increment).toHaveBeenCalled();
+        expect(result).toMatchObject({ enrolled: [], waitlisted: ['s2'], session: fresh });
+        expect(fresh.students).toHaveLength(2);
+    });
+
+    it('should promote the head of the waitlist when a seat frees up and notify them', async() => {
+        const session = makeSession({
+            students: [{ student: 's1' }, { student: 's2' }],
+            waitlist: [{ student: 's3' }, { student: 's4' }],
+        });
+
+        const promoted = await enrollmentService.unenrollStudent(session, 's1');
+
+        expect(promoted).toEqual(['s3']);
+        expect(session.students.map(s => s.student)).toEqual(['s2', 's3']);
+        expect(session.waitlist.map(w => w.student)).toEqual(['s4']);
+        expect(notificationService.createNotification).toHaveBeenCalledWith(expect.objectContaining({
+            recipient: 's3',
+            type: 'waitlist_promoted',
+            data: { sessionId: 'sess1' },
+        }));
+    });
+
+    it('should refuse to join a full session except for students let in past capacity', async() => {
+        const session = makeSession({
+            students: [{ student: 's1' }, { student: 's2', capacityOverride: true }],
+            waitlist: [{ student: 's3' }],
+        });
+        Attendance.countDocuments.mockResolvedValue(2);
+
+        await expect(enrollmentService.assertCanJoin(session, 's1')).rejects.toMatchObject({ statusCode: 409, details: { capacity: 2 } });
+        await expect(enrollmentService.assertCanJoin(session, 's2')).resolves.toBeUndefined();
+        await expect(enrollmentService.assertCanJoin(session, 's3')).rejects.toMatchObject({ statusCode: 403, details: { waitlistPosition: 1 } });
+
+        Attendance.countDocuments.mockResolvedValue(1);
+        await expect(enrollmentService.assertCanJoin(session, 's1')).resolves.toBeUndefined();
+    });
+});
@@ -0,0 +1,150 @@
+jest.mock('../models', () => ({
+    Whiteboard: { findOne: jest.fn(), findOneAndUpdate: jest.fn() },
+    WhiteboardOperation: { find: jest.fn(), findOne: jest.fn(), create: jest.fn() },
+    ClassSession: { findById: jest.fn(), updateOne: jest.fn() },
+}));
+jest.mock('fs/promises', () => ({ mkdir: jest.fn(), writeFile: jest.fn() }));
+jest.mock('../services/schedulerService', () => ({ defineJob: jest.fn(), scheduleJob: jest.fn() }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const fs = require('fs/promises');
+const { Whiteboard, WhiteboardOperation, ClassSession } = require('../models');
+const whiteboardService = require('../services/whiteboardService');
+const { toSvg, toPdf } = require('../utils/whiteboardRender');
+
+const faculty = { userId: 'f1', role: 'faculty' };
+const student = { userId: 's1', role: 'student' };
+
+function makeSession(overrides = {}) {
+    return { _id: 'sess1', title: 'Optics', faculty: 'f1', status: 'live', settings: {}, ...overrides };
+}
+
+function makeBoard(overrides = {}) {
+    return {
+        _id: 'wb1',
+        session: 'sess1',
+        width: 1600,
+        height: 900,
+        pages: [{ _id: 'p1', title: 'Page 1' }],
+        currentPage: 'p1',
+        studentsCanDraw: false,
+        save: jest.fn(),
+        ...overrides,
+    };
+}
+
+function sortResolving(result) {
+    return { sort: jest.fn().mockResolvedValue(result) };
+}
+
+function op(seq, type, data, author = 'f1', page = 'p1') {
+    return { session: 'sess1', page, seq, type, author, data, createdAt: new Date(2020, 0, 1, 10, seq) };
+}
+
+describe('Whiteboard', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('should validate operations and keep only the fields their type uses', () => {
+        const board = makeBoard();
+
+        expect(whiteboardService.normalizeOperation('shape', {
+            shape: 'line', from: [10, 10], to: [20.123, 30], fill: '#FF0000', extra: true,
+        }, board)).toEqual({ shape: 'line', from: [10, 10], to: [20.12, 30], color: '#000000', width: 3, fill: null });
+        expect(() => whiteboardService.normalizeOperation('stroke', { points: [[0, 0], [1700, 10]] }, board))
+            .toThrow('Points must lie within the 1600x900 canvas');
+        expect(() => whiteboardService.normalizeOperation('text', { at: [0, 0], text: 'hi', color: 'red' }, board))
+            .toThrow('Colours must be #rrggbb');
+        expect(() => whiteboardService.normalizeOperation('laser', {}, board)).toThrow(/Operation type/);
+    });
+
+    it('should order operations by server sequence and broadcast them', async() => {
+        Whiteboard.findOne.mockResolvedValue(makeBoard());
+        Whiteboard.findOneAndUpdate.mockResolvedValue({ sequence: 7 });
+        WhiteboardOperation.create.mockImplementation(async doc => ({ ...doc, createdAt: new Date() }));
+        const emit = jest.fn();
+        const io = { to: jest.fn(() => ({ emit })) };
+
+        const payload = await whiteboardService.applyOperation(makeSession(), faculty, {
+            type: 'stroke', data: { points: [[1, 2], [3, 4]], color: '#112233' }, clientId: 'c-1',
+        }, { io });
+
+        expect(Whiteboard.findOneAndUpdate).toHaveBeenCalledWith({ _id: 'wb1' }, { $inc: { sequence: 1 } }, expect.any(Object));
+        expect(payload).toMatchObject({ seq: 7, pageId: 'p1', type: 'stroke', clientId: 'c-1' });
+        expect(io.to).toHaveBeenCalledWith('session-sess1');
+        expect(emit).toHaveBeenCalledWith('whiteboard_operation', payload);
+    });
+
+    it('should only let students draw when allowed, and erase their own drawing', async() => {
+        Whiteboard.findOne.mockResolvedValue(makeBoard());
+        await expect(whiteboardService.applyOperation(makeSession(), student, { type: 'stroke', data: { points: [[1, 1]] } }))
+            .rejects.toMatchObject({ statusCode: 403 });
+
+        Whiteboard.findOne.mockResolvedValue(makeBoard({ studentsCanDraw: true }));
+        WhiteboardOperation.find.mockReturnValue({ select: jest.fn().mockResolvedValue([{ seq: 3, author: 'f1' }]) });
+        await expect(whiteboardService.applyOperation(makeSession(), student, { type: 'erase', data: { targets: [3] } }))
+            .rejects.toThrow('You can only erase your own drawing');
+        await expect(whiteboardService.applyOperation(makeSession(), student, { type: 'erase', data: { all: true } }))
+            .rejects.toThrow('Only the session faculty can clear a page');
+
+        await expect(whiteboardService.applyOperation(makeSession({ status: 'ended' }), faculty, { type: 'stroke', data: { points: [[1, 1]] } }))
+            .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should give late joiners a snapshot with erased elements removed', async() => {
+        Whiteboard.findOne.mockResolvedValue(makeBoard({ pages: [{ _id: 'p1', title: 'Page 1' }, { _id: 'p2', title: 'Page 2' }] }));
+        WhiteboardOperation.find.mockReturnValue(sortResolving([
+            op(1, 'stroke', { points: [[1, 1]], color: '#000000', width: 3 }),
+            op(2, 'text', { at: [5, 5], text: 'λ = h/p', color: '#000000', fontSize: 24 }),
+            op(3, 'shape', { shape: 'rect', from: [0, 0], to: [9, 9], color: '#000000', width: 2, fill: null }, 'f1', 'p2'),
+            op(4, 'erase', { targets: [1] }),
+            op(5, 'erase', { all: true }, 'f1', 'p2'),
+            op(6, 'stroke', { points: [[2, 2]], color: '#000000', width: 3 }, 'f1', 'p2'),
+        ]));
+
+        const snapshot = await whiteboardService.getSnapshot(makeSession());
+
+        expect(snapshot.sequence).toBe(6);
+        expect(snapshot.pages.map(page => page.elements.map(element => element.seq))).toEqual([[2], [6]]);
+    });
+
+    it('should render SVG and PDF and save them to the session materials', async() => {
+        const page = {
+            title: 'Waves',
+            width: 1600,
+            height: 900,
+            elements: [
+                { type: 'shape', data: { shape: 'arrow', from: [10, 10], to: [100, 10], color: '#ff0000', width: 2, fill: null } },
+                { type: 'text', data: { at: [20, 40], text: 'a < b & c', color: '#000000', fontSize: 20 } },
+            ],
+        };
+        const svg = toSvg(page);
+        expect(svg).toContain('<polygon points="100,10');
+        expect(svg).toContain('a &lt; b &amp; c');
+
+        const pdf = toPdf([page, page]).toString('latin1');
+        expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+        expect(pdf).toContain('/Count 2');
+        const xrefOffset = parseInt(pdf.match(/startxref\n(\d+)/)[1], 10);
+        expect(pdf.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+
+        const board = makeBoard({ exportedAt: null });
+        Whiteboard.findOne.mockResolvedValue(board);
+        WhiteboardOperation.findOne.mockReturnValue(sortResolving(op(1, 'stroke', {})));
+        WhiteboardOperation.find.mockReturnValue(sortResolving([op(1, 'stroke', { points: [[1, 1]], color: '#000000', width: 3 })]));
+
+        const materials = await whiteboardService.exportToMaterials(makeSession());
+
+        expect(materials.map(m => [m.type, m.originalName])).toEqual([
+            ['pdf', 'Optics - whiteboard.pdf'],
+            ['image', 'Optics - Page 1.svg'],
+        ]);
+        expect(fs.writeFile).toHaveBeenCalledTimes(2);
+        expect(ClassSession.updateOne).toHaveBeenCalledWith({ _id: 'sess1' }, { $push: { materials: { $each: materials } } });
+        expect(board.exportedAt).toBeInstanceOf(Date);
+
+        WhiteboardOperation.findOne.mockReturnValue(sortResolving(op(1, 'stroke', {})));
+        await expect(whiteboardService.exportToMaterials(makeSession())).resolves.toEqual([]);
+    });
+});
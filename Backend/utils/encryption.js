@@ -28,8 +28,22 @@ function sha256Hash(text) {
     return crypto.createHash('sha256').update(text).digest('hex');
 }
 
+// Generate an HMAC-SHA256 of the input with a secret key
+function hmacSha256(text, secretKey) {
+    return crypto.createHmac('sha256', secretKey).update(text).digest('hex');
+}
+
+// Compare two strings in constant time
+function safeCompare(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
 module.exports = {
     encrypt,
     decrypt,
     sha256Hash,
+    hmacSha256,
+    safeCompare,
 };
\ No newline at end of file
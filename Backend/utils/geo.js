@@ -0,0 +1,75 @@
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = degrees => degrees * Math.PI / 180;
+
+// Great-circle distance between two { latitude, longitude } points, in meters
+function haversineDistance(a, b) {
+    const dLat = toRadians(b.latitude - a.latitude);
+    const dLon = toRadians(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+        Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) *
+        Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    return 2 * EARTH_RADIUS_METERS * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+// Project a point to local x/y meters around an origin (accurate enough at campus scale)
+function toLocalMeters(point, origin) {
+    return {
+        x: toRadians(point.longitude - origin.longitude) * EARTH_RADIUS_METERS * Math.cos(toRadians(origin.latitude)),
+        y: toRadians(point.latitude - origin.latitude) * EARTH_RADIUS_METERS,
+    };
+}
+
+// Ray-casting point-in-polygon test; the polygon is a list of { latitude, longitude } vertices
+function isPointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        const crosses = (a.latitude > point.latitude) !== (b.latitude > point.latitude) &&
+            point.longitude < (b.longitude - a.longitude) * (point.latitude - a.latitude) / (b.latitude - a.latitude) + a.longitude;
+        if (crosses) inside = !inside;
+    }
+    return inside;
+}
+
+// Shortest distance from a point to the polygon's boundary, in meters
+function distanceToPolygonEdge(point, polygon) {
+    const vertices = polygon.map(vertex => toLocalMeters(vertex, point));
+    let min = Infinity;
+
+    for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+        const a = vertices[j];
+        const b = vertices[i];
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared));
+        min = Math.min(min, Math.hypot(a.x + t * dx, a.y + t * dy));
+    }
+
+    return min;
+}
+
+/**
+ * Signed distance from a point to a geofence boundary, in meters.
+ * Negative values mean the point is inside the fence by that much.
+ * @param {Object} point - { latitude, longitude }
+ * @param {Object} fence - { type: 'circle', center, radiusMeters } or { type: 'polygon', polygon }
+ * @returns {number}
+ */
+function distanceFromFence(point, fence) {
+    if (fence.type === 'circle') {
+        return haversineDistance(point, fence.center) - fence.radiusMeters;
+    }
+
+    const edgeDistance = distanceToPolygonEdge(point, fence.polygon);
+    return isPointInPolygon(point, fence.polygon) ? -edgeDistance : edgeDistance;
+}
+
+module.exports = {
+    haversineDistance,
+    isPointInPolygon,
+    distanceToPolygonEdge,
+    distanceFromFence,
+};
@@ -32,6 +32,40 @@ function safeJSONParse(str, fallback = null) {
     }
 }
 
+// Build CSV text from rows of objects; columns are [{ key, header }]
+function toCsv(rows, columns) {
+    const escape = (value) => {
+        if (value === null || value === undefined) return '';
+        const text = value instanceof Date ? value.toISOString() : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [columns.map(column => escape(column.header)).join(',')];
+    rows.forEach(row => {
+        lines.push(columns.map(column => escape(row[column.key])).join(','));
+    });
+
+    return lines.join('\r\n');
+}
+
+// Error carrying the HTTP status (and optional details) the client should get
+function httpError(message, statusCode = 400, details) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (details) error.details = details;
+    return error;
+}
+
+// Compare ids that may be ObjectIds or strings
+function sameId(a, b) {
+    return a != null && b != null && a.toString() === b.toString();
+}
+
+// Id of a reference, populated or not
+function idOf(ref) {
+    return ref && ref._id ? ref._id : ref;
+}
+
 // Delay promise for a given milliseconds
 function delay(ms) {
     return new Promise((resolve) => setTimeout(resolve, ms));
@@ -41,5 +75,9 @@ module.exports = {
     generateRandomString,
     formatDateTime,
     safeJSONParse,
+    toCsv,
+    httpError,
+    sameId,
+    idOf,
     delay,
 };
\ No newline at end of file
@@ -0,0 +1,35 @@
+// HTTP Range request parsing (RFC 7233) for streaming media
+
+/**
+ * The byte range a Range header asks for within a resource of `size` bytes.
+ * Returns null when the whole resource should be sent (no header, a malformed one or several
+ * ranges, which we do not serve), or { unsatisfiable: true } when the range lies outside it.
+ * @returns {{ start: number, end: number } | { unsatisfiable: true } | null}
+ */
+function parseRange(header, size) {
+    if (!header) return null;
+
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+
+    const [, first, last] = match;
+    let start;
+    let end;
+    if (first === '') {
+        // Suffix range: the last N bytes
+        const length = parseInt(last, 10);
+        if (length === 0) return { unsatisfiable: true };
+        start = Math.max(size - length, 0);
+        end = size - 1;
+    } else {
+        start = parseInt(first, 10);
+        end = last === '' ? size - 1 : Math.min(parseInt(last, 10), size - 1);
+    }
+
+    if (start >= size || start > end) return { unsatisfiable: true };
+    return { start, end };
+}
+
+module.exports = {
+    parseRange,
+};
@@ -0,0 +1,295 @@
+// iCalendar (RFC 5545) writing and parsing for session feeds and timetable imports
+const { DEFAULT_TIMEZONE, isValidTimeZone, getZonedParts, zonedTimeToUtc } = require('./timezone');
+
+const PRODUCT_ID = '-//ShikshaLok//Sessions//EN';
+const MAX_LINE_OCTETS = 75;
+
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = { daily: 'DAILY', weekly: 'WEEKLY', monthly: 'MONTHLY' };
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+function unescapeText(value) {
+    return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// Fold a content line at 75 octets without splitting multi-byte characters
+function foldLine(line) {
+    const chunks = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (octets + size > limit) {
+            chunks.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    chunks.push(current);
+    return chunks.join('\r\n ');
+}
+
+// 20300107T043000Z
+function formatUtc(date) {
+    return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T`
+        + `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+// 20300107T100000, wall-clock time in `timeZone` (used with TZID)
+function formatLocal(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    return `${p.year}${pad(p.month)}${pad(p.day)}T${pad(p.hour)}${pad(p.minute)}${pad(p.second)}`;
+}
+
+/**
+ * RRULE value for a session recurringPattern. `until` bounds the rule (the last generated
+ * occurrence) when the pattern has no endDate of its own.
+ */
+function toRRule(pattern, until) {
+    const parts = [`FREQ=${FREQUENCIES[pattern.type]}`];
+    if (pattern.interval && pattern.interval > 1) parts.push(`INTERVAL=${pattern.interval}`);
+    if (pattern.type === 'weekly' && pattern.daysOfWeek && pattern.daysOfWeek.length > 0) {
+        parts.push(`BYDAY=${pattern.daysOfWeek.map(day => DAY_CODES[day]).join(',')}`);
+    }
+    const end = pattern.endDate || until;
+    if (end) parts.push(`UNTIL=${formatUtc(new Date(end))}`);
+    return parts.join(';');
+}
+
+/**
+ * Serialize a calendar. Events are { uid, start, end, summary, description, location,
+ * categories, status, organizer, rrule, exdates, recurrenceId, sequence, lastModified }; times
+ * are written as wall-clock times in `timeZone`, so recurring events keep their local time
+ * across DST changes (clients resolve the IANA TZID).
+ */
+function buildCalendar({ name, timeZone = DEFAULT_TIMEZONE, events }) {
+    const local = date => `;TZID=${timeZone}:${formatLocal(date, timeZone)}`;
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        `X-WR-TIMEZONE:${timeZone}`,
+    ];
+
+    events.forEach(event => {
+        lines.push('BEGIN:VEVENT');
+        lines.push(`UID:${event.uid}`);
+        lines.push(`DTSTAMP:${formatUtc(event.lastModified || new Date())}`);
+        if (event.recurrenceId) lines.push(`RECURRENCE-ID${local(event.recurrenceId)}`);
+        lines.push(`DTSTART${local(event.start)}`);
+        lines.push(`DTEND${local(event.end)}`);
+        if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+        (event.exdates || []).forEach(date => lines.push(`EXDATE${local(date)}`));
+        lines.push(`SUMMARY:${escapeText(event.summary)}`);
+        if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+        if (event.categories) lines.push(`CATEGORIES:${escapeText(event.categories)}`);
+        if (event.organizer) {
+            lines.push(`ORGANIZER;CN=${escapeText(event.organizer.name).replace(/[:;]/g, '')}:mailto:${event.organizer.email}`);
+        }
+        lines.push(`STATUS:${event.status || 'CONFIRMED'}`);
+        if (event.sequence) lines.push(`SEQUENCE:${event.sequence}`);
+        if (event.lastModified) lines.push(`LAST-MODIFIED:${formatUtc(event.lastModified)}`);
+        lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Unfold continuation lines and split "NAME;PARAM=x:value" into parts
+function parseLines(text) {
+    return text
+        .replace(/\r\n/g, '\n')
+        .replace(/\n[ \t]/g, '')
+        .split('\n')
+        .filter(Boolean)
+        .map(line => {
+            const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+            const head = colon === -1 ? line : line.slice(0, colon);
+            const [name, ...rawParams] = head.split(';');
+            const params = {};
+            rawParams.forEach(param => {
+                const [key, value = ''] = param.split('=');
+                params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+            });
+            return { name: name.toUpperCase(), params, value: colon === -1 ? '' : line.slice(colon + 1) };
+        });
+}
+
+/**
+ * Parse a DATE or DATE-TIME value. UTC ("Z") and TZID values are converted to instants;
+ * floating times are read in `defaultTimeZone`. Returns { date, isDate } or null.
+ */
+function parseDateValue(value, params = {}, defaultTimeZone = DEFAULT_TIMEZONE) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+    if (!match) return null;
+
+    const [, year, month, day, hour, minute, second = '0', utc] = match;
+    const parts = { year: +year, month: +month, day: +day, hour: +(hour || 0), minute: +(minute || 0), second: +second };
+    if (hour === undefined || params.VALUE === 'DATE') {
+        return { date: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)), isDate: true };
+    }
+    if (utc) {
+        return { date: new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)), isDate: false };
+    }
+    const timeZone = params.TZID && isValidTimeZone(params.TZID) ? params.TZID : defaultTimeZone;
+    return { date: zonedTimeToUtc(parts, timeZone), isDate: false };
+}
+
+// "PT1H30M" / "P1D" -> milliseconds
+function parseDuration(value) {
+    const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+    if (!match) return null;
+    const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+    const ms = ((((+weeks * 7 + +days) * 24 + +hours) * 60 + +minutes) * 60 + +seconds) * 1000;
+    return sign === '-' ? -ms : ms;
+}
+
+/**
+ * Session recurringPattern for an RRULE, plus its COUNT if any. Rules the session model cannot
+ * express (yearly, BYSETPOS, BYMONTHDAY lists, ...) return { error }.
+ */
+function parseRRule(value, defaultTimeZone = DEFAULT_TIMEZONE) {
+    const rule = {};
+    value.split(';').forEach(part => {
+        const [key, val = ''] = part.split('=');
+        rule[key.toUpperCase()] = val;
+    });
+
+    const type = Object.keys(FREQUENCIES).find(key => FREQUENCIES[key] === rule.FREQ);
+    if (!type) return { error: `Unsupported recurrence frequency ${rule.FREQ}` };
+    const unsupported = Object.keys(rule).filter(key => !['FREQ', 'INTERVAL', 'BYDAY', 'UNTIL', 'COUNT', 'WKST'].includes(key));
+    if (unsupported.length) return { error: `Unsupported recurrence rule parts: ${unsupported.join(', ')}` };
+
+    const pattern = { type, interval: rule.INTERVAL ? parseInt(rule.INTERVAL, 10) : 1 };
+    if (rule.BYDAY) {
+        if (type !== 'weekly') return { error: 'BYDAY is only supported for weekly recurrence' };
+        const days = rule.BYDAY.split(',').map(code => DAY_CODES.indexOf(code.trim().toUpperCase()));
+        if (days.includes(-1)) return { error: `Unsupported BYDAY value ${rule.BYDAY}` };
+        pattern.daysOfWeek = days;
+    }
+    if (rule.UNTIL) {
+        const until = parseDateValue(rule.UNTIL, {}, defaultTimeZone);
+        if (!until) return { error: `Invalid UNTIL value ${rule.UNTIL}` };
+        // A DATE UNTIL includes the whole day
+        pattern.endDate = until.isDate ? new Date(until.date.getTime() + 24 * 60 * 60 * 1000 - 1) : until.date;
+    }
+
+    return { pattern, count: rule.COUNT ? parseInt(rule.COUNT, 10) : null };
+}
+
+/**
+ * Read the VEVENTs of a calendar. Returns [{ uid, summary, description, location, categories,
+ * organizerEmail, status, start, end, rrule, recurrenceId, exdates, error }] where times are
+ * { date, isDate } and `error` explains why an event cannot be used.
+ */
+function parseCalendar(text, { defaultTimeZone = DEFAULT_TIMEZONE } = {}) {
+    const lines = parseLines(text);
+    if (!lines.length || lines[0].name !== 'BEGIN' || lines[0].value.toUpperCase() !== 'VCALENDAR') {
+        throw new Error('Not an iCalendar file');
+    }
+
+    const events = [];
+    let current = null;
+    let depth = 0; // nested components (VALARM) inside a VEVENT are skipped
+    lines.forEach(({ name, params, value }) => {
+        if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+            current = { exdates: [] };
+            return;
+        }
+        if (!current) return;
+        if (name === 'BEGIN') { depth++; return; }
+        if (name === 'END' && depth > 0) { depth--; return; }
+        if (depth > 0) return;
+        if (name === 'END' && value.toUpperCase() === 'VEVENT') {
+            events.push(current);
+            current = null;
+            return;
+        }
+
+        switch (name) {
+            case 'UID':
+                current.uid = value;
+                break;
+            case 'SUMMARY':
+                current.summary = unescapeText(value).trim();
+                break;
+            case 'DESCRIPTION':
+                current.description = unescapeText(value).trim();
+                break;
+            case 'LOCATION':
+                current.location = unescapeText(value).trim();
+                break;
+            case 'CATEGORIES':
+                current.categories = unescapeText(value.split(/(?<!\\),/)[0]).trim();
+                break;
+            case 'STATUS':
+                current.status = value.toUpperCase();
+                break;
+            case 'ORGANIZER':
+                current.organizerEmail = value.replace(/^mailto:/i, '').toLowerCase();
+                break;
+            case 'DTSTART':
+                current.start = parseDateValue(value, params, defaultTimeZone);
+                break;
+            case 'DTEND':
+                current.end = parseDateValue(value, params, defaultTimeZone);
+                break;
+            case 'DURATION':
+                current.duration = parseDuration(value);
+                break;
+            case 'RRULE':
+                current.rrule = parseRRule(value, defaultTimeZone);
+                break;
+            case 'RECURRENCE-ID':
+                current.recurrenceId = parseDateValue(value, params, defaultTimeZone);
+                break;
+            case 'EXDATE':
+                value.split(',').forEach(date => {
+                    const parsed = parseDateValue(date, params, defaultTimeZone);
+                    if (parsed) current.exdates.push(parsed.date);
+                });
+                break;
+        }
+    });
+
+    return events.map(event => {
+        if (!event.end && event.start && event.duration) {
+            event.end = { date: new Date(event.start.date.getTime() + event.duration), isDate: event.start.isDate };
+        }
+        delete event.duration;
+
+        if (!event.start) event.error = 'Missing or invalid DTSTART';
+        else if (event.start.isDate) event.error = 'All-day events cannot be imported as sessions';
+        else if (!event.end || event.end.date <= event.start.date) event.error = 'Missing or invalid end time';
+        else if (event.rrule && event.rrule.error) event.error = event.rrule.error;
+        return event;
+    });
+}
+
+module.exports = {
+    escapeText,
+    foldLine,
+    formatUtc,
+    toRRule,
+    buildCalendar,
+    parseDateValue,
+    parseRRule,
+    parseCalendar,
+};
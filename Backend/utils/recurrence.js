@@ -0,0 +1,120 @@
+const { DEFAULT_TIMEZONE, getZonedParts, zonedTimeToUtc } = require('./timezone');
+const { httpError } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_OCCURRENCES = 500;
+const DEFAULT_HORIZON_DAYS = 180; // used when a pattern has no endDate
+
+// Days since the epoch for a calendar date, so dates can be compared and stepped without time zones
+function toDayNumber(year, month, day) {
+    return Math.floor(Date.UTC(year, month - 1, day) / DAY_MS);
+}
+
+function fromDayNumber(dayNumber) {
+    const date = new Date(dayNumber * DAY_MS);
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+// Normalize and validate a recurringPattern, throwing a 400 on anything we cannot expand
+function normalizePattern(pattern = {}) {
+    if (!['daily', 'weekly', 'monthly'].includes(pattern.type)) {
+        throw httpError('Recurring pattern type must be daily, weekly or monthly');
+    }
+
+    const interval = pattern.interval === undefined || pattern.interval === null ? 1 : Number(pattern.interval);
+    if (!Number.isInteger(interval) || interval < 1) {
+        throw httpError('Recurring pattern interval must be a positive integer');
+    }
+
+    const daysOfWeek = Array.isArray(pattern.daysOfWeek || []) ? (pattern.daysOfWeek || []).map(Number) : [NaN];
+    if (daysOfWeek.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+        throw httpError('Recurring pattern daysOfWeek must contain values between 0 and 6');
+    }
+
+    return {
+        type: pattern.type,
+        interval,
+        daysOfWeek: [...new Set(daysOfWeek)].sort((a, b) => a - b),
+        endDate: pattern.endDate ? new Date(pattern.endDate) : null,
+    };
+}
+
+/**
+ * Expand a recurring pattern into occurrence start times.
+ * The wall-clock time of `start` is kept in `timeZone`, so occurrences do not drift across DST changes.
+ * @param {Object} options
+ * @param {Date} options.start - Start of the first occurrence (always included)
+ * @param {Object} options.pattern - { type, interval, daysOfWeek, endDate }
+ * @param {string} [options.timeZone] - IANA time zone of the college
+ * @param {Date} [options.until] - Hard stop when the pattern has no endDate
+ * @param {number} [options.limit] - Maximum number of occurrences returned
+ * @returns {Date[]} Occurrence start times in ascending order
+ */
+function expandRecurrence({ start, pattern, timeZone = DEFAULT_TIMEZONE, until = null, limit = MAX_OCCURRENCES }) {
+    const rule = normalizePattern(pattern);
+    const anchor = getZonedParts(new Date(start), timeZone);
+    const startDay = toDayNumber(anchor.year, anchor.month, anchor.day);
+
+    const stop = rule.endDate || until || new Date(new Date(start).getTime() + DEFAULT_HORIZON_DAYS * DAY_MS);
+    const stopParts = getZonedParts(stop, timeZone);
+    const endDay = toDayNumber(stopParts.year, stopParts.month, stopParts.day);
+
+    const occurrences = [new Date(start)];
+    const push = (dayNumber) => {
+        const { year, month, day } = fromDayNumber(dayNumber);
+        occurrences.push(zonedTimeToUtc({
+            year,
+            month,
+            day,
+            hour: anchor.hour,
+            minute: anchor.minute,
+            second: anchor.second,
+        }, timeZone));
+    };
+
+    if (rule.type === 'daily') {
+        for (let dayNumber = startDay + rule.interval; dayNumber <= endDay && occurrences.length < limit; dayNumber += rule.interval) {
+            push(dayNumber);
+        }
+    } else if (rule.type === 'weekly') {
+        const days = rule.daysOfWeek.length > 0 ? rule.daysOfWeek : [anchor.dayOfWeek];
+        const weekStart = startDay - anchor.dayOfWeek; // Sunday of the first week
+
+        for (let week = weekStart; week <= endDay && occurrences.length < limit; week += 7 * rule.interval) {
+            for (const dayOfWeek of days) {
+                const dayNumber = week + dayOfWeek;
+                if (dayNumber <= startDay) continue;
+                if (dayNumber > endDay || occurrences.length >= limit) break;
+                push(dayNumber);
+            }
+        }
+    } else {
+        for (let step = rule.interval; occurrences.length < limit; step += rule.interval) {
+            const monthIndex = anchor.month - 1 + step;
+            const year = anchor.year + Math.floor(monthIndex / 12);
+            const month = (monthIndex % 12) + 1;
+
+            if (toDayNumber(year, month, 1) > endDay) break;
+            // Months without the anchor day (e.g. the 31st) are skipped rather than clamped
+            if (anchor.day > daysInMonth(year, month)) continue;
+
+            const dayNumber = toDayNumber(year, month, anchor.day);
+            if (dayNumber > endDay) break;
+            push(dayNumber);
+        }
+    }
+
+    return occurrences;
+}
+
+module.exports = {
+    MAX_OCCURRENCES,
+    toDayNumber,
+    fromDayNumber,
+    normalizePattern,
+    expandRecurrence,
+};
@@ -0,0 +1,190 @@
+// Word counts, duplicate clustering and lexicon sentiment for short free-text answers (English and Hindi)
+
+const STOP_WORDS = {
+    en: new Set([
+        'a', 'about', 'after', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'because', 'been',
+        'before', 'being', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'doing', 'for', 'from', 'had', 'has',
+        'have', 'having', 'he', 'her', 'here', 'him', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just',
+        'me', 'more', 'most', 'my', 'of', 'on', 'once', 'only', 'or', 'other', 'our', 'out', 'over', 'own', 'same',
+        'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these',
+        'they', 'this', 'those', 'through', 'to', 'too', 'under', 'until', 'up', 'us', 'was', 'we', 'were', 'what',
+        'when', 'where', 'which', 'while', 'who', 'why', 'will', 'with', 'would', 'you', 'your',
+    ]),
+    hi: new Set([
+        'और', 'का', 'की', 'के', 'को', 'में', 'से', 'पर', 'है', 'हैं', 'था', 'थी', 'थे', 'हो', 'होता', 'होती', 'होते',
+        'यह', 'वह', 'ये', 'वे', 'इस', 'उस', 'इसे', 'उसे', 'एक', 'भी', 'तो', 'ही', 'जो', 'कि', 'लिए', 'कर', 'करना',
+        'करते', 'किया', 'गया', 'गयी', 'रहा', 'रही', 'रहे', 'मैं', 'हम', 'आप', 'तुम', 'मेरा', 'मेरी', 'हमारा', 'या',
+        'अगर', 'जब', 'तक', 'साथ', 'बाद', 'कुछ', 'सब', 'बहुत', 'अभी', 'ने', 'एवं', 'तथा',
+        // Common romanized Hindi
+        'aur', 'ka', 'ki', 'ke', 'ko', 'mein', 'me', 'se', 'par', 'hai', 'hain', 'tha', 'thi', 'the', 'ho', 'yeh',
+        'ye', 'woh', 'wo', 'ek', 'bhi', 'toh', 'to', 'hi', 'jo', 'liye', 'kar', 'kya', 'main', 'hum', 'aap', 'tum',
+    ]),
+};
+
+// Word weights from -3 to 3; romanized Hindi is included since students often type it
+const SENTIMENT_LEXICON = new Map(Object.entries({
+    good: 2, great: 3, excellent: 3, awesome: 3, amazing: 3, nice: 2, clear: 2, helpful: 2, easy: 1, interesting: 2,
+    love: 3, like: 1, enjoyed: 2, useful: 2, understood: 2, perfect: 3, fun: 2, engaging: 2, better: 1, best: 3,
+    thanks: 2, thank: 2, happy: 2, simple: 1, fine: 1, ok: 1, okay: 1,
+    bad: -2, poor: -2, boring: -2, confusing: -2, confused: -2, difficult: -1, hard: -1, unclear: -2, slow: -1,
+    fast: -1, hate: -3, terrible: -3, awful: -3, worst: -3, lost: -2, tough: -1, lengthy: -1, noisy: -1, problem: -1,
+    sad: -2, tired: -1, complicated: -2, useless: -3, waste: -3,
+    'अच्छा': 2, 'अच्छी': 2, 'अच्छे': 2, 'बढ़िया': 3, 'शानदार': 3, 'उत्तम': 3, 'आसान': 1, 'सरल': 1, 'स्पष्ट': 2,
+    'रोचक': 2, 'धन्यवाद': 2, 'मज़ा': 2, 'समझ': 1, 'बुरा': -2, 'बुरी': -2, 'खराब': -2, 'कठिन': -1, 'मुश्किल': -1,
+    'उबाऊ': -2, 'उलझन': -2, 'बेकार': -3, 'धीमा': -1, 'तेज़': -1,
+    accha: 2, achha: 2, acha: 2, badhiya: 3, mast: 2, shandar: 3, aasan: 1, saral: 1, samajh: 1, dhanyavad: 2,
+    bura: -2, kharab: -2, mushkil: -1, kathin: -1, bekar: -3, bakwas: -3,
+}));
+
+// English negations flip the next sentiment word
+const NEGATIONS = new Set(['not', 'no', 'never', 'dont', "don't", 'didnt', "didn't", 'isnt', "isn't", 'wasnt', "wasn't",
+    'cant', "can't", 'nothing']);
+
+// Hindi puts the negation after the word it negates ("samajh nahi aaya"), so these flip the previous one
+const HINDI_NEGATIONS = new Set(['नहीं', 'नही', 'न', 'मत', 'nahi', 'nahin', 'nhi', 'mat']);
+
+// Letters (any script, with combining marks such as Devanagari matras), digits and inner apostrophes
+const TOKEN_PATTERN = /[\p{L}\p{M}\p{N}]+(?:'[\p{L}\p{M}]+)?/gu;
+
+function tokenize(text) {
+    return (text || '').normalize('NFC').toLowerCase().match(TOKEN_PATTERN) || [];
+}
+
+function isStopWord(token) {
+    return STOP_WORDS.en.has(token) || STOP_WORDS.hi.has(token);
+}
+
+/**
+ * Term frequencies for a word cloud: how often each non-stop-word appears and in how many
+ * responses, most frequent first.
+ */
+function termFrequencies(texts, { limit = 50, minLength = 2 } = {}) {
+    const terms = new Map();
+
+    texts.forEach(text => {
+        const seen = new Set();
+        tokenize(text).forEach(token => {
+            if (token.length < minLength || isStopWord(token) || /^\d+$/.test(token)) return;
+            const entry = terms.get(token) || { term: token, count: 0, responses: 0 };
+            entry.count++;
+            if (!seen.has(token)) {
+                entry.responses++;
+                seen.add(token);
+            }
+            terms.set(token, entry);
+        });
+    });
+
+    return [...terms.values()]
+        .sort((a, b) => b.count - a.count || b.responses - a.responses || a.term.localeCompare(b.term))
+        .slice(0, limit);
+}
+
+function jaccard(a, b) {
+    if (a.size === 0 && b.size === 0) return 1;
+    let shared = 0;
+    a.forEach(token => {
+        if (b.has(token)) shared++;
+    });
+    return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Group identical and near-identical responses. Responses are compared on their word sets
+ * (case and punctuation ignored); those at or above `threshold` Jaccard similarity to a
+ * cluster's first response join that cluster. Largest clusters first.
+ */
+function clusterResponses(texts, { threshold = 0.7, limit = 20 } = {}) {
+    const clusters = [];
+    const byKey = new Map();
+
+    texts.forEach(text => {
+        const tokens = tokenize(text);
+        if (tokens.length === 0) return;
+        // Compare content words; answers made only of stop words fall back to all their words
+        const content = tokens.filter(token => !isStopWord(token));
+        const key = (content.length ? content : tokens).join(' ');
+
+        // Exact duplicates (after normalisation) skip the similarity scan
+        const exact = byKey.get(key);
+        if (exact) {
+            exact.count++;
+            return;
+        }
+
+        const words = new Set(content.length ? content : tokens);
+        const similar = clusters.find(cluster => jaccard(cluster.words, words) >= threshold);
+        if (similar) {
+            similar.count++;
+            if (similar.variants.length < 5) similar.variants.push(text.trim());
+            byKey.set(key, similar);
+            return;
+        }
+
+        const cluster = { text: text.trim(), words, count: 1, variants: [] };
+        clusters.push(cluster);
+        byKey.set(key, cluster);
+    });
+
+    return clusters
+        .sort((a, b) => b.count - a.count)
+        .slice(0, limit)
+        .map(({ text, count, variants }) => ({ text, count, variants }));
+}
+
+// Lexicon score of one response, from -1 (negative) to 1 (positive)
+function sentimentScore(text) {
+    const weights = [];
+    let negate = false;
+    let last = null; // { index into weights, tokens since } of the latest sentiment word
+
+    tokenize(text).forEach(token => {
+        if (NEGATIONS.has(token)) {
+            negate = true;
+            return;
+        }
+        if (HINDI_NEGATIONS.has(token)) {
+            if (last && last.distance <= 2) weights[last.index] = -weights[last.index];
+            last = null;
+            return;
+        }
+
+        const weight = SENTIMENT_LEXICON.get(token);
+        if (weight) {
+            weights.push(negate ? -weight : weight);
+            last = { index: weights.length - 1, distance: 0 };
+        }
+        if (last) last.distance++;
+        negate = false;
+    });
+
+    if (weights.length === 0) return 0;
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    return Math.max(-1, Math.min(1, total / (weights.length * 3)));
+}
+
+const sentimentLabel = score => (score > 0.1 ? 'positive' : score < -0.1 ? 'negative' : 'neutral');
+
+// Average sentiment across responses with a positive/neutral/negative breakdown
+function sentimentSummary(texts) {
+    const counts = { positive: 0, neutral: 0, negative: 0 };
+    let total = 0;
+
+    texts.forEach(text => {
+        const score = sentimentScore(text);
+        counts[sentimentLabel(score)]++;
+        total += score;
+    });
+
+    const average = texts.length ? Math.round((total / texts.length) * 100) / 100 : 0;
+    return { average, label: sentimentLabel(average), ...counts };
+}
+
+module.exports = {
+    STOP_WORDS,
+    tokenize,
+    termFrequencies,
+    clusterResponses,
+    sentimentScore,
+    sentimentSummary,
+};
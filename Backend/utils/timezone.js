@@ -0,0 +1,78 @@
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+const formatterCache = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatterCache.has(timeZone)) {
+        formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+        }));
+    }
+    return formatterCache.get(timeZone);
+}
+
+// Check whether a string is an IANA time zone known to the runtime
+function isValidTimeZone(timeZone) {
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Break a Date into wall-clock parts (month is 1-12) as seen in the given time zone
+function getZonedParts(date, timeZone = DEFAULT_TIMEZONE) {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+        if (type !== 'literal') parts[type] = parseInt(value, 10);
+    });
+
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: parts.hour,
+        minute: parts.minute,
+        second: parts.second,
+        dayOfWeek: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay(),
+    };
+}
+
+// Offset of the time zone from UTC at the given instant, in minutes
+function getTimezoneOffset(date, timeZone = DEFAULT_TIMEZONE) {
+    const p = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    const instant = Math.floor(date.getTime() / 1000) * 1000;
+    return Math.round((asUtc - instant) / 60000);
+}
+
+// Convert wall-clock parts in the given time zone to the matching UTC instant
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone = DEFAULT_TIMEZONE) {
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+    const offset = getTimezoneOffset(new Date(asUtc), timeZone);
+    let result = asUtc - offset * 60000;
+
+    // Re-check once: the guess may have landed on the other side of a DST change
+    const correctedOffset = getTimezoneOffset(new Date(result), timeZone);
+    if (correctedOffset !== offset) {
+        result = asUtc - correctedOffset * 60000;
+    }
+
+    return new Date(result);
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    isValidTimeZone,
+    getZonedParts,
+    getTimezoneOffset,
+    zonedTimeToUtc,
+};
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DEFAULT_STEP_SECONDS = 30;
+const DEFAULT_DIGITS = 6;
+
+// RFC 4648 base32 without padding, as used by authenticator apps
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+function base32Decode(input) {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+// Random base32 secret (160 bits by default, as recommended by RFC 4226)
+function generateSecret(bytes = 20) {
+    return base32Encode(crypto.randomBytes(bytes));
+}
+
+// RFC 4226 HOTP value for a counter
+function generateHotp(secret, counter, digits = DEFAULT_DIGITS) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** digits);
+
+    return code.toString().padStart(digits, '0');
+}
+
+function getTimeStep(time = Date.now(), step = DEFAULT_STEP_SECONDS) {
+    return Math.floor(time / 1000 / step);
+}
+
+// RFC 6238 TOTP value for a moment in time
+function generateTotp(secret, { time = Date.now(), step = DEFAULT_STEP_SECONDS, digits = DEFAULT_DIGITS } = {}) {
+    return generateHotp(secret, getTimeStep(time, step), digits);
+}
+
+/**
+ * Verify a TOTP code, allowing `window` steps of clock drift either way.
+ * @returns {number|null} The matching time step (so callers can reject reuse), or null
+ */
+function verifyTotp(secret, token, { time = Date.now(), step = DEFAULT_STEP_SECONDS, digits = DEFAULT_DIGITS, window = 1 } = {}) {
+    const code = String(token || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${digits}}$`).test(code)) {
+        return null;
+    }
+
+    const current = getTimeStep(time, step);
+    for (let offset = -window; offset <= window; offset++) {
+        const candidate = generateHotp(secret, current + offset, digits);
+        if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(code))) {
+            return current + offset;
+        }
+    }
+
+    return null;
+}
+
+// otpauth:// URI that authenticator apps read from a QR code
+function buildOtpAuthUrl({ secret, label, issuer }) {
+    const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DEFAULT_DIGITS), period: String(DEFAULT_STEP_SECONDS) });
+    return `otpauth://totp/${encodeURIComponent(`${issuer}:${label}`)}?${params.toString()}`;
+}
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    generateHotp,
+    generateTotp,
+    verifyTotp,
+    buildOtpAuthUrl,
+};
@@ -0,0 +1,248 @@
+// SVG and PDF rendering of whiteboard pages for session materials
+const zlib = require('zlib');
+
+// Exported PDF pages are A4-landscape wide; height keeps the canvas aspect ratio
+const PDF_PAGE_WIDTH = 842;
+
+// Text lines are laid out from the element's top-left corner
+const LINE_HEIGHT = 1.2;
+const ASCENT = 0.8;
+
+const ARROW_HEAD_LENGTH = 4; // in stroke widths, at least 10 units
+
+const round = (value) => Number(value.toFixed(2));
+
+function textBaselines(data) {
+    return data.text.split('\n').map((line, i) => ({
+        line,
+        y: data.at[1] + data.fontSize * (ASCENT + LINE_HEIGHT * i),
+    }));
+}
+
+// The two back corners of an arrow head pointing from `from` to `to`
+function arrowHead(from, to, width) {
+    const angle = Math.atan2(to[1] - from[1], to[0] - from[0]);
+    const length = Math.max(width * ARROW_HEAD_LENGTH, 10);
+    return [-1, 1].map(side => [
+        to[0] - length * Math.cos(angle + side * Math.PI / 6),
+        to[1] - length * Math.sin(angle + side * Math.PI / 6),
+    ]);
+}
+
+// Top-left corner and size of the box spanned by a shape's two points
+function box(data) {
+    return {
+        x: Math.min(data.from[0], data.to[0]),
+        y: Math.min(data.from[1], data.to[1]),
+        width: Math.abs(data.to[0] - data.from[0]),
+        height: Math.abs(data.to[1] - data.from[1]),
+    };
+}
+
+// ---- SVG -----------------------------------------------------------------
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function svgStroke(data) {
+    return `stroke="${data.color}" stroke-width="${data.width}" stroke-linecap="round" stroke-linejoin="round"`;
+}
+
+function svgElement({ type, data }) {
+    if (type === 'stroke') {
+        const [first, ...rest] = data.points;
+        const path = [`M${round(first[0])} ${round(first[1])}`, ...rest.map(([x, y]) => `L${round(x)} ${round(y)}`)];
+        // A single point still shows as a dot
+        if (rest.length === 0) path.push(`L${round(first[0])} ${round(first[1])}`);
+        return `<path d="${path.join(' ')}" fill="none" ${svgStroke(data)}/>`;
+    }
+
+    if (type === 'text') {
+        const lines = textBaselines(data)
+            .map(({ line, y }) => `<tspan x="${round(data.at[0])}" y="${round(y)}">${escapeXml(line)}</tspan>`)
+            .join('');
+        return `<text font-family="Helvetica, Arial, sans-serif" font-size="${data.fontSize}" fill="${data.color}" xml:space="preserve">${lines}</text>`;
+    }
+
+    const fill = data.fill || 'none';
+    const { from, to } = data;
+    switch (data.shape) {
+        case 'rect': {
+            const { x, y, width, height } = box(data);
+            return `<rect x="${round(x)}" y="${round(y)}" width="${round(width)}" height="${round(height)}" fill="${fill}" ${svgStroke(data)}/>`;
+        }
+        case 'ellipse': {
+            const { x, y, width, height } = box(data);
+            return `<ellipse cx="${round(x + width / 2)}" cy="${round(y + height / 2)}" rx="${round(width / 2)}" ry="${round(height / 2)}" fill="${fill}" ${svgStroke(data)}/>`;
+        }
+        case 'arrow': {
+            const head = arrowHead(from, to, data.width).map(([x, y]) => `${round(x)},${round(y)}`).join(' ');
+            return `<line x1="${round(from[0])}" y1="${round(from[1])}" x2="${round(to[0])}" y2="${round(to[1])}" ${svgStroke(data)}/>`
+                + `<polygon points="${round(to[0])},${round(to[1])} ${head}" fill="${data.color}"/>`;
+        }
+        default:
+            return `<line x1="${round(from[0])}" y1="${round(from[1])}" x2="${round(to[0])}" y2="${round(to[1])}" ${svgStroke(data)}/>`;
+    }
+}
+
+/**
+ * One whiteboard page as a standalone SVG document.
+ * @param {{ width: number, height: number, title?: string, elements: Object[] }} page
+ */
+function toSvg(page) {
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${page.width}" height="${page.height}" viewBox="0 0 ${page.width} ${page.height}">`,
+        page.title ? `<title>${escapeXml(page.title)}</title>` : null,
+        `<rect width="${page.width}" height="${page.height}" fill="#ffffff"/>`,
+        ...page.elements.map(svgElement),
+        '</svg>',
+        '',
+    ].filter(line => line !== null).join('\n');
+}
+
+// ---- PDF -----------------------------------------------------------------
+
+function pdfColor(hex) {
+    return [1, 3, 5].map(i => round(parseInt(hex.slice(i, i + 2), 16) / 255)).join(' ');
+}
+
+// Built-in PDF fonts only cover Latin-1; other characters print as '?' (the SVG export keeps them)
+function pdfString(value) {
+    const latin1 = [...value].map(char => (char.charCodeAt(0) <= 0xff && char >= ' ' ? char : '?')).join('');
+    return `(${latin1.replace(/[\\()]/g, match => `\\${match}`)})`;
+}
+
+// Four Bézier curves approximating an ellipse
+function pdfEllipse({ x, y, width, height }) {
+    const k = 0.5523;
+    const rx = width / 2;
+    const ry = height / 2;
+    const cx = x + rx;
+    const cy = y + ry;
+    const n = (values) => values.map(round).join(' ');
+    return [
+        `${n([cx + rx, cy])} m`,
+        `${n([cx + rx, cy + k * ry, cx + k * rx, cy + ry, cx, cy + ry])} c`,
+        `${n([cx - k * rx, cy + ry, cx - rx, cy + k * ry, cx - rx, cy])} c`,
+        `${n([cx - rx, cy - k * ry, cx - k * rx, cy - ry, cx, cy - ry])} c`,
+        `${n([cx + k * rx, cy - ry, cx + rx, cy - k * ry, cx + rx, cy])} c`,
+    ].join('\n');
+}
+
+function pdfElement({ type, data }) {
+    const strokeStyle = `${pdfColor(data.color)} RG ${data.width} w`;
+
+    if (type === 'stroke') {
+        const [first, ...rest] = data.points;
+        const path = [`${round(first[0])} ${round(first[1])} m`, ...(rest.length ? rest : [first]).map(([x, y]) => `${round(x)} ${round(y)} l`)];
+        return [strokeStyle, ...path, 'S'].join('\n');
+    }
+
+    if (type === 'text') {
+        // The page is flipped to canvas coordinates, so each line flips back to stay upright
+        return textBaselines(data).map(({ line, y }) => [
+            'BT',
+            `/F1 ${data.fontSize} Tf`,
+            `${pdfColor(data.color)} rg`,
+            `1 0 0 -1 ${round(data.at[0])} ${round(y)} Tm`,
+            `${pdfString(line)} Tj`,
+            'ET',
+        ].join('\n')).join('\n');
+    }
+
+    const { from, to } = data;
+    const fillStyle = data.fill ? `${pdfColor(data.fill)} rg` : null;
+    const paint = data.fill ? 'B' : 'S';
+    switch (data.shape) {
+        case 'rect': {
+            const { x, y, width, height } = box(data);
+            return [strokeStyle, fillStyle, `${round(x)} ${round(y)} ${round(width)} ${round(height)} re`, paint].filter(Boolean).join('\n');
+        }
+        case 'ellipse':
+            return [strokeStyle, fillStyle, pdfEllipse(box(data)), paint].filter(Boolean).join('\n');
+        case 'arrow': {
+            const head = arrowHead(from, to, data.width);
+            return [
+                strokeStyle,
+                `${round(from[0])} ${round(from[1])} m ${round(to[0])} ${round(to[1])} l S`,
+                `${pdfColor(data.color)} rg`,
+                `${round(to[0])} ${round(to[1])} m ${head.map(([x, y]) => `${round(x)} ${round(y)} l`).join(' ')} f`,
+            ].join('\n');
+        }
+        default:
+            return [strokeStyle, `${round(from[0])} ${round(from[1])} m ${round(to[0])} ${round(to[1])} l`, 'S'].join('\n');
+    }
+}
+
+function pdfPageContent(page, scale) {
+    return [
+        // Canvas coordinates: origin top-left, y down
+        `${scale.toFixed(4)} 0 0 ${(-scale).toFixed(4)} 0 ${round(page.height * scale)} cm`,
+        '1 J 1 j',
+        ...page.elements.map(pdfElement),
+    ].join('\n');
+}
+
+/**
+ * Whiteboard pages as one PDF document, one PDF page per whiteboard page.
+ * @param {{ width: number, height: number, elements: Object[] }[]} pages
+ * @returns {Buffer}
+ */
+function toPdf(pages) {
+    const objects = [];
+    const add = (body) => objects.push(body);
+
+    add(null); // 1: catalog, filled in below
+    add(null); // 2: page tree
+    const font = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+
+    const kids = pages.map(page => {
+        const scale = PDF_PAGE_WIDTH / page.width;
+        const content = zlib.deflateSync(Buffer.from(pdfPageContent(page, scale), 'latin1'));
+        const stream = add(Buffer.concat([
+            Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`),
+            content,
+            Buffer.from('\nendstream'),
+        ]));
+        return add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE_WIDTH} ${round(page.height * scale)}] `
+            + `/Resources << /Font << /F1 ${font} 0 R >> >> /Contents ${stream} 0 R >>`);
+    });
+    objects[0] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[1] = `<< /Type /Pages /Kids [${kids.map(kid => `${kid} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    let length = chunks[0].length;
+    const offsets = objects.map((body, i) => {
+        const offset = length;
+        const chunk = Buffer.concat([Buffer.from(`${i + 1} 0 obj\n`), Buffer.from(body), Buffer.from('\nendobj\n')]);
+        chunks.push(chunk);
+        length += chunk.length;
+        return offset;
+    });
+
+    chunks.push(Buffer.from([
+        'xref',
+        `0 ${objects.length + 1}`,
+        '0000000000 65535 f ',
+        ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objects.length + 1} /Root 1 0 R >>`,
+        'startxref',
+        String(length),
+        '%%EOF',
+        '',
+    ].join('\n')));
+
+    return Buffer.concat(chunks);
+}
+
+module.exports = {
+    toSvg,
+    toPdf,
+};